@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/* ───────── portfolio-report ─────────
+   Prints an allocation report for a brokerage positions CSV, using the
+   same import and analytics code as the web app.
+
+     node bin/portfolio-report.js positions.csv                 # Markdown
+     node bin/portfolio-report.js positions.csv --format json   # JSON
+     npm run report -- positions.csv --look-through -o report.md
+
+   Pass "-" to read the CSV from stdin. Exits with 1 when the file can't be
+   read or its import report is severe enough to block loading. */
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { analyzePortfolio } from "../src/lib/analytics.js";
+import { buildReport, reportToMarkdown } from "../src/lib/report.js";
+
+const USAGE = `Usage: portfolio-report <positions.csv | -> [options]
+
+Options:
+  -f, --format <markdown|json>  Output format (default: markdown)
+  -l, --look-through            Split funds into their underlying asset classes
+  -o, --output <file>           Write the report to a file instead of stdout
+      --force                   Report even when the import has errors
+  -h, --help                    Show this help`;
+
+const fail = (message, code = 1) => {
+  process.stderr.write(`${message}\n`);
+  process.exit(code);
+};
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: "string", short: "f", default: "markdown" },
+      "look-through": { type: "boolean", short: "l", default: false },
+      output: { type: "string", short: "o" },
+      force: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+} catch (err) {
+  fail(`${err.message}\n\n${USAGE}`, 2);
+}
+
+const { values: opts, positionals } = args;
+if (opts.help) {
+  process.stdout.write(`${USAGE}\n`);
+  process.exit(0);
+}
+if (positionals.length !== 1) fail(USAGE, 2);
+if (!["markdown", "md", "json"].includes(opts.format)) fail(`Unknown format "${opts.format}"\n\n${USAGE}`, 2);
+
+let analysis;
+try {
+  const text = readFileSync(positionals[0] === "-" ? 0 : positionals[0], "utf8");
+  analysis = analyzePortfolio(text, { lookThrough: opts["look-through"] });
+} catch (err) {
+  fail(`portfolio-report: ${err.message}`);
+}
+
+const { severity, issues } = analysis.diagnostics;
+issues.filter(i => i.severity === "warning" || i.severity === "error")
+  .forEach(i => process.stderr.write(`${i.severity}: ${i.message}\n`));
+if (severity === "error" && !opts.force) fail("portfolio-report: import failed; use --force to report anyway");
+
+const report = buildReport(analysis);
+const output = opts.format === "json" ? `${JSON.stringify(report, null, 2)}\n` : reportToMarkdown(report);
+if (opts.output) writeFileSync(opts.output, output);
+else process.stdout.write(output);
@@ -0,0 +1,214 @@
+import { useMemo } from "react";
+import { fmt, shortenAccount, getAccountTypeBadgeColor } from "../lib/format.js";
+import { TAX_TREATMENTS } from "../lib/accounts.js";
+import { DEFAULT_LOCATION_PREFS, analyzeLocation } from "../lib/assetLocation.js";
+import usePersistentState from "../hooks/usePersistentState.js";
+import { Badge } from "./ui.jsx";
+
+const smallBtn = "text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors";
+
+const scoreColor = (s) => {
+  if (s >= 90) return "text-green-600";
+  if (s >= 70) return "text-amber-600";
+  return "text-red-600";
+};
+
+const AccountBadge = ({ account, accountKind }) => (
+  <Badge className={getAccountTypeBadgeColor(accountKind)}>{shortenAccount(account)}</Badge>
+);
+
+/* ───────── ASSET LOCATION ───────── */
+const AssetLocationView = ({ holdings }) => {
+  const [prefs, setPrefs] = usePersistentState("locationPrefs", DEFAULT_LOCATION_PREFS);
+  const result = useMemo(() => analyzeLocation(holdings, prefs), [holdings, prefs]);
+  const { score, misplaced, scored, categories, buckets, actual, ideal, accounts, swaps } = result;
+
+  const unranked = categories.filter(c => !prefs.some(p => p.category === c));
+
+  const movePref = (i, dir) => {
+    const j = i + dir;
+    if (j < 0 || j >= prefs.length) return;
+    const next = [...prefs];
+    [next[i], next[j]] = [next[j], next[i]];
+    setPrefs(next);
+  };
+  const moveBucket = (i, k, dir) => {
+    const order = [...prefs[i].order];
+    const j = k + dir;
+    if (j < 0 || j >= order.length) return;
+    [order[k], order[j]] = [order[j], order[k]];
+    setPrefs(prefs.map((p, n) => n === i ? { ...p, order } : p));
+  };
+  const setOrder = (i, order) => setPrefs(prefs.map((p, n) => n === i ? { ...p, order } : p));
+  const addPref = (category) => setPrefs([...prefs, { category, order: [...TAX_TREATMENTS] }]);
+
+  return (
+    <div className="space-y-6">
+      {/* Score */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <p className="text-xs text-gray-500 uppercase tracking-wider font-semibold">Tax-Efficiency Score</p>
+          <p className={`text-3xl font-extrabold mt-1 ${scoreColor(score)}`}>{score}<span className="text-base text-gray-400 font-medium"> / 100</span></p>
+        </div>
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <p className="text-xs text-gray-500 uppercase tracking-wider font-semibold">Misplaced</p>
+          <p className="text-3xl font-extrabold mt-1 text-gray-900">{fmt(misplaced)}</p>
+          <p className="text-xs text-gray-400 mt-0.5">of {fmt(scored)} with a location preference</p>
+        </div>
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <p className="text-xs text-gray-500 uppercase tracking-wider font-semibold">Proposed Swaps</p>
+          <p className="text-3xl font-extrabold mt-1 text-gray-900">{swaps.length}</p>
+          <p className="text-xs text-gray-400 mt-0.5">{fmt(swaps.reduce((s, w) => s + w.amount, 0))} moved each way</p>
+        </div>
+      </div>
+
+      {/* Actual vs ideal */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 mb-1 text-sm uppercase tracking-wider">Where Each Class Sits</h3>
+        <p className="text-xs text-gray-500 mb-3">
+          Actual dollars per tax bucket, with the ideal placement below. The ideal keeps every bucket at its current size
+          and fills it following the preferences further down.
+        </p>
+        <div className="overflow-x-auto rounded-lg border border-gray-200">
+          <table className="w-full text-left">
+            <thead>
+              <tr className="bg-gray-50 text-xs uppercase text-gray-500 tracking-wider">
+                <th className="py-2 px-3">Category</th>
+                {buckets.map(b => <th key={b} className="py-2 px-3 text-right">{b}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {categories.map(c => (
+                <tr key={c} className="border-b border-gray-100 last:border-b-0">
+                  <td className="py-2 px-3 text-sm font-medium text-gray-800">{c}</td>
+                  {buckets.map(b => {
+                    const a = actual[`${c}|${b}`] || 0;
+                    const i = ideal[`${c}|${b}`] || 0;
+                    const off = a - i;
+                    const tone = off > 0.5 ? "bg-red-50" : off < -0.5 ? "bg-green-50" : "";
+                    return (
+                      <td key={b} className={`py-2 px-3 text-right ${tone}`}>
+                        <div className="text-sm text-gray-800">{a ? fmt(a) : "–"}</div>
+                        <div className="text-xs text-gray-400">ideal {i ? fmt(i) : "–"}</div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Per account */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 mb-3 text-sm uppercase tracking-wider">Misplaced Dollars by Account</h3>
+        <div className="overflow-x-auto rounded-lg border border-gray-200">
+          <table className="w-full text-left">
+            <thead>
+              <tr className="bg-gray-50 text-xs uppercase text-gray-500 tracking-wider">
+                <th className="py-2 px-3">Account</th>
+                <th className="py-2 px-3">Tax Bucket</th>
+                <th className="py-2 px-3">Better Elsewhere</th>
+                <th className="py-2 px-3 text-right">Misplaced</th>
+                <th className="py-2 px-3 text-right">Of Account</th>
+              </tr>
+            </thead>
+            <tbody>
+              {accounts.map(a => (
+                <tr key={a.account} className="border-b border-gray-100 last:border-b-0">
+                  <td className="py-2 px-3"><AccountBadge account={a.account} accountKind={a.accountKind} /></td>
+                  <td className="py-2 px-3 text-sm text-gray-600">{a.taxTreatment}</td>
+                  <td className="py-2 px-3 text-xs text-gray-500">
+                    {a.items.length ? a.items.map(it => `${it.category} ${fmt(it.amount)}`).join(", ") : "–"}
+                  </td>
+                  <td className="py-2 px-3 text-right text-sm font-semibold text-gray-800">{a.misplaced >= 0.5 ? fmt(a.misplaced) : "–"}</td>
+                  <td className="py-2 px-3 text-right text-sm text-gray-500">{a.value > 0 ? `${(a.misplaced / a.value * 100).toFixed(1)}%` : "–"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Swaps */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm space-y-3">
+        <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Proposed Swaps</h3>
+        {swaps.length === 0 ? (
+          <p className="text-sm text-gray-500">No allocation-neutral swaps would improve placement.</p>
+        ) : (
+          <>
+            <p className="text-xs text-gray-500">
+              Each swap is a pair of trades of the same size in two accounts, so the household allocation stays exactly the same.
+            </p>
+            {swaps.some(w => w.a.taxTreatment === "Taxable" || w.b.taxTreatment === "Taxable") && (
+              <div className="rounded-lg bg-amber-50 border border-amber-200 px-3 py-2 text-xs text-amber-800">
+                Some swaps sell in taxable accounts and may realize capital gains — weigh that against the long-term benefit.
+              </div>
+            )}
+            <div className="space-y-2">
+              {swaps.map((w, i) => (
+                <div key={i} className="rounded-lg border border-gray-200 p-3 flex flex-col md:flex-row md:items-center gap-3">
+                  <span className="font-semibold text-sm text-gray-900 md:w-28">{fmt(w.amount)}</span>
+                  {[w.a, w.b].map((leg, j) => (
+                    <div key={j} className="flex-1 flex items-center gap-2 flex-wrap text-sm">
+                      <AccountBadge account={leg.account} accountKind={leg.accountKind} />
+                      <Badge className="bg-red-100 text-red-700">SELL</Badge>
+                      <span className="font-semibold text-gray-800">{leg.sell}</span>
+                      <Badge className="bg-green-100 text-green-700">BUY</Badge>
+                      <span className="font-semibold text-gray-800">{leg.buy}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Preferences */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Location Preferences</h3>
+          <button onClick={() => setPrefs(DEFAULT_LOCATION_PREFS)} className={smallBtn}>Reset to defaults</button>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+          Buckets are ranked best → worst for each category. Categories higher in the list get first pick of scarce space.
+          Growth-style equity and REITs are located separately from the rest of their class.
+        </p>
+        <div className="space-y-1.5">
+          {prefs.map((p, i) => (
+            <div key={p.category} className="flex items-center gap-2 flex-wrap">
+              <span className="text-xs text-gray-400 w-5 text-right font-mono">{i + 1}</span>
+              <span className="text-sm font-medium text-gray-800 w-32">{p.category}</span>
+              {p.order.length === 0 ? (
+                <span className="text-xs text-gray-400 italic">left where it is</span>
+              ) : p.order.map((b, k) => (
+                <span key={b} className="inline-flex items-center rounded-md border border-gray-200 text-xs overflow-hidden">
+                  <button onClick={() => moveBucket(i, k, -1)} disabled={k === 0} className="px-1 text-gray-400 hover:text-gray-700 disabled:opacity-30">‹</button>
+                  <span className="px-1.5 py-0.5 text-gray-700">{b}</span>
+                  <button onClick={() => moveBucket(i, k, 1)} disabled={k === p.order.length - 1} className="px-1 text-gray-400 hover:text-gray-700 disabled:opacity-30">›</button>
+                </span>
+              ))}
+              <div className="ml-auto flex gap-1">
+                <button onClick={() => movePref(i, -1)} disabled={i === 0} className={`${smallBtn} disabled:opacity-30`}>↑</button>
+                <button onClick={() => movePref(i, 1)} disabled={i === prefs.length - 1} className={`${smallBtn} disabled:opacity-30`}>↓</button>
+                <button onClick={() => setOrder(i, p.order.length ? [] : [...TAX_TREATMENTS])} className={smallBtn}>
+                  {p.order.length ? "Ignore" : "Rank"}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        {unranked.length > 0 && (
+          <div className="mt-3 flex items-center gap-2 flex-wrap text-xs text-gray-500">
+            Not ranked (left where they are):
+            {unranked.map(c => <button key={c} onClick={() => addPref(c)} className={smallBtn}>+ {c}</button>)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssetLocationView;
@@ -0,0 +1,256 @@
+import { useMemo, useState } from "react";
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend, ReferenceLine } from "recharts";
+import { fmt } from "../lib/format.js";
+import { allModels, compareToModel, glideStockPct, rankModels, roundWeights, stockBondSplit, actualWeights } from "../lib/benchmarks.js";
+import { ASSET_CLASSES } from "../lib/rebalance.js";
+import usePersistentState from "../hooks/usePersistentState.js";
+
+const THIS_YEAR = new Date().getFullYear();
+const DEFAULT_BENCHMARK = { model: "three-fund", retirementYear: THIS_YEAR + 20 };
+
+const inputCls = "px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+const smallBtn = "text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors";
+
+const diffColor = (d) => {
+  const a = Math.abs(d);
+  if (a < 1) return "text-gray-500";
+  if (a < 5) return "text-amber-600";
+  return "text-red-600";
+};
+
+// how far off, in words, for a distance score
+const verdict = (distance) => (distance < 5 ? "Close to the model" : distance < 15 ? "Some way off" : "Far from the model");
+
+const PctTooltip = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  return (
+    <div className="bg-gray-900 text-white px-3 py-2 rounded-lg shadow-xl text-sm border border-gray-700">
+      <p className="font-semibold">{label}</p>
+      {payload.map(p => <p key={p.dataKey}>{p.name}: {p.value.toFixed(1)}%</p>)}
+    </div>
+  );
+};
+
+/* ───────── BENCHMARKS ─────────
+   The actual asset-class mix against a model portfolio: bundled models,
+   a target-date glide path for a retirement year, or the user's own
+   models (saved in this browser). */
+const BenchmarksView = ({ holdings, total }) => {
+  const [saved, setBenchmark] = usePersistentState("benchmark", DEFAULT_BENCHMARK);
+  const [custom, setCustom] = usePersistentState("customModels", []);
+  const [editing, setEditing] = useState(null);
+  const b = { ...DEFAULT_BENCHMARK, ...saved };
+  const set = (patch) => setBenchmark({ ...b, ...patch });
+  const retirementYear = parseInt(b.retirementYear, 10) || DEFAULT_BENCHMARK.retirementYear;
+
+  const models = useMemo(() => allModels(custom, retirementYear, THIS_YEAR), [custom, retirementYear]);
+  const model = models.find(m => m.id === b.model) || models[0];
+  const isCustom = custom.some(m => m.id === model.id);
+  const { rows, distance } = useMemo(() => compareToModel(holdings, model.weights), [holdings, model]);
+  const ranking = useMemo(() => rankModels(holdings, models), [holdings, models]);
+  const actualSplit = stockBondSplit(actualWeights(holdings));
+  const modelSplit = stockBondSplit(model.weights);
+  const largest = rows.reduce((best, r) => (!best || Math.abs(r.diff) > Math.abs(best.diff) ? r : best), null);
+
+  const glide = useMemo(() => {
+    const years = [];
+    for (let y = Math.min(THIS_YEAR, retirementYear - 30); y <= retirementYear + 10; y++) {
+      years.push({ year: y, stocks: glideStockPct(y - retirementYear) });
+    }
+    return years;
+  }, [retirementYear]);
+
+  /* model editor: { id?, name, weights } */
+  const startEditing = (from) => setEditing({
+    id: isCustom && from === model ? model.id : null,
+    name: isCustom && from === model ? model.name : "",
+    weights: roundWeights(from.weights),
+  });
+  const editClasses = editing ? [...new Set([...ASSET_CLASSES, "Other", ...Object.keys(editing.weights)])] : [];
+  const editSum = editing ? Object.values(editing.weights).reduce((s, v) => s + (Number(v) || 0), 0) : 0;
+  const editName = editing?.name.trim() || "";
+  const nameTaken = editing && models.some(m => m.name.toLowerCase() === editName.toLowerCase() && m.id !== editing.id);
+  const canSave = editing && editName && !nameTaken && Math.abs(editSum - 100) < 0.01;
+  const saveModel = () => {
+    const id = editing.id || `custom:${editName}`;
+    const weights = Object.fromEntries(Object.entries(editing.weights).filter(([, v]) => Number(v) > 0).map(([c, v]) => [c, Number(v)]));
+    setCustom([...custom.filter(m => m.id !== id), { id, name: editName, description: "Your own model.", weights }]);
+    set({ model: id });
+    setEditing(null);
+  };
+  const deleteModel = () => {
+    setCustom(custom.filter(m => m.id !== model.id));
+    set({ model: DEFAULT_BENCHMARK.model });
+  };
+
+  if (total <= 0) {
+    return (
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm text-center text-sm text-gray-500">
+        No holdings to compare.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Model picker */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm space-y-2">
+        <div className="flex items-center gap-3 flex-wrap text-sm text-gray-500">
+          <label className="flex items-center gap-2">
+            Compare with
+            <select value={model.id} onChange={e => { set({ model: e.target.value }); setEditing(null); }} className={`${inputCls} bg-white`}>
+              {models.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+            </select>
+          </label>
+          {model.id === "target-date" && (
+            <label className="flex items-center gap-1">
+              retiring in
+              <input type="number" min={THIS_YEAR - 30} max={THIS_YEAR + 60} step="1" value={b.retirementYear}
+                onChange={e => set({ retirementYear: e.target.value })} className={`w-20 text-right ${inputCls}`} />
+            </label>
+          )}
+          <span className="ml-auto flex gap-2">
+            {isCustom && <button onClick={deleteModel} className={smallBtn}>Delete</button>}
+            <button onClick={() => startEditing(model)} className={smallBtn}>{isCustom ? "Edit" : "Copy as new model"}</button>
+            <button onClick={() => startEditing({ weights: actualWeights(holdings) })} className={smallBtn}>+ Model from current mix</button>
+          </span>
+        </div>
+        <p className="text-xs text-gray-500">{model.description}</p>
+      </div>
+
+      {/* Model editor */}
+      {editing && (
+        <div className="bg-white rounded-xl border border-blue-200 p-4 shadow-sm space-y-3">
+          <div className="flex items-center gap-2 flex-wrap">
+            <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider mr-2">{editing.id ? "Edit Model" : "New Model"}</h3>
+            <input value={editing.name} onChange={e => setEditing({ ...editing, name: e.target.value })} placeholder="Model name" className={`w-56 ${inputCls}`} />
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+            {editClasses.map(c => (
+              <label key={c} className="text-xs text-gray-500">
+                {c}
+                <span className="flex items-center gap-1 mt-0.5">
+                  <input type="number" min="0" max="100" step="0.5" value={editing.weights[c] ?? ""} placeholder="0"
+                    onChange={e => setEditing({ ...editing, weights: { ...editing.weights, [c]: e.target.value === "" ? "" : Math.max(0, parseFloat(e.target.value) || 0) } })}
+                    className={`w-20 text-right ${inputCls}`} />%
+                </span>
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-3 flex-wrap text-sm">
+            <span className={`font-semibold ${Math.abs(editSum - 100) < 0.01 ? "text-gray-700" : "text-red-600"}`}>Total {editSum.toFixed(1)}%</span>
+            {nameTaken && <span className="text-xs text-red-600">A model with this name already exists.</span>}
+            <span className="ml-auto flex gap-2">
+              <button onClick={() => setEditing(null)} className={smallBtn}>Cancel</button>
+              <button onClick={saveModel} disabled={!canSave}
+                className="text-xs font-medium bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-md transition-colors disabled:opacity-40">
+                Save model
+              </button>
+            </span>
+          </div>
+          {Math.abs(editSum - 100) >= 0.01 && <p className="text-xs text-red-600">Weights must add up to 100%.</p>}
+        </div>
+      )}
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {[
+          { label: "Distance from Model", val: `${distance.toFixed(1)}%`, sub: verdict(distance), c: distance < 5 ? "border-l-emerald-500" : distance < 15 ? "border-l-amber-500" : "border-l-red-500" },
+          { label: "Stocks / Bonds", val: `${actualSplit.stockPct.toFixed(0)} / ${actualSplit.bondPct.toFixed(0)}`, sub: `model ${modelSplit.stockPct.toFixed(0)} / ${modelSplit.bondPct.toFixed(0)}`, c: "border-l-blue-500" },
+          { label: "Largest Deviation", val: largest ? `${largest.diff >= 0 ? "+" : "−"}${Math.abs(largest.diff).toFixed(1)}%` : "–", sub: largest ? `${largest.name} · ${fmt(Math.abs(largest.diff) / 100 * total)}` : "", c: "border-l-gray-400" },
+          { label: "Closest Model", val: ranking[0].model.name, sub: `${ranking[0].distance.toFixed(1)}% away`, c: "border-l-indigo-500" },
+        ].map(c => (
+          <div key={c.label} className={`bg-white rounded-xl p-4 border border-gray-200 border-l-4 ${c.c} shadow-sm`}>
+            <p className="text-xs text-gray-400 uppercase tracking-wider font-medium">{c.label}</p>
+            <p className="text-xl font-bold text-gray-900 mt-1 truncate">{c.val}</p>
+            <p className="text-sm text-gray-500 mt-0.5">{c.sub}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Side-by-side bars */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <h3 className="font-bold text-gray-700 mb-2 text-sm uppercase tracking-wider">Portfolio vs {model.name}</h3>
+          <ResponsiveContainer width="100%" height={Math.max(rows.length * 48, 220)}>
+            <BarChart data={rows.map(r => ({ name: r.name, actual: r.actual, model: r.model }))} layout="vertical" margin={{ left: 10 }}>
+              <XAxis type="number" tickFormatter={v => `${v}%`} fontSize={10} />
+              <YAxis type="category" dataKey="name" width={90} tick={{ fontSize: 11 }} />
+              <Tooltip content={<PctTooltip />} />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              <Bar dataKey="actual" name="Portfolio" fill="#2563eb" radius={[0, 4, 4, 0]} />
+              <Bar dataKey="model" name={model.name} fill="#94a3b8" radius={[0, 4, 4, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* Deviations */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <h3 className="font-bold text-gray-700 mb-3 text-sm uppercase tracking-wider">Deviation by Asset Class</h3>
+          <table className="w-full text-left">
+            <thead>
+              <tr className="border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                <th className="py-2 px-2">Asset Class</th>
+                <th className="py-2 px-2 text-right">Portfolio</th>
+                <th className="py-2 px-2 text-right">Model</th>
+                <th className="py-2 px-2 text-right">Deviation</th>
+                <th className="py-2 px-2 text-right">In Dollars</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => (
+                <tr key={r.name} className="border-b border-gray-100">
+                  <td className="py-1.5 px-2 text-sm font-medium text-gray-800">{r.name}</td>
+                  <td className="py-1.5 px-2 text-right text-sm text-gray-500">{r.actual.toFixed(1)}%</td>
+                  <td className="py-1.5 px-2 text-right text-sm text-gray-500">{r.model.toFixed(1)}%</td>
+                  <td className={`py-1.5 px-2 text-right text-sm font-semibold ${diffColor(r.diff)}`}>{r.diff > 0 ? "+" : ""}{r.diff.toFixed(1)}%</td>
+                  <td className="py-1.5 px-2 text-right text-sm text-gray-500">{r.diff >= 0 ? "+" : "−"}{fmt(Math.abs(r.diff) / 100 * total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-400 mt-3">
+            Distance from model is half the sum of the deviations: the share of the portfolio that would have to change asset class to match the model.
+          </p>
+        </div>
+      </div>
+
+      {/* Glide path */}
+      {model.id === "target-date" && (
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <h3 className="font-bold text-gray-700 mb-2 text-sm uppercase tracking-wider">Glide Path — Stocks over Time</h3>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={glide} margin={{ left: 0, right: 20 }}>
+              <XAxis dataKey="year" fontSize={10} />
+              <YAxis domain={[0, 100]} tickFormatter={v => `${v}%`} fontSize={10} />
+              <Tooltip content={<PctTooltip />} />
+              <ReferenceLine x={THIS_YEAR} stroke="#9ca3af" strokeDasharray="3 3" label={{ value: "Now", fontSize: 10, fill: "#6b7280", position: "top" }} />
+              <ReferenceLine x={retirementYear} stroke="#9ca3af" strokeDasharray="3 3" label={{ value: "Retirement", fontSize: 10, fill: "#6b7280", position: "top" }} />
+              <ReferenceLine y={actualSplit.stockPct} stroke="#2563eb" strokeDasharray="4 4" label={{ value: `You: ${actualSplit.stockPct.toFixed(0)}%`, fontSize: 10, fill: "#2563eb", position: "insideTopLeft" }} />
+              <Line type="linear" dataKey="stocks" name="Stocks" stroke="#94a3b8" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* All models */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 mb-3 text-sm uppercase tracking-wider">All Models by Distance</h3>
+        <div className="space-y-1.5">
+          {ranking.map(({ model: m, distance: d }) => (
+            <button key={m.id} onClick={() => set({ model: m.id })}
+              className={`w-full flex items-center gap-3 text-left rounded-md px-2 py-1 transition-colors ${m.id === model.id ? "bg-blue-50" : "bg-transparent hover:bg-gray-50"}`}>
+              <span className="w-44 text-sm font-medium text-gray-800 truncate">{m.name}</span>
+              <span className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                <span className="block h-full bg-blue-500 rounded-full" style={{ width: `${Math.min(d, 100)}%` }} />
+              </span>
+              <span className="w-14 text-right text-sm text-gray-500">{d.toFixed(1)}%</span>
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BenchmarksView;
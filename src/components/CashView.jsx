@@ -0,0 +1,187 @@
+import { useMemo } from "react";
+import { fmt, shortenAccount, getAccountTypeBadgeColor } from "../lib/format.js";
+import { isPrivate, MASK } from "../lib/privacy.js";
+import { planCashDeployment } from "../lib/cash.js";
+import usePersistentState from "../hooks/usePersistentState.js";
+import { Badge } from "./ui.jsx";
+
+const DEFAULT_RESERVE = { mode: "amount", amount: "", monthly: "", months: 6 };
+
+const inputCls = "text-right px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+/* ───────── CASH & DEPLOYMENT ───────── */
+// targets: the mix the Rebalance tab edits, owned by the dashboard
+const CashView = ({ holdings, total, targets }) => {
+  const [saved, setReserve] = usePersistentState("cashReserve", DEFAULT_RESERVE);
+  const r = { ...DEFAULT_RESERVE, ...saved };
+  const set = (patch) => setReserve({ ...r, ...patch });
+
+  const reserve = r.mode === "months"
+    ? Math.max(parseFloat(r.monthly) || 0, 0) * Math.max(parseFloat(r.months) || 0, 0)
+    : Math.max(parseFloat(r.amount) || 0, 0);
+  const plan = useMemo(() => planCashDeployment(holdings, targets, reserve), [holdings, targets, reserve]);
+  const cash = plan.accounts.reduce((s, a) => s + a.cash, 0);
+  const sheltered = plan.accounts.filter(a => a.taxTreatment !== "Taxable").reduce((s, a) => s + a.cash, 0);
+
+  const buysByAccount = useMemo(() => {
+    const m = {};
+    plan.buys.forEach(t => { (m[t.account] ||= []).push(t); });
+    return Object.entries(m);
+  }, [plan]);
+  const goals = Object.entries(targets).filter(([c, v]) => c !== "Cash" && Number(v) > 0);
+
+  if (!plan.accounts.length) {
+    return (
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm text-center">
+        <p className="text-sm text-gray-600 font-medium">No cash positions</p>
+        <p className="text-xs text-gray-400 mt-1">Nothing in the portfolio looks like cash, a money market fund or a sweep position.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {[
+          { label: "Total Cash", val: fmt(cash), sub: `${(total > 0 ? cash / total * 100 : 0).toFixed(1)}% of portfolio`, c: "border-l-gray-400" },
+          { label: "Reserve", val: fmt(reserve), sub: plan.shortfall > 0 ? `${fmt(plan.shortfall)} short of target` : "fully covered", c: plan.shortfall > 0 ? "border-l-red-500" : "border-l-emerald-500" },
+          { label: "Excess Cash", val: fmt(plan.excess), sub: "beyond the reserve", c: "border-l-amber-500" },
+          { label: "In Retirement Accounts", val: fmt(sheltered), sub: "not easily spendable", c: "border-l-purple-500" },
+        ].map(c => (
+          <div key={c.label} className={`bg-white rounded-xl p-4 border border-gray-200 border-l-4 ${c.c} shadow-sm`}>
+            <p className="text-xs text-gray-400 uppercase tracking-wider font-medium">{c.label}</p>
+            <p className="text-xl font-bold text-gray-900 mt-1">{c.val}</p>
+            <p className="text-sm text-gray-500 mt-0.5">{c.sub}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Reserve */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm space-y-3">
+          <div className="flex items-center justify-between flex-wrap gap-2">
+            <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Reserve Target</h3>
+            <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden text-xs font-medium">
+              {[{ id: "amount", label: "Amount" }, { id: "months", label: "Months of spending" }].map(m => (
+                <button key={m.id} onClick={() => set({ mode: m.id })}
+                  className={`px-3 py-1.5 rounded-none ${r.mode === m.id ? "bg-blue-600 text-white" : "bg-white text-gray-600 hover:bg-gray-50"}`}>
+                  {m.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {r.mode === "amount" ? (
+            <label className="flex items-center gap-1 text-sm text-gray-500">
+              Keep $<input type="number" min="0" step="1000" value={r.amount} placeholder="0" onChange={e => set({ amount: e.target.value })} className={`w-32 ${inputCls}`} /> in cash
+            </label>
+          ) : (
+            <div className="flex flex-wrap items-center gap-1 text-sm text-gray-500">
+              <input type="number" min="0" step="1" value={r.months} onChange={e => set({ months: e.target.value })} className={`w-16 ${inputCls}`} />
+              months of $
+              <input type="number" min="0" step="500" value={r.monthly} placeholder="0" onChange={e => set({ monthly: e.target.value })} className={`w-28 ${inputCls}`} />
+              / month
+            </div>
+          )}
+          <p className="text-xs text-gray-400">
+            The reserve is held in taxable accounts first, where it can be spent without penalty; cash in retirement accounts only counts once that runs out.
+          </p>
+        </div>
+
+        {/* Per account */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm lg:col-span-2">
+          <h3 className="font-bold text-gray-700 mb-3 text-sm uppercase tracking-wider">Cash by Account</h3>
+          <table className="w-full text-left">
+            <thead>
+              <tr className="border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                <th className="py-2 px-2">Account / Position</th>
+                <th className="py-2 px-2 text-right">Cash</th>
+                <th className="py-2 px-2 text-right">Of Account</th>
+                <th className="py-2 px-2 text-right">Reserve</th>
+                <th className="py-2 px-2 text-right">Excess</th>
+              </tr>
+            </thead>
+            {plan.accounts.map(a => (
+              <tbody key={a.account} className="border-b border-gray-200">
+                <tr>
+                  <td className="pt-2 pb-1 px-2">
+                    <Badge className={getAccountTypeBadgeColor(a.accountKind)}>{shortenAccount(a.account)}</Badge>
+                  </td>
+                  <td className="pt-2 pb-1 px-2 text-right text-sm font-semibold text-gray-800">{fmt(a.cash)}</td>
+                  <td className="pt-2 pb-1 px-2 text-right text-sm text-gray-500">{(a.cash / a.accountValue * 100).toFixed(1)}%</td>
+                  <td className="pt-2 pb-1 px-2 text-right text-sm text-gray-500">{a.reserved > 0 ? fmt(a.reserved) : "–"}</td>
+                  <td className="pt-2 pb-1 px-2 text-right text-sm font-semibold text-amber-700">{a.excess > 0 ? fmt(a.excess) : "–"}</td>
+                </tr>
+                {a.items.map((h, i) => (
+                  <tr key={i} className="text-xs text-gray-500">
+                    <td className="pb-1 pl-6 pr-2">
+                      <span className="font-medium text-gray-700">{h.symbol}</span>
+                      {h.desc && h.desc !== h.symbol && <span className="ml-1.5 text-gray-400">{h.desc}</span>}
+                    </td>
+                    <td className="pb-1 px-2 text-right">{fmt(h.value)}</td>
+                    <td colSpan={3} />
+                  </tr>
+                ))}
+              </tbody>
+            ))}
+          </table>
+        </div>
+      </div>
+
+      {/* Deployment */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm space-y-4">
+        <div>
+          <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Deploy Excess Cash</h3>
+          <p className="text-xs text-gray-500 mt-1">
+            Each account's excess is invested in that account, into the asset classes furthest below the targets set on the Rebalance tab
+            {goals.length > 0 && ` (${goals.map(([c, v]) => `${c} ${v}%`).join(", ")}; cash is covered by the reserve)`}.
+          </p>
+        </div>
+        {plan.excess <= 0 && <p className="text-sm text-gray-500">No cash beyond the reserve — nothing to deploy.</p>}
+        {plan.excess > 0 && goals.length === 0 && <p className="text-sm text-gray-400">Set non-cash targets on the Rebalance tab to get suggestions.</p>}
+        <div className="space-y-4">
+          {buysByAccount.map(([account, buys]) => (
+            <div key={account}>
+              <div className="flex items-center gap-2 mb-1.5">
+                <span className="font-medium text-sm text-gray-800">{shortenAccount(account)}</span>
+                <span className="text-xs text-gray-400">{fmt(buys.reduce((s, t) => s + t.amount, 0))} to invest</span>
+              </div>
+              <div className="overflow-x-auto rounded-lg border border-gray-200">
+                <table className="w-full text-left">
+                  <tbody>
+                    {buys.map((t, i) => (
+                      <tr key={i} className="border-b border-gray-100 last:border-b-0">
+                        <td className="py-2 px-3 w-16">
+                          <Badge className="bg-green-100 text-green-700">BUY</Badge>
+                        </td>
+                        <td className="py-2 px-3">
+                          <div className="font-semibold text-gray-800 text-sm">{t.symbol || `Any ${t.assetClass} fund`}</div>
+                          <div className="text-xs text-gray-400 truncate max-w-52">{t.desc}</div>
+                        </td>
+                        <td className="py-2 px-3">
+                          <Badge className="bg-gray-100 text-gray-600">{t.assetClass}</Badge>
+                        </td>
+                        <td className="py-2 px-3 text-right text-sm text-gray-500">
+                          {t.shares == null ? "–" : `≈ ${isPrivate() ? MASK : t.shares.toLocaleString(undefined, { maximumFractionDigits: 2 })} sh`}
+                        </td>
+                        <td className="py-2 px-3 text-right font-semibold text-sm text-gray-800">{fmt(t.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))}
+        </div>
+        {plan.buys.length > 0 && Object.keys(plan.residual).length > 0 && (
+          <p className="text-xs text-gray-500">
+            Still off target afterwards:{" "}
+            {Object.entries(plan.residual).map(([c, d]) => `${c} ${d > 0 ? "+" : ""}${fmt(d)}`).join(", ")} — see the Rebalance tab for trades that sell as well as buy.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CashView;
@@ -0,0 +1,139 @@
+import { useMemo } from "react";
+import { fmt, getAssetClassColor } from "../lib/format.js";
+import { ASSET_CLASSES } from "../lib/rebalance.js";
+import { FIELD_LABELS, FIELD_ORDER, FALLBACK_CLASS, explainReason } from "../lib/classify.js";
+import { Badge } from "./ui.jsx";
+
+const inputCls = "px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white";
+const smallBtn = "text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors";
+
+/* ───────── CLASSIFICATION RULES + OVERRIDES ───────── */
+const ClassificationView = ({ holdings, rules, isDefault, onRulesChange, onResetRules, overrides, onOverridesChange }) => {
+  const classNames = useMemo(() => {
+    const s = new Set([...ASSET_CLASSES, ...rules.map(r => r.assetClass), ...Object.values(overrides)]);
+    s.delete("");
+    return [...s];
+  }, [rules, overrides]);
+
+  // one row per symbol; overrides are per symbol too
+  const symbols = useMemo(() => {
+    const m = {};
+    holdings.forEach(h => {
+      if (!m[h.symbol]) m[h.symbol] = { h, value: 0, count: 0 };
+      m[h.symbol].value += h.value;
+      m[h.symbol].count += 1;
+    });
+    return Object.values(m).sort((a, b) =>
+      (a.h.assetClass === FALLBACK_CLASS ? -1 : 0) - (b.h.assetClass === FALLBACK_CLASS ? -1 : 0) || b.value - a.value);
+  }, [holdings]);
+
+  const updateRule = (i, patch) => onRulesChange(rules.map((r, j) => j === i ? { ...r, ...patch } : r));
+  const moveRule = (i, dir) => {
+    const j = i + dir;
+    if (j < 0 || j >= rules.length) return;
+    const next = [...rules];
+    [next[i], next[j]] = [next[j], next[i]];
+    onRulesChange(next);
+  };
+  const removeRule = (i) => onRulesChange(rules.filter((_, j) => j !== i));
+  const addRule = () => onRulesChange([...rules, { field: "any", pattern: "", assetClass: "" }]);
+
+  const setOverride = (symbol, assetClass) => {
+    const next = { ...overrides };
+    if (assetClass) next[symbol.toUpperCase()] = assetClass;
+    else delete next[symbol.toUpperCase()];
+    onOverridesChange(next);
+  };
+
+  const unmatched = symbols.filter(s => s.h.assetClass === FALLBACK_CLASS).length;
+
+  return (
+    <div className="space-y-6">
+      <datalist id="asset-class-names">
+        {classNames.map(c => <option key={c} value={c} />)}
+      </datalist>
+
+      {/* Rules */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Classification Rules</h3>
+          <div className="flex gap-2">
+            <button onClick={addRule} className={smallBtn}>+ Add rule</button>
+            {!isDefault && <button onClick={onResetRules} className={smallBtn}>Reset to defaults</button>}
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+          Fields are checked in order: {FIELD_ORDER.map(f => FIELD_LABELS[f]).join(" → ")}.
+          For each field, the first rule below that matches wins. Patterns are case-insensitive text; separate alternatives with "|".
+        </p>
+        <div className="space-y-1.5">
+          {rules.map((r, i) => (
+            <div key={i} className="flex items-center gap-2 flex-wrap">
+              <span className="text-xs text-gray-400 w-5 text-right font-mono">{i + 1}</span>
+              <select value={r.field} onChange={e => updateRule(i, { field: e.target.value })} className={inputCls}>
+                {Object.entries(FIELD_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+              <span className="text-xs text-gray-400">{r.field === "symbol" ? "is" : "contains"}</span>
+              <input value={r.pattern} onChange={e => updateRule(i, { pattern: e.target.value })}
+                placeholder="e.g. global bond|world bond" className={`${inputCls} flex-1 min-w-48`} />
+              <span className="text-xs text-gray-400">→</span>
+              <input value={r.assetClass} onChange={e => updateRule(i, { assetClass: e.target.value })}
+                list="asset-class-names" placeholder="Asset class" className={`${inputCls} w-36`} />
+              <button onClick={() => moveRule(i, -1)} disabled={i === 0} className={`${smallBtn} disabled:opacity-30`}>↑</button>
+              <button onClick={() => moveRule(i, 1)} disabled={i === rules.length - 1} className={`${smallBtn} disabled:opacity-30`}>↓</button>
+              <button onClick={() => removeRule(i)} className={`${smallBtn} hover:text-red-600`}>✕</button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Per-holding explanation and overrides */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Why Each Holding Is Classified This Way</h3>
+        <p className="text-xs text-gray-500 mt-1 mb-3">
+          Pick a class in the Override column to pin a symbol regardless of the rules. Overrides are saved in this browser.
+          {unmatched > 0 && <span className="text-amber-600"> {unmatched} symbol{unmatched !== 1 ? "s" : ""} matched no rule and show as "{FALLBACK_CLASS}".</span>}
+        </p>
+        <div className="overflow-x-auto rounded-lg border border-gray-200">
+          <table className="w-full text-left">
+            <thead>
+              <tr className="bg-gray-50 border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                <th className="py-2.5 px-3">Holding</th>
+                <th className="py-2.5 px-3 text-right">Value</th>
+                <th className="py-2.5 px-3">Class</th>
+                <th className="py-2.5 px-3">Why</th>
+                <th className="py-2.5 px-3">Override</th>
+              </tr>
+            </thead>
+            <tbody>
+              {symbols.map(({ h, value, count }) => (
+                <tr key={h.symbol} className="border-b border-gray-100">
+                  <td className="py-2 px-3">
+                    <div className="font-semibold text-gray-800 text-sm">{h.symbol}</div>
+                    <div className="text-xs text-gray-400 truncate max-w-52">{h.desc}</div>
+                  </td>
+                  <td className="py-2 px-3 text-right text-sm text-gray-500">
+                    {fmt(value)}{count > 1 && <div className="text-xs text-gray-400">{count} positions</div>}
+                  </td>
+                  <td className="py-2 px-3">
+                    <Badge className={`bg-${getAssetClassColor(h.assetClass)}-100 text-${getAssetClassColor(h.assetClass)}-700`}>{h.assetClass}</Badge>
+                  </td>
+                  <td className="py-2 px-3 text-xs text-gray-500 max-w-80">{explainReason(h.classReason)}</td>
+                  <td className="py-2 px-3">
+                    <select value={overrides[h.symbol.toUpperCase()] || ""} onChange={e => setOverride(h.symbol, e.target.value)}
+                      className={`${inputCls} text-xs`}>
+                      <option value="">— rules —</option>
+                      {classNames.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClassificationView;
@@ -0,0 +1,45 @@
+import { useState } from "react";
+import { GENERIC_FIELDS, validateMapping } from "../lib/adapters/generic.js";
+
+/* ───────── generic CSV column mapping (upload screen and "Add files") ───────── */
+const ColumnMapper = ({ headers, initial, onApply, onCancel, fileName, error }) => {
+  const [mapping, setMapping] = useState(initial);
+  const problem = validateMapping(mapping);
+
+  return (
+    <div className="mt-4 rounded-xl bg-slate-800/50 border border-slate-700 px-4 py-4">
+      <p className="text-white text-sm font-medium">
+        {error ? "This file could not be read as detected" : "We didn't recognise this file's layout"}
+        {fileName && <span className="text-slate-400 font-normal"> — {fileName}</span>}
+      </p>
+      {error && <p className="text-red-300 text-xs mt-1">{error}</p>}
+      <p className="text-slate-400 text-xs mt-1 mb-3">Tell us which column holds what. Unmapped fields are left blank.</p>
+      <div className="space-y-2">
+        {GENERIC_FIELDS.map(f => (
+          <div key={f.key} className="flex items-center gap-3">
+            <label className="text-slate-300 text-xs w-28 flex-shrink-0">{f.label}</label>
+            <select value={mapping[f.key] || ""}
+              onChange={e => setMapping(m => ({ ...m, [f.key]: e.target.value || undefined }))}
+              className="flex-1 bg-slate-900 border border-slate-600 text-slate-200 text-xs rounded-md px-2 py-1.5">
+              <option value="">— none —</option>
+              {headers.filter(Boolean).map(h => <option key={h} value={h}>{h}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+      {problem && <p className="text-amber-300/80 text-xs mt-3">{problem}</p>}
+      <div className="flex justify-end gap-2 mt-4">
+        <button onClick={onCancel}
+          className="text-xs text-slate-400 hover:text-slate-200 bg-transparent px-3 py-1.5">
+          Cancel
+        </button>
+        <button onClick={() => onApply(mapping)} disabled={!!problem}
+          className="text-xs text-white bg-blue-600 hover:bg-blue-500 px-3 py-1.5 rounded-lg disabled:opacity-50">
+          Import
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMapper;
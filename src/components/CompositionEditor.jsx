@@ -0,0 +1,97 @@
+import { useMemo } from "react";
+import { fmt } from "../lib/format.js";
+import { LOOKTHROUGH_CLASSES, compositionFor } from "../lib/lookthrough.js";
+import { Badge } from "./ui.jsx";
+
+const SOURCE_BADGE = {
+  custom: "bg-blue-100 text-blue-700",
+  bundled: "bg-gray-100 text-gray-600",
+  inferred: "bg-amber-100 text-amber-700",
+};
+
+/* ───────── per-symbol look-through composition editor ───────── */
+const CompositionEditor = ({ holdings, overrides, onChange }) => {
+  const symbols = useMemo(() => {
+    const m = {};
+    holdings.forEach(h => {
+      if (!m[h.symbol]) m[h.symbol] = { holding: h, value: 0 };
+      m[h.symbol].value += h.value;
+    });
+    return Object.entries(m).sort((a, b) => b[1].value - a[1].value);
+  }, [holdings]);
+
+  const edit = (sym, holding, key, v) => {
+    const base = compositionFor(holding, overrides).comp || {};
+    const next = { ...Object.fromEntries(LOOKTHROUGH_CLASSES.map(c => [c.key, base[c.key] || 0])), ...overrides[sym.toUpperCase()] };
+    next[key] = Math.max(0, parseFloat(v) || 0);
+    onChange({ ...overrides, [sym.toUpperCase()]: next });
+  };
+
+  const reset = (sym) => {
+    const next = { ...overrides };
+    delete next[sym.toUpperCase()];
+    onChange(next);
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+      <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Fund Compositions</h3>
+      <p className="text-xs text-gray-500 mt-1 mb-3">
+        Underlying exposure per symbol, in percent. Bundled figures are approximate; edits are saved in this browser.
+        Rows that don't add up to 100 are scaled proportionally.
+      </p>
+      <div className="overflow-x-auto rounded-lg border border-gray-200">
+        <table className="w-full text-left">
+          <thead>
+            <tr className="bg-gray-50 border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+              <th className="py-2 px-3">Symbol</th>
+              <th className="py-2 px-3 text-right">Value</th>
+              {LOOKTHROUGH_CLASSES.map(c => <th key={c.key} className="py-2 px-2 text-right">{c.label}</th>)}
+              <th className="py-2 px-3 text-right">Sum</th>
+              <th className="py-2 px-3" />
+            </tr>
+          </thead>
+          <tbody>
+            {symbols.map(([sym, { holding, value }]) => {
+              const { comp, source } = compositionFor(holding, overrides);
+              const sum = comp ? LOOKTHROUGH_CLASSES.reduce((s, c) => s + (Number(comp[c.key]) || 0), 0) : 0;
+              return (
+                <tr key={sym} className="border-b border-gray-100">
+                  <td className="py-1.5 px-3">
+                    <div className="flex items-center gap-2">
+                      <span className="font-semibold text-gray-800 text-sm">{sym}</span>
+                      {source && <Badge className={SOURCE_BADGE[source]}>{source}</Badge>}
+                    </div>
+                    <div className="text-xs text-gray-400 truncate max-w-44">{holding.desc}</div>
+                  </td>
+                  <td className="py-1.5 px-3 text-right text-sm text-gray-500">{fmt(value)}</td>
+                  {LOOKTHROUGH_CLASSES.map(c => (
+                    <td key={c.key} className="py-1.5 px-2 text-right">
+                      <input type="number" min="0" max="100" step="0.5"
+                        value={comp ? comp[c.key] ?? 0 : ""} placeholder="–"
+                        onChange={e => edit(sym, holding, c.key, e.target.value)}
+                        className="w-16 text-right px-1.5 py-0.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                    </td>
+                  ))}
+                  <td className={`py-1.5 px-3 text-right text-sm ${comp && Math.abs(sum - 100) > 0.5 ? "text-amber-600" : "text-gray-500"}`}>
+                    {comp ? `${sum.toFixed(1)}%` : "–"}
+                  </td>
+                  <td className="py-1.5 px-3 text-right">
+                    {source === "custom" && (
+                      <button onClick={() => reset(sym)}
+                        className="text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">
+                        Reset
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CompositionEditor;
@@ -0,0 +1,173 @@
+import { useMemo, useState } from "react";
+import { sortRows, toggleSort, visibleColumns, columnTotals, groupRows, flattenGroups, visibleWindow } from "../lib/table.js";
+import usePersistentState from "../hooks/usePersistentState.js";
+
+// past this many lines only the visible slice is rendered
+const WINDOW_AFTER = 150;
+const ROW_HEIGHT = 58;
+const VIEWPORT = 640;
+// ROW_HEIGHT less a cell's py-2 padding and the row's 1px border
+const CELL_HEIGHT = ROW_HEIGHT - 17;
+
+const selectCls = "text-xs border border-gray-200 rounded-md px-2 py-1 bg-white text-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500";
+const smallBtn = "text-xs text-gray-500 hover:text-gray-800 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors";
+const alignCls = { right: "text-right", center: "text-center" };
+
+/* ───────── DATA TABLE ─────────
+   The engine behind HoldingsTable and ConsolidatedTable. Columns are
+   { id, label, render(row, shown), sortValue?(row), total?(rows),
+   renderTotal?(value, rows), align?, defaultDir?, defaultVisible?,
+   hideable? } — see lib/table.js for the sort and grouping rules; `shown`
+   is the set of visible column ids. Which columns are on is remembered
+   under storageKey; sort and grouping belong to this one table. Long
+   tables render only the lines in view, each clipped to one fixed height
+   (windowed: "auto" | true | false; print passes false). actions(sortedRows) renders the toolbar's right side. */
+const DataTable = ({
+  rows, columns, defaultSort = [], groupOptions = [], storageKey, itemLabel = "items",
+  rowClassName, onRowClick, windowed = "auto", actions,
+}) => {
+  const [chosen, setChosen] = usePersistentState(storageKey, {});
+  const [sort, setSort] = useState(defaultSort);
+  const [groupBy, setGroupBy] = useState("");
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [chooserOpen, setChooserOpen] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const shownCols = visibleColumns(columns, chosen);
+  const shown = new Set(shownCols.map(c => c.id));
+  const grouping = groupOptions.find(g => g.id === groupBy);
+
+  const sorted = useMemo(() => sortRows(rows, sort, columns), [rows, sort, columns]);
+  const lines = useMemo(() => (
+    grouping
+      ? flattenGroups(groupRows(sorted, grouping.key, { columns, sort }), collapsed)
+      : sorted.map(row => ({ type: "row", row }))
+  ), [sorted, grouping, columns, sort, collapsed]);
+  const totals = useMemo(() => columnTotals(rows, columns), [rows, columns]);
+
+  const windowing = windowed === true || (windowed === "auto" && lines.length > WINDOW_AFTER);
+  const range = windowing
+    ? visibleWindow({ count: lines.length, rowHeight: ROW_HEIGHT, scrollTop, viewport: VIEWPORT })
+    : { start: 0, end: lines.length, before: 0, after: 0 };
+
+  const toggleGroup = (key) => {
+    const next = new Set(collapsed);
+    if (next.has(key)) next.delete(key); else next.add(key);
+    setCollapsed(next);
+  };
+  const choose = (id, on) => setChosen({ ...chosen, [id]: on });
+
+  // windowing works out what is in view from ROW_HEIGHT, so a line must
+  // never grow past it: content that wraps further is cut off
+  const fit = (content) => (windowing
+    ? <div className="overflow-hidden" style={{ maxHeight: CELL_HEIGHT }}>{content}</div>
+    : content);
+
+  const totalCells = (values, list, label, wrap = c => c) => shownCols.map((c, i) => (
+    <td key={c.id} className={`py-2 px-3 text-sm ${alignCls[c.align] || ""} ${i === 0 ? "font-bold text-gray-700 whitespace-nowrap" : "text-gray-500"}`}>
+      {wrap(i === 0 ? label : c.total ? (c.renderTotal ? c.renderTotal(values[c.id], list) : values[c.id]) : null)}
+    </td>
+  ));
+
+  const arrow = (id) => {
+    const at = sort.findIndex(s => s.id === id);
+    if (at === -1) return null;
+    return (
+      <span className="text-blue-500 ml-0.5 normal-case">
+        {sort[at].dir === "asc" ? "▲" : "▼"}{sort.length > 1 && <sup>{at + 1}</sup>}
+      </span>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2 mb-1 text-xs text-gray-400 print:hidden">
+        <div className="flex items-center gap-2 relative">
+          {groupOptions.length > 0 && (
+            <select value={groupBy} onChange={e => { setGroupBy(e.target.value); setCollapsed(new Set()); }} className={selectCls}>
+              <option value="">No grouping</option>
+              {groupOptions.map(g => <option key={g.id} value={g.id}>Group by {g.label}</option>)}
+            </select>
+          )}
+          <button onClick={() => setChooserOpen(!chooserOpen)} className={smallBtn}>Columns ▾</button>
+          {chooserOpen && (
+            <div className="absolute left-0 top-full mt-1 z-20 bg-white border border-gray-200 rounded-lg shadow-lg p-2 w-56 space-y-0.5">
+              {columns.filter(c => c.hideable !== false).map(c => (
+                <label key={c.id} className="flex items-center gap-2 px-1 py-0.5 text-sm text-gray-700 cursor-pointer hover:bg-gray-50 rounded">
+                  <input type="checkbox" checked={shown.has(c.id)} onChange={e => choose(c.id, e.target.checked)} />
+                  {c.label}
+                </label>
+              ))}
+              <div className="flex justify-between pt-1 border-t border-gray-100">
+                <button onClick={() => setChosen({})} className="text-xs text-gray-400 hover:text-gray-700 bg-transparent px-1">Reset</button>
+                <button onClick={() => setChooserOpen(false)} className="text-xs text-blue-600 hover:text-blue-800 bg-transparent px-1">Done</button>
+              </div>
+            </div>
+          )}
+          {sort.length > 1 && (
+            <button onClick={() => setSort(defaultSort)} className="text-xs text-gray-400 hover:text-gray-700 bg-transparent" title="Back to the default order">
+              Sorted by {sort.length} columns ✕
+            </button>
+          )}
+        </div>
+        {actions?.(sorted)}
+      </div>
+
+      <div className="overflow-auto rounded-lg border border-gray-200"
+        style={windowing ? { maxHeight: VIEWPORT } : undefined}
+        onScroll={windowing ? e => setScrollTop(e.currentTarget.scrollTop) : undefined}>
+        <table className="w-full text-left">
+          <thead className={windowing ? "sticky top-0 z-10" : undefined}>
+            <tr className="bg-gray-50 border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+              {shownCols.map(c => (
+                <th key={c.id} className={`py-2.5 px-3 whitespace-nowrap bg-gray-50 ${alignCls[c.align] || ""}`}>
+                  {c.sortValue ? (
+                    <button onClick={e => setSort(toggleSort(sort, c.id, { multi: e.shiftKey, defaultDir: c.defaultDir }))}
+                      title="Click to sort · Shift+click to add a secondary sort"
+                      className="uppercase tracking-wider bg-transparent hover:text-gray-700">
+                      {c.label}{arrow(c.id)}
+                    </button>
+                  ) : c.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {range.before > 0 && <tr aria-hidden style={{ height: range.before }} />}
+            {lines.slice(range.start, range.end).map((line, i) => (
+              line.type === "group" ? (
+                <tr key={`g:${line.key}`} className="bg-gray-50 border-b border-gray-200 cursor-pointer hover:bg-gray-100"
+                  style={windowing ? { height: ROW_HEIGHT } : undefined}
+                  onClick={() => toggleGroup(line.key)}>
+                  {totalCells(line.group.totals, line.group.rows, (
+                    <span>
+                      <span className="text-gray-400 mr-1 print:hidden">{collapsed.has(line.key) ? "▸" : "▾"}</span>
+                      {line.key} <span className="font-normal text-gray-400">({line.group.rows.length})</span>
+                    </span>
+                  ), fit)}
+                </tr>
+              ) : (
+                <tr key={range.start + i}
+                  onClick={onRowClick ? () => onRowClick(line.row) : undefined}
+                  style={windowing ? { height: ROW_HEIGHT } : undefined}
+                  className={`border-b border-gray-100 transition-colors ${rowClassName ? rowClassName(line.row) : "hover:bg-blue-50/40"}`}>
+                  {shownCols.map(c => (
+                    <td key={c.id} className={`py-2 px-3 ${alignCls[c.align] || ""}`}>{fit(c.render(line.row, shown))}</td>
+                  ))}
+                </tr>
+              )
+            ))}
+            {range.after > 0 && <tr aria-hidden style={{ height: range.after }} />}
+          </tbody>
+          <tfoot>
+            <tr className="bg-gray-50 border-t-2 border-gray-300">
+              {totalCells(totals, rows, `Subtotal (${rows.length} ${itemLabel})`)}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default DataTable;
@@ -0,0 +1,59 @@
+import { useMemo } from "react";
+import { parseSymbols } from "../lib/families.js";
+
+const inputCls = "px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white";
+const smallBtn = "text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors";
+
+/* ───────── equivalence family editor ───────── */
+const FamilyEditor = ({ families, isDefault, onChange, onReset, heldSymbols }) => {
+  const duplicates = useMemo(() => {
+    const seen = {};
+    families.forEach(f => f.symbols.forEach(s => { seen[s] = (seen[s] || 0) + 1; }));
+    return Object.keys(seen).filter(s => seen[s] > 1);
+  }, [families]);
+
+  const update = (i, patch) => onChange(families.map((f, j) => j === i ? { ...f, ...patch } : f));
+  const remove = (i) => onChange(families.filter((_, j) => j !== i));
+  const add = () => onChange([...families, { name: `Family ${families.length + 1}`, symbols: [] }]);
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Equivalent-Fund Families</h3>
+        <div className="flex gap-2">
+          <button onClick={add} className={smallBtn}>+ Add family</button>
+          {!isDefault && <button onClick={onReset} className={smallBtn}>Reset to defaults</button>}
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Tickers in one family are treated as the same position. Separate tickers with commas or spaces; held tickers are shown in bold.
+        Edits are saved in this browser.
+      </p>
+      {duplicates.length > 0 && (
+        <p className="text-xs text-amber-700 mb-2">
+          Listed in more than one family (the first one wins): {duplicates.join(", ")}
+        </p>
+      )}
+      <div className="space-y-1.5">
+        {families.map((f, i) => (
+          <div key={i} className="flex items-start gap-2 flex-wrap">
+            <input value={f.name} onChange={e => update(i, { name: e.target.value })} className={`${inputCls} w-64`} />
+            <div className="flex-1 min-w-64">
+              <input key={f.symbols.join(",")} defaultValue={f.symbols.join(", ")}
+                onBlur={e => update(i, { symbols: parseSymbols(e.target.value) })}
+                className={`${inputCls} w-full font-mono text-xs`} />
+              <div className="text-xs text-gray-400 mt-0.5">
+                {f.symbols.map((s, k) => (
+                  <span key={s}>{k > 0 && " · "}<span className={heldSymbols.has(s) ? "font-bold text-gray-700" : ""}>{s}</span></span>
+                ))}
+              </div>
+            </div>
+            <button onClick={() => remove(i)} className={smallBtn}>✕</button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FamilyEditor;
@@ -0,0 +1,259 @@
+import { useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend, CartesianGrid } from "recharts";
+import { fmt, fmtAxis, shortenAccount, getAccountTypeBadgeColor } from "../lib/format.js";
+import { DRAG_YEARS, expenseRatioFor, feeSummary, feeDrag, dragSeries, cheaperAlternatives } from "../lib/fees.js";
+import usePersistentState from "../hooks/usePersistentState.js";
+import { Badge } from "./ui.jsx";
+
+const SOURCE_BADGE = {
+  custom: "bg-blue-100 text-blue-700",
+  bundled: "bg-gray-100 text-gray-600",
+  none: "bg-gray-100 text-gray-400",
+};
+
+const fmtEr = (er) => (er == null ? "–" : `${er.toFixed(er < 0.1 ? 3 : 2).replace(/0$/, "")}%`);
+
+const DragTooltip = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  return (
+    <div className="bg-gray-900 text-white px-3 py-2 rounded-lg shadow-xl text-sm border border-gray-700">
+      <p className="font-semibold">Year {label}</p>
+      {payload.map(p => <p key={p.dataKey}>{p.name}: {fmt(p.value)}</p>)}
+    </div>
+  );
+};
+
+/* ───────── FEES ───────── */
+const FeesView = ({ holdings, families, overrides, onOverridesChange }) => {
+  const [growth, setGrowth] = usePersistentState("feeGrowth", 6);
+
+  const summary = useMemo(() => feeSummary(holdings), [holdings]);
+  const suggestions = useMemo(() => cheaperAlternatives(holdings, families, overrides), [holdings, families, overrides]);
+  const savings = suggestions.reduce((s, x) => s + x.annualSavings, 0);
+  // expense ratio if every suggestion were taken, on the same covered value
+  const switchedEr = summary.covered > 0 ? (summary.fees - savings) / summary.covered * 100 : 0;
+
+  const series = useMemo(() => {
+    const now = dragSeries(summary.covered, summary.er, 30, growth);
+    const switched = dragSeries(summary.covered, switchedEr, 30, growth);
+    return now.map((p, i) => ({ year: p.year, current: p.drag, switched: switched[i].drag }));
+  }, [summary, switchedEr, growth]);
+
+  const accounts = useMemo(() => {
+    const m = {};
+    holdings.forEach(h => {
+      if (!m[h.account]) m[h.account] = [];
+      m[h.account].push(h);
+    });
+    return Object.entries(m)
+      .map(([account, items]) => ({ account, accountKind: items[0].accountKind, ...feeSummary(items) }))
+      .sort((a, b) => b.fees - a.fees);
+  }, [holdings]);
+
+  const symbols = useMemo(() => {
+    const m = {};
+    holdings.forEach(h => {
+      if (!m[h.symbol]) m[h.symbol] = { holding: h, value: 0 };
+      m[h.symbol].value += h.value;
+    });
+    return Object.entries(m)
+      .map(([symbol, s]) => ({ symbol, ...s, ...expenseRatioFor(s.holding, overrides) }))
+      .sort((a, b) => (a.er == null ? -1 : 0) - (b.er == null ? -1 : 0) || b.value - a.value);
+  }, [holdings, overrides]);
+  const unknown = symbols.filter(s => s.er == null);
+
+  const setRatio = (symbol, v) => {
+    const next = { ...overrides };
+    if (v === "") delete next[symbol.toUpperCase()];
+    else next[symbol.toUpperCase()] = v; // kept as typed so "0.0" can become "0.05"
+    onOverridesChange(next);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {[
+          { label: "Weighted Expense Ratio", val: fmtEr(summary.er), sub: `${(summary.covered / summary.total * 100).toFixed(0)}% of value has a known ratio`, c: "border-l-blue-500" },
+          { label: "Annual Fees", val: fmt(summary.fees), sub: "at today's balances", c: "border-l-amber-500" },
+          { label: "30-Year Fee Drag", val: fmt(feeDrag(summary.covered, summary.er, 30, growth)), sub: `assuming ${growth}% growth`, c: "border-l-red-500" },
+          { label: "Possible Savings", val: fmt(savings), sub: "per year with cheaper equivalents", c: "border-l-emerald-500" },
+        ].map(c => (
+          <div key={c.label} className={`bg-white rounded-xl p-4 border border-gray-200 border-l-4 ${c.c} shadow-sm`}>
+            <p className="text-xs text-gray-400 uppercase tracking-wider font-medium">{c.label}</p>
+            <p className="text-xl font-bold text-gray-900 mt-1">{c.val}</p>
+            <p className="text-sm text-gray-500 mt-0.5">{c.sub}</p>
+          </div>
+        ))}
+      </div>
+      {unknown.length > 0 && (
+        <div className="rounded-lg bg-amber-50 border border-amber-200 px-3 py-2 text-xs text-amber-800">
+          No expense ratio for {unknown.map(s => s.symbol).join(", ")} — enter it below to include {unknown.length === 1 ? "it" : "them"} in the totals.
+        </div>
+      )}
+
+      {/* Projection */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <div className="flex items-center justify-between mb-3 flex-wrap gap-2">
+          <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Cumulative Fee Drag</h3>
+          <label className="flex items-center gap-2 text-xs text-gray-500">
+            Growth before fees
+            <input type="number" min="0" max="20" step="0.5" value={growth}
+              onChange={e => setGrowth(Math.max(0, parseFloat(e.target.value) || 0))}
+              className="w-16 text-right px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500" />
+            %/yr
+          </label>
+        </div>
+        <div className="flex flex-col lg:flex-row gap-6">
+          <table className="lg:w-72 flex-shrink-0 text-left self-start">
+            <thead>
+              <tr className="border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                <th className="py-2 px-2">Years</th>
+                <th className="py-2 px-2 text-right">Current</th>
+                <th className="py-2 px-2 text-right">Switched</th>
+              </tr>
+            </thead>
+            <tbody>
+              {DRAG_YEARS.map(y => (
+                <tr key={y} className="border-b border-gray-100">
+                  <td className="py-1.5 px-2 text-sm font-medium text-gray-800">{y}</td>
+                  <td className="py-1.5 px-2 text-right text-sm text-gray-800">{fmt(feeDrag(summary.covered, summary.er, y, growth))}</td>
+                  <td className="py-1.5 px-2 text-right text-sm text-emerald-700">{fmt(feeDrag(summary.covered, switchedEr, y, growth))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex-1">
+            <ResponsiveContainer width="100%" height={240}>
+              <LineChart data={series} margin={{ left: 10, right: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="year" fontSize={10} />
+                <YAxis tickFormatter={fmtAxis} fontSize={10} />
+                <Tooltip content={<DragTooltip />} />
+                <Legend wrapperStyle={{ fontSize: 12 }} />
+                <Line dataKey="current" name="Current funds" stroke="#dc2626" dot={false} strokeWidth={2} />
+                <Line dataKey="switched" name="With cheaper equivalents" stroke="#059669" dot={false} strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+        <p className="text-xs text-gray-400 mt-2">
+          Drag is the growth given up to fees: today's fund balances compounding at the growth rate, with and without the expense ratio. No new contributions are assumed.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Per account */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <h3 className="font-bold text-gray-700 mb-3 text-sm uppercase tracking-wider">Fees by Account</h3>
+          <table className="w-full text-left">
+            <thead>
+              <tr className="border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                <th className="py-2 px-2">Account</th>
+                <th className="py-2 px-2 text-right">Expense Ratio</th>
+                <th className="py-2 px-2 text-right">Per Year</th>
+              </tr>
+            </thead>
+            <tbody>
+              {accounts.map(a => (
+                <tr key={a.account} className="border-b border-gray-100">
+                  <td className="py-1.5 px-2">
+                    <Badge className={getAccountTypeBadgeColor(a.accountKind)}>{shortenAccount(a.account)}</Badge>
+                  </td>
+                  <td className="py-1.5 px-2 text-right text-sm text-gray-500">{fmtEr(a.er)}</td>
+                  <td className="py-1.5 px-2 text-right text-sm font-semibold text-gray-800">{fmt(a.fees)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Cheaper equivalents */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <h3 className="font-bold text-gray-700 mb-1 text-sm uppercase tracking-wider">Lower-Cost Equivalents</h3>
+          <p className="text-xs text-gray-500 mb-3">Cheapest fund in the same equivalence family (see By Holding → By family). Check for capital gains before switching in taxable accounts.</p>
+          {suggestions.length === 0 ? (
+            <p className="text-sm text-gray-400">Every position is already the cheapest in its family.</p>
+          ) : (
+            <table className="w-full text-left">
+              <thead>
+                <tr className="border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                  <th className="py-2 px-2">Holding</th>
+                  <th className="py-2 px-2">Switch To</th>
+                  <th className="py-2 px-2 text-right">Saves / Yr</th>
+                </tr>
+              </thead>
+              <tbody>
+                {suggestions.map((s, i) => (
+                  <tr key={i} className="border-b border-gray-100">
+                    <td className="py-1.5 px-2">
+                      <div className="text-sm font-semibold text-gray-800">{s.holding.symbol} <span className="font-normal text-gray-400">{fmtEr(s.er)}</span></div>
+                      <div className="text-xs text-gray-400">{shortenAccount(s.holding.account)} · {fmt(s.holding.value)}</div>
+                    </td>
+                    <td className="py-1.5 px-2 text-sm">
+                      <span className="font-semibold text-emerald-700">{s.alt.symbol}</span> <span className="text-gray-400">{fmtEr(s.alt.er)}</span>
+                    </td>
+                    <td className="py-1.5 px-2 text-right text-sm font-semibold text-gray-800">{fmt(s.annualSavings)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {/* Expense ratio table */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Expense Ratios</h3>
+        <p className="text-xs text-gray-500 mt-1 mb-3">
+          Percent per year. Bundled figures come from fund documents and may be out of date; your entries are saved in this browser.
+        </p>
+        <div className="overflow-x-auto rounded-lg border border-gray-200">
+          <table className="w-full text-left">
+            <thead>
+              <tr className="bg-gray-50 border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                <th className="py-2 px-3">Symbol</th>
+                <th className="py-2 px-3 text-right">Value</th>
+                <th className="py-2 px-3 text-right">Expense Ratio</th>
+                <th className="py-2 px-3 text-right">Per Year</th>
+                <th className="py-2 px-3" />
+              </tr>
+            </thead>
+            <tbody>
+              {symbols.map(s => (
+                <tr key={s.symbol} className={`border-b border-gray-100 ${s.er == null ? "bg-amber-50/50" : ""}`}>
+                  <td className="py-1.5 px-3">
+                    <div className="flex items-center gap-2">
+                      <span className="font-semibold text-gray-800 text-sm">{s.symbol}</span>
+                      {s.source && <Badge className={SOURCE_BADGE[s.source]}>{s.source === "none" ? "no fund fee" : s.source}</Badge>}
+                    </div>
+                    <div className="text-xs text-gray-400 truncate max-w-52">{s.holding.desc}</div>
+                  </td>
+                  <td className="py-1.5 px-3 text-right text-sm text-gray-500">{fmt(s.value)}</td>
+                  <td className="py-1.5 px-3 text-right">
+                    <input type="number" min="0" max="5" step="0.01"
+                      value={overrides[s.symbol.toUpperCase()] ?? s.er ?? ""} placeholder="?"
+                      onChange={e => setRatio(s.symbol, e.target.value)}
+                      className="w-20 text-right px-2 py-0.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                    <span className="text-sm text-gray-400 ml-1">%</span>
+                  </td>
+                  <td className="py-1.5 px-3 text-right text-sm text-gray-800">{s.er == null ? "–" : fmt(s.value * s.er / 100)}</td>
+                  <td className="py-1.5 px-3 text-right">
+                    {s.source === "custom" && (
+                      <button onClick={() => setRatio(s.symbol, "")}
+                        className="text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">
+                        Reset
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FeesView;
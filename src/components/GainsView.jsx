@@ -0,0 +1,171 @@
+import { useMemo } from "react";
+import { fmt, shortenAccount, getAccountTypeBadgeColor } from "../lib/format.js";
+import { gainSummary } from "../lib/costBasis.js";
+import { DEFAULT_TAX_RATES, harvestCandidates } from "../lib/harvest.js";
+import usePersistentState from "../hooks/usePersistentState.js";
+import { Badge, HoldingsTable } from "./ui.jsx";
+
+const DEFAULT_HARVEST = { ...DEFAULT_TAX_RATES, minLoss: 1000 };
+
+const inputCls = "text-right px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+const smallBtn = "text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors";
+
+const signed = (v) => `${v >= 0 ? "+" : "−"}${fmt(Math.abs(v))}`;
+
+/* ───────── GAINS & TAX-LOSS HARVESTING ─────────
+   files are the loaded cost basis files and unmatched their lots that fit
+   no holding (real account names, shown through accountLabel). */
+const GainsView = ({ holdings, total, files = [], unmatched = [], families, accountLabel = a => a, onAddFiles, onRemoveFile }) => {
+  const [saved, setHarvest] = usePersistentState("harvest", DEFAULT_HARVEST);
+  const h = { ...DEFAULT_HARVEST, ...saved };
+  const set = (patch) => setHarvest({ ...h, ...patch });
+  const num = (v) => Math.max(parseFloat(v) || 0, 0);
+
+  const withBasis = useMemo(() => holdings.filter(x => x.costBasis != null), [holdings]);
+  const summary = useMemo(() => gainSummary(holdings), [holdings]);
+  const candidates = useMemo(() => harvestCandidates(holdings, {
+    rates: { shortTerm: num(h.shortTerm), longTerm: num(h.longTerm) }, minLoss: num(h.minLoss), families,
+  }), [holdings, h.shortTerm, h.longTerm, h.minLoss, families]);
+  const savings = candidates.reduce((s, c) => s + c.savings, 0);
+  const unknownTerm = summary.gain - summary.shortTermGain - summary.longTermGain;
+
+  if (!files.length) {
+    return (
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm text-center">
+        <p className="text-sm text-gray-600 font-medium">No cost basis loaded</p>
+        <p className="text-xs text-gray-400 mt-1">
+          Add Fidelity's Positions download (Cost Basis Total column) or a lot-level export with acquisition dates; it is matched to these holdings by account number and symbol.
+        </p>
+        <button onClick={onAddFiles} className={`${smallBtn} mt-3`}>+ Add cost basis file</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {[
+          { label: "Cost Basis", val: fmt(summary.costBasis), sub: `${summary.positions} positions · ${(total > 0 ? summary.value / total * 100 : 0).toFixed(0)}% of portfolio`, c: "border-l-gray-400" },
+          { label: "Unrealized Gain", val: signed(summary.gain), sub: summary.costBasis > 0 ? `${(summary.gain / summary.costBasis * 100).toFixed(1)}% on cost` : "", c: summary.gain >= 0 ? "border-l-emerald-500" : "border-l-red-500" },
+          { label: "Short / Long Term", val: `${signed(summary.shortTermGain)} / ${signed(summary.longTermGain)}`, sub: Math.abs(unknownTerm) >= 0.5 ? `${signed(unknownTerm)} without a date` : "by lot holding period", c: "border-l-blue-500" },
+          { label: "Harvestable Losses", val: fmt(-candidates.reduce((s, c) => s + c.loss, 0)), sub: `≈ ${fmt(savings)} tax saved`, c: "border-l-amber-500" },
+        ].map(c => (
+          <div key={c.label} className={`bg-white rounded-xl p-4 border border-gray-200 border-l-4 ${c.c} shadow-sm`}>
+            <p className="text-xs text-gray-400 uppercase tracking-wider font-medium">{c.label}</p>
+            <p className="text-xl font-bold text-gray-900 mt-1">{c.val}</p>
+            <p className="text-sm text-gray-500 mt-0.5">{c.sub}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Loaded files */}
+      <div className="flex items-center gap-2 flex-wrap text-xs text-gray-500">
+        <span>Cost basis from</span>
+        {files.map(f => (
+          <span key={f.name} className="inline-flex items-center gap-1 rounded-full border border-gray-200 bg-white pl-2.5 pr-1 py-0.5">
+            {f.name} <span className="text-gray-400">({f.lots.length} lot{f.lots.length === 1 ? "" : "s"})</span>
+            <button onClick={() => onRemoveFile(f.name)} title="Remove this file" className="px-1 text-gray-300 hover:text-red-600 bg-transparent">✕</button>
+          </span>
+        ))}
+        <button onClick={onAddFiles} className={smallBtn}>+ Add</button>
+      </div>
+      {unmatched.length > 0 && (
+        <div className="rounded-lg bg-amber-50 border border-amber-200 px-3 py-2 text-xs text-amber-800">
+          {unmatched.length} lot{unmatched.length === 1 ? "" : "s"} matched no holding by account and symbol:{" "}
+          {[...new Set(unmatched.map(l => `${l.symbol} (${shortenAccount(accountLabel(l.account))})`))].join(", ")}.
+          Check that the files cover the same accounts and date.
+        </div>
+      )}
+
+      {/* Harvesting */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm space-y-3">
+        <div className="flex items-center justify-between flex-wrap gap-3">
+          <div>
+            <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Tax-Loss Harvesting</h3>
+            <p className="text-xs text-gray-500 mt-1">
+              Losing lots in taxable accounts. Selling them and buying the substitute keeps the exposure while realising the loss.
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-500">
+            <label className="flex items-center gap-1">
+              Short-term rate <input type="number" min="0" max="60" step="1" value={h.shortTerm} onChange={e => set({ shortTerm: e.target.value })} className={`w-16 ${inputCls}`} />%
+            </label>
+            <label className="flex items-center gap-1">
+              Long-term <input type="number" min="0" max="40" step="1" value={h.longTerm} onChange={e => set({ longTerm: e.target.value })} className={`w-16 ${inputCls}`} />%
+            </label>
+            <label className="flex items-center gap-1">
+              Min loss $<input type="number" min="0" step="100" value={h.minLoss} onChange={e => set({ minLoss: e.target.value })} className={`w-24 ${inputCls}`} />
+            </label>
+          </div>
+        </div>
+
+        {candidates.length === 0 ? (
+          <p className="text-sm text-gray-500">No taxable position has a loss of at least {fmt(num(h.minLoss))} right now.</p>
+        ) : (
+          <div className="overflow-x-auto rounded-lg border border-gray-200">
+            <table className="w-full text-left">
+              <thead>
+                <tr className="bg-gray-50 border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                  <th className="py-2.5 px-3">Sell</th>
+                  <th className="py-2.5 px-3 text-right">Lots' Value</th>
+                  <th className="py-2.5 px-3 text-right">Loss</th>
+                  <th className="py-2.5 px-3 text-right">Est. Tax Saved</th>
+                  <th className="py-2.5 px-3">Buy Instead</th>
+                </tr>
+              </thead>
+              <tbody>
+                {candidates.map(c => (
+                  <tr key={`${c.account}|${c.symbol}`} className="border-b border-gray-100 align-top">
+                    <td className="py-2 px-3">
+                      <div className="font-semibold text-gray-800 text-sm">{c.symbol}</div>
+                      <Badge className={getAccountTypeBadgeColor(c.holding.accountKind)}>{shortenAccount(c.account)}</Badge>
+                      {c.warnings.map((w, i) => (
+                        <p key={i} className="text-xs text-amber-700 mt-1 max-w-md">
+                          ⚠ {w.message} <span className="text-amber-600/70">({shortenAccount(w.account)})</span>
+                        </p>
+                      ))}
+                    </td>
+                    <td className="py-2 px-3 text-right text-sm text-gray-500">{fmt(c.value)}</td>
+                    <td className="py-2 px-3 text-right text-sm">
+                      <div className="font-medium text-red-600">{signed(c.loss)}</div>
+                      <div className="text-xs text-gray-400">
+                        {[c.shortTermLoss < 0 && `${fmt(-c.shortTermLoss)} short`, c.longTermLoss < 0 && `${fmt(-c.longTermLoss)} long`].filter(Boolean).join(" · ")}
+                      </div>
+                    </td>
+                    <td className="py-2 px-3 text-right text-sm font-semibold text-gray-800">{fmt(c.savings)}</td>
+                    <td className="py-2 px-3">
+                      {c.substitute ? (
+                        <div title={c.alternatives.map(a => `${a.symbol}: ${a.index}`).join("\n")}>
+                          <div className="font-semibold text-gray-800 text-sm">{c.substitute.symbol}</div>
+                          <div className="text-xs text-gray-400">tracks {c.substitute.index}</div>
+                          {c.alternatives.length > 1 && (
+                            <div className="text-xs text-gray-400">or {c.alternatives.filter(a => a !== c.substitute).map(a => a.symbol).join(", ")}</div>
+                          )}
+                        </div>
+                      ) : (
+                        <span className="text-xs text-gray-400">No bundled substitute — pick a fund with similar exposure that tracks a different index</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p className="text-xs text-gray-400">
+          Savings are losses times your marginal rate, before the $3,000 yearly limit on losses offsetting ordinary income; lots without a date count as long-term.
+          A wash sale — buying the same or a substantially identical fund within 30 days before or after the sale, in any household account — disallows the loss.
+        </p>
+      </div>
+
+      {/* Positions with basis */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 mb-3 text-sm uppercase tracking-wider">Positions with Cost Basis</h3>
+        <HoldingsTable data={withBasis} total={total} exportName="Cost basis" />
+      </div>
+    </div>
+  );
+};
+
+export default GainsView;
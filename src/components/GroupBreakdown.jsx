@@ -0,0 +1,60 @@
+import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer } from "recharts";
+import { PAL, fmt } from "../lib/format.js";
+import { valueByClass } from "../lib/rebalance.js";
+import { CategoryCard, HoldingsTable, ChartTooltip } from "./ui.jsx";
+
+/* ───────── pie + cards + drill-down for any holding dimension ─────────
+   groups: [{ name, items, value }] sorted by value. */
+const GroupBreakdown = ({ groups, total, selected, onSelect, note }) => {
+  const pct = (v) => `${(v / total * 100).toFixed(1)}%`;
+  const toggle = (name) => onSelect(selected === name ? null : name);
+  const current = selected && groups.find(g => g.name === selected);
+  const mix = current
+    ? Object.entries(valueByClass(current.items)).sort((a, b) => b[1] - a[1])
+    : [];
+
+  return (
+    <div className="space-y-4">
+      {note && <p className="text-xs text-gray-500">{note}</p>}
+      <div className="flex flex-col lg:flex-row gap-4">
+        <div className="lg:w-72 flex-shrink-0">
+          <ResponsiveContainer width="100%" height={260}>
+            <PieChart>
+              <Pie data={groups.map(g => ({ name: g.name, value: g.value, pct: pct(g.value) }))}
+                dataKey="value" cx="50%" cy="50%" innerRadius={50} outerRadius={95}
+                onClick={(_, i) => groups[i] && toggle(groups[i].name)}>
+                {groups.map((g, i) => (
+                  <Cell key={g.name} fill={PAL[i % PAL.length]} stroke={selected === g.name ? "#1e3a8a" : "#fff"} strokeWidth={selected === g.name ? 3 : 1} />
+                ))}
+              </Pie>
+              <Tooltip content={<ChartTooltip />} />
+            </PieChart>
+          </ResponsiveContainer>
+        </div>
+        <div className="flex-1 grid grid-cols-2 sm:grid-cols-3 gap-2 content-start">
+          {groups.map(g => (
+            <CategoryCard key={g.name} label={g.name} value={g.value} total={total}
+              isActive={selected === g.name} onClick={() => toggle(g.name)} count={g.items.length} />
+          ))}
+        </div>
+      </div>
+      {current && (
+        <div className="pt-4 border-t border-gray-200">
+          <div className="flex items-center gap-3 mb-3 flex-wrap">
+            <h3 className="font-bold text-gray-800 text-lg">{current.name}</h3>
+            <span className="text-sm text-gray-500">{fmt(current.value)} ({pct(current.value)})</span>
+            <button onClick={() => onSelect(null)} className="ml-auto text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">✕ Close</button>
+          </div>
+          <div className="flex flex-wrap gap-x-4 gap-y-1 mb-3 text-xs text-gray-500">
+            {mix.map(([c, v]) => (
+              <span key={c}><strong className="text-gray-700">{c}</strong> {(v / current.value * 100).toFixed(1)}%</span>
+            ))}
+          </div>
+          <HoldingsTable data={current.items} total={total} showAssetClass={true} exportName={current.name} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GroupBreakdown;
@@ -0,0 +1,107 @@
+import { useMemo } from "react";
+import {
+  LineChart, Line, AreaChart, Area, XAxis, YAxis, Tooltip, CartesianGrid,
+  ResponsiveContainer, Legend
+} from "recharts";
+import { PAL, fmt, fmtAxis } from "../lib/format.js";
+import { historySeries } from "../lib/history.js";
+
+const SeriesTooltip = ({ active, payload, label, money }) => {
+  if (!active || !payload?.length) return null;
+  return (
+    <div className="bg-gray-900 text-white px-3 py-2 rounded-lg shadow-xl text-sm border border-gray-700">
+      <p className="font-semibold">{label}</p>
+      {payload.map(p => <p key={p.dataKey}>{p.name}: {money ? fmt(p.value) : `${p.value.toFixed(1)}%`}</p>)}
+    </div>
+  );
+};
+
+/* ───────── SNAPSHOT HISTORY ───────── */
+const HistoryView = ({ snapshots, currentId, reclassify }) => {
+  const { rows, classes } = useMemo(() => historySeries(snapshots, reclassify), [snapshots, reclassify]);
+
+  if (rows.length < 2) {
+    return (
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm text-center">
+        <p className="text-sm text-gray-600 font-medium">Not enough history yet</p>
+        <p className="text-xs text-gray-400 mt-1">
+          Every upload is saved as a snapshot in this browser. Upload exports from other dates to chart how the portfolio changes over time.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 mb-2 text-sm uppercase tracking-wider">Total Value</h3>
+        <ResponsiveContainer width="100%" height={240}>
+          <LineChart data={rows} margin={{ left: 10, right: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="label" fontSize={11} />
+            <YAxis tickFormatter={fmtAxis} fontSize={10} width={60} />
+            <Tooltip content={<SeriesTooltip money />} />
+            <Line type="monotone" dataKey="total" name="Total" stroke="#2563eb" strokeWidth={2} dot={{ r: 3 }} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 mb-2 text-sm uppercase tracking-wider">Asset Class Mix</h3>
+        <ResponsiveContainer width="100%" height={280}>
+          <AreaChart data={rows} margin={{ left: 10, right: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="label" fontSize={11} />
+            <YAxis tickFormatter={v => `${v}%`} domain={[0, 100]} fontSize={10} width={40} />
+            <Tooltip content={<SeriesTooltip />} />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            {classes.map((c, i) => (
+              <Area key={c} type="monotone" dataKey={c} name={c} stackId="1"
+                stroke={PAL[i % PAL.length]} fill={PAL[i % PAL.length]} fillOpacity={0.6} />
+            ))}
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto rounded-lg border border-gray-200 bg-white">
+        <table className="w-full text-left">
+          <thead>
+            <tr className="bg-gray-50 border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+              <th className="py-2.5 px-3">As Of</th>
+              <th className="py-2.5 px-3 text-right">Total</th>
+              <th className="py-2.5 px-3 text-right">Change</th>
+              {classes.map(c => <th key={c} className="py-2.5 px-3 text-right">{c}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {[...rows].reverse().map((r, i, arr) => {
+              const prev = arr[i + 1];
+              const change = prev ? r.total - prev.total : null;
+              return (
+                <tr key={r.id} className={`border-b border-gray-100 ${r.id === currentId ? "bg-blue-50/60" : ""}`}>
+                  <td className="py-2 px-3 text-sm font-medium text-gray-800">{r.label}</td>
+                  <td className="py-2 px-3 text-right text-sm font-semibold text-gray-800">{fmt(r.total)}</td>
+                  <td className={`py-2 px-3 text-right text-sm ${change == null ? "text-gray-400" : change >= 0 ? "text-green-600" : "text-red-600"}`}>
+                    {change == null ? "–" : `${change >= 0 ? "+" : "−"}${fmt(Math.abs(change))}`}
+                  </td>
+                  {classes.map(c => (
+                    <td key={c} className="py-2 px-3 text-right text-sm text-gray-500">
+                      {r[c].toFixed(1)}%
+                      {prev && Math.abs(r[c] - prev[c]) >= 0.05 && (
+                        <span className={`text-xs ml-1 ${r[c] > prev[c] ? "text-green-600" : "text-red-600"}`}>
+                          {r[c] > prev[c] ? "▲" : "▼"}{Math.abs(r[c] - prev[c]).toFixed(1)}
+                        </span>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryView;
@@ -0,0 +1,166 @@
+import { useMemo, useState } from "react";
+import { QUERY_FIELDS, OPERATORS, findField, parseQuery, suggest, fieldValues, addTerm, removeTerm } from "../lib/query.js";
+import usePersistentState from "../hooks/usePersistentState.js";
+
+const primaryBtn = "text-xs font-medium bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md transition-colors disabled:opacity-40";
+const inputCls = "px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white";
+const smallBtn = "text-xs text-gray-500 hover:text-gray-800 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors";
+const OP_LABELS = { ":": "contains", "=": "is", ">": ">", ">=": "≥", "<": "<", "<=": "≤" };
+
+/* ───────── ALL HOLDINGS QUERY ─────────
+   The search box for lib/query.js: typed queries with completion of field
+   names and values from the loaded holdings, the parsed terms as removable
+   chips, a builder for adding a term without knowing the syntax, and named
+   filters saved in this browser. `query` is the URL's q parameter. */
+const HoldingsQuery = ({ query, onChange, holdings, matched }) => {
+  const [saved, setSaved] = usePersistentState("savedFilters", []);
+  const [focused, setFocused] = useState(false);
+  const [active, setActive] = useState(-1);
+  const [building, setBuilding] = useState(false);
+  const [draft, setDraft] = useState({ field: "account", op: ":", value: "", negate: false });
+  const [naming, setNaming] = useState(null);
+
+  const { terms, errors } = useMemo(() => parseQuery(query), [query]);
+  const suggestions = useMemo(() => (focused ? suggest(query, holdings) : []), [focused, query, holdings]);
+  const draftField = findField(draft.field);
+  const draftValues = useMemo(() => fieldValues(holdings, draft.field), [holdings, draft.field]);
+  const current = saved.find(s => s.query === query.trim());
+
+  const accept = (s) => { onChange(s.query); setActive(-1); };
+  const onKeyDown = (e) => {
+    if (!suggestions.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive(active === -1 && step < 0 ? suggestions.length - 1 : (active + step + suggestions.length) % suggestions.length);
+    } else if (e.key === "Tab" || (e.key === "Enter" && active >= 0)) {
+      // Tab takes the first completion; Enter only one picked with the arrows
+      e.preventDefault();
+      accept(suggestions[Math.max(0, Math.min(active, suggestions.length - 1))]);
+    } else if (e.key === "Escape") {
+      setFocused(false);
+    }
+  };
+
+  const setDraftField = (name) => {
+    const kind = findField(name).kind;
+    setDraft({ ...draft, field: name, op: OPERATORS[kind].includes(draft.op) ? draft.op : OPERATORS[kind][0], value: "" });
+  };
+  const addDraft = () => {
+    if (!draft.value.trim()) return;
+    onChange(addTerm(query, draft));
+    setDraft({ ...draft, value: "" });
+  };
+
+  const saveAs = (name) => {
+    const n = name.trim();
+    if (!n) return;
+    setSaved([...saved.filter(s => s.name !== n), { name: n, query: query.trim() }].sort((a, b) => a.name.localeCompare(b.name)));
+    setNaming(null);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-3">
+        <div className="relative flex-1">
+          <input
+            type="text" placeholder='Search, or filter: account:roth class:"US Equity" value>50k -symbol:CASH'
+            value={query}
+            onChange={e => { onChange(e.target.value); setActive(-1); setFocused(true); }}
+            onFocus={() => setFocused(true)} onBlur={() => setFocused(false)} onKeyDown={onKeyDown}
+            spellCheck={false}
+            className="w-full pl-9 pr-4 py-2.5 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white shadow-sm"
+          />
+          <svg className="absolute left-3 top-3 w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+          </svg>
+          {suggestions.length > 0 && (
+            <ul className="absolute left-0 right-0 top-full mt-1 z-30 bg-white border border-gray-200 rounded-lg shadow-lg py-1 max-h-72 overflow-auto">
+              {suggestions.map((s, i) => (
+                <li key={s.query}
+                  onMouseDown={e => { e.preventDefault(); accept(s); }}
+                  onMouseEnter={() => setActive(i)}
+                  className={`flex justify-between gap-3 px-3 py-1.5 text-sm cursor-pointer ${i === active ? "bg-blue-50 text-blue-800" : "text-gray-700"}`}>
+                  <span className="font-mono truncate">{s.label}</span>
+                  <span className="text-xs text-gray-400 whitespace-nowrap">{s.hint}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <span className="text-xs text-gray-400 whitespace-nowrap">{matched} of {holdings.length}</span>
+      </div>
+
+      {/* Parsed terms and the builder */}
+      <div className="flex items-center gap-2 flex-wrap text-xs">
+        {terms.map(t => (
+          <span key={`${t.start}:${t.text}`}
+            className={`inline-flex items-center gap-1 rounded-full border pl-2.5 pr-1 py-0.5 ${t.negate ? "border-red-200 bg-red-50 text-red-700" : "border-blue-200 bg-blue-50 text-blue-700"}`}>
+            {t.negate && <span className="font-semibold">not</span>}
+            {t.field ? <><span className="text-gray-500">{findField(t.field).label}</span> {OP_LABELS[t.op]}</> : <span className="text-gray-500">any field has</span>}
+            <span className="font-medium">{t.value}</span>
+            <button onClick={() => onChange(removeTerm(query, t))} title="Remove this filter" className="px-1 text-gray-400 hover:text-red-600 bg-transparent">✕</button>
+          </span>
+        ))}
+        {building ? (
+          <span className="inline-flex items-center gap-1 flex-wrap">
+            <select value={draft.field} onChange={e => setDraftField(e.target.value)} className={inputCls}>
+              {QUERY_FIELDS.map(f => <option key={f.name} value={f.name}>{f.label}</option>)}
+            </select>
+            <select value={draft.op} onChange={e => setDraft({ ...draft, op: e.target.value })} className={inputCls}>
+              {OPERATORS[draftField.kind].map(op => <option key={op} value={op}>{OP_LABELS[op]}</option>)}
+            </select>
+            <input value={draft.value} onChange={e => setDraft({ ...draft, value: e.target.value })}
+              onKeyDown={e => { if (e.key === "Enter") addDraft(); }}
+              list="query-values" placeholder={draftField.kind === "number" ? "e.g. 50k" : "value"} className={`w-40 ${inputCls}`} />
+            <datalist id="query-values">
+              {draftValues.slice(0, 50).map(v => <option key={v} value={v} />)}
+            </datalist>
+            <label className="flex items-center gap-1 text-gray-500">
+              <input type="checkbox" checked={draft.negate} onChange={e => setDraft({ ...draft, negate: e.target.checked })} /> exclude
+            </label>
+            <button onClick={addDraft} disabled={!draft.value.trim()} className={primaryBtn}>Add</button>
+            <button onClick={() => setBuilding(false)} className={smallBtn}>Done</button>
+          </span>
+        ) : (
+          <button onClick={() => setBuilding(true)} className={smallBtn}>+ Filter</button>
+        )}
+        {query.trim() && (
+          <button onClick={() => onChange("")} className="text-xs text-gray-400 hover:text-gray-700 bg-transparent">Clear</button>
+        )}
+      </div>
+      {errors.length > 0 && (
+        <div className="rounded-lg bg-amber-50 border border-amber-200 px-3 py-2 text-xs text-amber-800">
+          {errors.join(" · ")} — {errors.length === 1 ? "this term is" : "these terms are"} ignored.
+        </div>
+      )}
+
+      {/* Saved filters */}
+      {(saved.length > 0 || query.trim()) && (
+        <div className="flex items-center gap-2 flex-wrap text-xs text-gray-500">
+          {saved.length > 0 && <span>Saved filters</span>}
+          {saved.map(s => (
+            <span key={s.name}
+              className={`inline-flex items-center gap-1 rounded-full border pl-2.5 pr-1 py-0.5 ${s === current ? "border-blue-300 bg-blue-50 text-blue-700" : "border-gray-200 bg-white"}`}>
+              <button onClick={() => onChange(s.query)} title={s.query} className="bg-transparent hover:text-gray-800">{s.name}</button>
+              <button onClick={() => setSaved(saved.filter(x => x !== s))} title="Delete this saved filter" className="px-1 text-gray-300 hover:text-red-600 bg-transparent">✕</button>
+            </span>
+          ))}
+          {query.trim() && !current && (naming === null ? (
+            <button onClick={() => setNaming("")} className={smallBtn}>☆ Save filter</button>
+          ) : (
+            <span className="inline-flex items-center gap-1">
+              <input autoFocus value={naming} onChange={e => setNaming(e.target.value)}
+                onKeyDown={e => { if (e.key === "Enter") saveAs(naming); if (e.key === "Escape") setNaming(null); }}
+                placeholder="Name" className={`w-48 ${inputCls}`} />
+              <button onClick={() => saveAs(naming)} className={primaryBtn}>Save</button>
+              <button onClick={() => setNaming(null)} className={smallBtn}>Cancel</button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HoldingsQuery;
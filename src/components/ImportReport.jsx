@@ -0,0 +1,121 @@
+import { useState } from "react";
+import { fmt } from "../lib/format.js";
+import { Badge } from "./ui.jsx";
+
+/* ───────── import report for one uploaded file ─────────
+   diagnostics: lib/diagnostics.js diagnoseImport() output. */
+const SEVERITY_STYLES = {
+  error: { badge: "bg-red-100 text-red-700", label: "Not loaded" },
+  warning: { badge: "bg-amber-100 text-amber-700", label: "Warnings" },
+  info: { badge: "bg-blue-100 text-blue-700", label: "Notes" },
+  ok: { badge: "bg-green-100 text-green-700", label: "Clean" },
+};
+
+const ICONS = { error: "✕", warning: "⚠", info: "ℹ" };
+
+const rowName = (r) => r.symbol || r.desc || "(blank)";
+
+const Details = ({ title, children }) => (
+  <details className="text-xs">
+    <summary className="cursor-pointer text-gray-500 hover:text-gray-700 select-none">{title}</summary>
+    <div className="mt-1 ml-3 max-h-48 overflow-y-auto">{children}</div>
+  </details>
+);
+
+const ImportReport = ({ name, diagnostics: d, accountLabel = a => a, actions = null }) => {
+  const [open, setOpen] = useState(d.severity === "error");
+  const style = SEVERITY_STYLES[d.severity];
+  const rec = d.reconciliation;
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm space-y-2">
+      <div className="flex items-center gap-2 flex-wrap">
+        <span className="font-semibold text-gray-800 text-sm">{name}</span>
+        <Badge className={style.badge}>{style.label}</Badge>
+        {d.issues.length > 0 && (
+          <button onClick={() => setOpen(o => !o)} className="ml-auto text-xs text-gray-400 hover:text-gray-700 bg-transparent">
+            {open ? "Hide details" : "Details"}
+          </button>
+        )}
+      </div>
+
+      {d.issues.length === 0 && <p className="text-xs text-gray-500">Every row imported as-is and the file's weights match.</p>}
+      <ul className="space-y-1">
+        {d.issues.map((issue, i) => (
+          <li key={i} className={`text-xs flex gap-2 ${issue.severity === "error" ? "text-red-700" : issue.severity === "warning" ? "text-amber-700" : "text-gray-500"}`}>
+            <span className="w-3 flex-shrink-0">{ICONS[issue.severity]}</span>
+            {issue.message}
+          </li>
+        ))}
+      </ul>
+
+      {open && (
+        <div className="space-y-1.5 pt-1 border-t border-gray-100">
+          {d.skipped.length > 0 && (
+            <Details title={`Skipped rows (${d.skipped.length})`}>
+              {d.skipped.map((r, i) => (
+                <p key={i} className={r.expected ? "text-gray-400" : "text-amber-700"}>
+                  <span className="font-medium">{rowName(r).slice(0, 60)}</span>
+                  {r.account && ` · ${accountLabel(r.account)}`} — {r.reason}
+                </p>
+              ))}
+            </Details>
+          )}
+          {d.inferred.length > 0 && (
+            <Details title={`Inferred values (${d.inferred.length})`}>
+              {d.inferred.map((r, i) => (
+                <p key={i} className="text-gray-600">
+                  <span className="font-medium">{rowName(r)}</span> · {accountLabel(r.account)} — value taken as {r.how}
+                </p>
+              ))}
+            </Details>
+          )}
+          {d.fallbacks.length > 0 && (
+            <Details title={`Classified as Other (${d.fallbacks.length})`}>
+              {d.fallbacks.map((h, i) => (
+                <p key={i} className="text-gray-600">
+                  <span className="font-medium">{h.symbol}</span> {h.desc !== h.symbol && h.desc} · {fmt(h.value)}
+                </p>
+              ))}
+              <p className="text-gray-400 mt-1">Add a rule or pin these symbols on the Classification tab.</p>
+            </Details>
+          )}
+          {rec && (
+            <Details title={`Weight reconciliation (${rec.basis === "account" ? "per account" : "whole file"})`}>
+              <table className="w-full text-left">
+                <thead>
+                  <tr className="text-gray-400">
+                    <th className="pr-2 font-medium">{rec.basis === "account" ? "Account" : ""}</th>
+                    <th className="px-2 font-medium text-right">File weights</th>
+                    <th className="px-2 font-medium text-right">File's total</th>
+                    <th className="pl-2 font-medium text-right">Imported</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rec.groups.map(g => (
+                    <tr key={g.name} className={Math.abs(g.fileSum - 100) > 0.5 ? "text-amber-700" : "text-gray-600"}>
+                      <td className="pr-2">{rec.basis === "account" ? accountLabel(g.name) : "All rows"}</td>
+                      <td className="px-2 text-right">{g.fileSum.toFixed(2)}%</td>
+                      <td className="px-2 text-right">{fmt(g.impliedTotal)}</td>
+                      <td className="pl-2 text-right">{fmt(g.value)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {rec.mismatches.map((m, i) => (
+                <p key={i} className="text-amber-700 mt-1">
+                  <span className="font-medium">{m.symbol}</span> · {accountLabel(m.account)} — file says {m.fileWeight.toFixed(2)}%
+                  {Math.abs(m.expected - m.fileWeight) > 0.005 && ` (${m.expected.toFixed(2)}% of the imported rows)`}, value gives {m.computed.toFixed(2)}%
+                </p>
+              ))}
+            </Details>
+          )}
+        </div>
+      )}
+
+      {actions}
+    </div>
+  );
+};
+
+export default ImportReport;
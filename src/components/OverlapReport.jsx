@@ -0,0 +1,61 @@
+import { fmt } from "../lib/format.js";
+import { Badge } from "./ui.jsx";
+
+/* ───────── overlap across tickers and accounts ─────────
+   rows: overlapReport() output. */
+const OverlapReport = ({ rows, threshold, onThresholdChange }) => {
+  const flagged = rows.filter(r => r.flagged).length;
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-1 flex-wrap gap-2">
+        <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Overlap Report</h3>
+        <label className="flex items-center gap-2 text-xs text-gray-500">
+          Flag families above
+          <input type="number" min="0" max="100" step="1" value={threshold}
+            onChange={e => onThresholdChange(Math.max(0, parseFloat(e.target.value) || 0))}
+            className="w-16 text-right px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500" />
+          % of portfolio
+        </label>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Families held through several tickers or accounts.
+        {flagged > 0 ? ` ${flagged} exceed${flagged === 1 ? "s" : ""} the concentration threshold.` : " None exceed the concentration threshold."}
+      </p>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-400">No overlapping positions.</p>
+      ) : (
+        <div className="overflow-x-auto rounded-lg border border-gray-200">
+          <table className="w-full text-left">
+            <thead>
+              <tr className="bg-gray-50 border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                <th className="py-2 px-3">Family</th>
+                <th className="py-2 px-3">Tickers</th>
+                <th className="py-2 px-3 text-center">Accounts</th>
+                <th className="py-2 px-3 text-right">Value</th>
+                <th className="py-2 px-3 text-right">Weight</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => (
+                <tr key={r.name} className={`border-b border-gray-100 ${r.flagged ? "bg-red-50" : ""}`}>
+                  <td className="py-2 px-3 text-sm font-medium text-gray-800">
+                    {r.name}
+                    {r.flagged && <Badge className="bg-red-100 text-red-700 ml-2">Concentrated</Badge>}
+                  </td>
+                  <td className="py-2 px-3 text-xs text-gray-500">
+                    {r.symbols.map(s => `${s.symbol} ${fmt(s.value)}`).join(" · ")}
+                  </td>
+                  <td className="py-2 px-3 text-center text-xs text-gray-500" title={r.accounts.join("\n")}>{r.accounts.length}</td>
+                  <td className="py-2 px-3 text-right text-sm font-semibold text-gray-800">{fmt(r.value)}</td>
+                  <td className={`py-2 px-3 text-right text-sm ${r.flagged ? "text-red-600 font-semibold" : "text-gray-500"}`}>{r.pct.toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OverlapReport;
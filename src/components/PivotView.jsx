@@ -0,0 +1,162 @@
+import { useMemo } from "react";
+import { fmt, shortenAccount } from "../lib/format.js";
+import {
+  PIVOT_DIMENSIONS, PIVOT_MODES, findDimension, buildPivot, cellShare, pivotKey, pivotSelection, maskSelection, unmaskSelection,
+} from "../lib/pivot.js";
+import { HoldingsTable } from "./ui.jsx";
+
+// heat colour for the cells: [r, g, b]
+const HEAT = [37, 99, 235];
+
+const selectCls = "px-2 py-1 border border-gray-300 rounded-md text-sm bg-white";
+const smallBtn = "text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors";
+
+/* ───────── PIVOT ─────────
+   Any two dimensions as a heatmap with row and column totals. rows, cols
+   and mode come from the URL (mode as "show"), and so does sel: "row|col",
+   "row|*" or "*|col", with account and owner keys masked. */
+const PivotView = ({ holdings, total, rows = "account", cols = "assetClass", mode = "value", sel, onSelect, onChange, exportName }) => {
+  const rowDim = findDimension(rows) || PIVOT_DIMENSIONS[0];
+  const colDim = findDimension(cols) || PIVOT_DIMENSIONS[3];
+  const pivot = useMemo(() => buildPivot(holdings, rowDim.id, colDim.id), [holdings, rowDim.id, colDim.id]);
+  const show = PIVOT_MODES.some(m => m.id === mode) ? mode : "value";
+  const selected = unmaskSelection(pivot, sel, rowDim.id, colDim.id);
+  const current = pivotSelection(pivot, selected);
+
+  // account labels are long; everything else is shown as is
+  const label = (dim, key) => (dim.id === "account" ? shortenAccount(key) : key);
+  const format = (v) => (show === "value" ? fmt(v) : `${v.toFixed(1)}%`);
+
+  const shares = pivot.rows.flatMap(r => pivot.cols.map(c => cellShare(pivot, r, c, show)));
+  const max = Math.max(...shares, 0);
+
+  const pick = (row, col) => {
+    const k = pivotKey(row, col);
+    onSelect(selected === k ? null : maskSelection(k, rowDim.id, colDim.id));
+  };
+  const setDim = (which, id) => {
+    const other = which === "rows" ? colDim.id : rowDim.id;
+    // picking the other axis's dimension swaps the two
+    onChange(id === other ? { rows: colDim.id, cols: rowDim.id } : { [which]: id });
+  };
+
+  // row and column totals: their share of the whole, or 100% of themselves
+  const totalShare = (t, axis) => (show === "value" ? t.value
+    : show === axis ? (t.value > 0 ? 100 : 0)
+    : pivot.total > 0 ? t.value / pivot.total * 100 : 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-3 flex-wrap text-sm text-gray-500">
+        <label className="flex items-center gap-1">
+          Rows
+          <select value={rowDim.id} onChange={e => setDim("rows", e.target.value)} className={selectCls}>
+            {PIVOT_DIMENSIONS.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+          </select>
+        </label>
+        <button onClick={() => onChange({ rows: colDim.id, cols: rowDim.id })} title="Swap rows and columns" className={smallBtn}>⇄</button>
+        <label className="flex items-center gap-1">
+          Columns
+          <select value={colDim.id} onChange={e => setDim("cols", e.target.value)} className={selectCls}>
+            {PIVOT_DIMENSIONS.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+          </select>
+        </label>
+        <div className="ml-auto inline-flex rounded-lg border border-gray-200 overflow-hidden text-xs font-medium">
+          {PIVOT_MODES.map(m => (
+            <button key={m.id} onClick={() => onChange({ show: m.id })}
+              className={`px-3 py-1.5 transition-colors ${show === m.id ? "bg-blue-600 text-white" : "bg-white text-gray-600 hover:bg-gray-50"}`}>
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {pivot.total <= 0 ? (
+        <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm text-center text-sm text-gray-500">No holdings to tabulate.</div>
+      ) : (
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm overflow-x-auto">
+          <table className="w-full text-sm border-separate border-spacing-1">
+            <thead>
+              <tr className="text-xs text-gray-500">
+                <th className="text-left font-medium uppercase tracking-wider text-gray-400 px-2">{rowDim.label} \ {colDim.label}</th>
+                {pivot.cols.map(c => (
+                  <th key={c.key} className="font-medium px-2 align-bottom">
+                    <button onClick={() => pick("*", c.key)} title={`All holdings in ${c.key}`}
+                      className={`bg-transparent hover:text-gray-900 ${selected === pivotKey("*", c.key) ? "text-gray-900 underline" : ""}`}>
+                      {label(colDim, c.key)}
+                    </button>
+                  </th>
+                ))}
+                <th className="font-semibold text-gray-700 px-2 align-bottom">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pivot.rows.map(r => (
+                <tr key={r.key}>
+                  <th className="text-left text-xs font-medium text-gray-600 px-2 whitespace-nowrap">
+                    <button onClick={() => pick(r.key, "*")} title={`All holdings in ${r.key}`}
+                      className={`bg-transparent text-left hover:text-gray-900 ${selected === pivotKey(r.key, "*") ? "text-gray-900 underline" : ""}`}>
+                      {label(rowDim, r.key)}
+                    </button>
+                  </th>
+                  {pivot.cols.map(c => {
+                    const k = pivotKey(r.key, c.key);
+                    const cell = pivot.cells[k];
+                    const v = cellShare(pivot, r, c, show);
+                    const alpha = max > 0 ? v / max * 0.85 : 0;
+                    const active = selected === k;
+                    return (
+                      <td key={c.key} className="p-0">
+                        <button disabled={!cell}
+                          onClick={() => pick(r.key, c.key)}
+                          title={cell ? `${r.key} · ${c.key}: ${fmt(cell.value)} in ${cell.items.length} holding${cell.items.length !== 1 ? "s" : ""}` : undefined}
+                          className={`w-full min-w-[5rem] rounded-md border px-2 py-2 text-center transition-all ${
+                            active ? "border-gray-900 ring-2 ring-gray-900" : "border-gray-200"
+                          } ${cell ? "cursor-pointer hover:ring-1 hover:ring-gray-400" : "cursor-default"}`}
+                          style={{ backgroundColor: `rgba(${HEAT.join(", ")}, ${alpha})`, color: alpha > 0.45 ? "#fff" : "#374151" }}>
+                          <span className="font-semibold">{cell ? format(v) : "–"}</span>
+                        </button>
+                      </td>
+                    );
+                  })}
+                  <td className="px-2 text-center font-semibold text-gray-700 bg-gray-50 rounded-md">{format(totalShare(r, "row"))}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <th className="text-left text-xs font-semibold text-gray-700 px-2">Total</th>
+                {pivot.cols.map(c => (
+                  <td key={c.key} className="px-2 py-2 text-center font-semibold text-gray-700 bg-gray-50 rounded-md">{format(totalShare(c, "col"))}</td>
+                ))}
+                <td className="px-2 py-2 text-center font-bold text-gray-900 bg-gray-100 rounded-md">{show === "value" ? fmt(pivot.total) : "100%"}</td>
+              </tr>
+            </tfoot>
+          </table>
+          <p className="text-xs text-gray-400 mt-2">
+            Darker cells hold more. Click a cell, or a row or column heading, to list its holdings.
+          </p>
+        </div>
+      )}
+
+      {current && (
+        <div className="pt-4 border-t border-gray-200">
+          <div className="flex items-center gap-3 mb-3 flex-wrap">
+            <h3 className="font-bold text-gray-800 text-lg">
+              {[current.row !== "*" && label(rowDim, current.row), current.col !== "*" && label(colDim, current.col)].filter(Boolean).join(" · ")}
+            </h3>
+            <span className="text-sm text-gray-500">
+              {fmt(current.value)} ({(current.value / total * 100).toFixed(1)}% of portfolio)
+            </span>
+            <button onClick={() => onSelect(null)} className={`ml-auto ${smallBtn}`}>✕ Close</button>
+          </div>
+          <HoldingsTable data={current.items} total={total}
+            showAccount={!(rowDim.id === "account" && current.row !== "*") && !(colDim.id === "account" && current.col !== "*")}
+            showAssetClass={true} exportName={exportName([current.row, current.col].filter(k => k !== "*").join(" "))} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PivotView;
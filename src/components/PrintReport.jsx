@@ -0,0 +1,149 @@
+import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, Legend } from "recharts";
+import { PAL, fmt, fmtAxis } from "../lib/format.js";
+import { HoldingsTable, ConsolidatedTable } from "./ui.jsx";
+
+/* ───────── print-ready report ─────────
+   Laid out for letter/A4 paper; each top-level section starts a new page.
+   Charts use fixed sizes and no animation so they are complete when the
+   browser's print dialog (or "Save as PDF") captures the page. */
+
+const Section = ({ title, children, last = false }) => (
+  <section className={`space-y-4 ${last ? "" : "break-after-page mb-10 print:mb-0"}`}>
+    <h2 className="text-lg font-bold text-gray-900 border-b-2 border-gray-800 pb-1">{title}</h2>
+    {children}
+  </section>
+);
+
+const ShareTable = ({ groups, total, label }) => (
+  <table className="w-full text-left text-sm">
+    <thead>
+      <tr className="border-b border-gray-300 text-xs uppercase text-gray-500 tracking-wider">
+        <th className="py-1.5 pr-2">{label}</th>
+        <th className="py-1.5 px-2 text-right">Value</th>
+        <th className="py-1.5 pl-2 text-right">Weight</th>
+      </tr>
+    </thead>
+    <tbody>
+      {groups.map((g, i) => (
+        <tr key={g.name} className="border-b border-gray-100">
+          <td className="py-1 pr-2">
+            <span className="inline-block w-2.5 h-2.5 rounded-sm mr-2 align-middle" style={{ backgroundColor: PAL[i % PAL.length] }} />
+            {g.name}
+          </td>
+          <td className="py-1 px-2 text-right">{fmt(g.value)}</td>
+          <td className="py-1 pl-2 text-right">{(g.value / total * 100).toFixed(1)}%</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const SharePie = ({ groups }) => (
+  <PieChart width={260} height={220}>
+    <Pie data={groups.map(g => ({ name: g.name, value: g.value }))} dataKey="value"
+      cx="50%" cy="50%" innerRadius={45} outerRadius={95} isAnimationActive={false}>
+      {groups.map((g, i) => <Cell key={g.name} fill={PAL[i % PAL.length]} />)}
+    </Pie>
+  </PieChart>
+);
+
+const PrintReport = ({ holdings, total, asOfDate, adapter, metrics, assetClassGroups, accountGroups, ownerGroups, taxGroups, holdingGroups, onClose }) => {
+  const generated = new Date().toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+  const accountBars = accountGroups.map(g => ({ name: g.name, ...Object.fromEntries(assetClassGroups.map(c => [c.name, 0])) }));
+  accountGroups.forEach((g, i) => g.items.forEach(h => { accountBars[i][h.assetClass] = (accountBars[i][h.assetClass] || 0) + h.value; }));
+  const classNames = [...new Set(holdings.map(h => h.assetClass))];
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white text-gray-900">
+      <div className="bg-white border-b border-gray-200 sticky top-0 z-10 print:hidden">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center gap-3">
+          <button onClick={onClose}
+            className="text-xs text-gray-500 hover:text-gray-800 bg-gray-100 hover:bg-gray-200 px-2.5 py-1 rounded-lg transition-colors">
+            ← Back to dashboard
+          </button>
+          <span className="text-xs text-gray-400">Use your browser's print dialog to print or save as PDF.</span>
+          <button onClick={() => window.print()}
+            className="ml-auto text-sm bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-lg transition-colors">
+            Print / Save as PDF
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto bg-white my-6 print:my-0 p-10 print:p-0 shadow-sm print:shadow-none">
+        <Section title="Portfolio Summary">
+          <div className="flex justify-between items-end">
+            <div>
+              <p className="text-3xl font-bold">{fmt(total)}</p>
+              <p className="text-sm text-gray-500">
+                {holdings.length} positions · {accountGroups.length} accounts
+              </p>
+            </div>
+            <div className="text-right text-xs text-gray-500">
+              {asOfDate && <p>Holdings as of <strong className="text-gray-800">{asOfDate}</strong></p>}
+              {adapter && <p>Imported as {adapter.label}</p>}
+              <p>Report generated {generated}</p>
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-3">
+            {[
+              { label: "Equities", val: metrics.equityVal, sub: `${metrics.stockPct.toFixed(0)}% of invested` },
+              { label: "Bonds", val: metrics.bondVal, sub: `${metrics.bondPct.toFixed(0)}% of invested` },
+              { label: "Cash / MM", val: metrics.cashVal, sub: `${(metrics.cashVal / total * 100).toFixed(1)}% of total` },
+              { label: "US Equity", val: metrics.usEq, sub: `${metrics.usPct.toFixed(0)}% of equity` },
+              { label: "International Equity", val: metrics.intlEq, sub: `${metrics.intlPct.toFixed(0)}% of equity` },
+              { label: "Individual Stocks", val: metrics.individualStocks, sub: `${(metrics.individualStocks / total * 100).toFixed(1)}% of total` },
+            ].map(c => (
+              <div key={c.label} className="border border-gray-200 rounded-lg p-3">
+                <p className="text-xs text-gray-500 uppercase tracking-wider">{c.label}</p>
+                <p className="text-lg font-bold">{fmt(c.val)}</p>
+                <p className="text-xs text-gray-500">{c.sub}</p>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-6 items-center break-inside-avoid">
+            <SharePie groups={assetClassGroups} />
+            <div className="flex-1"><ShareTable groups={assetClassGroups} total={total} label="Asset Class" /></div>
+          </div>
+          <div className="grid grid-cols-2 gap-6 break-inside-avoid">
+            <ShareTable groups={taxGroups} total={total} label="Tax Bucket" />
+            <ShareTable groups={ownerGroups} total={total} label="Owner" />
+          </div>
+        </Section>
+
+        <Section title="Allocation by Account">
+          <div className="break-inside-avoid">
+            <BarChart width={680} height={Math.max(accountBars.length * 36, 160)} data={accountBars} layout="vertical" margin={{ left: 10, right: 10 }}>
+              <XAxis type="number" tickFormatter={fmtAxis} fontSize={10} />
+              <YAxis type="category" dataKey="name" width={170} tick={{ fontSize: 10 }} />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              {classNames.map((c, i) => <Bar key={c} dataKey={c} stackId="a" fill={PAL[i % PAL.length]} isAnimationActive={false} />)}
+            </BarChart>
+          </div>
+          <ShareTable groups={accountGroups} total={total} label="Account" />
+        </Section>
+
+        <Section title="Holdings by Account">
+          {accountGroups.map(g => (
+            <div key={g.name} className="space-y-1">
+              <div className="flex items-baseline justify-between break-after-avoid">
+                <h3 className="font-semibold text-gray-800">{g.account}</h3>
+                <span className="text-sm text-gray-500">{fmt(g.value)} · {(g.value / total * 100).toFixed(1)}%</span>
+              </div>
+              <HoldingsTable data={g.items} total={total} showAccount={false} showAssetClass={true} windowed={false} />
+            </div>
+          ))}
+        </Section>
+
+        <Section title="Consolidated Holdings">
+          <ConsolidatedTable groups={holdingGroups} total={total} selected={null} onSelect={() => {}} windowed={false} />
+        </Section>
+
+        <Section title={`All Holdings${asOfDate ? ` as of ${asOfDate}` : ""}`} last>
+          <HoldingsTable data={holdings} total={total} showAssetClass={true} windowed={false} />
+        </Section>
+      </div>
+    </div>
+  );
+};
+
+export default PrintReport;
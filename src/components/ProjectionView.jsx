@@ -0,0 +1,261 @@
+import { useMemo } from "react";
+import {
+  ComposedChart, Area, Line, XAxis, YAxis, Tooltip, CartesianGrid,
+  ResponsiveContainer, ReferenceLine
+} from "recharts";
+import { fmt, fmtAxis } from "../lib/format.js";
+import { CAPITAL_MARKETS, DEFAULT_INFLATION } from "../data/capitalMarkets.js";
+import { MAX_TRIALS, MAX_YEARS, assumptionFor, classWeights, simulate } from "../lib/montecarlo.js";
+import usePersistentState from "../hooks/usePersistentState.js";
+
+const DEFAULT_SETTINGS = {
+  years: 30, flow: "contribute", amount: 0, target: "", trials: 1000, seed: 1, inflation: DEFAULT_INFLATION,
+};
+
+const inputCls = "text-right px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+const smallBtn = "text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors";
+
+const FanTooltip = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  const b = payload[0].payload;
+  return (
+    <div className="bg-gray-900 text-white px-3 py-2 rounded-lg shadow-xl text-sm border border-gray-700">
+      <p className="font-semibold">Year {label}</p>
+      <p>90th percentile: {fmt(b.p90)}</p>
+      <p>75th: {fmt(b.p75)}</p>
+      <p className="font-semibold">Median: {fmt(b.p50)}</p>
+      <p>25th: {fmt(b.p25)}</p>
+      <p>10th percentile: {fmt(b.p10)}</p>
+    </div>
+  );
+};
+
+const Field = ({ label, children, hint }) => (
+  <label className="flex flex-col gap-1 text-xs text-gray-500">
+    <span>{label}</span>
+    <span className="flex items-center gap-1">{children}</span>
+    {hint && <span className="text-gray-400">{hint}</span>}
+  </label>
+);
+
+/* ───────── MONTE CARLO PROJECTION ───────── */
+const ProjectionView = ({ holdings, total }) => {
+  const [settings, setSettings] = usePersistentState("projection", DEFAULT_SETTINGS);
+  const [edits, setEdits] = usePersistentState("marketAssumptions", {});
+  const s = { ...DEFAULT_SETTINGS, ...settings };
+  const set = (patch) => setSettings({ ...s, ...patch });
+
+  const weights = useMemo(() => classWeights(holdings), [holdings]);
+  const assumptions = useMemo(
+    () => Object.fromEntries(weights.map(w => [w.name, assumptionFor(w.name, edits)])),
+    [weights, edits]);
+
+  const target = Math.max(parseFloat(s.target) || 0, 0);
+  const cashFlow = (s.flow === "withdraw" ? -1 : 1) * Math.max(parseFloat(s.amount) || 0, 0);
+  const years = parseFloat(s.years) || 0;
+  const inflation = parseFloat(s.inflation) || 0;
+  const trials = parseFloat(s.trials) || 0;
+  const seed = Math.round(parseFloat(s.seed) || 0);
+  const result = useMemo(
+    () => simulate({ start: total, weights, assumptions, years, cashFlow, inflation, target, trials, seed }),
+    [total, weights, assumptions, years, cashFlow, inflation, target, trials, seed]);
+
+  const horizon = result.bands.length - 1;
+  const final = result.bands[horizon];
+  const chart = result.bands.map(b => ({ ...b, outer: [b.p10, b.p90], inner: [b.p25, b.p75] }));
+  const milestones = [5, 10, 15, 20, 25, 30, 40, 50, 60].filter(y => y < horizon).concat(horizon);
+
+  const setEdit = (cls, field, v) => {
+    const next = { ...edits, [cls]: { ...edits[cls], [field]: v } };
+    if (v === "") delete next[cls][field];
+    if (!Object.keys(next[cls]).length) delete next[cls];
+    setEdits(next);
+  };
+  const resetEdit = (cls) => {
+    const next = { ...edits };
+    delete next[cls];
+    setEdits(next);
+  };
+
+  if (!weights.length) {
+    return (
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm text-center">
+        <p className="text-sm text-gray-600 font-medium">Nothing to project</p>
+        <p className="text-xs text-gray-400 mt-1">The portfolio has no positions with a positive value.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {[
+          target > 0
+            ? { label: "Chance of Reaching Target", val: `${(result.probability * 100).toFixed(0)}%`, sub: `${fmt(target)} in ${horizon} years`, c: "border-l-emerald-500" }
+            : { label: "Chance of Reaching Target", val: "–", sub: "enter a target balance below", c: "border-l-emerald-500" },
+          { label: "Median Outcome", val: fmt(final.p50), sub: `after ${horizon} years`, c: "border-l-blue-500" },
+          { label: "Poor Outcome", val: fmt(final.p10), sub: "10th percentile", c: "border-l-amber-500" },
+          { label: "Ran Out of Money", val: `${(result.depleted * 100).toFixed(0)}%`,
+            sub: result.depletedYear ? `of paths, typically by year ${result.depletedYear}` : "of paths", c: "border-l-red-500" },
+        ].map(c => (
+          <div key={c.label} className={`bg-white rounded-xl p-4 border border-gray-200 border-l-4 ${c.c} shadow-sm`}>
+            <p className="text-xs text-gray-400 uppercase tracking-wider font-medium">{c.label}</p>
+            <p className="text-xl font-bold text-gray-900 mt-1">{c.val}</p>
+            <p className="text-sm text-gray-500 mt-0.5">{c.sub}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Inputs */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 mb-3 text-sm uppercase tracking-wider">Plan</h3>
+        <div className="flex flex-wrap items-start gap-x-6 gap-y-3">
+          <Field label="Yearly cash flow" hint="in today's dollars, at each year end">
+            <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden text-xs font-medium mr-1">
+              {[{ id: "contribute", label: "Add" }, { id: "withdraw", label: "Withdraw" }].map(m => (
+                <button key={m.id} onClick={() => set({ flow: m.id })}
+                  className={`px-3 py-1.5 rounded-none ${s.flow === m.id ? "bg-blue-600 text-white" : "bg-white text-gray-600 hover:bg-gray-50"}`}>
+                  {m.label}
+                </button>
+              ))}
+            </div>
+            $<input type="number" min="0" step="1000" value={s.amount} onChange={e => set({ amount: e.target.value })} className={`w-28 ${inputCls}`} />
+          </Field>
+          <Field label="Horizon">
+            <input type="number" min="1" max={MAX_YEARS} value={s.years} onChange={e => set({ years: e.target.value })} className={`w-16 ${inputCls}`} />
+            years
+          </Field>
+          <Field label="Target balance" hint="today's dollars">
+            $<input type="number" min="0" step="100000" value={s.target} placeholder="none" onChange={e => set({ target: e.target.value })} className={`w-32 ${inputCls}`} />
+          </Field>
+          <Field label="Inflation">
+            <input type="number" min="0" max="15" step="0.1" value={s.inflation} onChange={e => set({ inflation: e.target.value })} className={`w-16 ${inputCls}`} />
+            %/yr
+          </Field>
+          <Field label="Trials">
+            <input type="number" min="100" max={MAX_TRIALS} step="100" value={s.trials} onChange={e => set({ trials: e.target.value })} className={`w-20 ${inputCls}`} />
+          </Field>
+          <Field label="Seed" hint="same seed, same result">
+            <input type="number" step="1" value={s.seed} onChange={e => set({ seed: e.target.value })} className={`w-24 ${inputCls}`} />
+            <button onClick={() => set({ seed: Math.floor(Math.random() * 1e6) })} className={smallBtn}>New</button>
+          </Field>
+        </div>
+      </div>
+
+      {/* Fan chart */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <div className="flex items-center justify-between mb-2 flex-wrap gap-2">
+          <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Projected Balance</h3>
+          <span className="text-xs text-gray-400">
+            Shaded: 10th–90th and 25th–75th percentiles · line: median · {result.finals.length.toLocaleString("en-US")} paths
+          </span>
+        </div>
+        <ResponsiveContainer width="100%" height={320}>
+          <ComposedChart data={chart} margin={{ left: 10, right: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="year" fontSize={10} />
+            <YAxis tickFormatter={fmtAxis} fontSize={10} width={60} />
+            <Tooltip content={<FanTooltip />} />
+            <Area dataKey="outer" stroke="none" fill="#93c5fd" fillOpacity={0.35} isAnimationActive={false} />
+            <Area dataKey="inner" stroke="none" fill="#3b82f6" fillOpacity={0.35} isAnimationActive={false} />
+            <Line dataKey="p50" stroke="#1d4ed8" strokeWidth={2} dot={false} isAnimationActive={false} />
+            {target > 0 && <ReferenceLine y={target} stroke="#059669" strokeDasharray="6 3" label={{ value: "Target", fontSize: 11, fill: "#059669", position: "insideTopLeft" }} />}
+          </ComposedChart>
+        </ResponsiveContainer>
+        <div className="overflow-x-auto mt-3">
+          <table className="w-full text-left">
+            <thead>
+              <tr className="border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                <th className="py-2 px-2">Year</th>
+                <th className="py-2 px-2 text-right">10th</th>
+                <th className="py-2 px-2 text-right">25th</th>
+                <th className="py-2 px-2 text-right">Median</th>
+                <th className="py-2 px-2 text-right">75th</th>
+                <th className="py-2 px-2 text-right">90th</th>
+              </tr>
+            </thead>
+            <tbody>
+              {milestones.map(y => {
+                const b = result.bands[y];
+                return (
+                  <tr key={y} className="border-b border-gray-100 text-sm">
+                    <td className="py-1.5 px-2 font-medium text-gray-800">{y}</td>
+                    <td className="py-1.5 px-2 text-right text-gray-500">{fmt(b.p10)}</td>
+                    <td className="py-1.5 px-2 text-right text-gray-500">{fmt(b.p25)}</td>
+                    <td className="py-1.5 px-2 text-right font-semibold text-gray-800">{fmt(b.p50)}</td>
+                    <td className="py-1.5 px-2 text-right text-gray-500">{fmt(b.p75)}</td>
+                    <td className="py-1.5 px-2 text-right text-gray-500">{fmt(b.p90)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Assumptions */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Capital Market Assumptions</h3>
+        <p className="text-xs text-gray-500 mt-1 mb-3">
+          Nominal return and volatility per year for each class in the portfolio. The mix is rebalanced to today's weights every year.
+          Bundled figures are long-run estimates, not forecasts; your edits are saved in this browser.
+        </p>
+        <div className="overflow-x-auto rounded-lg border border-gray-200">
+          <table className="w-full text-left">
+            <thead>
+              <tr className="bg-gray-50 border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                <th className="py-2 px-3">Asset Class</th>
+                <th className="py-2 px-3 text-right">Weight</th>
+                <th className="py-2 px-3 text-right">Return</th>
+                <th className="py-2 px-3 text-right">Volatility</th>
+                <th className="py-2 px-3" />
+              </tr>
+            </thead>
+            <tbody>
+              {weights.map(w => {
+                const a = assumptions[w.name];
+                const edit = edits[w.name] || {};
+                return (
+                  <tr key={w.name} className="border-b border-gray-100">
+                    <td className="py-1.5 px-3">
+                      <span className="font-semibold text-gray-800 text-sm">{w.name}</span>
+                      {!CAPITAL_MARKETS[w.name] && <span className="text-xs text-gray-400 ml-2">no bundled figures — treated as stocks</span>}
+                    </td>
+                    <td className="py-1.5 px-3 text-right text-sm text-gray-500">{(w.weight * 100).toFixed(1)}%</td>
+                    {["return", "volatility"].map(field => (
+                      <td key={field} className="py-1.5 px-3 text-right">
+                        <input type="number" step="0.1" min={field === "volatility" ? 0 : undefined}
+                          value={edit[field] ?? a[field]} onChange={e => setEdit(w.name, field, e.target.value)}
+                          className={`w-20 py-0.5 ${inputCls}`} />
+                        <span className="text-sm text-gray-400 ml-1">%</span>
+                      </td>
+                    ))}
+                    <td className="py-1.5 px-3 text-right">
+                      {edits[w.name] && <button onClick={() => resetEdit(w.name)} className={smallBtn}>Reset</button>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+            <tfoot>
+              <tr className="text-sm">
+                <td className="py-2 px-3 font-semibold text-gray-700">Portfolio</td>
+                <td className="py-2 px-3 text-right text-gray-500">100%</td>
+                <td className="py-2 px-3 text-right font-semibold text-gray-800">{result.stats.return.toFixed(1)}%</td>
+                <td className="py-2 px-3 text-right font-semibold text-gray-800">{result.stats.volatility.toFixed(1)}%</td>
+                <td />
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+        <p className="text-xs text-gray-400 mt-2">
+          Returns are drawn from a normal distribution with correlations between stocks, bonds and cash, then reduced by inflation, so every
+          figure on this tab is in today's dollars. The projection runs in your browser; nothing is sent anywhere.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectionView;
@@ -0,0 +1,226 @@
+import { useState, useMemo } from "react";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from "recharts";
+import { fmt, shortenAccount, getAccountTypeBadgeColor } from "../lib/format.js";
+import { isPrivate, MASK } from "../lib/privacy.js";
+import { computeDrift, defaultTargets, planTrades } from "../lib/rebalance.js";
+import { Badge } from "./ui.jsx";
+
+const driftColor = (d) => {
+  const a = Math.abs(d);
+  if (a < 1) return "text-gray-500";
+  if (a < 5) return "text-amber-600";
+  return "text-red-600";
+};
+
+const PctTooltip = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  return (
+    <div className="bg-gray-900 text-white px-3 py-2 rounded-lg shadow-xl text-sm border border-gray-700">
+      <p className="font-semibold">{label}</p>
+      {payload.map(p => <p key={p.dataKey}>{p.name}: {p.value.toFixed(1)}%</p>)}
+    </div>
+  );
+};
+
+/* ───────── TARGET EDITOR + TRADE PLAN ───────── */
+const RebalanceView = ({ holdings, targets, setTargets }) => {
+  const [newMoneyOnly, setNewMoneyOnly] = useState(false);
+  const [contribution, setContribution] = useState("");
+  const [contributionAccount, setContributionAccount] = useState("");
+
+  const contributionAmt = Math.max(parseFloat(contribution) || 0, 0);
+  const targetSum = Object.values(targets).reduce((s, v) => s + (Number(v) || 0), 0);
+  const sumOk = Math.abs(targetSum - 100) < 0.01;
+
+  const accounts = useMemo(() => {
+    const m = {};
+    holdings.forEach(h => { m[h.account] = (m[h.account] || 0) + h.value; });
+    return Object.entries(m).sort((a, b) => b[1] - a[1]).map(([name]) => name);
+  }, [holdings]);
+
+  const drift = useMemo(() => computeDrift(holdings, targets, contributionAmt), [holdings, targets, contributionAmt]);
+
+  const plan = useMemo(() => sumOk
+    ? planTrades(holdings, targets, { contribution: contributionAmt, contributionAccount, newMoneyOnly })
+    : null,
+  [holdings, targets, contributionAmt, contributionAccount, newMoneyOnly, sumOk]);
+
+  const tradesByAccount = useMemo(() => {
+    const m = {};
+    (plan?.trades || []).forEach(t => {
+      if (!m[t.account]) m[t.account] = [];
+      m[t.account].push(t);
+    });
+    return Object.entries(m);
+  }, [plan]);
+
+  const setTarget = (name, v) => setTargets(prev => ({ ...prev, [name]: v === "" ? "" : Math.max(0, parseFloat(v) || 0) }));
+
+  const sold = (plan?.trades || []).filter(t => t.action === "sell").reduce((s, t) => s + t.amount, 0);
+  const bought = (plan?.trades || []).filter(t => t.action === "buy").reduce((s, t) => s + t.amount, 0);
+  const taxableSells = (plan?.trades || []).some(t => t.action === "sell" && t.taxable);
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Target editor */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Target Allocation</h3>
+            <button onClick={() => setTargets(defaultTargets(holdings))}
+              className="text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">
+              Reset to current
+            </button>
+          </div>
+          <table className="w-full text-left">
+            <thead>
+              <tr className="border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                <th className="py-2 px-2">Asset Class</th>
+                <th className="py-2 px-2 text-right">Current</th>
+                <th className="py-2 px-2 text-right">Target</th>
+                <th className="py-2 px-2 text-right">Drift</th>
+              </tr>
+            </thead>
+            <tbody>
+              {drift.map(d => (
+                <tr key={d.name} className="border-b border-gray-100">
+                  <td className="py-1.5 px-2 text-sm font-medium text-gray-800">{d.name}</td>
+                  <td className="py-1.5 px-2 text-right text-sm text-gray-500">{d.pct.toFixed(1)}%</td>
+                  <td className="py-1.5 px-2 text-right">
+                    <input type="number" min="0" max="100" step="0.5"
+                      value={targets[d.name] ?? ""} placeholder="0"
+                      onChange={e => setTarget(d.name, e.target.value)}
+                      className="w-20 text-right px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                    <span className="text-sm text-gray-400 ml-1">%</span>
+                  </td>
+                  <td className={`py-1.5 px-2 text-right text-sm font-semibold ${driftColor(d.drift)}`}>
+                    {d.drift > 0 ? "+" : ""}{d.drift.toFixed(1)}%
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td className="py-2 px-2 text-sm font-bold text-gray-700">Total</td>
+                <td />
+                <td className={`py-2 px-2 text-right text-sm font-bold ${sumOk ? "text-gray-900" : "text-red-600"}`}>{targetSum.toFixed(1)}%</td>
+                <td />
+              </tr>
+            </tfoot>
+          </table>
+          {!sumOk && <p className="text-xs text-red-600 mt-2">Targets must add up to 100% before a trade plan can be generated.</p>}
+        </div>
+
+        {/* Drift chart */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <h3 className="font-bold text-gray-700 mb-2 text-sm uppercase tracking-wider">Current vs Target</h3>
+          <ResponsiveContainer width="100%" height={Math.max(drift.length * 48, 220)}>
+            <BarChart data={drift.map(d => ({ name: d.name, current: d.pct, target: d.targetPct }))} layout="vertical" margin={{ left: 10 }}>
+              <XAxis type="number" tickFormatter={v => `${v}%`} fontSize={10} />
+              <YAxis type="category" dataKey="name" width={90} tick={{ fontSize: 11 }} />
+              <Tooltip content={<PctTooltip />} />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              <Bar dataKey="current" name="Current" fill="#2563eb" radius={[0, 4, 4, 0]} />
+              <Bar dataKey="target" name="Target" fill="#94a3b8" radius={[0, 4, 4, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      {/* Trade plan */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm space-y-4">
+        <div className="flex items-center justify-between flex-wrap gap-3">
+          <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Trade Plan</h3>
+          <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden text-xs font-medium">
+            {[{ id: false, label: "Full rebalance" }, { id: true, label: "New money only" }].map(m => (
+              <button key={m.label} onClick={() => setNewMoneyOnly(m.id)}
+                className={`px-3 py-1.5 rounded-none ${newMoneyOnly === m.id ? "bg-blue-600 text-white" : "bg-white text-gray-600 hover:bg-gray-50"}`}>
+                {m.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <label className="text-gray-500">Contribution</label>
+          <input type="number" min="0" step="100" value={contribution} placeholder="0"
+            onChange={e => setContribution(e.target.value)}
+            className="w-32 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500" />
+          <label className="text-gray-500">into</label>
+          <select value={contributionAccount} onChange={e => setContributionAccount(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm bg-white max-w-xs">
+            <option value="">Largest account</option>
+            {accounts.map(a => <option key={a} value={a}>{shortenAccount(a)}</option>)}
+          </select>
+        </div>
+
+        {!plan && <p className="text-sm text-gray-400">Adjust targets to total 100% to see trades.</p>}
+        {plan && plan.trades.length === 0 && (
+          <p className="text-sm text-gray-500">
+            {newMoneyOnly && contributionAmt === 0 ? "Enter a contribution amount to direct new money." : "Portfolio is already on target — no trades needed."}
+          </p>
+        )}
+
+        {plan && plan.trades.length > 0 && (
+          <>
+            <p className="text-xs text-gray-500">
+              {plan.trades.length} trade{plan.trades.length !== 1 ? "s" : ""} · <strong>{fmt(sold)}</strong> sold · <strong>{fmt(bought)}</strong> bought.
+              Trades stay inside each account; tax-advantaged accounts are used first.
+            </p>
+            {taxableSells && (
+              <div className="rounded-lg bg-amber-50 border border-amber-200 px-3 py-2 text-xs text-amber-800">
+                Some sells fall in taxable accounts and may realize capital gains.
+              </div>
+            )}
+            <div className="space-y-4">
+              {tradesByAccount.map(([account, trades]) => (
+                <div key={account}>
+                  <div className="flex items-center gap-2 mb-1.5">
+                    <span className="font-medium text-sm text-gray-800">{shortenAccount(account)}</span>
+                    <Badge className={getAccountTypeBadgeColor(trades[0].accountKind)}>{account}</Badge>
+                  </div>
+                  <div className="overflow-x-auto rounded-lg border border-gray-200">
+                    <table className="w-full text-left">
+                      <tbody>
+                        {trades.map((t, i) => (
+                          <tr key={i} className="border-b border-gray-100 last:border-b-0">
+                            <td className="py-2 px-3 w-16">
+                              <Badge className={t.action === "sell" ? "bg-red-100 text-red-700" : "bg-green-100 text-green-700"}>
+                                {t.action.toUpperCase()}
+                              </Badge>
+                            </td>
+                            <td className="py-2 px-3">
+                              <div className="font-semibold text-gray-800 text-sm">{t.symbol || `Any ${t.assetClass} fund`}</div>
+                              <div className="text-xs text-gray-400 truncate max-w-52">{t.desc}</div>
+                            </td>
+                            <td className="py-2 px-3">
+                              <Badge className="bg-gray-100 text-gray-600">{t.assetClass}</Badge>
+                            </td>
+                            <td className="py-2 px-3 text-right text-sm text-gray-500">
+                              {t.shares == null ? "–" : `≈ ${isPrivate() ? MASK : t.shares.toLocaleString(undefined, { maximumFractionDigits: 2 })} sh`}
+                            </td>
+                            <td className="py-2 px-3 text-right font-semibold text-sm text-gray-800">{fmt(t.amount)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {plan && Object.keys(plan.residual).length > 0 && (
+          <p className="text-xs text-gray-500">
+            Still off target after these trades:{" "}
+            {Object.entries(plan.residual).map(([c, d]) => `${c} ${d > 0 ? "+" : ""}${fmt(d)}`).join(", ")}
+            {newMoneyOnly ? " — add more new money or switch to a full rebalance." : "."}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RebalanceView;
@@ -0,0 +1,321 @@
+import { useState, useMemo } from "react";
+import { fmt, shortenAccount } from "../lib/format.js";
+import { ASSET_CLASSES } from "../lib/rebalance.js";
+import { TRADE_KINDS, compareHoldings } from "../lib/sandbox.js";
+import usePersistentState from "../hooks/usePersistentState.js";
+
+const EMPTY_TRADE = { kind: "buy", account: "", symbol: "", amount: "", percent: "", by: "amount", qty: "", to: "", fromCash: true, desc: "", assetClass: "" };
+
+const inputCls = "px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white";
+const smallBtn = "text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors disabled:opacity-30";
+
+const signed = (v, format) => `${v >= 0 ? "+" : "−"}${format(Math.abs(v))}`;
+const changeCls = (v) => (Math.abs(v) < 0.005 ? "text-gray-400" : v > 0 ? "text-green-600" : "text-red-600");
+
+/* One before/after table: $ and share of the portfolio, with the change in each. */
+const DiffTable = ({ title, rows, label = r => r.name }) => (
+  <div>
+    <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-1.5">{title}</h4>
+    <table className="w-full text-left">
+      <thead>
+        <tr className="border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+          <th className="py-1.5 px-2" />
+          <th className="py-1.5 px-2 text-right">Before</th>
+          <th className="py-1.5 px-2 text-right">After</th>
+          <th className="py-1.5 px-2 text-right">Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(r => (
+          <tr key={r.name} className="border-b border-gray-100">
+            <td className="py-1.5 px-2 text-sm text-gray-800">{label(r)}</td>
+            <td className="py-1.5 px-2 text-right text-sm text-gray-500">
+              {fmt(r.before)} <span className="text-xs text-gray-400">{r.beforePct.toFixed(1)}%</span>
+            </td>
+            <td className="py-1.5 px-2 text-right text-sm text-gray-800">
+              {fmt(r.after)} <span className="text-xs text-gray-400">{r.afterPct.toFixed(1)}%</span>
+            </td>
+            <td className={`py-1.5 px-2 text-right text-sm font-medium ${changeCls(r.pctChange)}`}>
+              {Math.abs(r.pctChange) < 0.05 ? "–" : `${signed(r.pctChange, v => v.toFixed(1))} pp`}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/* ───────── WHAT-IF SANDBOX ─────────
+   Sits above the tabs while a scenario is open. `positions` are the real
+   (un-aliased) holdings after the trades, so trades are stored under real
+   account names and saved scenarios survive privacy mode; `before`/`after`
+   are the prepared lists the tabs show. */
+const SandboxPanel = ({ sandbox, result, positions, before, after, accountLabel = a => a, onChange, onExit }) => {
+  const [scenarios, setScenarios] = usePersistentState("scenarios", []);
+  const [draft, setDraft] = useState(EMPTY_TRADE);
+  const [showDiff, setShowDiff] = useState(true);
+  const setD = (patch) => setDraft(d => ({ ...d, ...patch }));
+
+  const accounts = useMemo(() => [...new Set(positions.map(h => h.account))].sort(), [positions]);
+  const account = accounts.includes(draft.account) ? draft.account : accounts[0] || "";
+  const held = useMemo(() => {
+    const m = {};
+    positions.filter(h => h.account === account).forEach(h => {
+      const s = (m[h.symbol] ||= { symbol: h.symbol, desc: h.desc, value: 0, qty: 0, price: h.price });
+      s.value += h.value;
+      s.qty += Number(h.qty) || 0;
+    });
+    return Object.values(m).sort((a, b) => b.value - a.value);
+  }, [positions, account]);
+  const known = useMemo(() => new Set(positions.map(h => h.symbol.toUpperCase())), [positions]);
+  const symbol = draft.kind === "buy" || held.some(p => p.symbol === draft.symbol) ? draft.symbol : held[0]?.symbol || "";
+  const position = held.find(p => p.symbol === symbol);
+  const isNew = draft.kind === "buy" && symbol.trim() && !known.has(symbol.trim().toUpperCase());
+  const to = accounts.includes(draft.to) && draft.to !== account ? draft.to : accounts.find(a => a !== account) || "";
+
+  const diff = useMemo(() => compareHoldings(before, after), [before, after]);
+  const changed = sandbox.trades.length > 0;
+  const savedAs = scenarios.find(s => s.name === sandbox.name);
+  const unsaved = !savedAs || JSON.stringify(savedAs.trades) !== JSON.stringify(sandbox.trades);
+
+  const addTrade = () => {
+    const t = { kind: draft.kind, account };
+    if (draft.kind === "buy") {
+      Object.assign(t, { symbol: symbol.trim().toUpperCase(), amount: parseFloat(draft.amount) || 0, fromCash: draft.fromCash });
+      if (isNew) Object.assign(t, { desc: draft.desc.trim(), assetClass: draft.assetClass });
+    } else if (draft.kind === "set") {
+      Object.assign(t, { symbol, ...(position?.price > 0 ? { qty: parseFloat(draft.qty) || 0 } : { amount: parseFloat(draft.amount) || 0 }) });
+    } else {
+      Object.assign(t, { symbol, ...(draft.by === "percent" ? { fraction: (parseFloat(draft.percent) || 0) / 100 } : { amount: parseFloat(draft.amount) || 0 }) });
+      if (draft.kind === "move") t.to = to;
+    }
+    onChange({ ...sandbox, trades: [...sandbox.trades, t] });
+    setDraft(d => ({ ...EMPTY_TRADE, kind: d.kind, account, fromCash: d.fromCash }));
+  };
+  const removeTrade = (i) => onChange({ ...sandbox, trades: sandbox.trades.filter((_, j) => j !== i) });
+
+  const save = () => {
+    const name = sandbox.name.trim() || `Scenario ${scenarios.length + 1}`;
+    const entry = { name, trades: sandbox.trades, savedAt: new Date().toISOString() };
+    setScenarios([...scenarios.filter(s => s.name !== name), entry].sort((a, b) => a.name.localeCompare(b.name)));
+    onChange({ ...sandbox, name });
+  };
+
+  const describe = (t) => {
+    const what = t.fraction != null ? `${+(t.fraction * 100).toFixed(2)}% of ${t.symbol}` : `${fmt(t.amount)} of ${t.symbol}`;
+    const where = shortenAccount(accountLabel(t.account));
+    if (t.kind === "buy") return `Buy ${fmt(t.amount)} of ${t.symbol} in ${where}${t.fromCash ? ", paid from its cash" : " with new money"}`;
+    if (t.kind === "sell") return `Sell ${what} in ${where}`;
+    if (t.kind === "move") return `Move ${what} from ${where} to ${shortenAccount(accountLabel(t.to))}`;
+    return `Set ${t.symbol} in ${where} to ${t.qty != null ? `${t.qty.toLocaleString()} shares` : fmt(t.amount)}`;
+  };
+  const notesFor = (i) => result.notes.filter(n => n.index === i);
+
+  return (
+    <div className="bg-white rounded-xl border-2 border-violet-300 p-4 shadow-sm mb-4 space-y-4">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <div>
+          <h3 className="font-bold text-violet-700 text-sm uppercase tracking-wider">⚗ What-if Sandbox</h3>
+          <p className="text-xs text-gray-500 mt-0.5">
+            Every tab now shows the portfolio after these trades. Your files and snapshots are untouched.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <input value={sandbox.name} onChange={e => onChange({ ...sandbox, name: e.target.value })}
+            placeholder="Scenario name" className={`w-44 ${inputCls}`} />
+          <button onClick={save} disabled={!changed || !unsaved}
+            className="text-xs font-medium bg-violet-600 hover:bg-violet-700 text-white px-3 py-1.5 rounded-md transition-colors disabled:opacity-40">
+            {savedAs && unsaved && changed ? "Update" : savedAs && !unsaved ? "Saved" : "Save"}
+          </button>
+          <button onClick={onExit} className={smallBtn}
+            title={changed && unsaved ? "Leave the sandbox; unsaved trades are discarded" : "Leave the sandbox"}>
+            {changed && unsaved ? "Discard" : "✕ Exit"}
+          </button>
+        </div>
+      </div>
+
+      {scenarios.length > 0 && (
+        <div className="flex items-center gap-1.5 flex-wrap text-xs">
+          <span className="text-gray-400 mr-1">Saved:</span>
+          {scenarios.map(s => (
+            <span key={s.name} className={`inline-flex items-center rounded-full border ${s.name === sandbox.name ? "border-violet-400 bg-violet-50" : "border-gray-200"}`}>
+              <button onClick={() => onChange({ name: s.name, trades: s.trades })} title={`${s.trades.length} trade${s.trades.length === 1 ? "" : "s"}`}
+                className="pl-2.5 pr-1 py-0.5 text-gray-700 hover:text-violet-700 bg-transparent">{s.name}</button>
+              <button onClick={() => setScenarios(scenarios.filter(x => x.name !== s.name))} title="Delete this scenario"
+                className="pr-2 pl-1 py-0.5 text-gray-300 hover:text-red-600 bg-transparent">✕</button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Trade form */}
+      <div className="rounded-lg bg-gray-50 border border-gray-200 p-3 space-y-2">
+        <div className="flex items-center gap-2 flex-wrap">
+          <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden text-xs font-medium">
+            {TRADE_KINDS.map(k => (
+              <button key={k.id} onClick={() => setD({ kind: k.id })}
+                className={`px-3 py-1.5 rounded-none ${draft.kind === k.id ? "bg-blue-600 text-white" : "bg-white text-gray-600 hover:bg-gray-50"}`}>
+                {k.label}
+              </button>
+            ))}
+          </div>
+          <select value={account} onChange={e => setD({ account: e.target.value, symbol: "" })} className={`max-w-64 ${inputCls}`}>
+            {accounts.map(a => <option key={a} value={a}>{shortenAccount(accountLabel(a))}</option>)}
+          </select>
+          {draft.kind === "buy" ? (
+            <>
+              <input list="sandbox-symbols" value={draft.symbol} onChange={e => setD({ symbol: e.target.value })}
+                placeholder="Symbol" className={`w-24 uppercase ${inputCls}`} />
+              <datalist id="sandbox-symbols">
+                {[...known].sort().map(s => <option key={s} value={s} />)}
+              </datalist>
+            </>
+          ) : (
+            <select value={symbol} onChange={e => setD({ symbol: e.target.value })} className={`max-w-56 ${inputCls}`}>
+              {held.map(p => <option key={p.symbol} value={p.symbol}>{p.symbol} · {fmt(p.value)}</option>)}
+            </select>
+          )}
+
+          {(draft.kind === "sell" || draft.kind === "move") && (
+            <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden text-xs font-medium">
+              {[{ id: "amount", label: "$" }, { id: "percent", label: "%" }].map(b => (
+                <button key={b.id} onClick={() => setD({ by: b.id })}
+                  className={`px-2.5 py-1.5 rounded-none ${draft.by === b.id ? "bg-blue-600 text-white" : "bg-white text-gray-600 hover:bg-gray-50"}`}>
+                  {b.label}
+                </button>
+              ))}
+            </div>
+          )}
+          {draft.kind === "set" && position?.price > 0 ? (
+            <label className="flex items-center gap-1 text-sm text-gray-500">
+              <input type="number" min="0" step="1" value={draft.qty} onChange={e => setD({ qty: e.target.value })}
+                placeholder={String(+position.qty.toFixed(3))} className={`w-28 text-right ${inputCls}`} /> shares
+            </label>
+          ) : (draft.kind === "sell" || draft.kind === "move") && draft.by === "percent" ? (
+            <label className="flex items-center gap-1 text-sm text-gray-500">
+              <input type="number" min="0" max="100" step="5" value={draft.percent} onChange={e => setD({ percent: e.target.value })}
+                placeholder="100" className={`w-20 text-right ${inputCls}`} />%
+            </label>
+          ) : (
+            <label className="flex items-center gap-1 text-sm text-gray-500">
+              $<input type="number" min="0" step="1000" value={draft.amount} onChange={e => setD({ amount: e.target.value })}
+                placeholder={draft.kind === "set" ? "New value" : "0"} className={`w-28 text-right ${inputCls}`} />
+            </label>
+          )}
+
+          {draft.kind === "move" && (
+            <label className="flex items-center gap-1 text-sm text-gray-500">
+              to
+              <select value={to} onChange={e => setD({ to: e.target.value })} className={`max-w-64 ${inputCls}`}>
+                {accounts.filter(a => a !== account).map(a => <option key={a} value={a}>{shortenAccount(accountLabel(a))}</option>)}
+              </select>
+            </label>
+          )}
+          {draft.kind === "buy" && (
+            <label className="flex items-center gap-1.5 text-xs text-gray-600">
+              <input type="checkbox" checked={draft.fromCash} onChange={e => setD({ fromCash: e.target.checked })} />
+              Pay from the account's cash
+            </label>
+          )}
+          <button onClick={addTrade} disabled={!account || !symbol.trim()}
+            className="text-xs font-medium bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-md transition-colors disabled:opacity-40">
+            + Add trade
+          </button>
+        </div>
+        {isNew && (
+          <div className="flex items-center gap-2 flex-wrap text-xs text-gray-500">
+            <span>{symbol.trim().toUpperCase()} isn't held anywhere yet —</span>
+            <input value={draft.desc} onChange={e => setD({ desc: e.target.value })} placeholder="Description (optional)" className={`w-56 ${inputCls}`} />
+            <select value={draft.assetClass} onChange={e => setD({ assetClass: e.target.value })} className={inputCls}>
+              <option value="">Classify by the rules</option>
+              {ASSET_CLASSES.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {/* Trades */}
+      {changed ? (
+        <ol className="space-y-1">
+          {sandbox.trades.map((t, i) => (
+            <li key={i} className="flex items-start gap-2 text-sm">
+              <span className="text-xs text-gray-400 w-5 text-right mt-0.5">{i + 1}.</span>
+              <div className="flex-1">
+                <span className={notesFor(i).some(n => n.severity === "error") ? "text-gray-400 line-through" : "text-gray-800"}>{describe(t)}</span>
+                {notesFor(i).map((n, j) => (
+                  <p key={j} className={`text-xs ${n.severity === "error" ? "text-red-600" : "text-amber-700"}`}>{n.message}</p>
+                ))}
+              </div>
+              <button onClick={() => removeTrade(i)} className={`${smallBtn} hover:text-red-600`}>✕</button>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-sm text-gray-400">No trades yet. Add one above, or open a saved scenario.</p>
+      )}
+
+      {/* Before / after */}
+      {changed && (
+        <div className="border-t border-gray-100 pt-3 space-y-4">
+          <div className="flex items-center justify-between flex-wrap gap-2">
+            <div className="text-sm text-gray-600">
+              Total {fmt(diff.total.before)} → <span className="font-semibold text-gray-900">{fmt(diff.total.after)}</span>
+              {Math.abs(result.newMoney) >= 0.5 && (
+                <span className="text-xs text-gray-400 ml-2">
+                  ({result.newMoney > 0 ? `${fmt(result.newMoney)} of new money` : `${fmt(-result.newMoney)} taken out`})
+                </span>
+              )}
+            </div>
+            <button onClick={() => setShowDiff(s => !s)} className={smallBtn}>{showDiff ? "Hide comparison" : "Compare before / after"}</button>
+          </div>
+          {showDiff && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+                {diff.metrics.map(m => {
+                  const digits = m.id === "er" ? 3 : 1;
+                  const delta = m.after - m.before;
+                  return (
+                    <div key={m.id} className="rounded-lg border border-gray-200 px-3 py-2">
+                      <p className="text-xs text-gray-400">{m.label}</p>
+                      <p className="text-sm text-gray-800 mt-0.5">
+                        {m.before.toFixed(digits)}% → <span className="font-semibold">{m.after.toFixed(digits)}%</span>
+                      </p>
+                      <p className={`text-xs ${changeCls(delta)}`}>{Math.abs(delta) < 0.5 * 10 ** -digits ? "no change" : `${signed(delta, v => v.toFixed(digits))} pp`}</p>
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <DiffTable title="Asset Classes" rows={diff.assetClasses} />
+                <div className="space-y-4">
+                  <DiffTable title="Tax Buckets" rows={diff.taxTreatments} />
+                  <DiffTable title="Accounts" rows={diff.accounts} label={r => shortenAccount(r.name)} />
+                </div>
+              </div>
+              {diff.positions.length > 0 && (
+                <div>
+                  <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-1.5">Positions Changed</h4>
+                  <table className="w-full text-left">
+                    <tbody>
+                      {diff.positions.map(p => (
+                        <tr key={`${p.account}|${p.symbol}`} className="border-b border-gray-100">
+                          <td className="py-1.5 px-2 text-sm font-semibold text-gray-800">{p.symbol}</td>
+                          <td className="py-1.5 px-2 text-xs text-gray-500">{shortenAccount(p.account)}</td>
+                          <td className="py-1.5 px-2 text-right text-sm text-gray-500">{fmt(p.before)}</td>
+                          <td className="py-1.5 px-2 text-right text-sm text-gray-800">{fmt(p.after)}</td>
+                          <td className={`py-1.5 px-2 text-right text-sm font-medium ${changeCls(p.change)}`}>{signed(p.change, fmt)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SandboxPanel;
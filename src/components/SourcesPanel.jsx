@@ -0,0 +1,58 @@
+import { fmt } from "../lib/format.js";
+import { KEEP_BOTH } from "../lib/merge.js";
+
+/* ───────── uploaded files in a merged household ─────────
+   sources: lib/merge.js sources; duplicates: findDuplicateAccounts() output.
+   `sourceLabel` / `accountLabel` map real names to what may be shown
+   (aliases in privacy mode). */
+const SourcesPanel = ({ sources, disabled, duplicates, onToggle, onResolve, sourceLabel = n => n, accountLabel = a => a }) => {
+  const enabledCount = sources.length - disabled.length;
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm mb-4 space-y-3">
+      <div className="flex items-center gap-2 flex-wrap">
+        <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider mr-2">Sources</h3>
+        {sources.map(s => {
+          const on = !disabled.includes(s.name);
+          const value = s.holdings.reduce((sum, h) => sum + h.value, 0);
+          return (
+            <label key={s.name} title={on && enabledCount === 1 ? "At least one source must stay on" : undefined}
+              className={`flex items-center gap-2 text-xs px-2.5 py-1.5 rounded-lg border cursor-pointer ${
+                on ? "border-blue-200 bg-blue-50 text-gray-700" : "border-gray-200 bg-gray-50 text-gray-400"
+              }`}>
+              <input type="checkbox" checked={on} disabled={on && enabledCount === 1} onChange={() => onToggle(s.name)} />
+              <span className="font-semibold">{sourceLabel(s.name)}</span>
+              <span>{[s.adapter?.label, s.asOfDate, fmt(value)].filter(Boolean).join(" · ")}</span>
+            </label>
+          );
+        })}
+      </div>
+
+      {duplicates.length > 0 && (
+        <div className="rounded-lg border border-amber-200 bg-amber-50 p-3">
+          <p className="text-xs text-amber-800 mb-2">
+            {duplicates.length === 1 ? "One account appears" : `${duplicates.length} accounts appear`} in more than one file.
+            Only the chosen copy is counted; keep both if they are really different accounts.
+          </p>
+          <div className="space-y-1.5">
+            {duplicates.map(d => (
+              <div key={d.key} className="flex items-center gap-3 text-xs flex-wrap">
+                <span className="font-medium text-gray-700 flex-1 min-w-48">{accountLabel(d.account)}</span>
+                <select value={d.keep} onChange={e => onResolve(d.key, e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-xs bg-white">
+                  {d.copies.map(c => (
+                    <option key={c.source} value={c.source}>
+                      Use {sourceLabel(c.source)} — {[c.asOfDate, fmt(c.value), `${c.positions} positions`].filter(Boolean).join(", ")}
+                    </option>
+                  ))}
+                  <option value={KEEP_BOTH}>Keep both (different accounts)</option>
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SourcesPanel;
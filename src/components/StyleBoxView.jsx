@@ -0,0 +1,129 @@
+import { useMemo } from "react";
+import { fmt, shortenAccount } from "../lib/format.js";
+import { EQUITY_BOX, BOND_BOX, buildStyleBox, cellKey } from "../lib/styleBox.js";
+import { HoldingsTable } from "./ui.jsx";
+
+// heat colour per box: [r, g, b]
+const HEAT = { equity: [37, 99, 235], bond: [5, 150, 105] };
+
+const StyleGrid = ({ data, selected, onSelect }) => {
+  const { box, cells, unplaced, total } = data;
+  const [r, g, b] = HEAT[box.id];
+  const max = Math.max(...Object.values(cells).map(c => c.value), 0);
+  const key = (k) => `${box.id}:${k}`;
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+      <div className="flex items-baseline justify-between mb-3">
+        <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">{box.label}</h3>
+        <span className="text-xs text-gray-500">{fmt(total)}</span>
+      </div>
+      {total <= 0 ? (
+        <p className="text-sm text-gray-400">No {box.id === "equity" ? "equity" : "bond"} holdings in this scope.</p>
+      ) : (
+        <>
+          <div className="flex">
+            <div className="flex items-center mr-1">
+              <span className="text-xs text-gray-400 uppercase tracking-wider [writing-mode:vertical-rl] rotate-180">{box.rowLabel}</span>
+            </div>
+            <div className="flex-1">
+              <div className="grid grid-cols-[3.5rem_repeat(3,1fr)] gap-1">
+                <div />
+                {box.cols.map(c => <div key={c} className="text-xs text-gray-500 text-center font-medium">{c}</div>)}
+                {box.rows.map(row => [
+                  <div key={row} className="text-xs text-gray-500 font-medium flex items-center">{row}</div>,
+                  ...box.cols.map(col => {
+                    const k = cellKey(row, col);
+                    const cell = cells[k];
+                    const share = cell.value / total;
+                    const alpha = max > 0 ? cell.value / max * 0.85 : 0;
+                    const active = selected === key(k);
+                    return (
+                      <button key={k} disabled={!cell.items.length}
+                        onClick={() => onSelect(active ? null : key(k))}
+                        title={`${row} ${col}: ${fmt(cell.value)}`}
+                        className={`aspect-[4/3] rounded-md border text-center flex flex-col items-center justify-center transition-all ${
+                          active ? "border-gray-900 ring-2 ring-gray-900" : "border-gray-200"
+                        } ${cell.items.length ? "cursor-pointer hover:ring-1 hover:ring-gray-400" : "cursor-default"}`}
+                        style={{ backgroundColor: `rgba(${r}, ${g}, ${b}, ${alpha})`, color: alpha > 0.45 ? "#fff" : "#374151" }}>
+                        <span className="text-sm font-bold">{cell.value > 0 ? `${(share * 100).toFixed(1)}%` : "–"}</span>
+                        {cell.value > 0 && <span className="text-xs opacity-80">{fmt(cell.value)}</span>}
+                      </button>
+                    );
+                  }),
+                ])}
+              </div>
+              <div className="text-xs text-gray-400 uppercase tracking-wider text-center mt-1 pl-14">{box.colLabel}</div>
+            </div>
+          </div>
+          {unplaced.value > 0 && (
+            <button onClick={() => onSelect(selected === key("unplaced") ? null : key("unplaced"))}
+              className={`mt-3 w-full text-left text-xs px-2 py-1.5 rounded-md border transition-colors ${
+                selected === key("unplaced") ? "border-gray-900 bg-gray-50" : "border-dashed border-gray-300 text-gray-500 hover:bg-gray-50"
+              }`}>
+              No style data: <strong className="text-gray-700">{fmt(unplaced.value)}</strong> ({(unplaced.value / total * 100).toFixed(1)}%) in {unplaced.items.length} holding{unplaced.items.length !== 1 ? "s" : ""}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+/* ───────── STYLE BOXES ─────────
+   selected: "equity:Large|Blend", "bond:High|Intermediate", "equity:unplaced", … */
+const StyleBoxView = ({ holdings, total, selected, onSelect, scope, onScopeChange, exportName }) => {
+  const accounts = useMemo(() => {
+    const m = {};
+    holdings.forEach(h => { m[h.account] = (m[h.account] || 0) + h.value; });
+    return Object.entries(m).sort((a, b) => b[1] - a[1]).map(([name]) => name);
+  }, [holdings]);
+
+  const scoped = useMemo(() => scope ? holdings.filter(h => h.account === scope) : holdings, [holdings, scope]);
+  const equity = useMemo(() => buildStyleBox(scoped, EQUITY_BOX), [scoped]);
+  const bond = useMemo(() => buildStyleBox(scoped, BOND_BOX), [scoped]);
+
+  const current = (() => {
+    if (!selected) return null;
+    const [id, k] = selected.split(":");
+    const data = id === "equity" ? equity : id === "bond" ? bond : null;
+    if (!data) return null;
+    const cell = k === "unplaced" ? data.unplaced : data.cells[k];
+    if (!cell || !cell.items.length) return null;
+    const label = k === "unplaced" ? `${data.box.label} — no style data` : `${k.replace("|", " ")} ${id === "bond" ? "bonds" : "equity"}`;
+    return { label, cell, boxTotal: data.total };
+  })();
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <p className="text-xs text-gray-500">
+          Morningstar style boxes. Percentages are of the equity or bond total in scope; click a cell to see its holdings.
+        </p>
+        <select value={scope} onChange={e => onScopeChange(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm bg-white max-w-xs">
+          <option value="">Whole portfolio</option>
+          {accounts.map(a => <option key={a} value={a}>{shortenAccount(a)}</option>)}
+        </select>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <StyleGrid data={equity} selected={selected} onSelect={onSelect} />
+        <StyleGrid data={bond} selected={selected} onSelect={onSelect} />
+      </div>
+      {current && (
+        <div className="pt-4 border-t border-gray-200">
+          <div className="flex items-center gap-3 mb-3 flex-wrap">
+            <h3 className="font-bold text-gray-800 text-lg">{current.label}</h3>
+            <span className="text-sm text-gray-500">
+              {fmt(current.cell.value)} ({(current.cell.value / current.boxTotal * 100).toFixed(1)}% of box · {(current.cell.value / total * 100).toFixed(1)}% of portfolio)
+            </span>
+            <button onClick={() => onSelect(null)} className="ml-auto text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">✕ Close</button>
+          </div>
+          <HoldingsTable data={current.cell.items} total={total} showAccount={!scope} showAssetClass={true} exportName={exportName(current.label)} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StyleBoxView;
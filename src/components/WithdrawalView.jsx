@@ -0,0 +1,243 @@
+import { useMemo } from "react";
+import { AreaChart, Area, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, Legend } from "recharts";
+import { PAL, fmt, fmtAxis, shortenAccount, getAccountTypeBadgeColor } from "../lib/format.js";
+import {
+  ORDER_PRESETS, REINVESTED, planAccounts, planWithdrawals, presetOrder, reconcileOrder, rmdStartAge,
+} from "../lib/withdrawals.js";
+import usePersistentState from "../hooks/usePersistentState.js";
+import { Badge } from "./ui.jsx";
+
+const DEFAULT_PLAN = {
+  birthYears: {}, spending: "", growth: 5, inflation: 2.5, years: 30, preset: "taxable-first", order: null,
+};
+
+const inputCls = "text-right px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+const smallBtn = "text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors disabled:opacity-30";
+
+const BalanceTooltip = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  return (
+    <div className="bg-gray-900 text-white px-3 py-2 rounded-lg shadow-xl text-sm border border-gray-700">
+      <p className="font-semibold">{label}</p>
+      {[...payload].reverse().filter(p => p.value > 0).map(p => <p key={p.dataKey}>{p.name}: {fmt(p.value)}</p>)}
+    </div>
+  );
+};
+
+/* ───────── WITHDRAWAL SEQUENCING & RMDs ─────────
+   holdings are the real (un-aliased) ones so saved birth years and orders
+   survive privacy mode; names are shown through accountLabel/ownerLabel. */
+const WithdrawalView = ({ holdings, accountLabel = a => a, ownerLabel = o => o }) => {
+  const [saved, setPlan] = usePersistentState("withdrawalPlan", DEFAULT_PLAN);
+  const plan = { ...DEFAULT_PLAN, ...saved };
+  const set = (patch) => setPlan({ ...plan, ...patch });
+  const num = (v) => parseFloat(v) || 0;
+
+  const accounts = useMemo(() => planAccounts(holdings), [holdings]);
+  const owners = useMemo(() => [...new Set(accounts.map(a => a.owner).filter(Boolean))].sort(), [accounts]);
+  const preset = ORDER_PRESETS.find(p => p.id === plan.preset);
+  const order = preset
+    ? presetOrder(accounts, preset.buckets)
+    : reconcileOrder(plan.order, presetOrder(accounts, ORDER_PRESETS[0].buckets));
+  const orderKey = order.join("\n");
+
+  const result = useMemo(() => planWithdrawals({
+    accounts, order: orderKey.split("\n"), birthYears: plan.birthYears, spending: num(plan.spending),
+    growth: num(plan.growth), inflation: num(plan.inflation), years: Math.min(Math.max(Math.round(num(plan.years)), 1), 60),
+  }), [accounts, orderKey, plan.birthYears, plan.spending, plan.growth, plan.inflation, plan.years]);
+
+  const label = (name) => (name === REINVESTED ? REINVESTED : shortenAccount(accountLabel(name)));
+  const shown = result.accounts.filter(a => a.drawable);
+  const untouched = result.accounts.filter(a => !a.drawable);
+  const chart = result.rows.map(r => ({
+    year: r.year, ...Object.fromEntries(shown.map(a => [a.account, r.balances[a.account] || 0])),
+  }));
+  const last = result.rows[result.rows.length - 1];
+  const aged = owners.filter(o => result.rows[0].ages[o] != null);
+
+  const move = (i, by) => {
+    const next = [...order];
+    [next[i], next[i + by]] = [next[i + by], next[i]];
+    set({ preset: "custom", order: next });
+  };
+  const setBirthYear = (owner, v) => {
+    const birthYears = { ...plan.birthYears, [owner]: v };
+    if (v === "") delete birthYears[owner];
+    set({ birthYears });
+  };
+
+  if (!shown.length) {
+    return (
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm text-center">
+        <p className="text-sm text-gray-600 font-medium">No accounts to draw from</p>
+        <p className="text-xs text-gray-400 mt-1">Withdrawals are planned across taxable, pre-tax and Roth accounts; HSA and 529 accounts are left alone.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {[
+          result.depletedYear
+            ? { label: "Money Lasts", val: `Until ${result.depletedYear}`, sub: `${fmt(result.totals.shortfall)} of spending not covered`, c: "border-l-red-500" }
+            : { label: "Money Lasts", val: `Past ${last.year}`, sub: `${result.rows.length} years of spending covered`, c: "border-l-emerald-500" },
+          { label: "Ending Balance", val: fmt(last.total), sub: `end of ${last.year}`, c: "border-l-blue-500" },
+          { label: "Total RMDs", val: fmt(result.totals.rmd), sub: "required from pre-tax accounts", c: "border-l-purple-500" },
+          { label: "Ordinary Income", val: fmt(result.totals.ordinaryIncome), sub: "all pre-tax withdrawals", c: "border-l-amber-500" },
+        ].map(c => (
+          <div key={c.label} className={`bg-white rounded-xl p-4 border border-gray-200 border-l-4 ${c.c} shadow-sm`}>
+            <p className="text-xs text-gray-400 uppercase tracking-wider font-medium">{c.label}</p>
+            <p className="text-xl font-bold text-gray-900 mt-1">{c.val}</p>
+            <p className="text-sm text-gray-500 mt-0.5">{c.sub}</p>
+          </div>
+        ))}
+      </div>
+      {result.warnings.map(w => (
+        <div key={w} className="rounded-lg bg-amber-50 border border-amber-200 px-3 py-2 text-xs text-amber-800">{w}</div>
+      ))}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Inputs */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm space-y-4">
+          <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Plan</h3>
+          {owners.length > 0 && (
+            <div className="flex flex-wrap gap-x-6 gap-y-2">
+              {owners.map(o => {
+                const by = num(plan.birthYears[o]);
+                return (
+                  <label key={o} className="flex flex-col gap-1 text-xs text-gray-500">
+                    <span>{ownerLabel(o)} — birth year</span>
+                    <input type="number" min="1900" max="2100" step="1" value={plan.birthYears[o] ?? ""} placeholder="e.g. 1960"
+                      onChange={e => setBirthYear(o, e.target.value)} className={`w-28 ${inputCls}`} />
+                    {by > 1900 && <span className="text-gray-400">RMDs from age {rmdStartAge(by)} ({by + rmdStartAge(by)})</span>}
+                  </label>
+                );
+              })}
+            </div>
+          )}
+          <div className="flex flex-wrap gap-x-6 gap-y-2">
+            {[
+              { key: "spending", label: "Spending, first year", pre: "$", step: 1000, w: "w-28", placeholder: "0" },
+              { key: "growth", label: "Growth", post: "%/yr", step: 0.5, w: "w-16" },
+              { key: "inflation", label: "Spending rises", post: "%/yr", step: 0.1, w: "w-16" },
+              { key: "years", label: "Years", step: 1, w: "w-16" },
+            ].map(f => (
+              <label key={f.key} className="flex flex-col gap-1 text-xs text-gray-500">
+                <span>{f.label}</span>
+                <span className="flex items-center gap-1">
+                  {f.pre}
+                  <input type="number" min="0" step={f.step} value={plan[f.key]} placeholder={f.placeholder}
+                    onChange={e => set({ [f.key]: e.target.value })} className={`${f.w} ${inputCls}`} />
+                  {f.post}
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {/* Order */}
+        <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+          <div className="flex items-center justify-between mb-3 flex-wrap gap-2">
+            <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Withdrawal Order</h3>
+            <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden text-xs font-medium">
+              {[...ORDER_PRESETS, { id: "custom", label: "Custom" }].map(p => (
+                <button key={p.id} onClick={() => set({ preset: p.id, order: p.id === "custom" ? order : plan.order })}
+                  className={`px-3 py-1.5 rounded-none ${(preset?.id || "custom") === p.id ? "bg-blue-600 text-white" : "bg-white text-gray-600 hover:bg-gray-50"}`}>
+                  {p.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <ol className="space-y-1">
+            {order.map((name, i) => {
+              const a = accounts.find(x => x.account === name);
+              return (
+                <li key={name} className="flex items-center gap-2 text-sm">
+                  <span className="w-5 text-right text-xs text-gray-400">{i + 1}.</span>
+                  <Badge className={getAccountTypeBadgeColor(a.accountKind)}>{a.taxTreatment}</Badge>
+                  <span className="text-gray-800 truncate flex-1">{label(name)}</span>
+                  <span className="text-xs text-gray-400">{fmt(a.value)}</span>
+                  <button onClick={() => move(i, -1)} disabled={i === 0} className={smallBtn} aria-label="Move up">↑</button>
+                  <button onClick={() => move(i, 1)} disabled={i === order.length - 1} className={smallBtn} aria-label="Move down">↓</button>
+                </li>
+              );
+            })}
+          </ol>
+          <p className="text-xs text-gray-400 mt-3">
+            RMDs always come out first and count toward spending; any excess is reinvested in the first taxable account.
+            {untouched.length > 0 && ` Not drawn: ${untouched.map(a => label(a.account)).join(", ")}.`}
+          </p>
+        </div>
+      </div>
+
+      {/* Balances */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 mb-2 text-sm uppercase tracking-wider">Projected Balances</h3>
+        <ResponsiveContainer width="100%" height={300}>
+          <AreaChart data={chart} margin={{ left: 10, right: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="year" fontSize={10} />
+            <YAxis tickFormatter={fmtAxis} fontSize={10} width={60} />
+            <Tooltip content={<BalanceTooltip />} />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            {shown.map((a, i) => (
+              <Area key={a.account} type="monotone" dataKey={a.account} name={label(a.account)} stackId="1"
+                stroke={PAL[i % PAL.length]} fill={PAL[i % PAL.length]} fillOpacity={0.6} isAnimationActive={false} />
+            ))}
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Year by year */}
+      <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+        <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Year by Year</h3>
+        <p className="text-xs text-gray-500 mt-1 mb-3">Year-end balance per account, with the amount withdrawn that year below it (RMD portion in purple).</p>
+        <div className="overflow-x-auto rounded-lg border border-gray-200">
+          <table className="w-full text-left">
+            <thead>
+              <tr className="bg-gray-50 border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
+                <th className="py-2 px-3">Year</th>
+                {aged.length > 0 && <th className="py-2 px-3" title={aged.map(ownerLabel).join(" / ")}>{aged.length > 1 ? "Ages" : "Age"}</th>}
+                <th className="py-2 px-3 text-right">Spending</th>
+                <th className="py-2 px-3 text-right">RMDs</th>
+                {shown.map(a => <th key={a.account} className="py-2 px-3 text-right normal-case tracking-normal font-medium">{label(a.account)}</th>)}
+                <th className="py-2 px-3 text-right">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.rows.map(r => (
+                <tr key={r.year} className={`border-b border-gray-100 text-sm ${r.shortfall ? "bg-red-50/60" : ""}`}>
+                  <td className="py-1.5 px-3 font-medium text-gray-800">{r.year}</td>
+                  {aged.length > 0 && <td className="py-1.5 px-3 text-xs text-gray-500 whitespace-nowrap">{aged.map(o => r.ages[o]).join(" / ")}</td>}
+                  <td className="py-1.5 px-3 text-right text-gray-500">
+                    {fmt(r.spending)}
+                    {r.shortfall > 0 && <div className="text-xs text-red-600">short {fmt(r.shortfall)}</div>}
+                  </td>
+                  <td className="py-1.5 px-3 text-right text-purple-700">{r.rmd ? fmt(r.rmd) : "–"}</td>
+                  {shown.map(a => (
+                    <td key={a.account} className="py-1.5 px-3 text-right">
+                      <div className="text-gray-800">{fmt(r.balances[a.account] || 0)}</div>
+                      {r.withdrawals[a.account] > 0 && (
+                        <div className={`text-xs ${r.rmds[a.account] ? "text-purple-600" : "text-gray-400"}`}>−{fmt(r.withdrawals[a.account])}</div>
+                      )}
+                      {a.account === result.reinvestedIn && r.surplus > 0 && <div className="text-xs text-emerald-600">+{fmt(r.surplus)}</div>}
+                    </td>
+                  ))}
+                  <td className="py-1.5 px-3 text-right font-semibold text-gray-800">{fmt(r.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-400 mt-2">
+          RMDs use the IRS Uniform Lifetime Table on each pre-tax account's balance at the start of the year, from age 72, 73 or 75 depending on birth year.
+          Taxes, Social Security and other income are not modelled; compare orders by the ordinary income they create.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default WithdrawalView;
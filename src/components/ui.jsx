@@ -0,0 +1,234 @@
+import { useMemo } from "react";
+import { fmt, getAccountTypeBadgeColor, getAssetClassColor } from "../lib/format.js";
+import { explainReason } from "../lib/classify.js";
+import { HOLDING_COLUMNS, CONSOLIDATED_COLUMNS, downloadTable } from "../lib/export.js";
+import { annualFee, feeSummary } from "../lib/fees.js";
+import { isPrivate, MASK } from "../lib/privacy.js";
+import DataTable from "./DataTable.jsx";
+
+const TERM_LABELS = { short: "short-term", long: "long-term", mixed: "mixed terms" };
+
+/* ───────── sub-components ───────── */
+export const Badge = ({ children, className = "" }) => (
+  <span className={`text-xs font-medium px-2 py-0.5 rounded-full whitespace-nowrap ${className}`}>{children}</span>
+);
+
+export const CategoryCard = ({ label, value, total, isActive, onClick, count }) => (
+  <button onClick={onClick}
+    className={`rounded-xl p-3 border-2 text-left transition-all w-full ${
+      isActive ? "border-blue-500 bg-blue-50 shadow-md ring-1 ring-blue-200" : "border-gray-200 bg-white hover:border-gray-300 hover:shadow-sm"
+    }`}>
+    <p className="text-xs text-gray-400 uppercase tracking-wider font-medium">{label}</p>
+    <p className="text-lg font-bold text-gray-900 mt-0.5">{fmt(value)}</p>
+    <div className="flex justify-between items-center mt-1">
+      <span className="text-sm font-medium text-gray-500">{(value / total * 100).toFixed(1)}%</span>
+      <span className="text-xs text-gray-400">{count} item{count !== 1 ? "s" : ""}</span>
+    </div>
+  </button>
+);
+
+/* CSV / XLSX download for the rows of a table; hidden when printing. */
+export const ExportButtons = ({ name, columns, rows, total }) => (
+  <div className="flex items-center gap-1 text-xs text-gray-400 print:hidden">
+    Download
+    {["csv", "xlsx"].map(f => (
+      <button key={f} onClick={() => downloadTable(f, name, columns, rows, total)}
+        className="text-xs text-gray-500 hover:text-gray-800 bg-gray-100 hover:bg-gray-200 px-2 py-0.5 rounded-md transition-colors uppercase">
+        {f}
+      </button>
+    ))}
+  </div>
+);
+
+const sum = (pick) => (rows) => rows.reduce((s, r) => s + (pick(r) || 0), 0);
+const signed = (v) => `${v >= 0 ? "+" : "−"}${fmt(Math.abs(v))}`;
+const muted = (text) => <span className="text-sm text-gray-500">{text}</span>;
+const withBasis = (rows) => rows.filter(h => h.costBasis != null);
+// expense ratio totals are only meaningful when some row has a known ratio
+const feeTotal = (key) => (rows) => { const f = feeSummary(rows); return f.covered > 0 ? f[key] : null; };
+
+/*
+  Holding columns for DataTable. The ones off by default (description,
+  type, Morningstar category, styles, the file's own weight) are in the
+  column chooser; cost basis columns exist only once a lot file covers
+  some of the rows.
+*/
+const holdingColumns = ({ total, showAccount, showAssetClass, showSource, showGains }) => [
+  {
+    id: "symbol", label: "Holding", hideable: false, defaultDir: "asc", sortValue: h => h.symbol,
+    render: (h, shown) => (
+      <>
+        <div className="font-semibold text-gray-800 text-sm">{h.symbol}</div>
+        {!shown.has("desc") && <div className="text-xs text-gray-400 truncate max-w-52">{h.desc}</div>}
+        {h.lookThroughPct < 99.95 && (
+          <div className="text-xs text-blue-500">{h.lookThroughPct.toFixed(0)}% of position (look-through)</div>
+        )}
+      </>
+    ),
+  },
+  { id: "desc", label: "Description", defaultVisible: false, defaultDir: "asc", sortValue: h => h.desc, render: h => <div className="text-sm text-gray-600 max-w-72">{h.desc}</div> },
+  showAccount && {
+    id: "account", label: "Account", defaultDir: "asc", sortValue: h => h.accountShort,
+    render: h => (
+      <>
+        <div className="text-sm text-gray-700">{h.accountShort}</div>
+        <Badge className={getAccountTypeBadgeColor(h.accountKind)}>{h.account}</Badge>
+      </>
+    ),
+  },
+  { id: "type", label: "Type", defaultVisible: false, defaultDir: "asc", sortValue: h => h.type, render: h => muted(h.type || "–") },
+  {
+    id: "assetClass", label: "Class", defaultVisible: showAssetClass, defaultDir: "asc", sortValue: h => h.assetClass,
+    render: h => (
+      <span title={explainReason(h.classReason)}>
+        <Badge className="bg-gray-100 text-gray-600">{h.assetClass}</Badge>
+      </span>
+    ),
+  },
+  { id: "morningstar", label: "Morningstar Category", defaultVisible: false, defaultDir: "asc", sortValue: h => h.morningstar, render: h => muted(h.morningstar || "–") },
+  { id: "stockStyle", label: "Stock Style", defaultVisible: false, defaultDir: "asc", sortValue: h => h.stockStyle, render: h => muted(h.stockStyle || "–") },
+  { id: "bondStyle", label: "Bond Style", defaultVisible: false, defaultDir: "asc", sortValue: h => h.bondStyle, render: h => muted(h.bondStyle || "–") },
+  {
+    id: "qty", label: "Qty", align: "right", sortValue: h => Number(h.qty) || null,
+    render: h => muted(!h.qty ? "–" : isPrivate() ? MASK : h.qty % 1 !== 0 ? h.qty.toFixed(2) : h.qty.toLocaleString()),
+  },
+  {
+    id: "price", label: "Price", align: "right", sortValue: h => (h.price > 0 ? h.price : null),
+    render: h => muted(h.price > 0 ? `$${h.price.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : "–"),
+  },
+  {
+    id: "value", label: "Value", align: "right", hideable: false, sortValue: h => h.value, total: sum(h => h.value),
+    render: h => <div className="font-semibold text-sm text-gray-800">{fmt(h.value)}</div>,
+    renderTotal: v => <span className="font-bold text-gray-900">{fmt(v)}</span>,
+  },
+  showGains && {
+    id: "costBasis", label: "Cost Basis", align: "right", sortValue: h => h.costBasis, total: rows => sum(h => h.costBasis)(withBasis(rows)),
+    render: h => (
+      <span className="text-sm text-gray-500" title={h.basisCoverage < 0.9995 ? `Cost basis known for ${(h.basisCoverage * 100).toFixed(0)}% of the shares` : undefined}>
+        {h.costBasis == null ? "–" : `${fmt(h.costBasis)}${h.basisCoverage < 0.9995 ? "*" : ""}`}
+      </span>
+    ),
+    renderTotal: (v, rows) => (withBasis(rows).length ? fmt(v) : "–"),
+  },
+  showGains && {
+    id: "gain", label: "Gain / Loss", align: "right", sortValue: h => h.gain, total: rows => sum(h => h.gain)(withBasis(rows)),
+    render: h => (h.costBasis == null ? muted("–") : (
+      <div className="text-sm">
+        <div className={`font-medium ${h.gain >= 0 ? "text-green-600" : "text-red-600"}`}>{signed(h.gain)}</div>
+        <div className="text-xs text-gray-400">
+          {h.costBasis > 0 ? `${(h.gain / h.costBasis * 100).toFixed(1)}%` : ""}{TERM_LABELS[h.term] ? ` · ${TERM_LABELS[h.term]}` : ""}
+        </div>
+      </div>
+    )),
+    renderTotal: (v, rows) => (withBasis(rows).length ? <span className={`font-bold ${v >= 0 ? "text-green-600" : "text-red-600"}`}>{signed(v)}</span> : "–"),
+  },
+  {
+    id: "weight", label: "Weight", align: "right", sortValue: h => h.value, total: sum(h => h.value),
+    render: h => muted(`${(h.value / total * 100).toFixed(2)}%`),
+    renderTotal: v => `${(v / total * 100).toFixed(2)}%`,
+  },
+  {
+    id: "fileWeight", label: "Weight in File", align: "right", defaultVisible: false, sortValue: h => parseFloat(h.weight),
+    render: h => muted(h.weight || "–"),
+  },
+  {
+    id: "er", label: "ER", align: "right", sortValue: h => h.expenseRatio, total: feeTotal("er"),
+    render: h => muted(h.expenseRatio == null ? "–" : `${h.expenseRatio.toFixed(2)}%`),
+    renderTotal: v => (v == null ? "–" : `${v.toFixed(2)}%`),
+  },
+  {
+    id: "fee", label: "Fee / Yr", align: "right", sortValue: h => (h.expenseRatio == null ? null : annualFee(h)), total: feeTotal("fees"),
+    render: h => muted(h.expenseRatio == null ? "–" : fmt(annualFee(h))),
+    renderTotal: v => <span className="font-bold text-gray-900">{v == null ? "–" : fmt(v)}</span>,
+  },
+  // rows merged from several uploaded files say which file they came from
+  { id: "source", label: "Source", defaultVisible: showSource, defaultDir: "asc", sortValue: h => h.source, render: h => <span className="text-xs text-gray-400">{h.source || "–"}</span> },
+].filter(Boolean);
+
+const HOLDING_GROUPS = [
+  { id: "account", label: "account", key: h => h.account },
+  { id: "assetClass", label: "asset class", key: h => h.assetClass },
+  { id: "owner", label: "owner", key: h => h.owner },
+  { id: "taxTreatment", label: "tax treatment", key: h => h.taxTreatment },
+  { id: "type", label: "type", key: h => h.type },
+  { id: "morningstar", label: "Morningstar category", key: h => h.morningstar },
+  { id: "source", label: "source file", key: h => h.source },
+];
+
+const BY_VALUE = [{ id: "value", dir: "desc" }];
+
+/* Both tables open sorted by value; windowed={false} renders every row, as print needs. */
+export const HoldingsTable = ({ data, total, showAccount = true, showAssetClass = false, exportName = "holdings", windowed = "auto" }) => {
+  const showSource = new Set(data.map(h => h.source)).size > 1;
+  const showGains = data.some(h => h.costBasis != null);
+  const columns = useMemo(
+    () => holdingColumns({ total, showAccount, showAssetClass, showSource, showGains }),
+    [total, showAccount, showAssetClass, showSource, showGains],
+  );
+  return (
+    <DataTable rows={data} columns={columns} defaultSort={BY_VALUE} storageKey="holdingColumns" windowed={windowed}
+      groupOptions={showAccount ? HOLDING_GROUPS : HOLDING_GROUPS.filter(g => g.id !== "account")}
+      actions={rows => <ExportButtons name={exportName} columns={HOLDING_COLUMNS} rows={rows} total={total} />} />
+  );
+};
+
+const consolidatedColumns = (total) => [
+  {
+    id: "symbol", label: "Holding", hideable: false, defaultDir: "asc", sortValue: g => g.symbol,
+    render: (g, shown) => (
+      <>
+        <div className="font-semibold text-gray-800 text-sm">{g.symbol}</div>
+        {!shown.has("desc") && <div className="text-xs text-gray-400 truncate max-w-52">{g.desc}</div>}
+      </>
+    ),
+  },
+  { id: "desc", label: "Description", defaultVisible: false, defaultDir: "asc", sortValue: g => g.desc, render: g => <div className="text-sm text-gray-600 max-w-72">{g.desc}</div> },
+  {
+    id: "assetClass", label: "Asset Class", defaultDir: "asc", sortValue: g => g.assetClass,
+    render: g => <Badge className={`bg-${getAssetClassColor(g.assetClass)}-100 text-${getAssetClassColor(g.assetClass)}-700`}>{g.assetClass}</Badge>,
+  },
+  {
+    id: "accounts", label: "Accounts", align: "center", sortValue: g => g.accounts.length,
+    render: g => (g.accounts.length > 1
+      ? <Badge className="bg-blue-100 text-blue-700">{g.accounts.length} accounts</Badge>
+      : <span className="text-xs text-gray-500">{g.accounts[0]}</span>),
+  },
+  {
+    id: "qty", label: "Qty", align: "right", defaultVisible: false, sortValue: g => g.totalQty || null,
+    render: g => muted(!g.totalQty ? "–" : isPrivate() ? MASK : g.totalQty % 1 !== 0 ? g.totalQty.toFixed(2) : g.totalQty.toLocaleString()),
+  },
+  {
+    id: "value", label: "Total Value", align: "right", hideable: false, sortValue: g => g.value, total: sum(g => g.value),
+    render: g => <span className="font-semibold text-sm text-gray-800">{fmt(g.value)}</span>,
+    renderTotal: v => <span className="font-bold text-gray-900">{fmt(v)}</span>,
+  },
+  {
+    id: "weight", label: "Weight", align: "right", sortValue: g => g.value, total: sum(g => g.value),
+    render: g => muted(`${(g.value / total * 100).toFixed(2)}%`),
+    renderTotal: v => `${(v / total * 100).toFixed(2)}%`,
+  },
+];
+
+const CONSOLIDATED_GROUPS = [{ id: "assetClass", label: "asset class", key: g => g.assetClass }];
+
+export const ConsolidatedTable = ({ groups, total, onSelect, selected, exportName = "consolidated-holdings", windowed = "auto" }) => {
+  const columns = useMemo(() => consolidatedColumns(total), [total]);
+  return (
+    <DataTable rows={groups} columns={columns} defaultSort={BY_VALUE} storageKey="consolidatedColumns" windowed={windowed}
+      groupOptions={CONSOLIDATED_GROUPS} itemLabel="holdings"
+      onRowClick={g => onSelect(selected === g.symbol ? null : g.symbol)}
+      rowClassName={g => `cursor-pointer ${selected === g.symbol ? "bg-blue-50 border-blue-200" : "hover:bg-gray-50"}`}
+      actions={rows => <ExportButtons name={exportName} columns={CONSOLIDATED_COLUMNS} rows={rows} total={total} />} />
+  );
+};
+
+export const ChartTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  return (
+    <div className="bg-gray-900 text-white px-3 py-2 rounded-lg shadow-xl text-sm border border-gray-700">
+      <p className="font-semibold">{d.name}</p>
+      <p>{fmt(d.value)}{d.pct ? ` (${d.pct})` : ""}</p>
+    </div>
+  );
+};
@@ -0,0 +1,31 @@
+/* ───────── bundled capital market assumptions ─────────
+   Long-run nominal expectations per asset class, in percent per year:
+   `return` is the arithmetic mean, `volatility` the standard deviation.
+   Rounded from published 10–15 year outlooks and historical figures; they
+   are a starting point, not a forecast, and users can edit any class in
+   the Projection tab (stored locally). `group` picks the correlation row
+   below. Classes not listed here use FALLBACK_ASSUMPTION. */
+export const CAPITAL_MARKETS = {
+  "US Equity": { return: 7, volatility: 16, group: "equity" },
+  "Intl Equity": { return: 7.5, volatility: 17, group: "equity" },
+  "Intl Developed": { return: 7.5, volatility: 17, group: "equity" },
+  "Emerging Markets": { return: 8.5, volatility: 22, group: "equity" },
+  "US Bonds": { return: 4.5, volatility: 5.5, group: "bonds" },
+  "Intl Bonds": { return: 4, volatility: 5, group: "bonds" },
+  "Fixed Income": { return: 4.5, volatility: 5.5, group: "bonds" },
+  "Bonds": { return: 4.5, volatility: 5.5, group: "bonds" },
+  "Cash": { return: 3, volatility: 1, group: "cash" },
+};
+
+// anything else (user classes, "Other") is treated like a diversified stock fund
+export const FALLBACK_ASSUMPTION = { return: 6.5, volatility: 16, group: "equity" };
+
+// correlation of annual returns between two classes, by group; two
+// different classes in the same group use the diagonal entry
+export const GROUP_CORRELATIONS = {
+  equity: { equity: 0.85, bonds: 0.1, cash: 0 },
+  bonds: { equity: 0.1, bonds: 0.75, cash: 0.2 },
+  cash: { equity: 0, bonds: 0.2, cash: 0.9 },
+};
+
+export const DEFAULT_INFLATION = 2.5;
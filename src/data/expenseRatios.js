@@ -0,0 +1,46 @@
+/* ───────── bundled expense ratios ─────────
+   Net expense ratio per symbol, in percent (0.03 = 0.03%/yr), rounded from
+   fund prospectuses. Funds change fees over time; users can add or override
+   any symbol in the app (stored locally). Individual stocks and cash have
+   no fund fee and are not listed. */
+export const EXPENSE_RATIOS = {
+  // US large / total market index
+  VOO: 0.03, IVV: 0.03, SPY: 0.0945, SPLG: 0.02, VFIAX: 0.04, FXAIX: 0.015, SWPPX: 0.02,
+  SCHX: 0.03, VV: 0.04, VTI: 0.03, VTSAX: 0.04, ITOT: 0.03, SCHB: 0.03, FSKAX: 0.015,
+  FZROX: 0, SWTSX: 0.03, IWB: 0.15, IWV: 0.2,
+
+  // US style, size and dividend
+  VUG: 0.04, SCHG: 0.04, IWF: 0.19, MGK: 0.07, SPYG: 0.04, IVW: 0.18, VIGAX: 0.05,
+  QQQ: 0.2, QQQM: 0.15,
+  VTV: 0.04, SCHV: 0.04, IWD: 0.19, MGV: 0.07, SPYV: 0.04, IVE: 0.18, VVIAX: 0.05,
+  VB: 0.05, IJR: 0.06, SCHA: 0.04, IWM: 0.19, VSMAX: 0.05, FSSNX: 0.025,
+  VO: 0.04, IJH: 0.05, SCHM: 0.04, IWR: 0.19, VIMAX: 0.05, FSMDX: 0.025,
+  SCHD: 0.06, VYM: 0.06, VIG: 0.05, DGRO: 0.08, HDV: 0.08, DVY: 0.38,
+
+  // International equity
+  VXUS: 0.05, VTIAX: 0.09, IXUS: 0.07, FTIHX: 0.06, FZILX: 0, ACWX: 0.32,
+  VEA: 0.05, SCHF: 0.06, IEFA: 0.07, EFA: 0.32, VTMGX: 0.05, FSPSX: 0.035, SWISX: 0.06,
+  VWO: 0.07, IEMG: 0.09, EEM: 0.7, SCHE: 0.11, VEMAX: 0.13, FPADX: 0.075,
+
+  // Bonds
+  BND: 0.03, AGG: 0.03, SCHZ: 0.03, VBTLX: 0.04, FXNAX: 0.025, SWAGX: 0.04, IUSB: 0.06, FBND: 0.36,
+  BNDX: 0.07, IAGG: 0.07, VTABX: 0.1, BWX: 0.35,
+  BSV: 0.04, VBIRX: 0.05, ISTB: 0.06, SCHO: 0.03, VGSH: 0.04, SHY: 0.15,
+  TIP: 0.18, VTIP: 0.04, SCHP: 0.03, VAIPX: 0.1, STIP: 0.03,
+  VGIT: 0.04,
+
+  // Real estate
+  VNQ: 0.13, SCHH: 0.07, IYR: 0.39, XLRE: 0.09, VGSLX: 0.13, FSRNX: 0.07,
+
+  // Money market / T-bills
+  SPAXX: 0.42, FDRXX: 0.42, FZFXX: 0.42, VMFXX: 0.11, SWVXX: 0.34, SGOV: 0.09, BIL: 0.1356, SHV: 0.15,
+
+  // Balanced, allocation and target-date
+  VBIAX: 0.07, VWELX: 0.25, VWENX: 0.17, AOR: 0.15, AOM: 0.15, AOA: 0.15, FFNOX: 0.12,
+  VTINX: 0.08, VTWNX: 0.08, VTTVX: 0.08, VTHRX: 0.08, VTTHX: 0.08, VFORX: 0.08,
+  VTIVX: 0.08, VFIFX: 0.08, VFFVX: 0.08, VTTSX: 0.08, VLXVX: 0.08,
+
+  // Widely held active funds
+  AGTHX: 0.59, FCNTX: 0.39, AIVSX: 0.56, ANWPX: 0.72, ABALX: 0.56, DODGX: 0.51, PRGFX: 0.65,
+  FBGRX: 0.45, ARKK: 0.75, VPMCX: 0.38, VWIGX: 0.43,
+};
@@ -0,0 +1,47 @@
+/* ───────── bundled fund compositions ─────────
+   Approximate underlying exposure per symbol, in percent:
+   [US equity, intl developed, emerging, bonds, cash]. Figures are rounded
+   from fund fact sheets and drift over time; users can override any row in
+   the app (stored locally), so keep this list to widely held funds. */
+const ROWS = {
+  // US equity
+  VOO: [99.5, 0, 0, 0, 0.5], IVV: [99.5, 0, 0, 0, 0.5], SPY: [99.5, 0, 0, 0, 0.5],
+  VTI: [99.5, 0, 0, 0, 0.5], VTSAX: [99.5, 0, 0, 0, 0.5], ITOT: [99.5, 0, 0, 0, 0.5],
+  SCHB: [99.5, 0, 0, 0, 0.5], SCHX: [99.5, 0, 0, 0, 0.5], FXAIX: [99.5, 0, 0, 0, 0.5],
+  FSKAX: [99.5, 0, 0, 0, 0.5], FZROX: [99.5, 0, 0, 0, 0.5], VFIAX: [99.5, 0, 0, 0, 0.5],
+  QQQ: [97, 2, 0, 0, 1], VUG: [99.5, 0, 0, 0, 0.5], VTV: [99.5, 0, 0, 0, 0.5],
+  SCHD: [99.5, 0, 0, 0, 0.5], VIG: [99.5, 0, 0, 0, 0.5], VYM: [99.5, 0, 0, 0, 0.5],
+  VNQ: [99.5, 0, 0, 0, 0.5], VB: [99.5, 0, 0, 0, 0.5], VO: [99.5, 0, 0, 0, 0.5],
+
+  // International equity
+  VXUS: [0.5, 73, 25.5, 0, 1], VTIAX: [0.5, 73, 25.5, 0, 1], IXUS: [0.5, 74, 24.5, 0, 1],
+  FTIHX: [0.5, 73, 25.5, 0, 1], FZILX: [0.5, 74, 24.5, 0, 1],
+  VEA: [0.5, 98.5, 0, 0, 1], SCHF: [0.5, 98.5, 0, 0, 1], IEFA: [0.5, 98.5, 0, 0, 1], EFA: [0.5, 98.5, 0, 0, 1],
+  VWO: [0, 0, 99, 0, 1], IEMG: [0, 0, 99, 0, 1], EEM: [0, 0, 99, 0, 1], SCHE: [0, 0, 99, 0, 1],
+
+  // Bonds
+  BND: [0, 0, 0, 99, 1], VBTLX: [0, 0, 0, 99, 1], AGG: [0, 0, 0, 99, 1], SCHZ: [0, 0, 0, 99, 1],
+  FXNAX: [0, 0, 0, 99, 1], BNDX: [0, 0, 0, 99, 1], IAGG: [0, 0, 0, 99, 1], VTABX: [0, 0, 0, 99, 1],
+  BSV: [0, 0, 0, 99, 1], VGIT: [0, 0, 0, 99, 1], TIP: [0, 0, 0, 99, 1], VTIP: [0, 0, 0, 99, 1],
+
+  // Cash / money market
+  SPAXX: [0, 0, 0, 0, 100], FDRXX: [0, 0, 0, 0, 100], VMFXX: [0, 0, 0, 0, 100],
+  SWVXX: [0, 0, 0, 0, 100], SGOV: [0, 0, 0, 0, 100], BIL: [0, 0, 0, 0, 100],
+
+  // Balanced and allocation funds
+  VBIAX: [59, 0, 0, 40, 1], VWELX: [57, 7, 0, 34, 2], VWENX: [57, 7, 0, 34, 2],
+  AOR: [35, 17, 6, 41, 1], AOM: [23, 11, 4, 61, 1], AOA: [46, 23, 8, 22, 1],
+  FFNOX: [51, 25, 9, 14, 1],
+
+  // Vanguard target retirement
+  VTINX: [17, 9, 3, 70, 1], VTWNX: [21, 11, 4, 63, 1], VTTVX: [32, 17, 5, 45, 1],
+  VTHRX: [38, 20, 6, 35, 1], VTTHX: [42, 22, 7, 28, 1], VFORX: [47, 24, 8, 20, 1],
+  VTIVX: [52, 27, 9, 11, 1], VFIFX: [54, 27, 9, 9, 1], VFFVX: [54, 27, 9, 9, 1],
+  VTTSX: [54, 27, 9, 9, 1], VLXVX: [54, 27, 9, 9, 1],
+};
+
+const KEYS = ["usEquity", "intlDeveloped", "emerging", "bonds", "cash"];
+
+export const FUND_COMPOSITIONS = Object.fromEntries(
+  Object.entries(ROWS).map(([sym, row]) => [sym, Object.fromEntries(KEYS.map((k, i) => [k, row[i]]))])
+);
@@ -0,0 +1,21 @@
+/* ───────── bundled equivalence families ─────────
+   Tickers that give nearly the same exposure, so holding several of them
+   is effectively one position. A symbol belongs to at most one family;
+   users can edit the whole list in the app (stored locally). */
+export const FUND_FAMILIES = [
+  { name: "US Large Cap / Total Market Index", symbols: ["VOO", "IVV", "SPY", "SPLG", "VFIAX", "FXAIX", "SWPPX", "SCHX", "VV", "VTI", "VTSAX", "ITOT", "SCHB", "FSKAX", "FZROX", "SWTSX", "IWB", "IWV"] },
+  { name: "US Large Growth", symbols: ["VUG", "SCHG", "IWF", "MGK", "SPYG", "IVW", "VIGAX", "QQQ", "QQQM"] },
+  { name: "US Large Value", symbols: ["VTV", "SCHV", "IWD", "MGV", "SPYV", "IVE", "VVIAX"] },
+  { name: "US Small Cap", symbols: ["VB", "IJR", "SCHA", "IWM", "VSMAX", "FSSNX"] },
+  { name: "US Mid Cap", symbols: ["VO", "IJH", "SCHM", "IWR", "VIMAX", "FSMDX"] },
+  { name: "US Dividend", symbols: ["SCHD", "VYM", "VIG", "DGRO", "HDV", "DVY"] },
+  { name: "Total International", symbols: ["VXUS", "VTIAX", "IXUS", "FTIHX", "FZILX", "ACWX"] },
+  { name: "International Developed", symbols: ["VEA", "SCHF", "IEFA", "EFA", "VTMGX", "FSPSX", "SWISX"] },
+  { name: "Emerging Markets", symbols: ["VWO", "IEMG", "EEM", "SCHE", "VEMAX", "FPADX"] },
+  { name: "US Aggregate Bond", symbols: ["BND", "AGG", "SCHZ", "VBTLX", "FXNAX", "SWAGX", "IUSB", "FBND"] },
+  { name: "International Bond", symbols: ["BNDX", "IAGG", "VTABX", "BWX"] },
+  { name: "Short-Term Bond", symbols: ["BSV", "VBIRX", "ISTB", "SCHO", "VGSH", "SHY"] },
+  { name: "TIPS", symbols: ["TIP", "VTIP", "SCHP", "VAIPX", "STIP"] },
+  { name: "REIT", symbols: ["VNQ", "SCHH", "IYR", "XLRE", "VGSLX", "FSRNX"] },
+  { name: "Money Market / T-Bills", symbols: ["CASH", "SPAXX", "FDRXX", "FZFXX", "VMFXX", "SWVXX", "SGOV", "BIL", "SHV"] },
+];
@@ -0,0 +1,64 @@
+/* ───────── funds by tracked index ─────────
+   Funds following the same index are treated as substantially identical
+   for wash-sale purposes; a fund in the same equivalence family (see
+   fundFamilies.js) that tracks a different index is a harvesting
+   substitute. Index names are for display — check a fund's prospectus
+   before trading on them. */
+export const INDEX_TRACKERS = [
+  { index: "S&P 500", symbols: ["VOO", "IVV", "SPY", "SPLG", "VFIAX", "FXAIX", "SWPPX"] },
+  { index: "CRSP US Total Market", symbols: ["VTI", "VTSAX"] },
+  { index: "S&P Total Market", symbols: ["ITOT"] },
+  { index: "Dow Jones US Broad Stock Market", symbols: ["SCHB"] },
+  { index: "Dow Jones US Total Stock Market", symbols: ["FSKAX", "SWTSX"] },
+  { index: "Fidelity US Total Investable Market", symbols: ["FZROX"] },
+  { index: "Russell 3000", symbols: ["IWV"] },
+  { index: "CRSP US Large Cap", symbols: ["VV"] },
+  { index: "Dow Jones US Large-Cap Total Stock Market", symbols: ["SCHX"] },
+  { index: "Russell 1000", symbols: ["IWB"] },
+
+  { index: "CRSP US Large Cap Growth", symbols: ["VUG", "VIGAX"] },
+  { index: "Dow Jones US Large-Cap Growth", symbols: ["SCHG"] },
+  { index: "Russell 1000 Growth", symbols: ["IWF"] },
+  { index: "CRSP US Mega Cap Growth", symbols: ["MGK"] },
+  { index: "S&P 500 Growth", symbols: ["SPYG", "IVW"] },
+  { index: "Nasdaq-100", symbols: ["QQQ", "QQQM"] },
+
+  { index: "CRSP US Large Cap Value", symbols: ["VTV", "VVIAX"] },
+  { index: "Dow Jones US Large-Cap Value", symbols: ["SCHV"] },
+  { index: "Russell 1000 Value", symbols: ["IWD"] },
+  { index: "CRSP US Mega Cap Value", symbols: ["MGV"] },
+  { index: "S&P 500 Value", symbols: ["SPYV", "IVE"] },
+
+  { index: "CRSP US Small Cap", symbols: ["VB", "VSMAX"] },
+  { index: "S&P SmallCap 600", symbols: ["IJR"] },
+  { index: "Dow Jones US Small-Cap", symbols: ["SCHA"] },
+  { index: "Russell 2000", symbols: ["IWM", "FSSNX"] },
+  { index: "CRSP US Mid Cap", symbols: ["VO", "VIMAX"] },
+  { index: "S&P MidCap 400", symbols: ["IJH"] },
+  { index: "Dow Jones US Mid-Cap", symbols: ["SCHM"] },
+  { index: "Russell Midcap", symbols: ["IWR", "FSMDX"] },
+
+  { index: "FTSE Global All Cap ex US", symbols: ["VXUS", "VTIAX"] },
+  { index: "MSCI ACWI ex USA IMI", symbols: ["IXUS", "FTIHX"] },
+  { index: "MSCI ACWI ex USA", symbols: ["ACWX"] },
+  { index: "FTSE Developed All Cap ex US", symbols: ["VEA", "VTMGX"] },
+  { index: "FTSE Developed ex US", symbols: ["SCHF"] },
+  { index: "MSCI EAFE IMI", symbols: ["IEFA"] },
+  { index: "MSCI EAFE", symbols: ["EFA", "FSPSX", "SWISX"] },
+  { index: "FTSE Emerging Markets All Cap China A Inclusion", symbols: ["VWO", "VEMAX"] },
+  { index: "MSCI Emerging Markets IMI", symbols: ["IEMG"] },
+  { index: "MSCI Emerging Markets", symbols: ["EEM", "FPADX"] },
+  { index: "FTSE Emerging Markets", symbols: ["SCHE"] },
+
+  { index: "Bloomberg US Aggregate Float Adjusted", symbols: ["BND", "VBTLX"] },
+  { index: "Bloomberg US Aggregate", symbols: ["AGG", "SCHZ", "FXNAX", "SWAGX"] },
+  { index: "Bloomberg US Universal", symbols: ["IUSB"] },
+  { index: "Bloomberg Global Aggregate ex-USD Float Adjusted (hedged)", symbols: ["BNDX", "VTABX"] },
+  { index: "Bloomberg Global Aggregate ex-USD 10% Issuer Capped (hedged)", symbols: ["IAGG"] },
+  { index: "Bloomberg Global Treasury ex-US Capped", symbols: ["BWX"] },
+
+  { index: "MSCI US IMI Real Estate 25/50", symbols: ["VNQ", "VGSLX"] },
+  { index: "Dow Jones Equity All REIT Capped", symbols: ["SCHH"] },
+  { index: "Dow Jones US Real Estate", symbols: ["IYR"] },
+  { index: "Real Estate Select Sector", symbols: ["XLRE"] },
+];
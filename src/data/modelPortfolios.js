@@ -0,0 +1,48 @@
+/* ───────── bundled model portfolios ─────────
+   Reference allocations for the Benchmarks tab, in percent per asset class
+   of the default classification rules. Users can add their own in the tab
+   (stored locally). The target-date model is not listed here: it is built
+   from GLIDE_PATH and a retirement year by lib/benchmarks.js. */
+export const MODEL_PORTFOLIOS = [
+  {
+    id: "60-40", name: "60/40",
+    description: "The classic balanced portfolio: 60% US stocks, 40% US investment-grade bonds.",
+    weights: { "US Equity": 60, "US Bonds": 40 },
+  },
+  {
+    id: "global-60-40", name: "Global 60/40",
+    description: "60/40 with roughly market-weight international shares: 40% of the stocks and a quarter of the bonds abroad.",
+    weights: { "US Equity": 36, "Intl Equity": 24, "US Bonds": 30, "Intl Bonds": 10 },
+  },
+  {
+    id: "three-fund", name: "Three-fund (80/20)",
+    description: "Total US stock, total international stock (40% of stocks) and total US bond market funds.",
+    weights: { "US Equity": 48, "Intl Equity": 32, "US Bonds": 20 },
+  },
+  {
+    id: "growth", name: "Growth 90/10",
+    description: "Mostly stocks for a long horizon, with a small bond cushion.",
+    weights: { "US Equity": 54, "Intl Equity": 36, "US Bonds": 10 },
+  },
+  {
+    id: "conservative", name: "Conservative 30/70",
+    description: "Capital preservation: mostly bonds and cash, with some stocks for growth.",
+    weights: { "US Equity": 20, "Intl Equity": 10, "US Bonds": 60, "Cash": 10 },
+  },
+  {
+    id: "all-weather", name: "All-Weather",
+    description: "Risk-balanced: 30% stocks, 55% intermediate and long Treasuries, 15% gold and commodities (which classify as Other).",
+    weights: { "US Equity": 30, "US Bonds": 55, "Other": 15 },
+  },
+];
+
+/* Target-date glide path, close to the large fund families' series: the
+   stock share at a number of years from the retirement year (negative =
+   before), straight lines between the points and flat beyond the ends.
+   Stocks and bonds are split between US and international by the shares
+   below; there is no cash. */
+export const GLIDE_PATH = {
+  stocks: [[-25, 90], [0, 50], [7, 30]],
+  intlStockShare: 40,
+  intlBondShare: 30,
+};
@@ -0,0 +1,114 @@
+import { useState } from "react";
+import { detectAdapter, importPortfolio } from "../lib/adapters/index.js";
+import { readHeaders, guessMapping } from "../lib/adapters/generic.js";
+import { detectCostBasis, parseCostBasis } from "../lib/costBasis.js";
+import usePersistentState from "./usePersistentState.js";
+
+const IDLE = { done: [], waiting: [], blocked: [], errors: [] };
+
+/*
+  The import flow shared by the upload screen and the dashboard's "Add
+  files". Recognised exports import straight away; the others wait, one at
+  a time, for a column mapping. onImport gets [{ name, result }] for every
+  file once the last one is mapped or skipped. Files whose import report
+  has severity "error" are blocked; if any file failed or was blocked, the
+  rest are held until the user has seen why and chooses to continue.
+  Cost basis files (see lib/costBasis.js) come through as { name,
+  costBasis } instead; with requireHoldings they can't be loaded alone.
+*/
+export default function useFileImport(onImport, { requireHoldings = false } = {}) {
+  const [state, setState] = useState(IDLE);
+  const [savedMapping, setSavedMapping] = usePersistentState("importMapping", {});
+
+  const settle = (next) => {
+    if (!next.waiting.length && next.done.length && !next.errors.length && !next.blocked.length) {
+      setState(IDLE);
+      onImport(next.done);
+    } else {
+      setState(next);
+    }
+  };
+
+  // a file waiting for a column mapping, starting from the last mapping used when it fits
+  const needsMapping = (name, text, problem = null) => {
+    const { headers } = readHeaders(text);
+    if (headers.length === 0) throw new Error(problem || "Could not find a header row");
+    const reusable = Object.values(savedMapping).length > 0 && Object.values(savedMapping).every(h => headers.includes(h));
+    return { name, text, headers, initial: reusable ? savedMapping : guessMapping(headers), problem };
+  };
+
+  const processFiles = async (fileList) => {
+    const files = [...(fileList || [])];
+    setState(IDLE);
+    if (!files.length) return;
+    const next = { done: [], waiting: [], blocked: [], errors: [] };
+    for (const file of files) {
+      const label = files.length > 1 ? `${file.name}: ` : "";
+      if (!file.name.match(/\.(csv|txt)$/i)) {
+        next.errors.push(`${label}Please upload a .csv file`);
+        continue;
+      }
+      const text = await file.text();
+      try {
+        if (detectCostBasis(text)) {
+          next.done.push({ name: file.name, costBasis: parseCostBasis(text) });
+          continue;
+        }
+        const adapter = detectAdapter(text);
+        if (!adapter) {
+          next.waiting.push(needsMapping(file.name, text));
+          continue;
+        }
+        try {
+          const result = importPortfolio(text, { adapterId: adapter.id });
+          if (result.diagnostics.severity === "error") next.blocked.push({ name: file.name, text, diagnostics: result.diagnostics });
+          else next.done.push({ name: file.name, result });
+        } catch (err) {
+          next.waiting.push(needsMapping(file.name, text, `Parse error: ${err.message}`));
+        }
+      } catch (err) {
+        next.errors.push(`${label}Parse error: ${err.message}`);
+      }
+    }
+    if (requireHoldings && next.done.length && next.done.every(d => d.costBasis) && !next.waiting.length && !next.blocked.length) {
+      next.errors.push("Cost basis files add gains to a portfolio: upload them together with a positions export, or later with \"+ Add Files\".");
+      next.done = [];
+    }
+    settle(next);
+  };
+
+  const current = state.waiting[0] || null;
+
+  const applyMapping = (mapping) => {
+    try {
+      const result = importPortfolio(current.text, { adapterId: "generic", mapping });
+      const blocker = result.diagnostics.issues.find(i => i.severity === "error");
+      if (blocker) throw new Error(blocker.message);
+      setSavedMapping(mapping);
+      settle({ ...state, done: [...state.done, { name: current.name, result }], waiting: state.waiting.slice(1) });
+    } catch (err) {
+      setState({ ...state, waiting: [{ ...current, problem: `Parse error: ${err.message}` }, ...state.waiting.slice(1)] });
+    }
+  };
+
+  const skip = () => settle({ ...state, waiting: state.waiting.slice(1) });
+
+  // blocked files: map their columns by hand instead, or drop them
+  const remap = (name) => {
+    const file = state.blocked.find(b => b.name === name);
+    const blocked = state.blocked.filter(b => b !== file);
+    try {
+      const waiting = needsMapping(file.name, file.text, "The detected format gave an unusable import; map the columns by hand.");
+      setState({ ...state, blocked, waiting: [...state.waiting, waiting] });
+    } catch (err) {
+      setState({ ...state, blocked, errors: [...state.errors, `${file.name}: Parse error: ${err.message}`] });
+    }
+  };
+  const drop = (name) => settle({ ...state, blocked: state.blocked.filter(b => b.name !== name) });
+
+  const held = !current && state.done.length > 0 && (state.errors.length > 0 || state.blocked.length > 0) ? state.done.length : 0;
+  const proceed = () => { const { done } = state; setState(IDLE); onImport(done); };
+  const dismiss = () => setState(IDLE);
+
+  return { processFiles, current, applyMapping, skip, errors: state.errors, blocked: state.blocked, remap, drop, held, proceed, dismiss };
+}
@@ -0,0 +1,43 @@
+import { useCallback, useMemo, useSyncExternalStore } from "react";
+import { parseHash, buildHash } from "../lib/route.js";
+
+const listeners = new Set();
+const notify = () => listeners.forEach(l => l());
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  window.addEventListener("hashchange", listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener("hashchange", listener);
+  };
+};
+
+const getHash = () => window.location.hash;
+const getServerHash = () => "";
+
+/*
+  [route, navigate] for the URL hash. navigate(patch) merges `patch` into
+  the current route — { view } and/or params, where null removes a param —
+  and adds a history entry; pass { replace: true } for changes that should
+  not (e.g. each keystroke of a search box).
+*/
+export default function useHashRoute() {
+  const hash = useSyncExternalStore(subscribe, getHash, getServerHash);
+  const route = useMemo(() => parseHash(hash), [hash]);
+
+  const navigate = useCallback((patch, { replace = false } = {}) => {
+    const current = parseHash(window.location.hash);
+    const { view = current.view, ...params } = patch;
+    const next = buildHash({ view, params: { ...current.params, ...params } });
+    if (next === (window.location.hash || "#/")) return;
+    if (replace) {
+      window.history.replaceState(window.history.state, "", next);
+      notify(); // replaceState does not fire hashchange
+    } else {
+      window.location.hash = next;
+    }
+  }, []);
+
+  return [route, navigate];
+}
@@ -0,0 +1,15 @@
+import { useState, useEffect } from "react";
+import { loadJSON, saveJSON } from "../lib/storage.js";
+
+/* useState that survives reloads by mirroring itself into localStorage. */
+export default function usePersistentState(key, initial) {
+  const [value, setValue] = useState(() => {
+    const stored = loadJSON(key, undefined);
+    if (stored !== undefined) return stored;
+    return typeof initial === "function" ? initial() : initial;
+  });
+
+  useEffect(() => { saveJSON(key, value); }, [key, value]);
+
+  return [value, setValue];
+}
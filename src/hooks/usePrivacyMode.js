@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from "react";
+import { isPrivate, setPrivate, subscribePrivacy } from "../lib/privacy.js";
+
+/* [enabled, setEnabled] for privacy mode, shared by every component. */
+export default function usePrivacyMode() {
+  const enabled = useSyncExternalStore(subscribePrivacy, isPrivate, isPrivate);
+  return [enabled, setPrivate];
+}
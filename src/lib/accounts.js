@@ -0,0 +1,77 @@
+/* ───────── account parsing ─────────
+   Brokers pack several facts into one account label, e.g. Fidelity's
+   "John Doe - Traditional IRA - 4521089" or Schwab's "Roth Contributory
+   IRA ...456". parseAccount pulls them apart once, at import, so views can
+   group by owner or tax treatment without re-reading the string. */
+
+export const TAX_TREATMENTS = ["Pre-tax", "Roth", "Taxable", "HSA", "529"];
+
+const BROKERS = /^(fidelity|vanguard|schwab|charles schwab|e\*?trade|td ameritrade|merrill|morgan stanley|robinhood|interactive brokers)$/i;
+
+// account numbers: "4521089", "X12345678", "...456", "****1234", "Z01-234567".
+// Bare numbers need four digits or more, so plan codes ("529", "457") stay types.
+const NUMBER_PART = /^(?:(?:\.{2,}|\*+|x)\d{3,}|[A-Z]?\d(?:-?\d){3,})$/i;
+const TRAILING_NUMBER = /\s+((?:\.{2,}|\*+|x)\d{3,}|\d{4,})$/i;
+
+const TYPE_WORDS = /\b(ira|roth|401\(?k\)?|403\(?b\)?|457|hsa|529|brokerage|individual|joint|trust|espp|rollover|sep|simple|checking|savings|custodial|utma|ugma|cash management|pension|taxable)\b/i;
+
+/* Coarse kind used for badge colours; see ACCOUNT_KIND_COLORS in format.js. */
+const accountKind = (t) => {
+  if (/roth/.test(t)) return "roth";
+  if (/traditional|\btrad\b|rollover|\bsep\b|simple|\bira\b/.test(t)) return "traditional";
+  if (/401\(?k|403\(?b|457|pension/.test(t)) return "workplace";
+  if (/hsa|health savings/.test(t)) return "hsa";
+  if (/529/.test(t)) return "529";
+  if (/trust/.test(t)) return "trust";
+  if (/espp/.test(t)) return "espp";
+  if (/checking|savings/.test(t)) return "bank";
+  return "taxable";
+};
+
+const TREATMENT_BY_KIND = {
+  roth: "Roth",
+  traditional: "Pre-tax",
+  workplace: "Pre-tax",
+  hsa: "HSA",
+  529: "529",
+};
+
+/* → { owner, accountType, accountKind, taxTreatment, accountNumber } */
+export const parseAccount = (account) => {
+  let parts = (account || "").split(" - ").map(p => p.trim()).filter(Boolean);
+  let accountNumber = "";
+
+  if (parts.length > 1 && NUMBER_PART.test(parts[parts.length - 1])) {
+    accountNumber = parts.pop();
+  } else if (parts.length) {
+    const m = parts[parts.length - 1].match(TRAILING_NUMBER);
+    if (m) {
+      accountNumber = m[1];
+      parts[parts.length - 1] = parts[parts.length - 1].slice(0, m.index).trim();
+    }
+  }
+  if (parts.length && BROKERS.test(parts[0])) parts = parts.slice(1);
+
+  let owner = "";
+  let accountType = "";
+  if (parts.length >= 2) {
+    owner = parts[0];
+    accountType = parts.slice(1).join(" - ");
+  } else if (parts.length === 1) {
+    if (TYPE_WORDS.test(parts[0])) accountType = parts[0];
+    else owner = parts[0];
+  }
+
+  const kind = accountKind(`${accountType || account || ""}`.toLowerCase());
+  return {
+    owner,
+    accountType: accountType || "Account",
+    accountKind: kind,
+    taxTreatment: TREATMENT_BY_KIND[kind] || "Taxable",
+    accountNumber,
+  };
+};
+
+/* Adds the parsed account fields to holdings saved before they existed. */
+export const withAccountFields = (holdings) =>
+  holdings.map(h => (h.taxTreatment ? h : { ...h, ...parseAccount(h.account) }));
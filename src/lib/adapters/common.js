@@ -0,0 +1,78 @@
+import Papa from "papaparse";
+import { shortenAccount } from "../format.js";
+import { getAssetClassFromCSV } from "../classify.js";
+import { parseAccount } from "../accounts.js";
+
+/* ───────── shared adapter helpers ───────── */
+export const splitLines = (text) => text.split(/\r?\n/);
+
+// Clean CSV values (remove placeholder text)
+export const cleanValue = (v) => (v || "").replace(/- -|--|N\/A|n\/a/gi, "").trim();
+
+// Parse lines[start, end) as a CSV table whose first line is the header.
+export const parseTable = (lines, start, end = lines.length) =>
+  Papa.parse(lines.slice(start, end).join("\n"), { header: true, skipEmptyLines: true }).data;
+
+// Case-insensitive column lookup: exact header first, then prefix, then substring,
+// so "Price" does not pick up "Price Change %" when both exist.
+export const fieldGetter = (row) => {
+  const keys = Object.keys(row).map(k => [k, k.trim().toLowerCase()]);
+  return (partial) => {
+    const p = partial.toLowerCase();
+    const hit = keys.find(([, k]) => k === p) || keys.find(([, k]) => k.startsWith(p)) || keys.find(([, k]) => k.includes(p));
+    return hit ? (row[hit[0]] || "").trim() : "";
+  };
+};
+
+/*
+  Notes an adapter keeps while parsing, for the import report (see
+  lib/diagnostics.js): rows it skipped and why, and values it inferred.
+  Entries are { symbol, desc, account, ... }; `expected` marks skipped lines
+  that are never positions (totals, disclaimers, blank rows).
+*/
+export const createNotes = () => ({ skipped: [], inferred: [] });
+
+// "VTI", "BRK.B", "912828YK0" — not "Pending Activity" or a disclaimer sentence
+export const looksLikeTicker = (s) => /^[A-Z0-9][A-Z0-9.\-/*]{0,11}$/i.test(s || "");
+
+/*
+  The row's value, or Quantity × Price (quantity alone for $1 money-market
+  funds) when the file leaves it blank. Inferred values are noted.
+*/
+export const inferValue = ({ value, qty, price, cashLike = false }, notes, row) => {
+  if (value !== 0 || qty <= 0) return value;
+  if (price > 0) {
+    notes.inferred.push({ ...row, how: "quantity × price" });
+    return qty * price;
+  }
+  if (cashLike) {
+    notes.inferred.push({ ...row, how: "quantity of a $1 money-market fund" });
+    return qty;
+  }
+  return value;
+};
+
+/* Normalise one position into the holding shape every view consumes. */
+export const makeHolding = ({ symbol, desc, account, type, morningstar = "", stockStyle = "", bondStyle = "", qty = 0, price = 0, value = 0, weight = "" }) => {
+  const displaySymbol = symbol || (type === "Cash" ? "CASH" : (desc || "").substring(0, 8) || "OTHER");
+  const cleanMorningstar = cleanValue(morningstar);
+  const cleanType = cleanValue(type);
+  const cleanStockStyle = cleanValue(stockStyle);
+  const cleanBondStyle = cleanValue(bondStyle);
+  const cleanDesc = cleanValue(desc);
+
+  return {
+    symbol: displaySymbol,
+    desc: cleanDesc || displaySymbol,
+    account,
+    accountShort: shortenAccount(account),
+    ...parseAccount(account),
+    type: cleanType || "Other",
+    morningstar: cleanMorningstar,
+    stockStyle: cleanStockStyle,
+    bondStyle: cleanBondStyle,
+    qty, price, value,
+    weight,
+    assetClass: getAssetClassFromCSV({ morningstar: cleanMorningstar, type: cleanType, stockStyle: cleanStockStyle, bondStyle: cleanBondStyle, desc: cleanDesc }),
+  };
+};
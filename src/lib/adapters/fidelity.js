@@ -0,0 +1,70 @@
+import { parseVal } from "../format.js";
+import { splitLines, parseTable, fieldGetter, makeHolding, createNotes, inferValue, looksLikeTicker } from "./common.js";
+
+/* ───────── Fidelity Guided Portfolio Summary (GPS) ─────────
+   "As of date:" preamble, then one table with Morningstar/style columns
+   and a Portfolio Weight per row, followed by disclaimer lines. */
+const fidelityGps = {
+  id: "fidelity-gps",
+  label: "Fidelity GPS",
+  detect: (lines) => lines.some(l => /Symbol\s*,/i.test(l) && /Portfolio Weight|Morningstar/i.test(l)),
+
+  parse: (text) => {
+    const lines = splitLines(text);
+    let headerIdx = -1;
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].match(/Symbol\s*,/i)) { headerIdx = i; break; }
+    }
+    if (headerIdx === -1) throw new Error("Could not find header row with 'Symbol' column");
+
+    let asOfDate = "";
+    for (let i = 0; i < headerIdx; i++) {
+      const m = lines[i].match(/As of date:\s*(.+?)(?:,|$)/i);
+      if (m) { asOfDate = m[1].trim(); break; }
+    }
+
+    const holdings = [];
+    const notes = createNotes();
+    for (const row of parseTable(lines, headerIdx)) {
+      const get = fieldGetter(row);
+
+      const symbol = get("Symbol");
+      const desc = get("Description");
+      const account = get("Account");
+      const type = get("Investment Type");
+      const morningstar = get("Morningstar");
+      const label = { symbol, desc, account };
+      const qty = parseVal(get("Quantity"));
+      const price = parseVal(get("Price"));
+
+      if (desc.toLowerCase().includes("data and information")) {
+        notes.skipped.push({ ...label, reason: "Disclaimer line", expected: true });
+        continue;
+      }
+      const value = inferValue({
+        value: parseVal(get("Total Value")), qty, price,
+        cashLike: morningstar.includes("Money Market") || type === "Cash",
+      }, notes, label);
+      if (value <= 0 && !type) {
+        notes.skipped.push({ ...label, reason: "No value and no investment type", expected: !looksLikeTicker(symbol) });
+        continue;
+      }
+
+      holdings.push(makeHolding({
+        symbol,
+        desc,
+        account,
+        type,
+        morningstar,
+        stockStyle: get("Stock Style"),
+        bondStyle: get("Bond Style"),
+        qty, price, value,
+        weight: get("Portfolio Weight"),
+      }));
+    }
+
+    return { holdings, asOfDate, notes, weightBasis: "portfolio" };
+  },
+};
+
+export default fidelityGps;
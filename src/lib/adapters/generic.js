@@ -0,0 +1,88 @@
+import Papa from "papaparse";
+import { parseVal } from "../format.js";
+import { splitLines, parseTable, makeHolding, createNotes, inferValue } from "./common.js";
+
+/* ───────── generic "map your columns" CSV ─────────
+   Never auto-detected: the upload screen falls back to it when no broker
+   adapter recognises the file, and asks the user which column is which. */
+export const GENERIC_FIELDS = [
+  { key: "symbol", label: "Symbol", guess: /symbol|ticker/i },
+  { key: "desc", label: "Description", guess: /desc|name|security/i },
+  { key: "account", label: "Account", guess: /account|acct/i },
+  { key: "type", label: "Type / Category", guess: /type|class|category/i },
+  { key: "qty", label: "Quantity", guess: /quantity|shares|qty|units/i },
+  { key: "price", label: "Price", guess: /^price$|last price|share price|^price\b/i },
+  { key: "value", label: "Value", guess: /value|market|balance|amount/i },
+];
+
+/* The header is taken to be the first of the opening lines with three or more cells. */
+export const readHeaders = (text) => {
+  const lines = splitLines(text);
+  for (let i = 0; i < Math.min(lines.length, 30); i++) {
+    const cells = Papa.parse(lines[i]).data[0] || [];
+    const headers = cells.map(c => c.trim()).filter(Boolean);
+    if (headers.length >= 3) return { headerIdx: i, headers: cells.map(c => c.trim()) };
+  }
+  return { headerIdx: -1, headers: [] };
+};
+
+export const guessMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+  GENERIC_FIELDS.forEach(f => {
+    const h = headers.find(h => h && !used.has(h) && f.guess.test(h));
+    if (h) { mapping[f.key] = h; used.add(h); }
+  });
+  return mapping;
+};
+
+/* Returns an error message, or null when the mapping is usable. */
+export const validateMapping = (mapping) => {
+  if (!mapping.symbol && !mapping.desc) return "Map a Symbol or Description column";
+  if (!mapping.value && !(mapping.qty && mapping.price)) return "Map a Value column, or both Quantity and Price";
+  return null;
+};
+
+const genericCsv = {
+  id: "generic",
+  label: "Generic CSV",
+  detect: () => false,
+
+  parse: (text, { mapping = {} } = {}) => {
+    const problem = validateMapping(mapping);
+    if (problem) throw new Error(problem);
+    const { headerIdx } = readHeaders(text);
+    if (headerIdx === -1) throw new Error("Could not find a header row");
+
+    const holdings = [];
+    const notes = createNotes();
+    for (const row of parseTable(splitLines(text), headerIdx)) {
+      const get = (key) => (mapping[key] ? (row[mapping[key]] || "").trim() : "");
+      const label = { symbol: get("symbol"), desc: get("desc"), account: get("account") || "Imported" };
+      if (!label.symbol && !label.desc) {
+        notes.skipped.push({ ...label, reason: "No symbol or description", expected: true });
+        continue;
+      }
+      if (/^(account |grand )?totals?:?$/i.test(label.symbol || label.desc)) {
+        notes.skipped.push({ ...label, reason: "Total line", expected: true });
+        continue;
+      }
+      const qty = parseVal(get("qty"));
+      const price = parseVal(get("price"));
+      const value = inferValue({ value: parseVal(get("value")), qty, price }, notes, label);
+      if (value <= 0) {
+        notes.skipped.push({ ...label, reason: "Zero or missing value", expected: false });
+        continue;
+      }
+
+      holdings.push(makeHolding({
+        ...label,
+        type: get("type"),
+        qty, price, value,
+      }));
+    }
+    return { holdings, asOfDate: "", notes, weightBasis: null };
+  },
+};
+
+export default genericCsv;
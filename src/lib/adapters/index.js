@@ -0,0 +1,35 @@
+import { splitLines } from "./common.js";
+import vanguard from "./vanguard.js";
+import schwab from "./schwab.js";
+import fidelityGps from "./fidelity.js";
+import genericCsv from "./generic.js";
+import { diagnoseImport } from "../diagnostics.js";
+
+/* ───────── broker import adapters ─────────
+   Each adapter is { id, label, detect(lines) → bool, parse(text, options) →
+   { holdings, asOfDate } } and maps its broker's columns into the shared
+   holding shape (see makeHolding). Detection runs in list order, so the
+   stricter formats come before the looser ones. */
+export const ADAPTERS = [vanguard, schwab, fidelityGps, genericCsv];
+
+export const getAdapter = (id) => ADAPTERS.find(a => a.id === id) || null;
+
+export const detectAdapter = (text) => {
+  const lines = splitLines(text);
+  return ADAPTERS.find(a => a.detect(lines)) || null;
+};
+
+/*
+  Parse an export with the named adapter, or the auto-detected one.
+  Throws when nothing recognises the file; callers fall back to the
+  generic adapter with a user-supplied column mapping. `diagnostics` is the
+  import report (lib/diagnostics.js); callers should not load a file whose
+  severity is "error".
+*/
+export const importPortfolio = (text, { adapterId, mapping } = {}) => {
+  const adapter = adapterId ? getAdapter(adapterId) : detectAdapter(text);
+  if (!adapter) throw new Error("Unrecognised file format");
+  const result = adapter.parse(text, { mapping });
+  if (result.holdings.length === 0) throw new Error("No holdings found in CSV");
+  return { ...result, adapter: { id: adapter.id, label: adapter.label }, diagnostics: diagnoseImport(result) };
+};
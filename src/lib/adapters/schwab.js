@@ -0,0 +1,83 @@
+import { parseVal } from "../format.js";
+import { splitLines, parseTable, fieldGetter, makeHolding, createNotes, inferValue, looksLikeTicker } from "./common.js";
+
+/* ───────── Schwab positions export ─────────
+   Starts with a quoted title ("Positions for account Individual ...123 as of
+   04:10 PM ET, 02/15/2026"). Single-account files hold one table; the
+   all-accounts export repeats an account-name line, a header and an
+   "Account Total" footer per account. Money is "$1,234.56" and cash shows
+   up as a "Cash & Cash Investments" row with "--" placeholders. */
+const TITLE_RE = /^\s*"?Positions for (?:account )?(.+?) as of ([^"]+)"?/i;
+
+const isHeader = (line) => /^\s*"?Symbol"?\s*,\s*"?Description"?/i.test(line) && /Market Value|Mkt Val/i.test(line);
+
+// a line holding exactly one non-empty cell, e.g. "Roth Contributory IRA ...456"
+const singleCell = (line) => {
+  const cells = line.split(",").map(c => c.replace(/"/g, "").trim()).filter(Boolean);
+  return cells.length === 1 ? cells[0] : null;
+};
+
+const schwab = {
+  id: "schwab",
+  label: "Schwab",
+  detect: (lines) => lines.slice(0, 5).some(l => TITLE_RE.test(l)) || lines.some(isHeader),
+
+  parse: (text) => {
+    const lines = splitLines(text);
+    const holdings = [];
+    const notes = createNotes();
+    let asOfDate = "";
+    let account = "";
+
+    for (let i = 0; i < lines.length; i++) {
+      const title = lines[i].match(TITLE_RE);
+      if (title) {
+        asOfDate = title[2].split(",").pop().trim();
+        if (!/all-accounts/i.test(title[1])) account = title[1].trim();
+        continue;
+      }
+      if (!isHeader(lines[i])) {
+        const name = singleCell(lines[i]);
+        if (name && i + 1 < lines.length && isHeader(lines[i + 1])) account = name;
+        continue;
+      }
+
+      let end = i + 1;
+      while (end < lines.length && lines[end].trim() !== "" && !isHeader(lines[end])) end++;
+
+      for (const row of parseTable(lines, i, end)) {
+        const get = fieldGetter(row);
+        const rawSymbol = get("Symbol");
+        const label = { symbol: rawSymbol, desc: get("Description"), account: account ? `Schwab - ${account}` : "Schwab" };
+        if (/account total/i.test(rawSymbol)) {
+          notes.skipped.push({ ...label, reason: "Account total line", expected: true });
+          continue;
+        }
+
+        const isCash = /cash/i.test(rawSymbol) || /cash|money market/i.test(get("Security Type"));
+        const qty = parseVal(get("Quantity")) || parseVal(get("Qty"));
+        const price = parseVal(get("Price"));
+        const value = inferValue({ value: parseVal(get("Market Value")) || parseVal(get("Mkt Val")), qty, price }, notes, label);
+        if (value <= 0) {
+          notes.skipped.push({ ...label, reason: "Zero or missing market value", expected: !looksLikeTicker(rawSymbol) && !isCash });
+          continue;
+        }
+
+        holdings.push(makeHolding({
+          symbol: /cash/i.test(rawSymbol) ? "CASH" : rawSymbol,
+          desc: /cash/i.test(rawSymbol) ? "Cash & Cash Investments" : get("Description"),
+          account: label.account,
+          type: isCash ? "Cash" : get("Security Type"),
+          qty, price, value,
+          weight: get("% Of Account") || get("% of Acct"),
+        }));
+      }
+      i = end - 1;
+    }
+
+    if (holdings.length === 0) throw new Error("No positions found in Schwab export");
+    return { holdings, asOfDate, notes, weightBasis: "account" };
+  },
+};
+
+export default schwab;
@@ -0,0 +1,57 @@
+import { parseVal } from "../format.js";
+import { splitLines, parseTable, fieldGetter, makeHolding, createNotes, inferValue, looksLikeTicker } from "./common.js";
+
+/* ───────── Vanguard downloaded positions ─────────
+   One or more "Account Number,Investment Name,Symbol,Shares,Share Price,
+   Total Value" blocks, each ending at a blank line; a transactions block
+   with a different header usually follows and is ignored. Plain numbers
+   and no category columns. Most downloads identify accounts only by
+   number; an "Account Name" or "Account Type" column, when there is one,
+   supplies the type ("Roth IRA", "401(k)") that the tax treatment comes
+   from. Without it the import report flags the tax treatment as unknown. */
+const HEADER_RE = /^\s*"?Account Number"?\s*,\s*"?Investment Name"?\s*,\s*"?Symbol"?\s*,\s*"?Shares"?/i;
+
+const vanguard = {
+  id: "vanguard",
+  label: "Vanguard",
+  detect: (lines) => lines.some(l => HEADER_RE.test(l)),
+
+  parse: (text) => {
+    const lines = splitLines(text);
+    const holdings = [];
+    const notes = createNotes();
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!HEADER_RE.test(lines[i])) continue;
+      let end = i + 1;
+      while (end < lines.length && lines[end].replace(/[,\s]/g, "") !== "") end++;
+
+      for (const row of parseTable(lines, i, end)) {
+        const get = fieldGetter(row);
+        const acctNum = get("Account Number");
+        const acctType = get("Account Type") || get("Account Name");
+        const account = ["Vanguard", acctType, acctNum].filter(Boolean).join(" - ");
+        const label = { symbol: get("Symbol"), desc: get("Investment Name"), account };
+        const qty = parseVal(get("Shares"));
+        const price = parseVal(get("Share Price"));
+        const value = inferValue({ value: parseVal(get("Total Value")), qty, price }, notes, label);
+        if (value <= 0) {
+          notes.skipped.push({ ...label, reason: "Zero or missing value", expected: !looksLikeTicker(label.symbol) && !label.desc });
+          continue;
+        }
+
+        holdings.push(makeHolding({
+          ...label,
+          type: "",
+          qty, price, value,
+        }));
+      }
+      i = end;
+    }
+
+    if (holdings.length === 0) throw new Error("No positions found in Vanguard export");
+    return { holdings, asOfDate: "", notes, weightBasis: null };
+  },
+};
+
+export default vanguard;
@@ -0,0 +1,109 @@
+/* ───────── headless portfolio analytics ─────────
+   The grouping and summary figures behind the dashboard, free of React so
+   they can run in tests, the CLI (bin/portfolio-report.js) or any script:
+
+     import { analyzePortfolio } from "./src/lib/analytics.js";
+     const a = analyzePortfolio(csvText);
+     a.total, a.metrics.stockPct, a.groups.assetClass[0].name, …
+
+   Every group list is [{ name, items, value }] (items are holdings), sorted
+   by value unless noted. Holdings are the shape built by
+   adapters/common.js makeHolding. */
+import { importPortfolio } from "./adapters/index.js";
+import { TAX_TREATMENTS } from "./accounts.js";
+import { DEFAULT_RULES, classifyHoldings } from "./classify.js";
+import { groupHoldings } from "./families.js";
+import { withExpenseRatios, feeSummary } from "./fees.js";
+import { lookThrough } from "./lookthrough.js";
+import { sumValues, groupBy } from "./groups.js";
+
+// part of the headless API (see the README), kept dependency-free in groups.js
+export { sumValues, groupBy };
+
+/* ───────── class families (labelled and looked-through names) ───────── */
+export const EQUITY_CLASSES = ["US Equity", "Intl Equity", "Intl Developed", "Emerging Markets"];
+export const INTL_EQUITY_CLASSES = ["Intl Equity", "Intl Developed", "Emerging Markets"];
+export const BOND_CLASSES = ["US Bonds", "Intl Bonds", "Fixed Income", "Bonds"];
+
+export const groupByAssetClass = (holdings) => groupBy(holdings, h => h.assetClass);
+
+/* One group per account, named by its short label; also { account, accountKind }. */
+export const groupByAccount = (holdings) =>
+  groupBy(holdings, h => h.accountShort, h => ({ account: h.account, accountKind: h.accountKind }));
+
+export const groupByOwner = (holdings) => groupBy(holdings, h => h.owner || "Unassigned");
+
+/* In TAX_TREATMENTS order rather than by value — it reads better for planning. */
+export const groupByTaxTreatment = (holdings) => {
+  const groups = groupBy(holdings, h => h.taxTreatment);
+  return TAX_TREATMENTS.map(t => groups.find(g => g.name === t)).filter(Boolean);
+};
+
+/*
+  Headline figures. `exposed` is the list used for asset-class splits —
+  pass lookThrough(holdings) to split funds into their underlying classes.
+  Percentages are unrounded numbers (0 when their base is empty):
+    stockPct / bondPct   share of equity + bonds ("invested")
+    usPct / intlPct      share of equity
+    cashPct              share of the total
+*/
+export const portfolioMetrics = (holdings, exposed = holdings) => {
+  const byClass = {};
+  exposed.forEach(h => { byClass[h.assetClass] = (byClass[h.assetClass] || 0) + h.value; });
+  const classValue = (names) => names.reduce((s, n) => s + (byClass[n] || 0), 0);
+
+  const total = sumValues(holdings);
+  const equityVal = classValue(EQUITY_CLASSES);
+  const bondVal = classValue(BOND_CLASSES);
+  const cashVal = classValue(["Cash"]);
+  const usEq = classValue(["US Equity"]);
+  const intlEq = classValue(INTL_EQUITY_CLASSES);
+  const invested = equityVal + bondVal;
+  const individualStocks = sumValues(holdings.filter(h => h.type === "Equity"));
+  const share = (v, base) => (base > 0 ? v / base * 100 : 0);
+  return {
+    total, equityVal, bondVal, cashVal, usEq, intlEq, invested, individualStocks,
+    fees: feeSummary(holdings),
+    stockPct: share(equityVal, invested),
+    bondPct: share(bondVal, invested),
+    usPct: share(usEq, equityVal),
+    intlPct: share(intlEq, equityVal),
+    cashPct: share(cashVal, total),
+  };
+};
+
+/*
+  Parse a brokerage CSV and compute everything the dashboard shows.
+  options:
+    adapterId, mapping      as for importPortfolio (default: auto-detect)
+    rules, overrides        classification rules and per-symbol pins
+    expenseRatios           { SYMBOL: percent } on top of the bundled table
+    lookThrough             true to split funds into underlying classes
+                            (or a compositions override object)
+  → { holdings, asOfDate, adapter, diagnostics, total, metrics,
+      groups: { assetClass, account, owner, taxTreatment, holding } }
+  Throws like importPortfolio when the file can't be read.
+*/
+export const analyzePortfolio = (text, options = {}) => {
+  const { adapterId, mapping, rules = DEFAULT_RULES, overrides = {}, expenseRatios = {} } = options;
+  const imported = importPortfolio(text, { adapterId, mapping });
+  const holdings = withExpenseRatios(classifyHoldings(imported.holdings, rules, overrides), expenseRatios);
+  return { ...imported, ...analyzeHoldings(holdings, options) };
+};
+
+/* The analysis part of analyzePortfolio, for holdings you already have. */
+export const analyzeHoldings = (holdings, { lookThrough: compositions = false } = {}) => {
+  const exposed = compositions ? lookThrough(holdings, compositions === true ? {} : compositions) : holdings;
+  return {
+    holdings,
+    total: sumValues(holdings),
+    metrics: portfolioMetrics(holdings, exposed),
+    groups: {
+      assetClass: groupByAssetClass(exposed),
+      account: groupByAccount(holdings),
+      owner: groupByOwner(holdings),
+      taxTreatment: groupByTaxTreatment(holdings),
+      holding: groupHoldings(holdings),
+    },
+  };
+};
@@ -0,0 +1,168 @@
+/* ───────── asset location ─────────
+   Scores where each asset class sits (pre-tax, Roth, taxable, HSA, 529)
+   against ranked preferences, and proposes equal-dollar swaps between
+   accounts that move assets toward better locations without changing the
+   household's overall allocation.
+
+   The "ideal" placement keeps each tax bucket's current size (money can't
+   move between buckets) and fills buckets category by category, in
+   preference-list order, each taking its best-ranked bucket first. */
+import { TAX_TREATMENTS } from "./accounts.js";
+
+// Listed in priority order: earlier categories get first pick of space.
+// Categories with an empty ranking (cash) are left where they are.
+export const DEFAULT_LOCATION_PREFS = [
+  { category: "US Bonds", order: ["Pre-tax", "HSA", "Roth", "529", "Taxable"] },
+  { category: "Intl Bonds", order: ["Pre-tax", "HSA", "Roth", "529", "Taxable"] },
+  { category: "REITs", order: ["Pre-tax", "Roth", "HSA", "529", "Taxable"] },
+  { category: "Growth Equity", order: ["Roth", "HSA", "Taxable", "529", "Pre-tax"] },
+  { category: "Intl Equity", order: ["Taxable", "Roth", "HSA", "529", "Pre-tax"] },
+  { category: "US Equity", order: ["Taxable", "Roth", "HSA", "529", "Pre-tax"] },
+  { category: "Cash", order: [] },
+];
+
+/* Growth-style equity is located separately from broad index equity. */
+export const locationCategory = (h) => {
+  if (/equity/i.test(h.assetClass) && /growth/i.test(h.stockStyle || "")) return "Growth Equity";
+  if (/reit|real estate/i.test(`${h.assetClass} ${h.morningstar || ""}`)) return "REITs";
+  return h.assetClass;
+};
+
+const cellKey = (cat, bucket) => `${cat}|${bucket}`;
+
+/*
+  → {
+      score,            0–100, share of ranked dollars already in their ideal bucket
+      misplaced,        dollars outside their ideal bucket
+      scored,           dollars that have a ranking
+      categories, buckets,
+      actual, ideal,    { "cat|bucket": dollars }
+      accounts,         [{ account, accountKind, taxTreatment, value, misplaced, items: [{ category, amount }] }]
+      swaps,            [{ amount, a: { account, sell, buy }, b: { account, sell, buy } }]
+    }
+*/
+export const analyzeLocation = (holdings, prefs = DEFAULT_LOCATION_PREFS, { minSwap = 100 } = {}) => {
+  const ranked = new Map(prefs.filter(p => p.order.length).map(p => [p.category, p.order]));
+  const buckets = TAX_TREATMENTS.filter(t => holdings.some(h => h.taxTreatment === t));
+
+  const actual = {};
+  const bucketTotals = {};
+  const catTotals = {};
+  holdings.forEach(h => {
+    const cat = locationCategory(h);
+    const k = cellKey(cat, h.taxTreatment);
+    actual[k] = (actual[k] || 0) + h.value;
+    bucketTotals[h.taxTreatment] = (bucketTotals[h.taxTreatment] || 0) + h.value;
+    catTotals[cat] = (catTotals[cat] || 0) + h.value;
+  });
+  const categories = [
+    ...prefs.map(p => p.category).filter(c => catTotals[c]),
+    ...Object.keys(catTotals).filter(c => !prefs.some(p => p.category === c)).sort(),
+  ];
+
+  // Unranked categories stay put; ranked ones share what is left of each bucket.
+  const ideal = {};
+  const capacity = { ...bucketTotals };
+  categories.filter(c => !ranked.has(c)).forEach(c => buckets.forEach(b => {
+    const v = actual[cellKey(c, b)] || 0;
+    if (v) { ideal[cellKey(c, b)] = v; capacity[b] -= v; }
+  }));
+  prefs.filter(p => ranked.has(p.category) && catTotals[p.category]).forEach(p => {
+    let left = catTotals[p.category];
+    const order = [...p.order, ...buckets.filter(b => !p.order.includes(b))];
+    for (const b of order) {
+      if (left <= 0) break;
+      const take = Math.min(left, capacity[b] || 0);
+      if (take <= 0) continue;
+      ideal[cellKey(p.category, b)] = (ideal[cellKey(p.category, b)] || 0) + take;
+      capacity[b] -= take;
+      left -= take;
+    }
+  });
+
+  const excess = {};
+  const deficit = {};
+  let misplaced = 0;
+  let scored = 0;
+  categories.forEach(c => buckets.forEach(b => {
+    const k = cellKey(c, b);
+    const d = (actual[k] || 0) - (ideal[k] || 0);
+    if (ranked.has(c)) scored += actual[k] || 0;
+    if (d > 0.005) { excess[k] = d; if (ranked.has(c)) misplaced += d; }
+    if (d < -0.005) deficit[k] = -d;
+  }));
+
+  // Attribute each excess cell to the accounts holding it, pro rata.
+  const byAccount = {};
+  holdings.forEach(h => {
+    if (!byAccount[h.account]) byAccount[h.account] = { account: h.account, accountKind: h.accountKind, taxTreatment: h.taxTreatment, value: 0, misplaced: 0, items: {} };
+    byAccount[h.account].value += h.value;
+  });
+  holdings.forEach(h => {
+    const cat = locationCategory(h);
+    const k = cellKey(cat, h.taxTreatment);
+    if (!excess[k] || !ranked.has(cat)) return;
+    const share = h.value / actual[k] * excess[k];
+    const a = byAccount[h.account];
+    a.misplaced += share;
+    a.items[cat] = (a.items[cat] || 0) + share;
+  });
+  const accounts = Object.values(byAccount)
+    .map(a => ({ ...a, items: Object.entries(a.items).map(([category, amount]) => ({ category, amount })).sort((x, y) => y.amount - x.amount) }))
+    .sort((x, y) => y.misplaced - x.misplaced);
+
+  const swaps = proposeSwaps(holdings, excess, deficit, minSwap);
+
+  return {
+    score: scored > 0 ? Math.round((1 - misplaced / scored) * 100) : 100,
+    misplaced, scored, categories, buckets, actual, ideal, accounts, swaps,
+  };
+};
+
+/*
+  Pair category A sitting in bucket X (but wanted in Y) with category B
+  sitting in Y (but wanted in X). Account 1 (in X) sells A and buys B;
+  account 2 (in Y) sells B and buys A — same dollars both ways, so the
+  household allocation is unchanged.
+*/
+const proposeSwaps = (holdings, excess, deficit, minSwap) => {
+  const ex = { ...excess };
+  const de = { ...deficit };
+  // remaining value per position, largest first per (category, bucket)
+  const positions = {};
+  holdings.forEach(h => {
+    const k = cellKey(locationCategory(h), h.taxTreatment);
+    if (!positions[k]) positions[k] = [];
+    positions[k].push({ h, left: h.value });
+  });
+  Object.values(positions).forEach(list => list.sort((a, b) => b.left - a.left));
+
+  const swaps = [];
+  const keys = Object.keys(ex).sort((a, b) => ex[b] - ex[a]);
+  for (const kAX of keys) {
+    const [A, X] = kAX.split("|");
+    for (const kBY of keys) {
+      if (kBY === kAX) continue;
+      const [B, Y] = kBY.split("|");
+      if (B === A || Y === X) continue;
+      const kAY = cellKey(A, Y);
+      const kBX = cellKey(B, X);
+      for (;;) {
+        const pA = (positions[kAX] || []).find(p => p.left >= minSwap);
+        const pB = (positions[kBY] || []).find(p => p.left >= minSwap);
+        if (!pA || !pB) break;
+        const amount = Math.min(ex[kAX] || 0, ex[kBY] || 0, de[kAY] || 0, de[kBX] || 0, pA.left, pB.left);
+        if (amount < minSwap) break;
+        swaps.push({
+          amount,
+          a: { account: pA.h.account, accountKind: pA.h.accountKind, taxTreatment: X, sell: pA.h.symbol, sellCategory: A, buy: pB.h.symbol, buyCategory: B },
+          b: { account: pB.h.account, accountKind: pB.h.accountKind, taxTreatment: Y, sell: pB.h.symbol, sellCategory: B, buy: pA.h.symbol, buyCategory: A },
+        });
+        pA.left -= amount; pB.left -= amount;
+        ex[kAX] -= amount; ex[kBY] -= amount;
+        de[kAY] -= amount; de[kBX] -= amount;
+      }
+    }
+  }
+  return swaps;
+};
@@ -0,0 +1,106 @@
+/* ───────── model portfolio benchmarks ─────────
+   Compares the actual asset-class mix with a reference model: bundled
+   ones (data/modelPortfolios.js), a target-date glide path for a given
+   retirement year, or the user's own. Weights are percent per class. */
+import { MODEL_PORTFOLIOS, GLIDE_PATH } from "../data/modelPortfolios.js";
+import { EQUITY_CLASSES, INTL_EQUITY_CLASSES, BOND_CLASSES } from "./analytics.js";
+import { ASSET_CLASSES } from "./rebalance.js";
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/* Stock share on the glide path `yearsFromRetirement` away (negative = before). */
+export const glideStockPct = (yearsFromRetirement, path = GLIDE_PATH) => {
+  const pts = path.stocks;
+  if (yearsFromRetirement <= pts[0][0]) return pts[0][1];
+  for (let i = 1; i < pts.length; i++) {
+    const [x0, y0] = pts[i - 1];
+    const [x1, y1] = pts[i];
+    if (yearsFromRetirement <= x1) return y0 + (y1 - y0) * (yearsFromRetirement - x0) / (x1 - x0);
+  }
+  return pts[pts.length - 1][1];
+};
+
+/* The target-date model for `retirementYear`, as of `year`. */
+export const targetDateModel = (retirementYear, year = new Date().getFullYear(), path = GLIDE_PATH) => {
+  const stocks = glideStockPct(year - retirementYear, path);
+  const bonds = 100 - stocks;
+  const intlStocks = round1(stocks * path.intlStockShare / 100);
+  const intlBonds = round1(bonds * path.intlBondShare / 100);
+  return {
+    id: "target-date",
+    name: `Target ${retirementYear}`,
+    description: `Target-date glide path: ${stocks.toFixed(0)}% stocks in ${year}, easing to ${path.stocks[1][1]}% at retirement and ${path.stocks[path.stocks.length - 1][1]}% ${path.stocks[path.stocks.length - 1][0]} years later.`,
+    weights: {
+      "US Equity": round1(stocks - intlStocks), "Intl Equity": intlStocks,
+      "US Bonds": round1(bonds - intlBonds), "Intl Bonds": intlBonds,
+    },
+  };
+};
+
+/* Every model to choose from: the bundled ones, the target-date path, then the user's. */
+export const allModels = (custom = [], retirementYear, year) => [
+  ...MODEL_PORTFOLIOS, targetDateModel(retirementYear, year), ...custom,
+];
+
+// finer international stock classes (Intl Developed, Emerging Markets) count as Intl Equity
+export const benchmarkClass = (assetClass) => (INTL_EQUITY_CLASSES.includes(assetClass) ? "Intl Equity" : assetClass);
+
+/* Actual percent per (benchmark) class. */
+export const actualWeights = (holdings) => {
+  const total = holdings.reduce((s, h) => s + h.value, 0);
+  const weights = {};
+  if (total <= 0) return weights;
+  holdings.forEach(h => {
+    const c = benchmarkClass(h.assetClass);
+    weights[c] = (weights[c] || 0) + h.value / total * 100;
+  });
+  return weights;
+};
+
+/* Stocks and bonds as shares of the two together, like metrics.stockPct / bondPct. */
+export const stockBondSplit = (weights) => {
+  const sum = (names) => Object.entries(weights).filter(([c]) => names.includes(c)).reduce((s, [, v]) => s + (Number(v) || 0), 0);
+  const stocks = sum(EQUITY_CLASSES);
+  const bonds = sum(BOND_CLASSES);
+  const invested = stocks + bonds;
+  return { stockPct: invested > 0 ? stocks / invested * 100 : 0, bondPct: invested > 0 ? bonds / invested * 100 : 0 };
+};
+
+/* Model weights scaled to sum to 100 (a model that doesn't add up still compares sensibly). */
+export const normalizeWeights = (weights) => {
+  const sum = Object.values(weights).reduce((s, v) => s + (Number(v) || 0), 0);
+  return Object.fromEntries(Object.entries(weights).map(([c, v]) => [c, sum > 0 ? (Number(v) || 0) / sum * 100 : 0]));
+};
+
+/* Weights rounded to 0.1 and nudged so they sum to exactly 100, for editing. */
+export const roundWeights = (weights) => {
+  const rounded = Object.fromEntries(Object.entries(normalizeWeights(weights)).map(([c, v]) => [c, round1(v)]));
+  const diff = round1(100 - Object.values(rounded).reduce((s, v) => s + v, 0));
+  const largest = Object.keys(rounded).sort((a, b) => rounded[b] - rounded[a])[0];
+  if (largest && diff !== 0) rounded[largest] = round1(rounded[largest] + diff);
+  return rounded;
+};
+
+/*
+  → { rows: [{ name, actual, model, diff }], distance }
+  `diff` is actual − model in percentage points. `distance` is half the sum
+  of the absolute differences: the share of the portfolio (0–100) that sits
+  in a different class than the model would put it.
+*/
+export const compareToModel = (holdings, weights) => {
+  const actual = actualWeights(holdings);
+  const model = normalizeWeights(weights);
+  const names = new Set([...Object.keys(actual), ...Object.keys(model)]);
+  const ordered = [...ASSET_CLASSES.filter(c => names.has(c)), ...[...names].filter(c => !ASSET_CLASSES.includes(c)).sort()];
+  const rows = ordered.map(name => {
+    const a = actual[name] || 0;
+    const m = model[name] || 0;
+    return { name, actual: a, model: m, diff: a - m };
+  });
+  return { rows, distance: rows.reduce((s, r) => s + Math.abs(r.diff), 0) / 2 };
+};
+
+/* Models closest first. → [{ model, distance }] */
+export const rankModels = (holdings, models) =>
+  models.map(model => ({ model, distance: compareToModel(holdings, model.weights).distance }))
+    .sort((a, b) => a.distance - b.distance);
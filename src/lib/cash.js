@@ -0,0 +1,93 @@
+/* ───────── cash positions & deployment ─────────
+   Finds cash-like positions however the broker labels them ("Generic Short
+   Term", "Generic Money Market", SPAXX, VMFXX, T-bill ETFs …), sets aside a
+   reserve, and plans how to invest the rest. Cash can't move between
+   accounts, so each account's excess is invested where it sits, toward the
+   asset classes furthest below target (see rebalance.js planTrades). */
+import { FUND_COMPOSITIONS } from "../data/fundCompositions.js";
+import { isTaxAdvantaged, planTrades } from "./rebalance.js";
+
+const CASH_CLASS = "Cash";
+
+/* Money market funds, sweep and core positions, and funds that are all cash. */
+export const isCashLike = (h) =>
+  h.assetClass === CASH_CLASS || h.type === "Cash" || (h.symbol || "").toUpperCase() === "CASH" ||
+  /money market/i.test(`${h.desc || ""} ${h.morningstar || ""}`) ||
+  (FUND_COMPOSITIONS[(h.symbol || "").toUpperCase()]?.cash ?? 0) >= 99;
+
+/*
+  Cash per account, most cash first:
+  [{ account, accountKind, taxTreatment, cash, accountValue, items }]
+  Accounts without any cash-like position are left out.
+*/
+export const cashByAccount = (holdings) => {
+  const m = {};
+  holdings.forEach(h => {
+    if (!m[h.account]) m[h.account] = { account: h.account, accountKind: h.accountKind, taxTreatment: h.taxTreatment, cash: 0, accountValue: 0, items: [] };
+    const a = m[h.account];
+    a.accountValue += h.value;
+    if (!isCashLike(h)) return;
+    a.cash += h.value;
+    a.items.push(h);
+  });
+  return Object.values(m)
+    .filter(a => a.items.length)
+    .map(a => ({ ...a, items: [...a.items].sort((x, y) => y.value - x.value) }))
+    .sort((a, b) => b.cash - a.cash);
+};
+
+/*
+  Splits the reserve across the accounts' cash: taxable accounts first
+  (that money can be reached without penalties), then the rest, most cash
+  first within each. → accounts with { reserved, excess } added.
+*/
+export const allocateReserve = (accounts, reserve) => {
+  let left = Math.max(reserve, 0);
+  const order = [...accounts].sort((a, b) =>
+    isTaxAdvantaged(a) - isTaxAdvantaged(b) || b.cash - a.cash);
+  const reserved = {};
+  order.forEach(a => {
+    reserved[a.account] = Math.min(a.cash, left);
+    left -= reserved[a.account];
+  });
+  return accounts.map(a => ({ ...a, reserved: reserved[a.account], excess: a.cash - reserved[a.account] }));
+};
+
+/* Target weights with Cash taken out: the reserve is the cash target here. */
+const investedTargets = (targets) =>
+  Object.fromEntries(Object.entries(targets).filter(([c]) => c !== CASH_CLASS));
+
+/*
+  → { accounts, reserve, shortfall, excess, buys, residual }
+  `accounts` is cashByAccount with { reserved, excess }; `shortfall` is how
+  far the cash falls short of the reserve. `buys` are planTrades-style buy
+  legs ({ account, assetClass, amount, symbol, desc, price, shares }) that
+  invest each account's excess in that account, the most underweight
+  classes first; `residual` the gaps to target left afterwards.
+*/
+export const planCashDeployment = (holdings, targets, reserve, { minTrade = 50 } = {}) => {
+  const accounts = allocateReserve(cashByAccount(holdings), reserve);
+  const cashTotal = accounts.reduce((s, a) => s + a.cash, 0);
+  const excess = accounts.reduce((s, a) => s + a.excess, 0);
+  const goals = investedTargets(targets);
+
+  // the invested portfolio: cash counts as zero (the reserve isn't
+  // rebalanced and the excess is what gets invested) but keeps each account
+  // on the list; every account's buys are added before the next is planned
+  let current = holdings.map(h => (isCashLike(h) ? { ...h, value: 0 } : h));
+
+  const buys = [];
+  let residual = {};
+  const hasGoals = Object.values(goals).some(v => Number(v) > 0);
+  [...accounts].sort((a, b) => b.excess - a.excess).forEach(a => {
+    if (!hasGoals || a.excess < minTrade) return;
+    const plan = planTrades(current, goals, { contribution: a.excess, contributionAccount: a.account, newMoneyOnly: true, minTrade });
+    plan.trades.forEach(t => {
+      buys.push(t);
+      current = [...current, { ...t, value: t.amount, symbol: t.symbol || t.assetClass, accountKind: a.accountKind, taxTreatment: a.taxTreatment }];
+    });
+    residual = plan.residual;
+  });
+
+  return { accounts, reserve, shortfall: Math.max(reserve - cashTotal, 0), excess, buys, residual };
+};
@@ -0,0 +1,85 @@
+/* ───────── classification ─────────
+   Asset classes come from an ordered, user-editable rule list. Each rule is
+   { field, pattern, assetClass }: `pattern` is a case-insensitive substring
+   with "|" separating alternatives (symbol rules match whole tickers).
+
+   Fields are checked in FIELD_ORDER; for each field that has a value, the
+   first rule in list order that matches it wins. A per-symbol override
+   beats every rule, and anything left unmatched is "Other". */
+
+export const FIELD_LABELS = {
+  symbol: "Symbol",
+  morningstar: "Morningstar category",
+  type: "Investment type",
+  stockStyle: "Stock style",
+  bondStyle: "Bond style",
+  desc: "Description",
+  any: "Any category field",
+};
+
+export const FIELD_ORDER = ["symbol", "morningstar", "type", "stockStyle", "bondStyle", "desc"];
+
+export const FALLBACK_CLASS = "Other";
+
+// Specific patterns sit above the general ones they contain ("global bond" before
+// "bond"); money market comes first so "Government Money Market" stays cash.
+export const DEFAULT_RULES = [
+  { field: "any", pattern: "money market|cash", assetClass: "Cash" },
+  { field: "any", pattern: "international bond|global bond|world bond|foreign bond|emerging markets bond|emerging-markets bond", assetClass: "Intl Bonds" },
+  { field: "any", pattern: "bond|fixed income|government|corporate", assetClass: "US Bonds" },
+  { field: "any", pattern: "foreign|international|intl|emerging", assetClass: "Intl Equity" },
+  { field: "any", pattern: "stock|equity|blend|growth|value|large|small|mid", assetClass: "US Equity" },
+];
+
+const alternatives = (pattern) => (pattern || "").split("|").map(p => p.trim().toLowerCase()).filter(Boolean);
+
+/* The alternative of `rule` that matches `value` in `field`, or null. */
+export const ruleMatch = (rule, field, value) => {
+  if (!value || !value.trim()) return null;
+  if (rule.field !== field && !(rule.field === "any" && field !== "symbol")) return null;
+  const v = value.toLowerCase();
+  const alts = alternatives(rule.pattern);
+  return (field === "symbol" ? alts.find(a => a === v.trim()) : alts.find(a => v.includes(a))) || null;
+};
+
+/*
+  Returns { assetClass, reason } where reason explains the decision:
+    { kind: "override", symbol }
+    { kind: "rule", index, rule, field, value, match }
+    { kind: "fallback" }
+*/
+export const classifyHolding = (h, rules = DEFAULT_RULES, overrides = {}) => {
+  const sym = (h.symbol || "").toUpperCase();
+  if (sym && overrides[sym]) return { assetClass: overrides[sym], reason: { kind: "override", symbol: sym } };
+
+  for (const field of FIELD_ORDER) {
+    const value = h[field];
+    if (!value) continue;
+    for (let index = 0; index < rules.length; index++) {
+      const rule = rules[index];
+      const match = rule.assetClass ? ruleMatch(rule, field, value) : null;
+      if (match) return { assetClass: rule.assetClass, reason: { kind: "rule", index, rule, field, value, match } };
+    }
+  }
+  return { assetClass: FALLBACK_CLASS, reason: { kind: "fallback" } };
+};
+
+export const explainReason = (reason) => {
+  if (!reason) return "";
+  if (reason.kind === "override") return `Per-symbol override for ${reason.symbol}`;
+  if (reason.kind === "rule") {
+    const verb = reason.field === "symbol" ? "is" : "contains";
+    return `${FIELD_LABELS[reason.field]} "${reason.value}" ${verb} "${reason.match}" (rule #${reason.index + 1})`;
+  }
+  return "No rule matched any field";
+};
+
+/* Re-classify a holdings list, attaching the explanation as `classReason`. */
+export const classifyHoldings = (holdings, rules = DEFAULT_RULES, overrides = {}) =>
+  holdings.map(h => {
+    const { assetClass, reason } = classifyHolding(h, rules, overrides);
+    return { ...h, assetClass, classReason: reason };
+  });
+
+/* Class name for one parsed row using the default rules (used at import). */
+export const getAssetClassFromCSV = (row) => classifyHolding(row).assetClass;
@@ -0,0 +1,194 @@
+/* ───────── cost basis & unrealized gains ─────────
+   The GPS export has values but no cost basis. A second file — Fidelity's
+   "Positions" download (one row per position, with Cost Basis Total) or a
+   lot-level export (one row per tax lot, with the date acquired) — is read
+   into lots here and joined to the holdings by account and symbol. Lots
+   are never holdings themselves: they only add basis and gain fields. */
+import { parseVal } from "./format.js";
+import { parseAccount } from "./accounts.js";
+import { parseAsOfDate } from "./history.js";
+import { splitLines, parseTable, createNotes, looksLikeTicker } from "./adapters/common.js";
+
+const HEADER_RE = /(^|,)\s*"?symbol"?\s*,/i;
+const COST_RE = /cost basis|total cost|average cost|cost\s*\/\s*share/i;
+
+/* Column finders, matched against the trimmed header names. */
+const COLUMNS = {
+  total: /^(cost basis( total)?|total cost( basis)?|cost)$/i,
+  perShare: /average cost|cost basis per share|cost\s*\/\s*share|cost per share|avg\.? cost|unit cost/i,
+  acquired: /acquired|open date|purchase date/i,
+  term: /^term$|holding period/i,
+  accountNumber: /account (number|#|no\.?)$/i,
+  accountName: /^account( name)?$/i,
+  symbol: /^symbol$/i,
+  desc: /^description$/i,
+  qty: /^(quantity|shares|qty)$/i,
+};
+
+const findHeader = (lines) => lines.findIndex(l => HEADER_RE.test(l) && COST_RE.test(l));
+
+/* A positions or lot file with cost basis, as opposed to a holdings export. */
+export const detectCostBasis = (text) => {
+  const lines = splitLines(text);
+  const i = findHeader(lines);
+  return i !== -1 && !/portfolio weight|morningstar/i.test(lines[i]);
+};
+
+// "SPAXX**" and "VTI " → "SPAXX", "VTI"
+const cleanSymbol = (s) => (s || "").replace(/\*+$/, "").trim().toUpperCase();
+
+/*
+  → { lots: [{ account, accountNumber, symbol, desc, qty, cost, acquired, term }], notes }
+  `acquired` is the date as written ("" in a positions file); `term` is
+  "short" or "long" when the file says so, else "". Rows without a cost
+  (money market funds, pending activity, disclaimers) are skipped with a note.
+*/
+export const parseCostBasis = (text) => {
+  const lines = splitLines(text);
+  const headerIdx = findHeader(lines);
+  if (headerIdx === -1) throw new Error("Could not find a header row with 'Symbol' and a cost basis column");
+
+  const rows = parseTable(lines, headerIdx);
+  const headers = Object.keys(rows[0] || {});
+  const col = Object.fromEntries(Object.entries(COLUMNS).map(([k, re]) => [k, headers.find(h => re.test(h.trim()))]));
+  const get = (row, key) => (col[key] ? (row[col[key]] || "").trim() : "");
+
+  const lots = [];
+  const notes = createNotes();
+  for (const row of rows) {
+    const symbol = cleanSymbol(get(row, "symbol"));
+    const desc = get(row, "desc");
+    const name = get(row, "accountName");
+    const number = get(row, "accountNumber");
+    const account = [name, number].filter(Boolean).join(" - ");
+    const label = { symbol, desc, account };
+    if (!looksLikeTicker(symbol)) {
+      notes.skipped.push({ ...label, reason: "Not a position", expected: true });
+      continue;
+    }
+    const qty = parseVal(get(row, "qty"));
+    const cost = col.total ? parseVal(get(row, "total")) : parseVal(get(row, "perShare")) * qty;
+    if (!(cost > 0)) {
+      notes.skipped.push({ ...label, reason: "No cost basis", expected: true });
+      continue;
+    }
+    const term = get(row, "term");
+    lots.push({
+      account, accountNumber: number || parseAccount(account).accountNumber, symbol, desc, qty, cost,
+      acquired: get(row, "acquired").replace(/- -|--/g, "").trim(),
+      term: /long/i.test(term) ? "long" : /short/i.test(term) ? "short" : "",
+    });
+  }
+  if (!lots.length) throw new Error("No lots with a cost basis found");
+  return { lots, notes };
+};
+
+/* Adds the cost basis files among `imports` ([{ name, costBasis }]); loading a file again replaces it. */
+export const addCostBasis = (files = [], imports) => {
+  const added = imports.filter(i => i.costBasis).map(i => ({ name: i.name, ...i.costBasis }));
+  return [...files.filter(f => !added.some(a => a.name === f.name)), ...added];
+};
+
+/* "long" once a lot has been held more than a year on `asOf`, else "short"; "" without a date. */
+export const holdingTerm = (lot, asOf) => {
+  if (lot.term) return lot.term;
+  const t = parseAsOfDate(lot.acquired);
+  if (!lot.acquired || isNaN(t)) return "";
+  const anniversary = new Date(t);
+  anniversary.setFullYear(anniversary.getFullYear() + 1);
+  return asOf > anniversary.getTime() ? "long" : "short";
+};
+
+const alnum = (s) => (s || "").replace(/[^a-z0-9]/gi, "").toLowerCase();
+
+/* Same account: equal numbers (a masked "...1234" matches its tail), else equal labels. */
+export const sameAccount = (holding, lot) => {
+  const a = alnum(holding.accountNumber);
+  const b = alnum(lot.accountNumber);
+  if (a && b) return a === b || (Math.min(a.length, b.length) >= 3 && (a.endsWith(b) || b.endsWith(a)));
+  return (holding.account || "").trim().toLowerCase() === (lot.account || "").trim().toLowerCase();
+};
+
+/*
+  Adds { costBasis, gain, shortTermGain, longTermGain, term, basisCoverage,
+  lots } to every holding with matching lots; the rest are returned as is.
+  → { holdings, matched, unmatched }
+  Gains use the holding's own price. When the lots add up to more shares
+  than are held (some were sold since the lot file) they are scaled down;
+  when to fewer, `basisCoverage` is the share of the position they cover and
+  the gain is for that part only. `term` is "short", "long", "mixed" or ""
+  (no acquisition dates). Each holding's `lots` are its share of the
+  account's lots and carry no account fields, so they stay private with it.
+*/
+export const applyCostBasis = (holdings, lots, { asOf = Date.now() } = {}) => {
+  if (!lots?.length) return { holdings, matched: 0, unmatched: [] };
+  const groups = new Map();
+  holdings.forEach((h, i) => {
+    const key = `${h.account}\u0000${cleanSymbol(h.symbol)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+
+  const used = new Set();
+  const extra = {};
+  groups.forEach(indexes => {
+    const first = holdings[indexes[0]];
+    const mine = lots.filter(l => !used.has(l) && l.symbol === cleanSymbol(first.symbol) && sameAccount(first, l));
+    if (!mine.length) return;
+    mine.forEach(l => used.add(l));
+
+    const value = indexes.reduce((s, i) => s + holdings[i].value, 0);
+    const qty = indexes.reduce((s, i) => s + (Number(holdings[i].qty) || 0), 0);
+    const lotQty = mine.reduce((s, l) => s + l.qty, 0);
+    const byQty = qty > 0 && mine.every(l => l.qty > 0);
+    const scale = byQty && lotQty > qty ? qty / lotQty : 1;
+    const totalCost = mine.reduce((s, l) => s + l.cost, 0);
+
+    const attached = mine.map(l => {
+      const lotValue = byQty ? l.qty * scale * (value / qty) : value * l.cost / totalCost;
+      const cost = l.cost * scale;
+      return { acquired: l.acquired, qty: l.qty * scale, cost, value: lotValue, gain: lotValue - cost, term: holdingTerm(l, asOf) };
+    });
+    const sum = (pick) => attached.reduce((s, l) => s + pick(l), 0);
+    const terms = new Set(attached.map(l => l.term));
+    const group = {
+      costBasis: sum(l => l.cost),
+      gain: sum(l => l.gain),
+      shortTermGain: sum(l => (l.term === "short" ? l.gain : 0)),
+      longTermGain: sum(l => (l.term === "long" ? l.gain : 0)),
+      term: terms.size > 1 ? "mixed" : [...terms][0],
+      basisCoverage: byQty ? Math.min(lotQty / qty, 1) : 1,
+    };
+
+    indexes.forEach(i => {
+      const share = value > 0 ? holdings[i].value / value : 1 / indexes.length;
+      extra[i] = {
+        costBasis: group.costBasis * share, gain: group.gain * share,
+        shortTermGain: group.shortTermGain * share, longTermGain: group.longTermGain * share,
+        term: group.term, basisCoverage: group.basisCoverage,
+        lots: share === 1 ? attached : attached.map(l => ({ ...l, qty: l.qty * share, cost: l.cost * share, value: l.value * share, gain: l.gain * share })),
+      };
+    });
+  });
+
+  return {
+    holdings: holdings.map((h, i) => (extra[i] ? { ...h, ...extra[i] } : h)),
+    matched: used.size,
+    unmatched: lots.filter(l => !used.has(l)),
+  };
+};
+
+/* Totals over the holdings that have a cost basis. */
+export const gainSummary = (holdings) => {
+  const withBasis = holdings.filter(h => h.costBasis != null);
+  const sum = (pick) => withBasis.reduce((s, h) => s + pick(h), 0);
+  return {
+    positions: withBasis.length,
+    value: sum(h => h.value * h.basisCoverage),
+    costBasis: sum(h => h.costBasis),
+    gain: sum(h => h.gain),
+    shortTermGain: sum(h => h.shortTermGain),
+    longTermGain: sum(h => h.longTermGain),
+    losses: sum(h => Math.min(h.gain, 0)),
+  };
+};
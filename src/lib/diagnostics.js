@@ -0,0 +1,124 @@
+/* ───────── import diagnostics ─────────
+   The report shown after an upload: which rows were skipped and why,
+   which values were inferred, which positions fell back to "Other", which
+   accounts have no recognisable type (so no known tax treatment), and
+   whether the file's own weight column agrees with the imported values.
+   Built from the notes each adapter keeps while parsing (see
+   adapters/common.js). Severity "error" means the file is clearly not
+   what it claims to be and is not loaded. */
+import { FALLBACK_CLASS } from "./classify.js";
+
+export const SEVERITIES = ["ok", "info", "warning", "error"];
+
+// a position's weight may differ from the file's by this many points (rounding)
+const WEIGHT_TOLERANCE = 0.5;
+// weights summing to at most this many points over 100 can be a margin
+// balance or pending activity the file leaves out of its rows
+const MARGIN_OVERSHOOT = 2;
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+/* "28.49%" → 28.49; blank or "--" → null */
+export const parseWeight = (w) => {
+  const n = parseFloat(String(w ?? "").replace(/[%,\s]/g, ""));
+  return isNaN(n) ? null : n;
+};
+
+/*
+  Compares the file's weight column with the imported values. `basis` says
+  what the weights are a share of: "portfolio" (the whole file) or
+  "account" (each account). Null when the file has no weights, else
+    { basis, groups: [{ name, fileSum, value, impliedTotal }],
+      mismatches: [{ symbol, account, fileWeight, expected, computed }], maxGap }
+  fileSum should be ~100; impliedTotal is the total the file's weights were
+  computed against. Mismatches compare each row with the file's weights
+  rescaled to the imported rows, so a different total alone doesn't flag
+  every position.
+*/
+export const reconcileWeights = (holdings, basis) => {
+  if (!basis) return null;
+  const byGroup = {};
+  holdings.forEach(h => { (byGroup[basis === "account" ? h.account : "Portfolio"] ||= []).push(h); });
+
+  const groups = [];
+  const mismatches = [];
+  Object.entries(byGroup).forEach(([name, items]) => {
+    const weighted = items.filter(h => parseWeight(h.weight) != null);
+    if (!weighted.length) return;
+    const fileSum = weighted.reduce((s, h) => s + parseWeight(h.weight), 0);
+    const weightedValue = weighted.reduce((s, h) => s + h.value, 0);
+    const value = items.reduce((s, h) => s + h.value, 0);
+    groups.push({ name, fileSum, value, impliedTotal: fileSum > 0 ? weightedValue / fileSum * 100 : 0 });
+    if (fileSum <= 0 || weightedValue <= 0) return;
+    weighted.forEach(h => {
+      const expected = parseWeight(h.weight) / fileSum * 100;
+      const computed = h.value / weightedValue * 100;
+      if (Math.abs(expected - computed) > WEIGHT_TOLERANCE) {
+        mismatches.push({ symbol: h.symbol, account: h.account, fileWeight: parseWeight(h.weight), expected, computed });
+      }
+    });
+  });
+  if (!groups.length) return null;
+  return { basis, groups, mismatches, maxGap: Math.max(...groups.map(g => Math.abs(g.fileSum - 100))) };
+};
+
+/*
+  → { severity, issues: [{ severity, message }], skipped, inferred,
+      fallbacks, untyped, reconciliation } for one parsed file
+  ({ holdings, notes, weightBasis } from an adapter).
+*/
+export const diagnoseImport = ({ holdings, notes, weightBasis = null }) => {
+  const skipped = notes?.skipped || [];
+  const inferred = notes?.inferred || [];
+  const unreadable = skipped.filter(s => !s.expected);
+  const zero = holdings.filter(h => !h.value);
+  const fallbacks = holdings.filter(h => h.assetClass === FALLBACK_CLASS);
+  // labels parseAccount found no account type in ("Vanguard - 12345678")
+  const untyped = [...new Set(holdings.filter(h => h.accountType === "Account").map(h => h.account))];
+  const reconciliation = reconcileWeights(holdings, weightBasis);
+
+  const issues = [];
+  const note = (severity, message) => issues.push({ severity, message });
+
+  const valueless = unreadable.length + zero.length;
+  if (valueless > holdings.length - zero.length) {
+    note("error", `${valueless} of ${unreadable.length + holdings.length} position rows have no usable value. Check that this is a positions export, or map its columns manually.`);
+  } else {
+    if (unreadable.length) note("warning", `Skipped ${plural(unreadable.length, "position row")} with no usable value.`);
+    if (zero.length) note("warning", `${plural(zero.length, "position")} imported with a value of $0.`);
+  }
+  const ignored = skipped.length - unreadable.length;
+  if (ignored) note("info", `Skipped ${plural(ignored, "non-position line")} (totals, disclaimers, notes).`);
+  if (inferred.length) note("info", `Worked out the value of ${plural(inferred.length, "position")} from quantity and price.`);
+  if (fallbacks.length) {
+    note("warning", `${plural(fallbacks.length, "position")} matched no classification rule and ${fallbacks.length === 1 ? "was" : "were"} put in "${FALLBACK_CLASS}".`);
+  }
+  if (untyped.length) {
+    note("warning", `The tax treatment of ${plural(untyped.length, "account")} is unknown: the file doesn't say what type ${untyped.length === 1 ? "it is" : "they are"} (${untyped.join(", ")}), so ${untyped.length === 1 ? "it is" : "they are"} counted as Taxable.`);
+  }
+  if (reconciliation) {
+    const off = reconciliation.groups.filter(g => Math.abs(g.fileSum - 100) > WEIGHT_TOLERANCE);
+    if (off.length && reconciliation.basis === "portfolio") {
+      const sum = off[0].fileSum;
+      if (sum > 100 && sum - 100 <= MARGIN_OVERSHOOT) {
+        note("info", `The file's weights add up to ${sum.toFixed(2)}%; its own total is a little smaller than the sum of its rows (e.g. a margin balance or pending activity that isn't listed).`);
+      } else {
+        // the position whose file weight is furthest from its share of the imported total
+        const total = off[0].value;
+        const worst = holdings.filter(h => parseWeight(h.weight) != null)
+          .map(h => ({ h, file: parseWeight(h.weight), computed: total > 0 ? h.value / total * 100 : 0 }))
+          .sort((a, b) => Math.abs(b.file - b.computed) - Math.abs(a.file - a.computed))[0];
+        const example = worst ? ` For example, ${worst.h.symbol} is ${worst.file.toFixed(2)}% in the file but ${worst.computed.toFixed(2)}% of the imported total.` : "";
+        note("warning", `The file's weights add up to ${sum < 100 ? "only " : ""}${sum.toFixed(2)}%, so the file and the computed weights disagree${sum < 100 ? " and some of its positions may be missing" : ""}.${example}`);
+      }
+    } else if (off.length) {
+      note("warning", `The file's weights for ${plural(off.length, "account")} don't add up to 100%.`);
+    }
+    if (reconciliation.mismatches.length) {
+      note("warning", `${plural(reconciliation.mismatches.length, "position")} ${reconciliation.mismatches.length === 1 ? "has a value that disagrees" : "have values that disagree"} with the file's weight column.`);
+    }
+  }
+
+  const severity = issues.reduce((worst, i) => (SEVERITIES.indexOf(i.severity) > SEVERITIES.indexOf(worst) ? i.severity : worst), "ok");
+  return { severity, issues, skipped, inferred, fallbacks, untyped, reconciliation };
+};
@@ -0,0 +1,82 @@
+/* ───────── table export (CSV / XLSX) ───────── */
+import Papa from "papaparse";
+import { buildXlsx } from "./xlsx.js";
+import { isPrivate } from "./privacy.js";
+
+const round = (v, d = 2) => (Number.isFinite(v) ? Math.round(v * 10 ** d) / 10 ** d : "");
+
+/* Column specs: { header, value(row, total), money?, sensitive? }
+   Sensitive columns (amounts and quantities) are left out in privacy mode. */
+export const HOLDING_COLUMNS = [
+  { header: "Symbol", value: h => h.symbol },
+  { header: "Description", value: h => h.desc },
+  { header: "Account", value: h => h.account },
+  { header: "Owner", value: h => h.owner || "" },
+  { header: "Tax Treatment", value: h => h.taxTreatment || "" },
+  { header: "Asset Class", value: h => h.assetClass },
+  { header: "Quantity", value: h => round(h.qty, 4), sensitive: true },
+  { header: "Price", value: h => round(h.price), money: true },
+  { header: "Value", value: h => round(h.value), money: true, sensitive: true },
+  { header: "Weight %", value: (h, total) => round(total > 0 ? h.value / total * 100 : 0, 3) },
+  { header: "Expense Ratio %", value: h => (h.expenseRatio == null ? "" : h.expenseRatio) },
+  { header: "Annual Fee", value: h => (h.expenseRatio == null ? "" : round(h.value * h.expenseRatio / 100)), money: true, sensitive: true },
+  { header: "Cost Basis", value: h => (h.costBasis == null ? "" : round(h.costBasis)), money: true, sensitive: true },
+  { header: "Unrealized Gain", value: h => (h.costBasis == null ? "" : round(h.gain)), money: true, sensitive: true },
+  { header: "Term", value: h => h.term || "" },
+  { header: "Source", value: h => h.source || "" },
+];
+
+export const CONSOLIDATED_COLUMNS = [
+  { header: "Holding", value: g => g.symbol },
+  { header: "Description", value: g => g.desc },
+  { header: "Asset Class", value: g => g.assetClass },
+  { header: "Accounts", value: g => g.accounts.join("; ") },
+  { header: "Quantity", value: g => round(g.totalQty, 4), sensitive: true },
+  { header: "Value", value: g => round(g.value), money: true, sensitive: true },
+  { header: "Weight %", value: (g, total) => round(total > 0 ? g.value / total * 100 : 0, 3) },
+];
+
+const visible = (columns) => (isPrivate() ? columns.filter(c => !c.sensitive) : columns);
+
+export const tableRows = (columns, rows, total) => rows.map(r => columns.map(c => c.value(r, total)));
+
+// escapeFormulae puts a ' before text starting with = + - @ (or a tab or CR)
+// so a spreadsheet shows it instead of running it as a formula
+export const toCSV = (allColumns, rows, total) => {
+  const columns = visible(allColumns);
+  return Papa.unparse({ fields: columns.map(c => c.header), data: tableRows(columns, rows, total) }, { escapeFormulae: true });
+};
+
+export const toXLSX = (allColumns, rows, total, sheetName) => {
+  const columns = visible(allColumns);
+  return buildXlsx(columns.map(c => c.header), tableRows(columns, rows, total), {
+    sheetName,
+    moneyColumns: new Set(columns.map((c, i) => (c.money ? i : -1)).filter(i => i >= 0)),
+  });
+};
+
+/* "Roth IRA / 2024-12-31" → "roth-ira-2024-12-31" */
+export const fileSlug = (name) =>
+  (name || "holdings").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "holdings";
+
+export const downloadFile = (filename, data, mime) => {
+  const url = URL.createObjectURL(new Blob([data], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadTable = (format, name, columns, rows, total) => {
+  const base = fileSlug(name);
+  if (format === "xlsx") {
+    downloadFile(`${base}.xlsx`, toXLSX(columns, rows, total, name),
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  } else {
+    // BOM so Excel opens UTF-8 CSV correctly
+    downloadFile(`${base}.csv`, "﻿" + toCSV(columns, rows, total), "text/csv;charset=utf-8");
+  }
+};
@@ -0,0 +1,73 @@
+/* ───────── equivalent-fund families ─────────
+   Rolls near-identical tickers (VOO/VTI/SCHB, AGG/BND/SCHZ, …) up into one
+   position so overlap across accounts becomes visible. */
+import { sumValues } from "./groups.js";
+
+/* "voo, vti  schb" → ["VOO", "VTI", "SCHB"] */
+export const parseSymbols = (text) =>
+  [...new Set((text || "").split(/[\s,;]+/).map(s => s.trim().toUpperCase()).filter(Boolean))];
+
+/* symbol → family name; the first family listing a symbol wins. */
+export const familyIndex = (families) => {
+  const m = {};
+  families.forEach(f => f.symbols.forEach(s => {
+    const sym = s.toUpperCase();
+    if (!m[sym]) m[sym] = f.name;
+  }));
+  return m;
+};
+
+/*
+  Consolidated groups in the shape ConsolidatedTable expects:
+  { symbol, desc, assetClass, items, value, totalQty, accounts }.
+  With families, `symbol` is the family name and `desc` lists the tickers
+  held; `members` is set on family groups only. Symbols outside every
+  family stay on their own.
+*/
+export const groupHoldings = (holdings, families = null) => {
+  const index = families ? familyIndex(families) : {};
+  const m = {};
+  holdings.forEach(h => {
+    const family = index[(h.symbol || "").toUpperCase()];
+    const key = family || h.symbol;
+    if (!m[key]) m[key] = { family, items: [], desc: h.desc, assetClass: h.assetClass };
+    m[key].items.push(h);
+  });
+  return Object.entries(m)
+    .map(([symbol, { family, items, desc, assetClass }]) => {
+      const members = family ? [...new Set(items.map(h => h.symbol))] : null;
+      return {
+        symbol, assetClass, items,
+        desc: family ? members.join(", ") : desc,
+        members,
+        value: sumValues(items),
+        totalQty: items.reduce((s, h) => s + h.qty, 0),
+        accounts: [...new Set(items.map(h => h.accountShort))],
+      };
+    })
+    .sort((a, b) => b.value - a.value);
+};
+
+/*
+  Families held through more than one ticker or account, largest first.
+  `flagged` marks a family whose share of the portfolio exceeds
+  `thresholdPct`.
+*/
+export const overlapReport = (holdings, families, thresholdPct) => {
+  const total = sumValues(holdings);
+  return groupHoldings(holdings, families)
+    .filter(g => g.members && (g.members.length > 1 || g.accounts.length > 1))
+    .map(g => {
+      const pct = total > 0 ? g.value / total * 100 : 0;
+      const bySymbol = {};
+      g.items.forEach(h => { bySymbol[h.symbol] = (bySymbol[h.symbol] || 0) + h.value; });
+      return {
+        name: g.symbol,
+        value: g.value,
+        pct,
+        accounts: g.accounts,
+        symbols: Object.entries(bySymbol).map(([symbol, value]) => ({ symbol, value })).sort((a, b) => b.value - a.value),
+        flagged: pct > thresholdPct,
+      };
+    });
+};
@@ -0,0 +1,88 @@
+/* ───────── fund expenses & fee drag ─────────
+   Expense ratios are kept in percent per year, as fund documents quote them. */
+import { EXPENSE_RATIOS } from "../data/expenseRatios.js";
+import { familyIndex } from "./families.js";
+
+export const DRAG_YEARS = [10, 20, 30];
+
+// holdings that carry no fund-level fee
+const isFeeless = (h) => h.type === "Equity" || h.type === "Cash" || h.symbol === "CASH";
+
+/*
+  Expense ratio for one holding and where it came from:
+  "custom" (user entry), "bundled" (table), "none" (stock or cash — no fund
+  fee), or null when unknown.
+*/
+export const expenseRatioFor = (h, overrides = {}) => {
+  const sym = (h.symbol || "").toUpperCase();
+  if (overrides[sym] != null && overrides[sym] !== "") return { er: Math.max(0, parseFloat(overrides[sym]) || 0), source: "custom" };
+  if (EXPENSE_RATIOS[sym] != null) return { er: EXPENSE_RATIOS[sym], source: "bundled" };
+  if (isFeeless(h)) return { er: 0, source: "none" };
+  return { er: null, source: null };
+};
+
+/* Attaches `expenseRatio` (percent, or null when unknown) to each holding. */
+export const withExpenseRatios = (holdings, overrides = {}) =>
+  holdings.map(h => ({ ...h, expenseRatio: expenseRatioFor(h, overrides).er }));
+
+export const annualFee = (h) => (h.expenseRatio == null ? null : h.value * h.expenseRatio / 100);
+
+/*
+  Value-weighted expense ratio over the holdings whose ratio is known.
+  → { er, fees, covered, total }   er in percent, fees in dollars per year
+*/
+export const feeSummary = (holdings) => {
+  let fees = 0;
+  let covered = 0;
+  let total = 0;
+  holdings.forEach(h => {
+    total += h.value;
+    if (h.expenseRatio == null) return;
+    covered += h.value;
+    fees += annualFee(h);
+  });
+  return { er: covered > 0 ? fees / covered * 100 : 0, fees, covered, total };
+};
+
+/*
+  Cumulative cost of an expense ratio after `years`: the gap between `value`
+  compounding at `growthPct` and at the same return net of fees.
+*/
+export const feeDrag = (value, erPct, years, growthPct = 6) => {
+  const g = 1 + growthPct / 100;
+  return value * (g ** years - (g * (1 - erPct / 100)) ** years);
+};
+
+/* Yearly drag series for charting: [{ year, drag }] from 0 to maxYears. */
+export const dragSeries = (value, erPct, maxYears = 30, growthPct = 6) =>
+  Array.from({ length: maxYears + 1 }, (_, year) => ({ year, drag: feeDrag(value, erPct, year, growthPct) }));
+
+/*
+  For the costliest positions, the cheapest ticker in the same equivalence
+  family (see families.js) whose expense ratio is lower by more than
+  `minSaving` percentage points. Only funds with a known ratio are suggested
+  (never the generic CASH placeholder).
+  → [{ holding, er, alt: { symbol, er }, annualSavings }] by savings, largest first
+*/
+export const cheaperAlternatives = (holdings, families, overrides = {}, { minSaving = 0.05, limit = 10 } = {}) => {
+  const index = familyIndex(families);
+  const members = {};
+  families.forEach(f => { members[f.name] = f.symbols; });
+
+  const out = [];
+  holdings.forEach(h => {
+    if (h.expenseRatio == null || h.expenseRatio <= 0) return;
+    const family = index[(h.symbol || "").toUpperCase()];
+    if (!family) return;
+    let best = null;
+    members[family].forEach(sym => {
+      if (sym === h.symbol.toUpperCase()) return;
+      const { er, source } = expenseRatioFor({ symbol: sym }, overrides);
+      if (er == null || source === "none") return;
+      if (!best || er < best.er) best = { symbol: sym, er };
+    });
+    if (!best || h.expenseRatio - best.er <= minSaving) return;
+    out.push({ holding: h, er: h.expenseRatio, family, alt: best, annualSavings: h.value * (h.expenseRatio - best.er) / 100 });
+  });
+  return out.sort((a, b) => b.annualSavings - a.annualSavings).slice(0, limit);
+};
@@ -0,0 +1,64 @@
+import { isPrivate, MASK } from "./privacy.js";
+
+/* ───────── constants ───────── */
+export const PAL = [
+  "#2563eb","#7c3aed","#0d9488","#ea580c","#db2777","#16a34a",
+  "#ca8a04","#dc2626","#4f46e5","#059669","#d97706","#475569",
+  "#0891b2","#9333ea","#65a30d","#c026d3","#0284c7","#f97316"
+];
+
+export const shortenAccount = (acct) => {
+  if (acct.length <= 40) return acct;
+  if (acct.includes(" - ")) {
+    const parts = acct.split(" - ");
+    if (parts.length >= 2) return parts.slice(0, 2).join(" - ").substring(0, 40);
+  }
+  return acct.substring(0, 37) + "…";
+};
+
+const ACCOUNT_KIND_COLORS = {
+  roth: "bg-pink-100 text-pink-700",
+  traditional: "bg-purple-100 text-purple-700",
+  workplace: "bg-violet-100 text-violet-700",
+  hsa: "bg-lime-100 text-lime-700",
+  529: "bg-cyan-100 text-cyan-700",
+  trust: "bg-blue-100 text-blue-700",
+  espp: "bg-amber-100 text-amber-700",
+  bank: "bg-gray-100 text-gray-600",
+  taxable: "bg-orange-100 text-orange-700",
+};
+
+// takes the accountKind parsed at import (see lib/accounts.js)
+export const getAccountTypeBadgeColor = (accountKind) => ACCOUNT_KIND_COLORS[accountKind] || ACCOUNT_KIND_COLORS.taxable;
+
+export const getAssetClassColor = (assetClass) => {
+  const lower = assetClass.toLowerCase();
+  if (lower.includes("bond") || lower.includes("fixed")) return "emerald";
+  if (lower.includes("intl") || lower.includes("international") || lower.includes("foreign")) return "teal";
+  if (lower.includes("equity") || lower.includes("stock")) return "blue";
+  if (lower.includes("cash") || lower.includes("money market")) return "gray";
+  return "slate";
+};
+
+/* ───────── helpers ───────── */
+export const fmt = (v) => {
+  if (isPrivate()) return `$${MASK}`;
+  if (v == null || isNaN(v)) return "$0";
+  if (Math.abs(v) >= 1e6) return `$${(v / 1e6).toFixed(2)}M`;
+  if (Math.abs(v) >= 1e3) return `$${v.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  return `$${v.toFixed(2)}`;
+};
+
+/* Compact dollar tick for chart axes ($1.2M, $350K); blank in privacy mode. */
+export const fmtAxis = (v) => {
+  if (isPrivate()) return "";
+  return Math.abs(v) >= 1e6 ? `$${(v / 1e6).toFixed(1)}M` : `$${(v / 1e3).toFixed(0)}K`;
+};
+
+export const parseVal = (s) => {
+  if (!s) return 0;
+  const str = String(s).trim();
+  const n = parseFloat(str.replace(/[$,"\s()]/g, ""));
+  if (isNaN(n)) return 0;
+  return /^\(.*\)$/.test(str) ? -Math.abs(n) : n; // accounting-style negatives: ($12.34)
+};
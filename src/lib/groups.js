@@ -0,0 +1,18 @@
+/* ───────── grouping helpers ─────────
+   The sums and groupings every other module builds on. Imports nothing,
+   so any module can use them without pulling in the rest of lib/. */
+
+export const sumValues = (holdings) => holdings.reduce((s, h) => s + h.value, 0);
+
+/* Groups by key(h), largest first; `extra(first holding)` adds fields to each group. */
+export const groupBy = (holdings, key, extra = () => ({})) => {
+  const m = {};
+  holdings.forEach(h => {
+    const k = key(h);
+    if (!m[k]) m[k] = { name: k, ...extra(h), items: [] };
+    m[k].items.push(h);
+  });
+  return Object.values(m)
+    .map(g => ({ ...g, value: sumValues(g.items) }))
+    .sort((a, b) => b.value - a.value);
+};
@@ -0,0 +1,88 @@
+/* ───────── tax-loss harvesting ─────────
+   Losing lots in taxable accounts, what selling them might save in tax,
+   and a fund to buy instead that keeps the exposure without being the same
+   security: one in the same equivalence family that tracks a different
+   index. Funds tracking the same index count as identical, so holding one
+   in any other household account (IRAs included) is a wash-sale warning. */
+import { INDEX_TRACKERS } from "../data/indexTrackers.js";
+import { FUND_FAMILIES } from "../data/fundFamilies.js";
+import { familyIndex } from "./families.js";
+
+/* Marginal rates in %: short-term losses offset ordinary income, long-term ones capital gains. */
+export const DEFAULT_TAX_RATES = { shortTerm: 24, longTerm: 15 };
+
+const INDEX_OF = Object.fromEntries(INDEX_TRACKERS.flatMap(t => t.symbols.map(s => [s, t.index])));
+
+const upper = (s) => (s || "").trim().toUpperCase();
+
+export const trackedIndex = (symbol) => INDEX_OF[upper(symbol)] || "";
+
+/* The symbol and every fund tracking the same index. */
+export const identicalTo = (symbol) => {
+  const index = trackedIndex(symbol);
+  const twins = index ? INDEX_TRACKERS.find(t => t.index === index).symbols : [];
+  return new Set([upper(symbol), ...twins]);
+};
+
+/* → [{ symbol, index }]: same family, different index, one fund per index, in family order. */
+export const substitutesFor = (symbol, families = FUND_FAMILIES) => {
+  const family = families.find(f => f.name === familyIndex(families)[upper(symbol)]);
+  const own = trackedIndex(symbol);
+  if (!family || !own) return [];
+  const seen = new Set([own]);
+  return family.symbols.map(upper).flatMap(s => {
+    const index = trackedIndex(s);
+    if (!index || seen.has(index)) return [];
+    seen.add(index);
+    return [{ symbol: s, index }];
+  });
+};
+
+/*
+  → [{ holding, account, symbol, desc, value, loss, shortTermLoss, longTermLoss,
+       savings, substitute, alternatives, warnings: [{ kind, symbol, account, message }] }]
+  largest saving first. Only the losing lots are counted (sold by specific
+  identification); `value` is what selling them raises and `loss` is
+  negative. Lots without a known term are taxed at the long-term rate.
+  The substitute is the first one not held in another account; warnings
+  have kind "same" (the fund or an index twin is held in another account)
+  or "substitute" (the substitute is).
+*/
+export const harvestCandidates = (holdings, { rates = DEFAULT_TAX_RATES, minLoss = 0, families = FUND_FAMILIES } = {}) => {
+  const heldElsewhere = (symbols, account) =>
+    holdings.filter(g => g.account !== account && symbols.has(upper(g.symbol)));
+
+  return holdings
+    .filter(h => h.taxTreatment === "Taxable" && h.lots?.some(l => l.gain < 0))
+    .map(h => {
+      const losing = h.lots.filter(l => l.gain < 0);
+      const sum = (pick) => losing.reduce((s, l) => s + pick(l), 0);
+      const shortTermLoss = sum(l => (l.term === "short" ? l.gain : 0));
+      const loss = sum(l => l.gain);
+      const longTermLoss = loss - shortTermLoss;
+      const savings = -(shortTermLoss * rates.shortTerm + longTermLoss * rates.longTerm) / 100;
+
+      const alternatives = substitutesFor(h.symbol, families);
+      const substitute = alternatives.find(a => !heldElsewhere(new Set([a.symbol]), h.account).length) || alternatives[0] || null;
+      const warnings = [
+        ...heldElsewhere(identicalTo(h.symbol), h.account).map(g => ({
+          kind: "same", symbol: upper(g.symbol), account: g.account,
+          message: upper(g.symbol) === upper(h.symbol)
+            ? `${h.symbol} is also held in another account; a purchase there within 30 days of the sale, reinvested dividends included, is a wash sale.`
+            : `${upper(g.symbol)} tracks the same index (${trackedIndex(h.symbol)}) and is held in another account; buying it there within 30 days risks a wash sale.`,
+        })),
+        ...(substitute ? heldElsewhere(new Set([substitute.symbol]), h.account) : []).map(g => ({
+          kind: "substitute", symbol: substitute.symbol, account: g.account,
+          message: `${substitute.symbol} is held in another account too; don't sell it there at a loss within 30 days of buying it here.`,
+        })),
+      ];
+
+      return {
+        holding: h, account: h.account, symbol: h.symbol, desc: h.desc,
+        value: sum(l => l.value), loss, shortTermLoss, longTermLoss, savings,
+        substitute, alternatives, warnings,
+      };
+    })
+    .filter(c => -c.loss >= minLoss)
+    .sort((a, b) => b.savings - a.savings);
+};
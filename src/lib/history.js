@@ -0,0 +1,90 @@
+/* ───────── snapshot history ─────────
+   Each parsed upload is kept as a snapshot in localStorage (see App), keyed
+   by its as-of date and a fingerprint of its accounts so re-uploading the
+   same export replaces it instead of adding a duplicate, while another
+   household's export from the same day (or a dateless CSV) gets its own. */
+import { ASSET_CLASSES, valueByClass } from "./rebalance.js";
+import { maskKey } from "./route.js";
+
+// full-holdings snapshots are large; keep about five years of monthly ones
+export const MAX_SNAPSHOTS = 60;
+
+const HOLDING_FIELDS = ["symbol", "desc", "account", "accountShort", "owner", "accountType", "accountKind", "taxTreatment", "accountNumber", "type", "morningstar", "stockStyle", "bondStyle", "qty", "price", "value", "weight", "assetClass"];
+
+const pick = (h) => Object.fromEntries(HOLDING_FIELDS.map(k => [k, h[k]]));
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// which accounts the export covers, as a short hash
+const accountsFingerprint = (holdings) => maskKey([...new Set(holdings.map(h => h.account))].sort().join("\n"));
+
+export const makeSnapshot = ({ holdings, asOfDate, adapter }) => {
+  const savedAt = new Date().toISOString();
+  return {
+    id: `${adapter?.id || "csv"}:${asOfDate || today()}:${accountsFingerprint(holdings)}`,
+    asOfDate: asOfDate || "",
+    savedAt,
+    adapter: adapter || null,
+    total: holdings.reduce((s, h) => s + h.value, 0),
+    holdings: holdings.map(pick),
+  };
+};
+
+/* Accepts MM/DD/YYYY, YYYY/MM/DD and ISO dates; NaN when unreadable. */
+export const parseAsOfDate = (d) => {
+  let m = (d || "").match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (m) return new Date(+m[3], +m[1] - 1, +m[2]).getTime();
+  m = (d || "").match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+  if (m) return new Date(+m[1], +m[2] - 1, +m[3]).getTime();
+  return Date.parse(d);
+};
+
+/* The as-of date, falling back to the save time. */
+export const snapshotTime = (s) => {
+  const t = parseAsOfDate(s.asOfDate);
+  return isNaN(t) ? Date.parse(s.savedAt) : t;
+};
+
+export const snapshotLabel = (s) => s.asOfDate || new Date(s.savedAt).toLocaleDateString();
+
+export const sortSnapshots = (list) => [...list].sort((a, b) => snapshotTime(a) - snapshotTime(b));
+
+export const upsertSnapshot = (list, snap) => sortSnapshots([...list.filter(s => s.id !== snap.id), snap]);
+
+/*
+  Keeps the newest `max` snapshots and, when storage is full, drops the
+  oldest until the rest fit. `save(list)` returns false when the write
+  fails. → { kept, dropped, full }: how many could not be kept, and
+  whether storage ran out.
+*/
+export const storeSnapshots = (list, save, max = MAX_SNAPSHOTS) => {
+  let kept = sortSnapshots(list).slice(-max);
+  let full = false;
+  while (kept.length && !save(kept)) {
+    full = true;
+    kept = kept.slice(1);
+  }
+  if (!kept.length) save([]);
+  return { kept, dropped: list.length - kept.length, full };
+};
+
+/*
+  One row per snapshot, oldest first: { id, label, total, [class]: pct }.
+  Also returns every asset class seen so charts can assign stable colours.
+  `reclassify` lets old snapshots follow the current classification rules.
+*/
+export const historySeries = (list, reclassify = (holdings) => holdings) => {
+  const classes = new Set();
+  const rows = sortSnapshots(list).map(s => {
+    const byClass = valueByClass(reclassify(s.holdings));
+    const row = { id: s.id, label: snapshotLabel(s), total: s.total };
+    Object.entries(byClass).forEach(([c, v]) => {
+      classes.add(c);
+      row[c] = s.total > 0 ? v / s.total * 100 : 0;
+    });
+    return row;
+  });
+  rows.forEach(r => classes.forEach(c => { if (r[c] == null) r[c] = 0; }));
+  const ordered = [...ASSET_CLASSES.filter(c => classes.has(c)), ...[...classes].filter(c => !ASSET_CLASSES.includes(c)).sort()];
+  return { rows, classes: ordered };
+};
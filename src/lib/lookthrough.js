@@ -0,0 +1,65 @@
+/* ───────── fund look-through ─────────
+   Splits each position into its underlying exposure using a per-symbol
+   composition (bundled table + user overrides). The result is a list of
+   holding "slices" with the same shape as ordinary holdings, so every
+   grouping and metric works on either list unchanged. */
+import { FUND_COMPOSITIONS } from "../data/fundCompositions.js";
+
+export const LOOKTHROUGH_CLASSES = [
+  { key: "usEquity", label: "US Equity" },
+  { key: "intlDeveloped", label: "Intl Developed" },
+  { key: "emerging", label: "Emerging Markets" },
+  { key: "bonds", label: "Bonds" },
+  { key: "cash", label: "Cash" },
+];
+
+const EQUITY_KEYS = new Set(["usEquity", "intlDeveloped", "emerging"]);
+
+const single = (key) => Object.fromEntries(LOOKTHROUGH_CLASSES.map(c => [c.key, c.key === key ? 100 : 0]));
+
+/* Best guess for funds missing from the table, from the labelled asset class. */
+const inferComposition = (h) => {
+  const c = (h.assetClass || "").toLowerCase();
+  const hint = `${h.morningstar} ${h.desc}`.toLowerCase();
+  if (c.includes("cash")) return single("cash");
+  if (c.includes("bond") || c.includes("fixed")) return single("bonds");
+  if (c.includes("intl") || c.includes("international")) return single(hint.includes("emerging") ? "emerging" : "intlDeveloped");
+  if (c.includes("equity")) return single("usEquity");
+  return null;
+};
+
+/*
+  Composition for one holding and where it came from:
+  "custom" (user override), "bundled" (table), "inferred" (from its class),
+  or null when nothing is known — such holdings pass through unchanged.
+*/
+export const compositionFor = (h, overrides = {}) => {
+  const sym = (h.symbol || "").toUpperCase();
+  if (overrides[sym]) return { comp: overrides[sym], source: "custom" };
+  if (FUND_COMPOSITIONS[sym]) return { comp: FUND_COMPOSITIONS[sym], source: "bundled" };
+  const inferred = inferComposition(h);
+  return inferred ? { comp: inferred, source: "inferred" } : { comp: null, source: null };
+};
+
+export const lookThrough = (holdings, overrides = {}) => {
+  const out = [];
+  holdings.forEach(h => {
+    const { comp } = compositionFor(h, overrides);
+    const sum = comp ? LOOKTHROUGH_CLASSES.reduce((s, c) => s + (Number(comp[c.key]) || 0), 0) : 0;
+    if (!comp || sum <= 0) { out.push(h); return; }
+    LOOKTHROUGH_CLASSES.forEach(c => {
+      const share = (Number(comp[c.key]) || 0) / sum;
+      if (share <= 0) return;
+      out.push({
+        ...h,
+        assetClass: c.label,
+        value: h.value * share,
+        qty: h.qty * share,
+        stockStyle: EQUITY_KEYS.has(c.key) ? h.stockStyle : "",
+        bondStyle: c.key === "bonds" ? h.bondStyle : "",
+        lookThroughPct: share * 100,
+      });
+    });
+  });
+  return out;
+};
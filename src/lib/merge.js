@@ -0,0 +1,99 @@
+/* ───────── multi-file merge ─────────
+   A household often needs several exports — one per login or broker. Each
+   imported file becomes a source { name, asOfDate, adapter, diagnostics,
+   holdings } and
+   every holding is tagged with its source's name. When the same account
+   shows up in two sources (e.g. a joint account visible from both logins)
+   only one copy is kept unless the user says they are different accounts. */
+import { parseAsOfDate } from "./history.js";
+
+export const KEEP_BOTH = "*both";
+
+/* "fidelity.csv", "fidelity.csv (2)", … so sources can be told apart by name. */
+export const uniqueSourceName = (name, taken) => {
+  const base = name || "Upload";
+  let candidate = base;
+  for (let i = 2; taken.includes(candidate); i++) candidate = `${base} (${i})`;
+  return candidate;
+};
+
+export const makeSource = ({ holdings, asOfDate, adapter, diagnostics }, name) => ({
+  name,
+  asOfDate: asOfDate || "",
+  adapter: adapter || null,
+  diagnostics: diagnostics || null,
+  holdings: holdings.map(h => ({ ...h, source: name })),
+});
+
+/* Appends imports as sources, renaming any that clash with existing names. */
+export const addSources = (sources, imports) =>
+  imports.reduce((list, { name, result }) =>
+    [...list, makeSource(result, uniqueSourceName(name, list.map(s => s.name)))], sources);
+
+/* The account number when the broker gave one, else the full account label. */
+export const accountKey = (h) => (h.accountNumber || h.account || "").trim().toLowerCase();
+
+/* The copy to keep by default: newest as-of date, then the last file added. */
+const newestSource = (copies) =>
+  copies.reduce((best, c) => {
+    const t = parseAsOfDate(c.asOfDate), bt = parseAsOfDate(best.asOfDate);
+    if (isNaN(t)) return isNaN(bt) ? c : best;
+    return isNaN(bt) || t >= bt ? c : best;
+  });
+
+/*
+  Accounts present in more than one source:
+  [{ key, account, copies: [{ source, asOfDate, value, positions }], keep }]
+  `keep` is the chosen source name, or KEEP_BOTH.
+*/
+export const findDuplicateAccounts = (sources, resolutions = {}) => {
+  const byKey = {};
+  sources.forEach(s => {
+    const seen = {};
+    s.holdings.forEach(h => {
+      const key = accountKey(h);
+      if (!seen[key]) {
+        seen[key] = { source: s.name, asOfDate: s.asOfDate, value: 0, positions: 0 };
+        (byKey[key] ||= { key, account: h.account, copies: [] }).copies.push(seen[key]);
+      }
+      seen[key].value += h.value;
+      seen[key].positions++;
+    });
+  });
+  return Object.values(byKey)
+    .filter(d => d.copies.length > 1)
+    .map(d => {
+      const chosen = resolutions[d.key];
+      const valid = chosen === KEEP_BOTH || d.copies.some(c => c.source === chosen);
+      return { ...d, keep: valid ? chosen : newestSource(d.copies).source };
+    });
+};
+
+/*
+  One holdings list from the enabled sources, with duplicated accounts
+  resolved. asOfDate is the newest of the sources' dates; adapter names
+  every broker format involved.
+*/
+export const mergeSources = (sources, { disabled = [], resolutions = {} } = {}) => {
+  const enabled = sources.filter(s => !disabled.includes(s.name));
+  const duplicates = findDuplicateAccounts(enabled, resolutions);
+  const dropped = new Set();
+  duplicates.forEach(d => {
+    if (d.keep !== KEEP_BOTH) d.copies.forEach(c => { if (c.source !== d.keep) dropped.add(`${c.source}\u0000${d.key}`); });
+  });
+
+  const holdings = enabled.flatMap(s => s.holdings.filter(h => !dropped.has(`${s.name}\u0000${accountKey(h)}`)));
+
+  const dated = enabled.filter(s => !isNaN(parseAsOfDate(s.asOfDate)));
+  const asOfDate = dated.length
+    ? dated.reduce((a, b) => (parseAsOfDate(b.asOfDate) > parseAsOfDate(a.asOfDate) ? b : a)).asOfDate
+    : enabled.find(s => s.asOfDate)?.asOfDate || "";
+
+  const adapters = [...new Map(enabled.filter(s => s.adapter).map(s => [s.adapter.id, s.adapter])).values()];
+  const adapter = adapters.length <= 1 ? adapters[0] || null : {
+    id: adapters.map(a => a.id).join("+"),
+    label: adapters.map(a => a.label).join(" + "),
+  };
+
+  return { holdings, asOfDate, adapter, duplicates };
+};
@@ -0,0 +1,202 @@
+/* ───────── Monte Carlo projection ─────────
+   Simulates the portfolio's future balance from its current asset-class
+   weights and per-class return assumptions (data/capitalMarkets.js).
+   Each trial draws one correlated return per class per year, rebalances to
+   the starting weights every year and adds the yearly cash flow at year
+   end. Everything is in today's dollars: returns are deflated by the
+   inflation assumption and the cash flow stays constant in real terms.
+   The random generator is seeded, so the same inputs always give the
+   same result. */
+import { CAPITAL_MARKETS, FALLBACK_ASSUMPTION, GROUP_CORRELATIONS, DEFAULT_INFLATION } from "../data/capitalMarkets.js";
+
+export const PERCENTILES = [10, 25, 50, 75, 90];
+export const MAX_TRIALS = 10000;
+export const MAX_YEARS = 60;
+
+/* ───────── random numbers ───────── */
+
+/* Small, fast 32-bit generator (mulberry32): () → [0, 1). */
+export const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/* Standard normal draws from a uniform generator (Box–Muller, both halves used). */
+export const createNormal = (random) => {
+  let spare = null;
+  return () => {
+    if (spare != null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    const u = 1 - random(); // (0, 1] so log() stays finite
+    const v = random();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  };
+};
+
+/* ───────── assumptions ───────── */
+
+/* Bundled assumption for a class with the user's { return, volatility } edits on top. */
+export const assumptionFor = (assetClass, overrides = {}) => {
+  const base = CAPITAL_MARKETS[assetClass] || FALLBACK_ASSUMPTION;
+  const edit = overrides[assetClass] || {};
+  const num = (v, fallback) => (v === "" || v == null || isNaN(Number(v)) ? fallback : Number(v));
+  return {
+    return: num(edit.return, base.return),
+    volatility: Math.max(0, num(edit.volatility, base.volatility)),
+    group: base.group,
+  };
+};
+
+/* Current weights by asset class: [{ name, value, weight }], largest first; weight is a fraction. */
+export const classWeights = (holdings) => {
+  const m = {};
+  holdings.forEach(h => { m[h.assetClass] = (m[h.assetClass] || 0) + h.value; });
+  const positive = Object.entries(m).filter(([, v]) => v > 0);
+  const total = positive.reduce((s, [, v]) => s + v, 0);
+  return positive
+    .map(([name, value]) => ({ name, value, weight: value / total }))
+    .sort((a, b) => b.value - a.value);
+};
+
+const correlation = (a, b) => (a === b ? 1 : GROUP_CORRELATIONS[a.group]?.[b.group] ?? 0);
+
+/* Lower-triangular L with L·Lᵀ = matrix, or null when it isn't positive definite. */
+export const cholesky = (matrix) => {
+  const n = matrix.length;
+  const L = matrix.map(() => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = matrix[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (s <= 1e-12) return null;
+        L[i][i] = Math.sqrt(s);
+      } else {
+        L[i][j] = s / L[j][j];
+      }
+    }
+  }
+  return L;
+};
+
+// weakens the off-diagonal correlations until the matrix can be factored
+const correlationFactor = (list) => {
+  for (let shrink = 1; shrink > 0; shrink -= 0.1) {
+    const matrix = list.map((a, i) => list.map((b, j) => (i === j ? 1 : correlation(a, b) * shrink)));
+    const L = cholesky(matrix);
+    if (L) return L;
+  }
+  return list.map((_, i) => list.map((__, j) => (i === j ? 1 : 0)));
+};
+
+/* Expected arithmetic return and volatility of the mix, in percent (nominal). */
+export const portfolioStats = (weights, assumptions) => {
+  const list = weights.map(w => assumptions[w.name] || assumptionFor(w.name));
+  let ret = 0;
+  let variance = 0;
+  weights.forEach((wi, i) => {
+    ret += wi.weight * list[i].return;
+    weights.forEach((wj, j) => {
+      const rho = i === j ? 1 : correlation(list[i], list[j]);
+      variance += wi.weight * wj.weight * list[i].volatility * list[j].volatility * rho;
+    });
+  });
+  return { return: ret, volatility: Math.sqrt(variance) };
+};
+
+/* Value at percentile p (0–100) of an ascending array, interpolating between ranks. */
+export const percentile = (sorted, p) => {
+  if (!sorted.length) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+};
+
+/* ───────── simulation ───────── */
+
+/*
+  options:
+    start        starting balance
+    weights      [{ name, weight }] from classWeights (fractions summing to 1)
+    assumptions  { [class]: { return, volatility, group } } — missing classes
+                 use assumptionFor(class)
+    years        horizon (1–MAX_YEARS)
+    cashFlow     added at the end of every year; negative for withdrawals
+    inflation    percent per year, used to report in today's dollars
+    target       balance to reach by the end of the horizon (0 for none)
+    trials       number of simulated paths (1–MAX_TRIALS)
+    seed         any integer; same seed, same paths
+  → { bands: [{ year, p10, p25, p50, p75, p90 }], probability, depleted,
+      depletedYear, finals, stats }
+  probability is the share of paths ending at or above target (null
+  without a target); depleted the share that ran out of money, and
+  depletedYear the median year they did (null if none).
+*/
+export const simulate = ({
+  start, weights, assumptions = {}, years = 30, cashFlow = 0,
+  inflation = DEFAULT_INFLATION, target = 0, trials = 1000, seed = 1,
+}) => {
+  const horizon = Math.min(Math.max(Math.round(years) || 1, 1), MAX_YEARS);
+  const paths = Math.min(Math.max(Math.round(trials) || 1, 1), MAX_TRIALS);
+  const list = weights.map(w => assumptions[w.name] || assumptionFor(w.name));
+  const L = correlationFactor(list);
+  const normal = createNormal(createRandom(seed));
+  const deflator = 1 + inflation / 100;
+
+  // balances[year][trial]
+  const balances = Array.from({ length: horizon + 1 }, () => new Float64Array(paths));
+  const ranOut = [];
+  const z = new Array(list.length);
+  for (let t = 0; t < paths; t++) {
+    let balance = start;
+    let out = false;
+    balances[0][t] = balance;
+    for (let y = 1; y <= horizon; y++) {
+      for (let i = 0; i < z.length; i++) z[i] = normal();
+      let growth = 0;
+      for (let i = 0; i < list.length; i++) {
+        let shock = 0;
+        for (let k = 0; k <= i; k++) shock += L[i][k] * z[k];
+        const r = Math.max(-1, (list[i].return + list[i].volatility * shock) / 100);
+        growth += weights[i].weight * r;
+      }
+      balance = balance * (1 + growth) / deflator + cashFlow;
+      if (balance <= 0 && !out && start > 0) {
+        out = true;
+        ranOut.push(y);
+      }
+      if (balance < 0) balance = 0;
+      balances[y][t] = balance;
+    }
+  }
+
+  const bands = balances.map((row, year) => {
+    const sorted = Float64Array.from(row).sort();
+    const band = { year };
+    PERCENTILES.forEach(p => { band[`p${p}`] = percentile(sorted, p); });
+    return band;
+  });
+  const finals = Float64Array.from(balances[horizon]).sort();
+  ranOut.sort((a, b) => a - b);
+
+  return {
+    bands,
+    probability: target > 0 ? finals.filter(v => v >= target).length / paths : null,
+    depleted: ranOut.length / paths,
+    depletedYear: ranOut.length ? ranOut[Math.floor((ranOut.length - 1) / 2)] : null,
+    finals,
+    stats: portfolioStats(weights, Object.fromEntries(weights.map((w, i) => [w.name, list[i]]))),
+  };
+};
@@ -0,0 +1,102 @@
+/* ───────── pivot matrix ─────────
+   Cross-tabulates holdings over two dimensions — account × asset class and
+   the like — for the Pivot tab's heatmap. Cells keep their holdings so a
+   click can drill into them. */
+import { styleLabel } from "./styleBox.js";
+import { maskKey, unmaskKey } from "./route.js";
+
+// `masked` dimensions hold names that are masked in the URL (see route.js)
+export const PIVOT_DIMENSIONS = [
+  { id: "account", label: "Account", key: h => h.account, masked: true },
+  { id: "owner", label: "Owner", key: h => h.owner, masked: true },
+  { id: "tax", label: "Tax bucket", key: h => h.taxTreatment },
+  { id: "assetClass", label: "Asset class", key: h => h.assetClass },
+  { id: "type", label: "Investment type", key: h => h.type },
+  { id: "style", label: "Style", key: styleLabel },
+];
+
+/* What a cell shows: dollars, or a share of the whole, its row or its column. */
+export const PIVOT_MODES = [
+  { id: "value", label: "$" },
+  { id: "total", label: "% of total" },
+  { id: "row", label: "% of row" },
+  { id: "col", label: "% of column" },
+];
+
+export const findDimension = (id) => PIVOT_DIMENSIONS.find(d => d.id === id) || null;
+
+export const pivotKey = (row, col) => `${row}|${col}`;
+
+const byValue = (m) => [...m].sort((a, b) => b[1].value - a[1].value || a[0].localeCompare(b[0])).map(([key, t]) => ({ key, ...t }));
+
+/*
+  → { rows: [{ key, value, items }], cols: [...], cells: { "row|col": { value, items } }, total }
+  Rows and columns run largest first; a missing value is "—".
+*/
+export const buildPivot = (holdings, rowDim, colDim) => {
+  const rowOf = findDimension(rowDim).key;
+  const colOf = findDimension(colDim).key;
+  const rows = new Map();
+  const cols = new Map();
+  const cells = {};
+  let total = 0;
+  const add = (map, key, h) => {
+    if (!map.has(key)) map.set(key, { value: 0, items: [] });
+    const t = map.get(key);
+    t.value += h.value;
+    t.items.push(h);
+  };
+  for (const h of holdings) {
+    const r = rowOf(h) || "—";
+    const c = colOf(h) || "—";
+    add(rows, r, h);
+    add(cols, c, h);
+    const k = pivotKey(r, c);
+    if (!cells[k]) cells[k] = { value: 0, items: [] };
+    cells[k].value += h.value;
+    cells[k].items.push(h);
+    total += h.value;
+  }
+  return { rows: byValue(rows), cols: byValue(cols), cells, total };
+};
+
+/* A cell's value in the chosen mode: dollars, or a percentage. */
+export const cellShare = (pivot, row, col, mode) => {
+  const value = pivot.cells[pivotKey(row.key, col.key)]?.value || 0;
+  const base = mode === "row" ? row.value : mode === "col" ? col.value : mode === "total" ? pivot.total : 1;
+  if (mode === "value") return value;
+  return base > 0 ? value / base * 100 : 0;
+};
+
+/*
+  The holdings behind a selection: "row|col" for a cell, "row|*" or
+  "*|col" for a whole row or column. → { row, col, value, items } or null.
+*/
+export const pivotSelection = (pivot, sel) => {
+  if (!sel) return null;
+  const at = sel.indexOf("|");
+  if (at === -1) return null;
+  const row = sel.slice(0, at);
+  const col = sel.slice(at + 1);
+  const source = row === "*" ? pivot.cols.find(c => c.key === col)
+    : col === "*" ? pivot.rows.find(r => r.key === row)
+    : pivot.cells[sel];
+  return source?.items.length ? { row, col, value: source.value, items: source.items } : null;
+};
+
+/* A selection as it goes in the URL, with account and owner keys masked. */
+export const maskSelection = (sel, rowDim, colDim) => {
+  const at = sel.indexOf("|");
+  const mask = (dim, key) => (key !== "*" && findDimension(dim).masked ? maskKey(key) : key);
+  return pivotKey(mask(rowDim, sel.slice(0, at)), mask(colDim, sel.slice(at + 1)));
+};
+
+/* Inverse of maskSelection against the pivot's own keys; null if nothing matches. */
+export const unmaskSelection = (pivot, sel, rowDim, colDim) => {
+  const at = sel ? sel.indexOf("|") : -1;
+  if (at === -1) return null;
+  const unmask = (dim, token, keys) => (token === "*" || !findDimension(dim).masked ? token : unmaskKey(token, keys));
+  const row = unmask(rowDim, sel.slice(0, at), pivot.rows.map(r => r.key));
+  const col = unmask(colDim, sel.slice(at + 1), pivot.cols.map(c => c.key));
+  return row != null && col != null ? pivotKey(row, col) : null;
+};
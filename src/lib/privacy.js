@@ -0,0 +1,56 @@
+/* ───────── privacy mode ─────────
+   For screen-sharing: dollar amounts and quantities are masked wherever they
+   are formatted (fmt, chart axes, exports), and owners and account numbers
+   are replaced by stable aliases before holdings reach any view.
+
+   The on/off flag is a tiny store outside React so plain helpers like fmt
+   can read it; components subscribe through hooks/usePrivacyMode.js. */
+import { loadJSON, saveJSON } from "./storage.js";
+
+export const MASK = "•••";
+
+let enabled = loadJSON("privacy", false);
+const listeners = new Set();
+
+export const isPrivate = () => enabled;
+
+export const setPrivate = (on) => {
+  enabled = !!on;
+  saveJSON("privacy", enabled);
+  listeners.forEach(l => l());
+};
+
+export const subscribePrivacy = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const letters = (i) => (i < 26 ? "" : letters(Math.floor(i / 26) - 1)) + String.fromCharCode(65 + i % 26);
+
+/* "File 1", "File 2", … in upload order; file names often include a name. */
+export const sourceAliases = (names) => Object.fromEntries(names.map((n, i) => [n, `File ${i + 1}`]));
+
+/*
+  Replaces owner names with "Owner A", "Owner B", … and account numbers
+  with "Acct 1", "Acct 2", …. Aliases follow the sorted real names, so the
+  same household gets the same aliases in every view, export and session.
+  `sourceNames` (every uploaded file, in order) aliases the source tags.
+*/
+export const anonymizeHoldings = (holdings, sourceNames = []) => {
+  const sourceAlias = sourceAliases(sourceNames);
+  const owners = [...new Set(holdings.map(h => h.owner).filter(Boolean))].sort();
+  const ownerAlias = Object.fromEntries(owners.map((o, i) => [o, `Owner ${letters(i)}`]));
+  const accounts = [...new Set(holdings.map(h => h.account))].sort();
+  const accountAlias = Object.fromEntries(accounts.map((a, i) => [a, `Acct ${i + 1}`]));
+
+  return holdings.map(h => {
+    const owner = h.owner ? ownerAlias[h.owner] : "";
+    const type = h.accountType && h.accountType !== "Account" ? h.accountType : "";
+    const account = [owner, type, accountAlias[h.account]].filter(Boolean).join(" - ");
+    return {
+      ...h, owner, account, accountShort: account,
+      accountNumber: h.accountNumber ? accountAlias[h.account] : "",
+      ...(h.source ? { source: sourceAlias[h.source] || "File" } : {}),
+    };
+  });
+};
@@ -0,0 +1,191 @@
+/* ───────── holdings query language ─────────
+   The All Holdings search box. Words match anywhere in a holding, as the
+   plain search always did; field qualifiers narrow it down:
+
+     account:roth class:"US Equity" value>50k -symbol:CASH
+
+   `field:text` contains, `field=text` is exact (both ignore case); number
+   fields take = > >= < <= (`:` means =), with $, commas, k/m/b and % all
+   allowed. A leading "-" negates a term. Every term must match. */
+
+/* { name, label, kind, get(holding, ctx), aliases? } — ctx is { total }. */
+export const QUERY_FIELDS = [
+  { name: "symbol", label: "Symbol", kind: "text", get: h => h.symbol, aliases: ["ticker", "sym"] },
+  { name: "name", label: "Description", kind: "text", get: h => h.desc, aliases: ["desc", "description"] },
+  { name: "account", label: "Account", kind: "text", get: h => h.account, aliases: ["acct"] },
+  { name: "owner", label: "Owner", kind: "text", get: h => h.owner },
+  { name: "kind", label: "Account type", kind: "text", get: h => h.accountKind },
+  { name: "tax", label: "Tax treatment", kind: "text", get: h => h.taxTreatment },
+  { name: "class", label: "Asset class", kind: "text", get: h => h.assetClass, aliases: ["assetclass"] },
+  { name: "type", label: "Security type", kind: "text", get: h => h.type },
+  { name: "category", label: "Morningstar category", kind: "text", get: h => h.morningstar, aliases: ["morningstar"] },
+  { name: "style", label: "Stock style", kind: "text", get: h => h.stockStyle },
+  { name: "bondstyle", label: "Bond style", kind: "text", get: h => h.bondStyle },
+  { name: "source", label: "Source file", kind: "text", get: h => h.source, aliases: ["file"] },
+  { name: "term", label: "Holding period", kind: "text", get: h => h.term },
+  { name: "value", label: "Value ($)", kind: "number", get: h => h.value },
+  { name: "qty", label: "Quantity", kind: "number", get: h => Number(h.qty) || 0, aliases: ["shares"] },
+  { name: "price", label: "Price ($)", kind: "number", get: h => h.price },
+  { name: "weight", label: "Weight (%)", kind: "number", get: (h, ctx) => (ctx.total > 0 ? h.value / ctx.total * 100 : null) },
+  { name: "er", label: "Expense ratio (%)", kind: "number", get: h => h.expenseRatio },
+  { name: "fee", label: "Annual fee ($)", kind: "number", get: h => (h.expenseRatio == null ? null : h.value * h.expenseRatio / 100) },
+  { name: "basis", label: "Cost basis ($)", kind: "number", get: h => h.costBasis },
+  { name: "gain", label: "Unrealized gain ($)", kind: "number", get: h => (h.costBasis == null ? null : h.gain) },
+];
+
+export const OPERATORS = { text: [":", "="], number: [">", ">=", "<", "<=", "="] };
+
+// what a bare word is matched against
+const FREE_TEXT = [h => h.symbol, h => h.desc, h => h.accountShort, h => h.assetClass, h => h.account, h => h.type, h => h.source];
+
+export const findField = (name) => {
+  const n = (name || "").toLowerCase();
+  return QUERY_FIELDS.find(f => f.name === n || f.aliases?.includes(n)) || null;
+};
+
+/* "$50,000" → 50000, "50k" → 50000, "0.2%" → 0.2; NaN when not a number. */
+export const parseAmount = (text) => {
+  const m = /^\$?\s*(-?[\d,]*\.?\d+)\s*([kmb%])?$/i.exec((text || "").trim());
+  if (!m) return NaN;
+  const n = parseFloat(m[1].replace(/,/g, ""));
+  return n * ({ k: 1e3, m: 1e6, b: 1e9 }[(m[2] || "").toLowerCase()] || 1);
+};
+
+/* Whitespace-separated tokens, double quotes keeping spaces together. → [{ text, start, end }] */
+export const tokenize = (query) => {
+  const tokens = [];
+  const re = /(?:[^\s"]+|"[^"]*"?)+/g;
+  let m;
+  while ((m = re.exec(query || ""))) tokens.push({ text: m[0], start: m.index, end: m.index + m[0].length });
+  return tokens;
+};
+
+const unquote = (s) => s.replace(/"/g, "");
+const TERM_RE = /^(-?)([a-z]+)(>=|<=|:|=|>|<)(.*)$/i;
+
+/*
+  → { terms: [{ field, op, value, negate, start, end, text }], errors: [string] }
+  `field` is null for a bare word. Terms with an error (unknown field, an
+  operator the field doesn't take, a value that isn't a number) are left
+  out of `terms` and explained in `errors`.
+*/
+export const parseQuery = (query) => {
+  const terms = [];
+  const errors = [];
+  for (const token of tokenize(query)) {
+    const at = { start: token.start, end: token.end, text: token.text };
+    const m = TERM_RE.exec(token.text);
+    if (!m) {
+      const negate = token.text.startsWith("-") && token.text.length > 1;
+      const value = unquote(negate ? token.text.slice(1) : token.text);
+      if (value) terms.push({ field: null, op: ":", value, negate, ...at });
+      continue;
+    }
+    const [, minus, name, rawOp, rawValue] = m;
+    const field = findField(name);
+    const value = unquote(rawValue);
+    if (!field) {
+      errors.push(`Unknown field "${name}" — try ${QUERY_FIELDS.slice(0, 4).map(f => f.name).join(", ")}, …`);
+      continue;
+    }
+    if (!value) continue; // still being typed
+    const op = field.kind === "number" && rawOp === ":" ? "=" : rawOp;
+    if (!OPERATORS[field.kind].includes(op)) {
+      errors.push(`${field.name} is text: use ${field.name}:${value} or ${field.name}=${value}`);
+      continue;
+    }
+    if (field.kind === "number" && isNaN(parseAmount(value))) {
+      errors.push(`${field.name} needs a number, not "${value}"`);
+      continue;
+    }
+    terms.push({ field: field.name, op, value, negate: minus === "-", ...at });
+  }
+  return { terms, errors };
+};
+
+const COMPARE = {
+  "=": (a, b) => Math.abs(a - b) < 0.005,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+const termMatches = (h, term, ctx) => {
+  const needle = term.value.toLowerCase();
+  if (!term.field) return FREE_TEXT.some(get => (get(h) || "").toLowerCase().includes(needle));
+  const field = findField(term.field);
+  const v = field.get(h, ctx);
+  if (field.kind === "number") return v != null && !isNaN(v) && COMPARE[term.op](v, parseAmount(term.value));
+  const text = String(v ?? "").toLowerCase();
+  return term.op === "=" ? text === needle : text.includes(needle);
+};
+
+/* Holdings matching every term of `query`. → { holdings, terms, errors } */
+export const filterHoldings = (holdings, query, { total = 0 } = {}) => {
+  const { terms, errors } = parseQuery(query);
+  const ctx = { total };
+  const list = terms.length
+    ? holdings.filter(h => terms.every(t => termMatches(h, t, ctx) !== t.negate))
+    : holdings;
+  return { holdings: list, terms, errors };
+};
+
+/* One term back as query text, quoting values with spaces. */
+export const formatTerm = ({ field, op = ":", value, negate = false }) => {
+  const v = unquote(String(value)).trim();
+  const quoted = /\s/.test(v) ? `"${v}"` : v;
+  return `${negate ? "-" : ""}${field ? `${field}${op}` : ""}${quoted}`;
+};
+
+/* The query without the term at [start, end). */
+export const removeTerm = (query, { start, end }) =>
+  `${query.slice(0, start)}${query.slice(end)}`.replace(/\s+/g, " ").trim();
+
+/* The query with `term` added at the end. */
+export const addTerm = (query, term) => [query.trim(), formatTerm(term)].filter(Boolean).join(" ");
+
+/* Distinct values of a text field across the holdings, most common first. */
+export const fieldValues = (holdings, name) => {
+  const field = findField(name);
+  if (!field || field.kind !== "text") return [];
+  const counts = new Map();
+  for (const h of holdings) {
+    const v = String(field.get(h, {}) ?? "").trim();
+    if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([v]) => v);
+};
+
+/*
+  Completions for the word being typed at the end of the query: field
+  names while there is no operator yet, then the field's values from the
+  loaded holdings. → [{ label, hint, query }] where `query` is the whole
+  new query text.
+*/
+export const suggest = (query, holdings, { limit = 8 } = {}) => {
+  const text = query || "";
+  const tokens = tokenize(text);
+  const last = /\s$/.test(text) || !tokens.length ? null : tokens[tokens.length - 1];
+  const head = last ? text.slice(0, last.start) : text;
+  const word = last ? last.text : "";
+  const minus = word.startsWith("-") ? "-" : "";
+  const bare = minus ? word.slice(1) : word;
+
+  const m = TERM_RE.exec(word);
+  const field = m && findField(m[2]);
+  if (m && field) {
+    if (field.kind !== "text" || !OPERATORS.text.includes(m[3])) return [];
+    const partial = unquote(m[4]).toLowerCase();
+    return fieldValues(holdings, field.name)
+      .filter(v => v.toLowerCase().includes(partial) && v.toLowerCase() !== partial)
+      .slice(0, limit)
+      .map(v => ({ label: v, hint: field.label, query: `${head}${formatTerm({ field: field.name, op: m[3], value: v, negate: !!m[1] })} ` }));
+  }
+  if (m || bare.includes('"')) return [];
+  const prefix = bare.toLowerCase();
+  return QUERY_FIELDS
+    .filter(f => [f.name, ...(f.aliases || [])].some(n => n.startsWith(prefix)))
+    .slice(0, limit)
+    .map(f => ({ label: `${f.name}${f.kind === "number" ? ">" : ":"}`, hint: f.label, query: `${head}${minus}${f.name}${f.kind === "number" ? ">" : ":"}` }));
+};
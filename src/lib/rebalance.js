@@ -0,0 +1,195 @@
+/* ───────── target allocation & rebalancing ───────── */
+import { sumValues } from "./groups.js";
+
+// Classes produced by the default classification rules, in display order.
+// Any other class (user rules, overrides, "Other") is appended after these.
+export const ASSET_CLASSES = ["US Equity", "Intl Equity", "US Bonds", "Intl Bonds", "Cash"];
+
+// takes a holding or account carrying the taxTreatment parsed at import
+export const isTaxAdvantaged = (a) => a.taxTreatment !== "Taxable";
+
+const orderClasses = (names) => {
+  const known = ASSET_CLASSES.filter(c => names.has(c));
+  const rest = [...names].filter(c => !ASSET_CLASSES.includes(c)).sort();
+  return [...known, ...rest];
+};
+
+export const valueByClass = (holdings) => {
+  const m = {};
+  holdings.forEach(h => { m[h.assetClass] = (m[h.assetClass] || 0) + h.value; });
+  return m;
+};
+
+/* Current allocation rounded to whole percents, nudged so it sums to 100. */
+export const defaultTargets = (holdings) => {
+  const total = sumValues(holdings);
+  const byClass = valueByClass(holdings);
+  const targets = {};
+  if (total <= 0) return targets;
+  Object.entries(byClass).forEach(([c, v]) => { targets[c] = Math.round(v / total * 100); });
+  const diff = 100 - Object.values(targets).reduce((s, v) => s + v, 0);
+  if (diff !== 0) {
+    const largest = Object.keys(targets).sort((a, b) => byClass[b] - byClass[a])[0];
+    targets[largest] += diff;
+  }
+  return targets;
+};
+
+const targetShares = (targets) => {
+  const sum = Object.values(targets).reduce((s, v) => s + (Number(v) || 0), 0);
+  const shares = {};
+  Object.entries(targets).forEach(([c, v]) => { shares[c] = sum > 0 ? (Number(v) || 0) / sum : 0; });
+  return shares;
+};
+
+/* Per-class current vs target after an optional new contribution. */
+export const computeDrift = (holdings, targets, contribution = 0) => {
+  const byClass = valueByClass(holdings);
+  const total = sumValues(holdings);
+  const newTotal = total + contribution;
+  const shares = targetShares(targets);
+  const names = new Set([...Object.keys(byClass), ...Object.keys(targets)]);
+  return orderClasses(names).map(name => {
+    const value = byClass[name] || 0;
+    const pct = total > 0 ? value / total * 100 : 0;
+    const targetPct = (shares[name] || 0) * 100;
+    const targetValue = (shares[name] || 0) * newTotal;
+    return { name, value, pct, targetPct, targetValue, drift: pct - targetPct, diff: targetValue - value };
+  });
+};
+
+/* Split `amount` across underweight classes, filling the largest gaps
+   proportionally; anything left over follows the target weights. */
+const allocateNewMoney = (amount, delta, shares) => {
+  const out = {};
+  const needs = Object.entries(delta).filter(([, d]) => d > 0);
+  const totalNeed = needs.reduce((s, [, d]) => s + d, 0);
+  if (totalNeed >= amount) {
+    needs.forEach(([c, d]) => { out[c] = amount * d / totalNeed; });
+    return out;
+  }
+  needs.forEach(([c, d]) => { out[c] = d; });
+  const rest = amount - totalNeed;
+  Object.entries(shares).forEach(([c, s]) => { out[c] = (out[c] || 0) + rest * s; });
+  return out;
+};
+
+/*
+  Builds a concrete buy/sell list that moves the portfolio toward `targets`.
+  Money cannot move between accounts, so every sell is paired with a buy in
+  the same account. Tax-advantaged accounts are used first so that sells in
+  taxable accounts (which may realize gains) are only needed as a last resort.
+
+  options:
+    contribution         new cash to invest
+    contributionAccount  account receiving the new cash (default: largest)
+    newMoneyOnly         only direct new cash, never sell
+    minTrade             ignore trades smaller than this many dollars
+*/
+export const planTrades = (holdings, targets, options = {}) => {
+  const { contribution = 0, newMoneyOnly = false, minTrade = 50 } = options;
+  const shares = targetShares(targets);
+  const byClass = valueByClass(holdings);
+  const newTotal = sumValues(holdings) + contribution;
+
+  const delta = {};
+  new Set([...Object.keys(byClass), ...Object.keys(shares)]).forEach(c => {
+    delta[c] = (shares[c] || 0) * newTotal - (byClass[c] || 0);
+  });
+
+  // account -> class -> positions (largest first), with a mutable remaining value
+  const accounts = {};
+  holdings.forEach(h => {
+    if (!accounts[h.account]) {
+      accounts[h.account] = { name: h.account, accountKind: h.accountKind, taxTreatment: h.taxTreatment, value: 0, classes: {} };
+    }
+    const a = accounts[h.account];
+    a.value += h.value;
+    if (!a.classes[h.assetClass]) a.classes[h.assetClass] = [];
+    a.classes[h.assetClass].push({ holding: h, remaining: h.value });
+  });
+  Object.values(accounts).forEach(a => Object.values(a.classes).forEach(list => list.sort((x, y) => y.remaining - x.remaining)));
+
+  // largest household position per class, used as the buy suggestion when
+  // the account itself holds nothing in that class
+  const householdPick = {};
+  holdings.forEach(h => {
+    if (!householdPick[h.assetClass] || h.value > householdPick[h.assetClass].value) householdPick[h.assetClass] = h;
+  });
+
+  const raw = [];
+  const buy = (account, assetClass, amount) => {
+    const own = accounts[account]?.classes[assetClass]?.[0]?.holding;
+    const pick = own || householdPick[assetClass];
+    raw.push({ account, action: "buy", assetClass, amount, symbol: pick?.symbol || null, desc: pick?.desc || "", price: pick?.price || 0 });
+  };
+  const sell = (account, assetClass, amount) => {
+    let left = amount;
+    for (const pos of accounts[account].classes[assetClass] || []) {
+      if (left <= 0) break;
+      const take = Math.min(left, pos.remaining);
+      if (take <= 0) continue;
+      pos.remaining -= take;
+      left -= take;
+      const h = pos.holding;
+      raw.push({ account, action: "sell", assetClass, amount: take, symbol: h.symbol, desc: h.desc, price: h.price });
+    }
+  };
+  const available = (account, assetClass) =>
+    (accounts[account].classes[assetClass] || []).reduce((s, p) => s + p.remaining, 0);
+
+  // 1. new money
+  if (contribution > 0) {
+    const target = options.contributionAccount && accounts[options.contributionAccount]
+      ? options.contributionAccount
+      : Object.values(accounts).sort((a, b) => b.value - a.value)[0]?.name;
+    if (target) {
+      const alloc = allocateNewMoney(contribution, delta, shares);
+      Object.entries(alloc).forEach(([c, amt]) => {
+        if (amt < minTrade) return;
+        buy(target, c, amt);
+        delta[c] -= amt;
+      });
+    }
+  }
+
+  // 2. in-account swaps, tax-advantaged accounts first
+  if (!newMoneyOnly) {
+    const order = Object.values(accounts).sort((a, b) =>
+      (isTaxAdvantaged(b) - isTaxAdvantaged(a)) || (b.value - a.value));
+    for (const a of order) {
+      for (;;) {
+        const over = Object.keys(delta)
+          .filter(c => delta[c] < -minTrade && available(a.name, c) >= minTrade)
+          .sort((x, y) => delta[x] - delta[y])[0];
+        const under = Object.keys(delta)
+          .filter(c => delta[c] > minTrade)
+          .sort((x, y) => delta[y] - delta[x])[0];
+        if (!over || !under) break;
+        const amt = Math.min(-delta[over], delta[under], available(a.name, over));
+        sell(a.name, over, amt);
+        buy(a.name, under, amt);
+        delta[over] += amt;
+        delta[under] -= amt;
+      }
+    }
+  }
+
+  // merge repeated legs (same account, side and symbol)
+  const merged = {};
+  raw.forEach(t => {
+    const key = `${t.account}|${t.action}|${t.assetClass}|${t.symbol}`;
+    if (merged[key]) merged[key].amount += t.amount;
+    else merged[key] = { ...t, accountKind: accounts[t.account].accountKind, taxable: !isTaxAdvantaged(accounts[t.account]) };
+  });
+  const trades = Object.values(merged)
+    .filter(t => t.amount >= minTrade)
+    .map(t => ({ ...t, shares: t.price > 0 ? t.amount / t.price : null }))
+    .sort((x, y) => x.account.localeCompare(y.account) || (x.action === "sell" ? -1 : 1) - (y.action === "sell" ? -1 : 1) || y.amount - x.amount);
+
+  // what is still off target once every possible in-account trade is made
+  const residual = {};
+  Object.entries(delta).forEach(([c, d]) => { if (Math.abs(d) >= minTrade) residual[c] = d; });
+
+  return { trades, residual, total: newTotal };
+};
@@ -0,0 +1,111 @@
+/* ───────── allocation report (JSON / Markdown) ─────────
+   A plain-data summary of analyzePortfolio() output for scripts and the
+   CLI (bin/portfolio-report.js). Amounts are dollars rounded to cents and
+   percentages are of the portfolio total unless the field says otherwise. */
+
+const round = (n, d = 2) => Math.round(n * 10 ** d) / 10 ** d;
+
+const share = (groups, total) =>
+  groups.map(g => ({ name: g.name, value: round(g.value), pct: round(total > 0 ? g.value / total * 100 : 0) }));
+
+/*
+  → { asOfDate, format, total, positions, accounts, metrics, assetClasses,
+      accountTotals, owners, taxTreatments, holdings, diagnostics }
+  `holdings` is one row per ticker ({ symbol, desc, assetClass, value, pct,
+  accounts }); `diagnostics` is { severity, issues } when the import
+  report is available.
+*/
+export const buildReport = (analysis) => {
+  const { total, metrics: m, groups } = analysis;
+  return {
+    asOfDate: analysis.asOfDate || null,
+    format: analysis.adapter?.label || null,
+    total: round(total),
+    positions: analysis.holdings.length,
+    accounts: groups.account.length,
+    metrics: {
+      equity: round(m.equityVal),
+      bonds: round(m.bondVal),
+      cash: round(m.cashVal),
+      usEquity: round(m.usEq),
+      intlEquity: round(m.intlEq),
+      individualStocks: round(m.individualStocks),
+      stockPctOfInvested: round(m.stockPct),
+      bondPctOfInvested: round(m.bondPct),
+      usPctOfEquity: round(m.usPct),
+      intlPctOfEquity: round(m.intlPct),
+      cashPct: round(m.cashPct),
+      expenseRatio: round(m.fees.er, 4),
+      annualFees: round(m.fees.fees),
+    },
+    assetClasses: share(groups.assetClass, total),
+    accountTotals: groups.account.map(g => ({ name: g.account, value: round(g.value), pct: round(total > 0 ? g.value / total * 100 : 0) })),
+    owners: share(groups.owner, total),
+    taxTreatments: share(groups.taxTreatment, total),
+    holdings: groups.holding.map(g => ({
+      symbol: g.symbol, desc: g.desc, assetClass: g.assetClass,
+      value: round(g.value), pct: round(total > 0 ? g.value / total * 100 : 0), accounts: g.accounts,
+    })),
+    diagnostics: analysis.diagnostics
+      ? { severity: analysis.diagnostics.severity, issues: analysis.diagnostics.issues }
+      : null,
+  };
+};
+
+const money = (v) => `$${v.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const pct = (v) => `${v.toFixed(1)}%`;
+
+// GitHub-flavoured table; `align` is "l" or "r" per column
+const table = (headers, rows, align) => [
+  `| ${headers.join(" | ")} |`,
+  `| ${align.map(a => (a === "r" ? "---:" : "---")).join(" | ")} |`,
+  ...rows.map(r => `| ${r.map(c => String(c).replace(/\|/g, "\\|")).join(" | ")} |`),
+].join("\n");
+
+const shareTable = (label, rows) => table([label, "Value", "Weight"], rows.map(r => [r.name, money(r.value), pct(r.pct)]), ["l", "r", "r"]);
+
+export const reportToMarkdown = (r) => {
+  const m = r.metrics;
+  const lines = [
+    `# Portfolio Allocation${r.asOfDate ? ` — ${r.asOfDate}` : ""}`,
+    "",
+    `**Total:** ${money(r.total)} · ${r.positions} positions · ${r.accounts} accounts${r.format ? ` · imported as ${r.format}` : ""}`,
+    "",
+    "## Summary",
+    "",
+    table(["Measure", "Value", "Share"], [
+      ["Equities", money(m.equity), `${pct(m.stockPctOfInvested)} of invested`],
+      ["Bonds", money(m.bonds), `${pct(m.bondPctOfInvested)} of invested`],
+      ["Cash / MM", money(m.cash), `${pct(m.cashPct)} of total`],
+      ["US equity", money(m.usEquity), `${pct(m.usPctOfEquity)} of equity`],
+      ["International equity", money(m.intlEquity), `${pct(m.intlPctOfEquity)} of equity`],
+      ["Weighted expense ratio", `${m.expenseRatio.toFixed(2)}%`, `${money(m.annualFees)} / yr`],
+    ], ["l", "r", "r"]),
+    "",
+    "## By Asset Class",
+    "",
+    shareTable("Asset Class", r.assetClasses),
+    "",
+    "## By Account",
+    "",
+    shareTable("Account", r.accountTotals),
+    "",
+    "## By Owner",
+    "",
+    shareTable("Owner", r.owners),
+    "",
+    "## By Tax Bucket",
+    "",
+    shareTable("Tax Bucket", r.taxTreatments),
+    "",
+    "## Holdings",
+    "",
+    table(["Symbol", "Description", "Class", "Value", "Weight"],
+      r.holdings.map(h => [h.symbol, h.desc, h.assetClass, money(h.value), pct(h.pct)]),
+      ["l", "l", "l", "r", "r"]),
+  ];
+  if (r.diagnostics?.issues.length) {
+    lines.push("", "## Import Notes", "", ...r.diagnostics.issues.map(i => `- **${i.severity}**: ${i.message}`));
+  }
+  return `${lines.join("\n")}\n`;
+};
@@ -0,0 +1,39 @@
+/* ───────── hash routes ─────────
+   Dashboard state lives in the URL hash so links can be shared and the
+   browser's back/forward buttons move between tabs and drill-downs.
+   Hash routing needs no server support, so it works on GitHub Pages.
+
+     #/holding?sel=VOO&mode=family
+     #/all?q=bond
+     #/accounts?sel=k1x9z0a   (account labels and owner names are masked)
+*/
+
+/* "#/view?a=1&b=2" → { view: "view", params: { a: "1", b: "2" } } */
+export const parseHash = (hash) => {
+  const raw = (hash || "").replace(/^#\/?/, "");
+  const q = raw.indexOf("?");
+  const view = decodeURIComponent(q < 0 ? raw : raw.slice(0, q));
+  const params = Object.fromEntries(new URLSearchParams(q < 0 ? "" : raw.slice(q + 1)));
+  return { view, params };
+};
+
+/* Inverse of parseHash; empty and null params are left out. */
+export const buildHash = ({ view, params = {} }) => {
+  const search = new URLSearchParams(
+    Object.entries(params).filter(([, v]) => v != null && v !== "").sort(([a], [b]) => a.localeCompare(b))
+  ).toString();
+  return `#/${encodeURIComponent(view || "")}${search ? `?${search}` : ""}`;
+};
+
+/* Account labels and owner names carry account numbers and real names, and
+   the URL ends up in history, bookmarks and shared links — so they go in as
+   a short hash and are matched back against the names on hand. Not a
+   secret, just not readable. */
+export const maskKey = (name) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < name.length; i++) h = Math.imul(h ^ name.charCodeAt(i), 0x01000193);
+  return `k${(h >>> 0).toString(36)}`;
+};
+
+/* The name in `names` that maskKey turned into `token`, or null. */
+export const unmaskKey = (token, names) => (token ? names.find(n => maskKey(n) === token) ?? null : null);
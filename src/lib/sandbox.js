@@ -0,0 +1,203 @@
+/* ───────── what-if sandbox ─────────
+   A scenario is a list of hypothetical trades replayed, in order, on a copy
+   of the imported holdings; the dashboard then shows the result as if it
+   were the real portfolio. Trades name positions by account and symbol,
+   so a saved scenario still applies after a fresh upload of the same
+   accounts. Trade shapes:
+     { kind: "buy",  account, symbol, amount, fromCash, desc?, assetClass? }
+     { kind: "sell", account, symbol, amount | fraction }
+     { kind: "set",  account, symbol, qty | amount }     new share count or value
+     { kind: "move", account, symbol, to, amount | fraction }   in-kind transfer
+   Sells put their proceeds in the account's cash; buys are paid from it
+   when fromCash is set, any shortfall counting as new money. Selling or
+   resizing a cash position itself is a withdrawal or deposit. */
+import { makeHolding } from "./adapters/common.js";
+import { parseAccount } from "./accounts.js";
+import { shortenAccount } from "./format.js";
+import { isCashLike } from "./cash.js";
+import { sumValues } from "./groups.js";
+import { groupByAssetClass, groupByAccount, groupByTaxTreatment, portfolioMetrics } from "./analytics.js";
+
+export const TRADE_KINDS = [
+  { id: "buy", label: "Buy" },
+  { id: "sell", label: "Sell" },
+  { id: "set", label: "Set quantity" },
+  { id: "move", label: "Move" },
+];
+
+const sym = (s) => (s || "").trim().toUpperCase();
+
+const matching = (list, account, symbol) => list.filter(h => h.account === account && sym(h.symbol) === sym(symbol));
+
+const ACCOUNT_FIELDS = ["owner", "accountType", "accountKind", "taxTreatment", "accountNumber", "source"];
+
+// a holding's account fields, copied from a position already in `account`
+// (parsed from the name only when a saved scenario names an account no longer held)
+const accountFields = (list, account) => {
+  const peer = list.find(h => h.account === account);
+  const fields = peer ? Object.fromEntries(ACCOUNT_FIELDS.filter(k => peer[k] != null).map(k => [k, peer[k]])) : parseAccount(account);
+  return { account, accountShort: shortenAccount(account), ...fields };
+};
+
+/* Amount a trade refers to: `fraction` of the position, else `amount` dollars, capped at what is there. */
+const tradeAmount = (t, available) =>
+  Math.min(available, Math.max(t.fraction != null ? available * Number(t.fraction) : Number(t.amount) || 0, 0));
+
+/*
+  Replays `trades` on `holdings` (never modified).
+  → { holdings, notes: [{ index, severity, message }], newMoney, overrides }
+  Trades that can't apply (unknown position, zero amount) are skipped with
+  an "error" note; `overrides` is { SYMBOL: assetClass } for bought symbols
+  the household didn't hold, to pass to classifyHoldings.
+*/
+export const applyTrades = (holdings, trades) => {
+  const list = holdings.map(h => ({ ...h }));
+  const notes = [];
+  const overrides = {};
+  let newMoney = 0;
+
+  const scale = (rows, factor) => rows.forEach(h => {
+    h.value *= factor;
+    h.qty = (Number(h.qty) || 0) * factor;
+    h.weight = "";
+  });
+
+  const addCash = (account, amount) => {
+    const rows = list.filter(h => h.account === account && isCashLike(h)).sort((a, b) => b.value - a.value);
+    let row = rows[0];
+    if (!row) {
+      row = { ...makeHolding({ symbol: "CASH", desc: "Cash", account, type: "Cash", price: 1 }), ...accountFields(list, account) };
+      list.push(row);
+    }
+    row.value += amount;
+    row.qty = row.price > 0 ? row.value / row.price : row.value;
+    row.weight = "";
+  };
+
+  // takes `amount` from the account's cash (other than `symbol`); → the part it couldn't cover
+  const payFromCash = (account, amount, symbol) => {
+    let owed = amount;
+    list.filter(h => h.account === account && isCashLike(h) && sym(h.symbol) !== sym(symbol) && h.value > 0)
+      .sort((a, b) => b.value - a.value)
+      .forEach(h => {
+        const take = Math.min(h.value, owed);
+        scale([h], (h.value - take) / h.value);
+        owed -= take;
+      });
+    return owed > 0.005 ? owed : 0;
+  };
+
+  // value added to `account` in `symbol`, copying the position from wherever the household holds it
+  const addPosition = (account, symbol, amount, t = {}) => {
+    const own = matching(list, account, symbol);
+    const current = sumValues(own);
+    if (current > 0) {
+      scale(own, (current + amount) / current);
+      return;
+    }
+    const template = list.find(h => sym(h.symbol) === sym(symbol) && h.value > 0) || holdings.find(h => sym(h.symbol) === sym(symbol));
+    const price = Number(template?.price) || 0;
+    const base = template || makeHolding({ symbol: sym(symbol), desc: t.desc || sym(symbol), account, type: "" });
+    if (!template && t.assetClass) overrides[sym(symbol)] = t.assetClass;
+    list.push({ ...base, ...accountFields(list, account), value: amount, qty: price > 0 ? amount / price : 0, weight: "" });
+  };
+
+  trades.forEach((t, index) => {
+    const note = (severity, message) => notes.push({ index, severity, message });
+    const fund = (amount) => {
+      const owed = payFromCash(t.account, amount, t.symbol);
+      newMoney += owed;
+      if (owed) note("info", `Account cash covers only part of this; ${Math.round(owed).toLocaleString("en-US")} dollars are new money.`);
+    };
+    const rows = matching(list, t.account, t.symbol);
+    const held = sumValues(rows);
+
+    if (t.kind === "buy") {
+      const amount = Math.max(Number(t.amount) || 0, 0);
+      if (!amount || !t.symbol) return note("error", "Enter a symbol and an amount to buy.");
+      if (t.fromCash) fund(amount);
+      else newMoney += amount;
+      addPosition(t.account, t.symbol, amount, t);
+    } else if (t.kind === "sell" || t.kind === "move") {
+      if (!held) return note("error", `No ${sym(t.symbol) || "position"} in this account to ${t.kind}.`);
+      if (t.kind === "move" && (!t.to || t.to === t.account)) return note("error", "Pick a different account to move to.");
+      const amount = tradeAmount(t, held);
+      if (!amount) return note("error", `Enter an amount or percentage to ${t.kind}.`);
+      scale(rows, (held - amount) / held);
+      if (t.kind === "move") {
+        addPosition(t.to, t.symbol, amount);
+        const from = rows[0].taxTreatment;
+        const to = accountFields(list, t.to).taxTreatment;
+        if (from !== to) note("info", `Moves money from ${from} to ${to}; in practice that is a distribution or a contribution, with its own tax rules.`);
+      } else if (rows.every(isCashLike)) {
+        newMoney -= amount; // selling cash itself takes the money out of the portfolio
+      } else {
+        addCash(t.account, amount);
+      }
+    } else if (t.kind === "set") {
+      if (!held) return note("error", `No ${sym(t.symbol) || "position"} in this account.`);
+      const price = Number(rows[0].price) || 0;
+      const target = t.qty != null && t.qty !== "" && price > 0 ? Number(t.qty) * price : Number(t.amount);
+      if (!(target >= 0)) return note("error", "Enter the new quantity.");
+      scale(rows, target / held);
+      if (rows.every(isCashLike)) newMoney += target - held; // a deposit or a withdrawal
+      else if (target < held) addCash(t.account, held - target);
+      else fund(target - held);
+    }
+  });
+
+  return { holdings: list.filter(h => h.value > 0.005), notes, newMoney, overrides };
+};
+
+/* ───────── before / after ───────── */
+
+const compareGroups = (before, after, totals, key = g => g.name) => {
+  const rows = {};
+  before.forEach(g => { rows[key(g)] = { name: key(g), before: g.value, after: 0 }; });
+  after.forEach(g => { (rows[key(g)] ||= { name: key(g), before: 0, after: 0 }).after = g.value; });
+  return Object.values(rows)
+    .map(r => ({
+      ...r, change: r.after - r.before,
+      beforePct: totals.before > 0 ? r.before / totals.before * 100 : 0,
+      afterPct: totals.after > 0 ? r.after / totals.after * 100 : 0,
+    }))
+    .map(r => ({ ...r, pctChange: r.afterPct - r.beforePct }))
+    .sort((a, b) => Math.max(b.before, b.after) - Math.max(a.before, a.after));
+};
+
+/*
+  Side-by-side summary of two classified holdings lists.
+  → { total: { before, after }, metrics: [{ id, label, before, after }],
+      assetClasses, accounts, taxTreatments, positions }
+  Group rows are { name, before, after, change, beforePct, afterPct,
+  pctChange }; `positions` lists only the account/symbol pairs that changed.
+*/
+export const compareHoldings = (before, after) => {
+  const total = { before: sumValues(before), after: sumValues(after) };
+  const mb = portfolioMetrics(before);
+  const ma = portfolioMetrics(after);
+  const metric = (id, label, pick) => ({ id, label, before: pick(mb), after: pick(ma) });
+
+  const key = (h) => `${h.account}|${sym(h.symbol)}`;
+  const pos = {};
+  before.forEach(h => { (pos[key(h)] ||= { account: h.account, symbol: h.symbol, before: 0, after: 0 }).before += h.value; });
+  after.forEach(h => { (pos[key(h)] ||= { account: h.account, symbol: h.symbol, before: 0, after: 0 }).after += h.value; });
+
+  return {
+    total,
+    metrics: [
+      metric("stockPct", "Stocks (of invested)", m => m.stockPct),
+      metric("bondPct", "Bonds (of invested)", m => m.bondPct),
+      metric("cashPct", "Cash", m => m.cashPct),
+      metric("intlPct", "International (of equity)", m => m.intlPct),
+      metric("er", "Expense ratio", m => m.fees.er),
+    ],
+    assetClasses: compareGroups(groupByAssetClass(before), groupByAssetClass(after), total),
+    accounts: compareGroups(groupByAccount(before), groupByAccount(after), total, g => g.account),
+    taxTreatments: compareGroups(groupByTaxTreatment(before), groupByTaxTreatment(after), total),
+    positions: Object.values(pos)
+      .filter(p => Math.abs(p.after - p.before) >= 0.5)
+      .map(p => ({ ...p, change: p.after - p.before }))
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change)),
+  };
+};
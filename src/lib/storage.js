@@ -0,0 +1,41 @@
+/* ───────── local persistence ─────────
+   Everything the app remembers lives in this browser's localStorage under
+   an "aa." prefix. Nothing is ever sent anywhere. */
+const PREFIX = "aa.";
+
+const store = () => {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch {
+    return null; // access can throw when storage is disabled
+  }
+};
+
+export const loadJSON = (key, fallback) => {
+  const s = store();
+  if (!s) return fallback;
+  try {
+    const raw = s.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+// false when the browser has no storage at all (or it is blocked)
+export const canStore = () => store() !== null;
+
+/* → false when nothing was saved: no storage (see canStore), or the write
+   failed because storage is full, so callers can trim and retry. */
+export const saveJSON = (key, value) => {
+  const s = store();
+  if (!s) return false;
+  try {
+    if (value === undefined) s.removeItem(PREFIX + key);
+    else s.setItem(PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch {
+    // quota exceeded or storage disabled — keep running without persistence
+    return false;
+  }
+};
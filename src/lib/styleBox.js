@@ -0,0 +1,88 @@
+/* ───────── Morningstar style boxes ─────────
+   Places holdings on the two 3×3 grids: equity size × investment style and
+   bond credit quality × interest-rate sensitivity. The broker's style
+   columns are used first, then the Morningstar category as a fallback
+   ("Foreign Large Blend", "Short-Term Bond", …). */
+
+export const EQUITY_BOX = {
+  id: "equity",
+  label: "Equity Style",
+  rows: ["Large", "Mid", "Small"],
+  cols: ["Value", "Blend", "Growth"],
+  rowLabel: "Size",
+  colLabel: "Style",
+};
+
+export const BOND_BOX = {
+  id: "bond",
+  label: "Fixed Income Style",
+  rows: ["High", "Medium", "Low"],
+  cols: ["Short", "Intermediate", "Long"],
+  rowLabel: "Credit Quality",
+  colLabel: "Duration",
+};
+
+const isEquity = (h) => /equity|developed|emerging/i.test(h.assetClass);
+const isBond = (h) => /bond|fixed income/i.test(h.assetClass);
+
+/* "Large Blend" / "Foreign Large Growth" → { row: "Large", col: "Growth" } */
+export const parseEquityStyle = (text) => {
+  const t = (text || "").toLowerCase();
+  const row = /\b(large|giant|mega)\b/.test(t) ? "Large" : /\bmid/.test(t) ? "Mid" : /\b(small|micro)\b/.test(t) ? "Small" : null;
+  const col = /\bvalue\b/.test(t) ? "Value" : /\bgrowth\b/.test(t) ? "Growth" : /\b(blend|core)\b/.test(t) ? "Blend" : null;
+  return row && col ? { row, col } : null;
+};
+
+/* "Intermediate Investment Grade" / "Short-Term Bond" → { row: credit, col: duration }
+   Categories usually name only one axis ("High Yield Bond", "Short-Term
+   Bond"); the other then defaults to the middle of the box. */
+export const parseBondStyle = (text) => {
+  const t = (text || "").toLowerCase();
+  const col = /ultrashort|short|limited/.test(t) ? "Short"
+    : /intermediate|interm\b|moderate/.test(t) ? "Intermediate"
+    : /\blong|extended|extensive/.test(t) ? "Long" : null;
+  const row = /high yield|junk|below investment|non-investment|bank loan|\blow\b/.test(t) ? "Low"
+    : /\bmedium\b|corporate|multisector|core-plus/.test(t) ? "Medium"
+    : /\bhigh\b|investment grade|government|treasury|core bond|inflation|muni|agency|mortgage/.test(t) ? "High" : null;
+  return row || col ? { row: row || "Medium", col: col || "Intermediate" } : null;
+};
+
+const placeHolding = (h, box) => {
+  if (box.id === "equity") return parseEquityStyle(h.stockStyle) || parseEquityStyle(h.morningstar);
+  return parseBondStyle(h.bondStyle) || parseBondStyle(h.morningstar);
+};
+
+export const cellKey = (row, col) => `${row}|${col}`;
+
+/* One holding's box as a label: "Large Blend", "High-quality Short", or why it has none. */
+export const styleLabel = (h) => {
+  if (isEquity(h)) {
+    const at = placeHolding(h, EQUITY_BOX);
+    return at ? `${at.row} ${at.col}` : "Equity, no style data";
+  }
+  if (isBond(h)) {
+    const at = placeHolding(h, BOND_BOX);
+    return at ? `${at.row}-quality ${at.col}` : "Bonds, no style data";
+  }
+  return "No style box";
+};
+
+/*
+  → { box, cells: { "Large|Blend": { value, items } }, unplaced: { value, items }, total }
+  `total` is everything that belongs on this box (placed or not).
+*/
+export const buildStyleBox = (holdings, box) => {
+  const belongs = box.id === "equity" ? isEquity : isBond;
+  const cells = {};
+  box.rows.forEach(r => box.cols.forEach(c => { cells[cellKey(r, c)] = { value: 0, items: [] }; }));
+  const unplaced = { value: 0, items: [] };
+  let total = 0;
+  holdings.filter(belongs).forEach(h => {
+    const at = placeHolding(h, box);
+    const target = at ? cells[cellKey(at.row, at.col)] : unplaced;
+    target.value += h.value;
+    target.items.push(h);
+    total += h.value;
+  });
+  return { box, cells, unplaced, total };
+};
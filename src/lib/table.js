@@ -0,0 +1,99 @@
+/* ───────── table engine ─────────
+   Sorting, grouping and windowing behind DataTable, kept apart from React.
+   A column is { id, sortValue(row), total?(rows), defaultDir?, defaultVisible? };
+   a sort is a list of { id, dir: "asc" | "desc" }, most significant first. */
+
+const blank = (v) => v == null || v === "" || Number.isNaN(v);
+
+/* Numbers numerically, everything else as text with embedded numbers in order ("A2" < "A10"). */
+export const compareValues = (a, b) =>
+  typeof a === "number" && typeof b === "number"
+    ? a - b
+    : String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" });
+
+/* Stable multi-key sort; blanks go last whichever way a key runs. */
+export const sortRows = (rows, sort, columns) => {
+  const keys = sort
+    .map(s => ({ col: columns.find(c => c.id === s.id), dir: s.dir === "asc" ? 1 : -1 }))
+    .filter(k => k.col?.sortValue);
+  if (!keys.length) return rows;
+  return rows
+    .map((row, i) => ({ row, i, vals: keys.map(k => k.col.sortValue(row)) }))
+    .sort((x, y) => {
+      for (let k = 0; k < keys.length; k++) {
+        const a = x.vals[k], b = y.vals[k];
+        if (blank(a) || blank(b)) {
+          if (blank(a) !== blank(b)) return blank(a) ? 1 : -1;
+          continue;
+        }
+        const c = compareValues(a, b) * keys[k].dir;
+        if (c) return c;
+      }
+      return x.i - y.i;
+    })
+    .map(x => x.row);
+};
+
+/*
+  The sort after a header click. A plain click sorts by that column alone,
+  flipping it when it already is the only key. With `multi` (shift-click)
+  the column is added as the next key, flipped if present in its default
+  direction, and dropped on the third click.
+*/
+export const toggleSort = (sort, id, { multi = false, defaultDir = "desc" } = {}) => {
+  const current = sort.find(s => s.id === id);
+  const flip = (dir) => (dir === "asc" ? "desc" : "asc");
+  if (!multi) return [{ id, dir: current && sort.length === 1 ? flip(current.dir) : defaultDir }];
+  if (!current) return [...sort, { id, dir: defaultDir }];
+  if (current.dir === defaultDir) return sort.map(s => (s.id === id ? { id, dir: flip(s.dir) } : s));
+  return sort.filter(s => s.id !== id);
+};
+
+/* Columns shown: the user's on/off choices (`chosen`, by id) over each column's default. */
+export const visibleColumns = (columns, chosen = {}) =>
+  columns.filter(c => chosen[c.id] ?? c.defaultVisible !== false);
+
+/* Column totals → { [id]: value } for the columns that have one. */
+export const columnTotals = (rows, columns) =>
+  Object.fromEntries(columns.filter(c => c.total).map(c => [c.id, c.total(rows)]));
+
+/*
+  Splits sorted rows into groups by keyOf(row), keeping the row order
+  within each. → [{ key, rows, totals }]
+  Groups follow the first sort key: by their total when that column has
+  one, else by where their first row falls.
+*/
+export const groupRows = (rows, keyOf, { columns = [], sort = [] } = {}) => {
+  const byKey = new Map();
+  for (const row of rows) {
+    const key = keyOf(row) || "—";
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(row);
+  }
+  const groups = [...byKey].map(([key, list]) => ({ key, rows: list, totals: columnTotals(list, columns) }));
+  const first = sort[0] && columns.find(c => c.id === sort[0].id);
+  if (first?.total) {
+    const dir = sort[0].dir === "asc" ? 1 : -1;
+    groups.sort((a, b) => compareValues(a.totals[first.id] || 0, b.totals[first.id] || 0) * dir);
+  }
+  return groups;
+};
+
+/* Groups → the list of rendered lines: a heading per group, then its rows unless collapsed. */
+export const flattenGroups = (groups, collapsed = new Set()) =>
+  groups.flatMap(group => [
+    { type: "group", key: group.key, group },
+    ...(collapsed.has(group.key) ? [] : group.rows.map(row => ({ type: "row", row }))),
+  ]);
+
+/*
+  The slice of `count` fixed-height lines to render for a scroll position,
+  with `overscan` extra on each side.
+  → { start, end, before, after } — `before`/`after` are the pixel heights
+  of the lines left out above and below.
+*/
+export const visibleWindow = ({ count, rowHeight, scrollTop, viewport, overscan = 10 }) => {
+  const start = Math.min(count, Math.max(0, Math.floor(scrollTop / rowHeight) - overscan));
+  const end = Math.min(count, Math.ceil((scrollTop + viewport) / rowHeight) + overscan);
+  return { start, end: Math.max(start, end), before: start * rowHeight, after: (count - Math.max(start, end)) * rowHeight };
+};
@@ -0,0 +1,178 @@
+/* ───────── withdrawal sequencing & RMDs ─────────
+   Year-by-year model of drawing a household's spending from its accounts
+   in a chosen order. Pre-tax accounts pay their required minimum
+   distribution first (counted toward spending; any excess is reinvested in
+   a taxable account), then the rest of the year's spending comes from the
+   accounts in order until it is covered. Balances grow at one nominal rate
+   and spending rises with inflation. Taxes are not modelled; pre-tax
+   withdrawals are reported as ordinary income so orders can be compared. */
+import { UNIFORM_LIFETIME } from "../data/rmdTable.js";
+
+// tax treatments spending can come from; HSA and 529 money is left alone
+export const DRAWABLE = ["Taxable", "Pre-tax", "Roth"];
+
+export const ORDER_PRESETS = [
+  { id: "taxable-first", label: "Taxable → Pre-tax → Roth", buckets: ["Taxable", "Pre-tax", "Roth"] },
+  { id: "pretax-first", label: "Pre-tax → Taxable → Roth", buckets: ["Pre-tax", "Taxable", "Roth"] },
+];
+
+// where excess RMDs go when the household has no taxable account
+export const REINVESTED = "Reinvested RMDs";
+
+/* SECURE 2.0 starting age: 72 (born 1950 or earlier), 73 (1951–1959), 75 (1960 on). */
+export const rmdStartAge = (birthYear) => (birthYear <= 1950 ? 72 : birthYear <= 1959 ? 73 : 75);
+
+export const distributionPeriod = (age) => (age < 72 ? null : UNIFORM_LIFETIME[Math.min(age, 120)]);
+
+/* RMD for a year, from the prior year-end balance and the age reached that year. */
+export const requiredDistribution = (balance, age, birthYear) =>
+  (balance > 0 && age >= rmdStartAge(birthYear) ? balance / distributionPeriod(age) : 0);
+
+/*
+  One entry per account: [{ account, owner, taxTreatment, accountKind, value,
+  drawable }], largest first. Accounts with no positive value are left out.
+*/
+export const planAccounts = (holdings) => {
+  const m = {};
+  holdings.forEach(h => {
+    if (!m[h.account]) {
+      m[h.account] = {
+        account: h.account, owner: h.owner || "", taxTreatment: h.taxTreatment,
+        accountKind: h.accountKind, value: 0, drawable: DRAWABLE.includes(h.taxTreatment),
+      };
+    }
+    m[h.account].value += h.value;
+  });
+  return Object.values(m).filter(a => a.value > 0).sort((a, b) => b.value - a.value);
+};
+
+/* Drawable account names by bucket order, largest first within a bucket. */
+export const presetOrder = (accounts, buckets) =>
+  accounts
+    .filter(a => a.drawable)
+    .sort((a, b) => buckets.indexOf(a.taxTreatment) - buckets.indexOf(b.taxTreatment) || b.value - a.value)
+    .map(a => a.account);
+
+/* A saved custom order brought up to date: gone accounts dropped, new ones appended. */
+export const reconcileOrder = (saved, fallback) => [
+  ...(saved || []).filter(a => fallback.includes(a)),
+  ...fallback.filter(a => !(saved || []).includes(a)),
+];
+
+/*
+  options:
+    accounts     planAccounts() output
+    order        drawable account names, first drawn first
+    birthYears   { owner: year }; pre-tax accounts of owners without one
+                 take no RMDs
+    spending     first-year spending; rises with inflation after that
+    growth       nominal return per year, percent
+    inflation    percent per year
+    startYear    first calendar year modelled
+    years        number of years
+  → { accounts, rows, depletedYear, reinvestedIn, totals: { withdrawn, rmd,
+      ordinaryIncome, shortfall }, warnings }
+  rows: [{ year, ages: { owner: age }, spending, rmd, rmds, withdrawals,
+           balances, total, surplus, shortfall, ordinaryIncome }]
+  with per-account maps; `withdrawals` includes the RMDs and `balances` are
+  year-end values. depletedYear is the first year spending couldn't be met;
+  reinvestedIn the account excess RMDs (row.surplus) are added to.
+*/
+export const planWithdrawals = ({
+  accounts, order, birthYears = {}, spending = 0, growth = 5, inflation = 2.5,
+  startYear = new Date().getFullYear(), years = 30,
+}) => {
+  const byName = Object.fromEntries(accounts.map(a => [a.account, a]));
+  const list = [...accounts];
+  const balance = Object.fromEntries(accounts.map(a => [a.account, a.value]));
+  const drawOrder = order.filter(a => byName[a]?.drawable);
+  const year0 = (owner) => Number(birthYears[owner]) || null;
+
+  const warnings = [];
+  const noBirthYear = accounts.filter(a => a.taxTreatment === "Pre-tax" && !year0(a.owner));
+  if (noBirthYear.length) {
+    const owners = [...new Set(noBirthYear.map(a => a.owner).filter(Boolean))];
+    warnings.push(owners.length
+      ? `Enter a birth year for ${owners.join(", ")} to include RMDs from their pre-tax accounts.`
+      : `${noBirthYear.length === 1 ? "One pre-tax account has" : `${noBirthYear.length} pre-tax accounts have`} no owner, so no RMDs are taken from ${noBirthYear.length === 1 ? "it" : "them"}.`);
+  }
+
+  // excess RMDs land in the first taxable account drawn, else a new one that
+  // is drawn before anything else (that money has already been taxed)
+  let reinvestIn = drawOrder.find(a => byName[a].taxTreatment === "Taxable") || null;
+  const ensureReinvested = () => {
+    if (reinvestIn) return reinvestIn;
+    const extra = { account: REINVESTED, owner: "", taxTreatment: "Taxable", accountKind: "taxable", value: 0, drawable: true };
+    list.push(extra);
+    byName[REINVESTED] = extra;
+    balance[REINVESTED] = 0;
+    drawOrder.unshift(REINVESTED);
+    reinvestIn = REINVESTED;
+    return reinvestIn;
+  };
+
+  const owners = [...new Set(accounts.map(a => a.owner).filter(o => o && year0(o)))];
+  const rows = [];
+  let need0 = Math.max(Number(spending) || 0, 0);
+  let depletedYear = null;
+  const totals = { withdrawn: 0, rmd: 0, ordinaryIncome: 0, shortfall: 0 };
+
+  for (let i = 0; i < years; i++) {
+    const year = startYear + i;
+    const ages = Object.fromEntries(owners.map(o => [o, year - year0(o)]));
+    const rmds = {};
+    const withdrawals = {};
+    const take = (name, amount) => {
+      balance[name] -= amount;
+      withdrawals[name] = (withdrawals[name] || 0) + amount;
+    };
+
+    // required distributions come out first, on the balance at the start of the year
+    let rmd = 0;
+    accounts.forEach(a => {
+      if (a.taxTreatment !== "Pre-tax" || !year0(a.owner)) return;
+      const amount = Math.min(balance[a.account], requiredDistribution(balance[a.account], ages[a.owner], year0(a.owner)));
+      if (amount <= 0) return;
+      rmds[a.account] = amount;
+      rmd += amount;
+      take(a.account, amount);
+    });
+
+    let need = need0 - rmd;
+    let surplus = 0;
+    if (need < 0) {
+      surplus = -need;
+      balance[ensureReinvested()] += surplus;
+      need = 0;
+    }
+    for (const name of drawOrder) {
+      if (need <= 0) break;
+      const amount = Math.min(balance[name], need);
+      if (amount <= 0) continue;
+      take(name, amount);
+      need -= amount;
+    }
+    const shortfall = need > 0.005 ? need : 0;
+    if (shortfall && depletedYear == null) depletedYear = year;
+
+    Object.keys(balance).forEach(name => { balance[name] *= 1 + growth / 100; });
+
+    const ordinaryIncome = Object.entries(withdrawals)
+      .filter(([name]) => byName[name].taxTreatment === "Pre-tax")
+      .reduce((s, [, v]) => s + v, 0);
+    const spent = Object.values(withdrawals).reduce((s, v) => s + v, 0) - surplus;
+    totals.withdrawn += spent;
+    totals.rmd += rmd;
+    totals.ordinaryIncome += ordinaryIncome;
+    totals.shortfall += shortfall;
+
+    rows.push({
+      year, ages, spending: need0, rmd, rmds, withdrawals, surplus, shortfall, ordinaryIncome,
+      balances: { ...balance },
+      total: Object.values(balance).reduce((s, v) => s + v, 0),
+    });
+    need0 *= 1 + inflation / 100;
+  }
+
+  return { accounts: list, rows, depletedYear, reinvestedIn: reinvestIn, totals, warnings };
+};
@@ -3,346 +3,90 @@ import {
   PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, Tooltip,
   ResponsiveContainer, Legend
 } from "recharts";
-import * as Papa from "papaparse";
+import { PAL, fmt, fmtAxis, getAccountTypeBadgeColor } from "./lib/format.js";
+import { importPortfolio } from "./lib/adapters/index.js";
+import { lookThrough } from "./lib/lookthrough.js";
+import { groupHoldings, overlapReport } from "./lib/families.js";
+import { withExpenseRatios } from "./lib/fees.js";
+import { groupByAssetClass, groupByAccount, groupByOwner, groupByTaxTreatment, portfolioMetrics } from "./lib/analytics.js";
+import { FUND_FAMILIES } from "./data/fundFamilies.js";
+import { DEFAULT_RULES, classifyHoldings } from "./lib/classify.js";
+import { withAccountFields } from "./lib/accounts.js";
+import { makeSnapshot, upsertSnapshot, sortSnapshots, snapshotLabel, parseAsOfDate, storeSnapshots, MAX_SNAPSHOTS } from "./lib/history.js";
+import { canStore, loadJSON, saveJSON } from "./lib/storage.js";
+import { addSources, makeSource, mergeSources } from "./lib/merge.js";
+import { addCostBasis, applyCostBasis } from "./lib/costBasis.js";
+import { defaultTargets } from "./lib/rebalance.js";
+import usePersistentState from "./hooks/usePersistentState.js";
+import usePrivacyMode from "./hooks/usePrivacyMode.js";
+import useFileImport from "./hooks/useFileImport.js";
+import useHashRoute from "./hooks/useHashRoute.js";
+import { maskKey, unmaskKey } from "./lib/route.js";
+import { anonymizeHoldings, sourceAliases } from "./lib/privacy.js";
+import { applyTrades } from "./lib/sandbox.js";
+import { filterHoldings } from "./lib/query.js";
+import { Badge, CategoryCard, HoldingsTable, ConsolidatedTable, ChartTooltip } from "./components/ui.jsx";
+import ColumnMapper from "./components/ColumnMapper.jsx";
+import RebalanceView from "./components/RebalanceView.jsx";
+import BenchmarksView from "./components/BenchmarksView.jsx";
+import AssetLocationView from "./components/AssetLocationView.jsx";
+import HistoryView from "./components/HistoryView.jsx";
+import CompositionEditor from "./components/CompositionEditor.jsx";
+import ClassificationView from "./components/ClassificationView.jsx";
+import GroupBreakdown from "./components/GroupBreakdown.jsx";
+import FamilyEditor from "./components/FamilyEditor.jsx";
+import OverlapReport from "./components/OverlapReport.jsx";
+import PrintReport from "./components/PrintReport.jsx";
+import StyleBoxView from "./components/StyleBoxView.jsx";
+import PivotView from "./components/PivotView.jsx";
+import CashView from "./components/CashView.jsx";
+import GainsView from "./components/GainsView.jsx";
+import FeesView from "./components/FeesView.jsx";
+import ProjectionView from "./components/ProjectionView.jsx";
+import WithdrawalView from "./components/WithdrawalView.jsx";
+import SourcesPanel from "./components/SourcesPanel.jsx";
+import ImportReport from "./components/ImportReport.jsx";
+import SandboxPanel from "./components/SandboxPanel.jsx";
+import HoldingsQuery from "./components/HoldingsQuery.jsx";
 
 /* ───────── visitor tracking ───────── */
 const TRACKING_SCRIPT_URL = "https://script.google.com/macros/s/AKfycbw7KlZ6yk14HxMTKQCFhPxge2l6YggpLjSIb4EkB8AYwCEz8-5yUJiuiXR6_3qKCW06Ow/exec";
 
-
-/* ───────── constants ───────── */
-const PAL = [
-  "#2563eb","#7c3aed","#0d9488","#ea580c","#db2777","#16a34a",
-  "#ca8a04","#dc2626","#4f46e5","#059669","#d97706","#475569",
-  "#0891b2","#9333ea","#65a30d","#c026d3","#0284c7","#f97316"
-];
-
-const shortenAccount = (acct) => {
-  if (acct.length <= 40) return acct;
-  if (acct.includes(" - ")) {
-    const parts = acct.split(" - ");
-    if (parts.length >= 2) return parts.slice(0, 2).join(" - ").substring(0, 40);
-  }
-  return acct.substring(0, 37) + "…";
-};
-
-const getAccountTypeBadgeColor = (accountName) => {
-  const a = accountName.toLowerCase();
-  if (a.includes("roth")) return "bg-pink-100 text-pink-700";
-  if (a.includes("traditional") || a.includes("trad") || a.includes("rollover")) return "bg-purple-100 text-purple-700";
-  if (a.includes("401k") || a.includes("401(k)")) return "bg-violet-100 text-violet-700";
-  if (a.includes("403b") || a.includes("403(b)")) return "bg-violet-100 text-violet-700";
-  if (a.includes("hsa")) return "bg-lime-100 text-lime-700";
-  if (a.includes("529")) return "bg-cyan-100 text-cyan-700";
-  if (a.includes("trust")) return "bg-blue-100 text-blue-700";
-  if (a.includes("espp")) return "bg-amber-100 text-amber-700";
-  if (a.includes("checking") || a.includes("savings")) return "bg-gray-100 text-gray-600";
-  return "bg-orange-100 text-orange-700"; // Default Taxable
-};
-
-const getAssetClassColor = (assetClass) => {
-  const lower = assetClass.toLowerCase();
-  if (lower.includes("bond") || lower.includes("fixed")) return "emerald";
-  if (lower.includes("intl") || lower.includes("international") || lower.includes("foreign")) return "teal";
-  if (lower.includes("equity") || lower.includes("stock")) return "blue";
-  if (lower.includes("cash") || lower.includes("money market")) return "gray";
-  return "slate";
-};
-
-/* ───────── helpers ───────── */
-const fmt = (v) => {
-  if (v == null || isNaN(v)) return "$0";
-  if (Math.abs(v) >= 1e6) return `$${(v / 1e6).toFixed(2)}M`;
-  if (Math.abs(v) >= 1e3) return `$${v.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
-  return `$${v.toFixed(2)}`;
-};
-
-const parseVal = (s) => {
-  if (!s) return 0;
-  const n = parseFloat(String(s).replace(/[$,"\s]/g, ""));
-  return isNaN(n) ? 0 : n;
-};
-
-const getAssetClassFromCSV = (row) => {
-  const { morningstar, type, stockStyle, bondStyle } = row;
-  
-  // Normalize based on CSV values
-  const classify = (value) => {
-    if (!value || !value.trim()) return null;
-    const v = value.toLowerCase();
-    
-    // Bond/Fixed Income classification
-    if (v.includes("bond") || v.includes("fixed income") || v.includes("government") || v.includes("corporate")) return "US Bonds";
-    if (v.includes("international bond") || v.includes("global bond") || v.includes("foreign bond")) return "Intl Bonds";
-    if (v.includes("money market") || v.includes("cash")) return "Cash";
-    
-    // Equity classification
-    if (v.includes("foreign") || v.includes("international") || v.includes("intl") || v.includes("emerging")) return "Intl Equity";
-    if (v.includes("stock") || v.includes("equity") || v.includes("blend") || v.includes("growth") || v.includes("value") || v.includes("large") || v.includes("small") || v.includes("mid")) return "US Equity";
-    
-    return null;
-  };
-  
-  // Try to classify from available fields in priority order
-  let classification = classify(morningstar) || classify(type) || classify(stockStyle) || classify(bondStyle);
-  
-  // If we couldn't classify, return the original value for display but mark as "Other"
-  if (!classification) {
-    return morningstar || type || stockStyle || bondStyle || "Other";
-  }
-  
-  return classification;
-};
-
-/* ───────── CSV parser ───────── */
-const parseCSV = (text) => {
-  const lines = text.split(/\r?\n/);
-  let headerIdx = -1;
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i].match(/Symbol\s*,/i)) { headerIdx = i; break; }
-  }
-  if (headerIdx === -1) throw new Error("Could not find header row with 'Symbol' column");
-
-  const csvBody = lines.slice(headerIdx).join("\n");
-  const parsed = Papa.parse(csvBody, { header: true, skipEmptyLines: true });
-
-  const holdings = [];
-  let asOfDate = "";
-  for (let i = 0; i < headerIdx; i++) {
-    const m = lines[i].match(/As of date:\s*(.+?)(?:,|$)/i);
-    if (m) { asOfDate = m[1].trim(); break; }
-  }
-
-  for (const row of parsed.data) {
-    const rawKeys = Object.keys(row);
-    const get = (partial) => {
-      const key = rawKeys.find(k => k.trim().toLowerCase().includes(partial.toLowerCase()));
-      return key ? (row[key] || "").trim() : "";
-    };
-
-    const symbol = get("Symbol");
-    const desc = get("Description");
-    const account = get("Account");
-    const type = get("Investment Type");
-    const morningstar = get("Morningstar");
-    const stockStyle = get("Stock Style");
-    const bondStyle = get("Bond Style");
-    let value = parseVal(get("Total Value"));
-    const qty = parseVal(get("Quantity"));
-    const price = parseVal(get("Price"));
-    const weight = get("Portfolio Weight");
-
-    if (value === 0 && qty > 0 && price > 0) value = qty * price;
-    if (value === 0 && qty > 0 && (morningstar.includes("Money Market") || type === "Cash")) value = qty;
-
-    if (value <= 0 && !type) continue;
-    if (desc.toLowerCase().includes("data and information")) continue;
-
-    const displaySymbol = symbol || (type === "Cash" ? "CASH" : desc.substring(0, 8) || "OTHER");
-    
-    // Clean CSV values (remove placeholder text)
-    const cleanValue = (v) => v.replace(/- -|--|N\/A|n\/a/gi, "").trim();
-    const cleanMorningstar = cleanValue(morningstar);
-    const cleanType = cleanValue(type);
-    const cleanStockStyle = cleanValue(stockStyle);
-    const cleanBondStyle = cleanValue(bondStyle);
-
-    holdings.push({
-      symbol: displaySymbol,
-      desc: desc || displaySymbol,
-      account,
-      accountShort: shortenAccount(account),
-      type: cleanType || "Other",
-      morningstar: cleanMorningstar,
-      stockStyle: cleanStockStyle,
-      bondStyle: cleanBondStyle,
-      qty, price, value,
-      weight,
-      assetClass: getAssetClassFromCSV({ morningstar: cleanMorningstar, type: cleanType, stockStyle: cleanStockStyle, bondStyle: cleanBondStyle }),
-    });
-  }
-
-  return { holdings, asOfDate };
-};
-
-/* ───────── sub-components ───────── */
-const Badge = ({ children, className = "" }) => (
-  <span className={`text-xs font-medium px-2 py-0.5 rounded-full whitespace-nowrap ${className}`}>{children}</span>
+/* Choices for a file whose import report blocked it (see useFileImport). */
+const BlockedActions = ({ importer, name }) => (
+  <div className="flex justify-end gap-2 pt-1">
+    <button onClick={() => importer.drop(name)}
+      className="text-xs text-gray-400 hover:text-gray-700 bg-transparent px-3 py-1.5">
+      Skip this file
+    </button>
+    <button onClick={() => importer.remap(name)}
+      className="text-xs text-white bg-blue-600 hover:bg-blue-500 px-3 py-1.5 rounded-lg">
+      Map columns manually
+    </button>
+  </div>
 );
 
-const CategoryCard = ({ label, value, total, isActive, onClick, count, colorClass }) => (
-  <button onClick={onClick}
-    className={`rounded-xl p-3 border-2 text-left transition-all w-full ${
-      isActive ? "border-blue-500 bg-blue-50 shadow-md ring-1 ring-blue-200" : "border-gray-200 bg-white hover:border-gray-300 hover:shadow-sm"
-    }`}>
-    <p className="text-xs text-gray-400 uppercase tracking-wider font-medium">{label}</p>
-    <p className="text-lg font-bold text-gray-900 mt-0.5">{fmt(value)}</p>
-    <div className="flex justify-between items-center mt-1">
-      <span className="text-sm font-medium text-gray-500">{(value / total * 100).toFixed(1)}%</span>
-      <span className="text-xs text-gray-400">{count} item{count !== 1 ? "s" : ""}</span>
-    </div>
-  </button>
-);
-
-const HoldingsTable = ({ data, total, showAccount = true, showAssetClass = false }) => {
-  const sorted = [...data].sort((a, b) => b.value - a.value);
-  const subtotal = data.reduce((s, h) => s + h.value, 0);
-  return (
-    <div className="overflow-x-auto rounded-lg border border-gray-200">
-      <table className="w-full text-left">
-        <thead>
-          <tr className="bg-gray-50 border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
-            <th className="py-2.5 px-3">Holding</th>
-            {showAccount && <th className="py-2.5 px-3">Account</th>}
-            {showAssetClass && <th className="py-2.5 px-3">Class</th>}
-            <th className="py-2.5 px-3 text-right">Qty</th>
-            <th className="py-2.5 px-3 text-right">Price</th>
-            <th className="py-2.5 px-3 text-right">Value</th>
-            <th className="py-2.5 px-3 text-right">Weight</th>
-          </tr>
-        </thead>
-        <tbody>
-          {sorted.map((h, i) => (
-            <tr key={i} className="border-b border-gray-100 hover:bg-blue-50/40 transition-colors">
-              <td className="py-2 px-3">
-                <div className="font-semibold text-gray-800 text-sm">{h.symbol}</div>
-                <div className="text-xs text-gray-400 truncate max-w-52">{h.desc}</div>
-              </td>
-              {showAccount && (
-                <td className="py-2 px-3">
-                  <div className="text-sm text-gray-700">{h.accountShort}</div>
-                  <Badge className={getAccountTypeBadgeColor(h.account)}>{h.account}</Badge>
-                </td>
-              )}
-              {showAssetClass && (
-                <td className="py-2 px-3">
-                  <Badge className="bg-gray-100 text-gray-600">{h.assetClass}</Badge>
-                </td>
-              )}
-              <td className="py-2 px-3 text-right text-sm text-gray-500">
-                {h.qty ? (h.qty % 1 !== 0 ? h.qty.toFixed(2) : h.qty.toLocaleString()) : "–"}
-              </td>
-              <td className="py-2 px-3 text-right text-sm text-gray-500">
-                {h.price > 0 ? `$${h.price.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : "–"}
-              </td>
-              <td className="py-2 px-3 text-right">
-                <div className="font-semibold text-sm text-gray-800">{fmt(h.value)}</div>
-              </td>
-              <td className="py-2 px-3 text-right text-sm text-gray-500">
-                {(h.value / total * 100).toFixed(2)}%
-              </td>
-            </tr>
-          ))}
-        </tbody>
-        <tfoot>
-          <tr className="bg-gray-50 border-t-2 border-gray-300">
-            <td colSpan={showAccount ? (showAssetClass ? 6 : 5) : (showAssetClass ? 5 : 4)} className="py-2.5 px-3 font-bold text-sm text-gray-700">
-              Subtotal ({sorted.length} items)
-            </td>
-            <td className="py-2.5 px-3 text-right font-bold text-sm text-gray-900">{fmt(subtotal)}</td>
-          </tr>
-        </tfoot>
-      </table>
-    </div>
-  );
-};
-
-const ConsolidatedTable = ({ groups, total, onSelect, selected }) => {
-  return (
-    <div className="overflow-x-auto rounded-lg border border-gray-200">
-      <table className="w-full text-left">
-        <thead>
-          <tr className="bg-gray-50 border-b border-gray-200 text-xs uppercase text-gray-400 tracking-wider">
-            <th className="py-2.5 px-3">Holding</th>
-            <th className="py-2.5 px-3">Asset Class</th>
-            <th className="py-2.5 px-3 text-center">Accounts</th>
-            <th className="py-2.5 px-3 text-right">Total Value</th>
-            <th className="py-2.5 px-3 text-right">Weight</th>
-          </tr>
-        </thead>
-        <tbody>
-          {groups.map((g, i) => (
-            <tr key={i}
-              onClick={() => onSelect(selected === g.symbol ? null : g.symbol)}
-              className={`border-b border-gray-100 cursor-pointer transition-colors ${
-                selected === g.symbol ? "bg-blue-50 border-blue-200" : "hover:bg-gray-50"
-              }`}>
-              <td className="py-2.5 px-3">
-                <div className="font-semibold text-gray-800 text-sm">{g.symbol}</div>
-                <div className="text-xs text-gray-400 truncate max-w-52">{g.desc}</div>
-              </td>
-              <td className="py-2.5 px-3">
-                <Badge className={`bg-${getAssetClassColor(g.assetClass)}-100 text-${getAssetClassColor(g.assetClass)}-700`}>{g.assetClass}</Badge>
-              </td>
-              <td className="py-2.5 px-3 text-center">
-                {g.accounts.length > 1 ? (
-                  <Badge className="bg-blue-100 text-blue-700">{g.accounts.length} accounts</Badge>
-                ) : (
-                  <span className="text-xs text-gray-500">{g.accounts[0]}</span>
-                )}
-              </td>
-              <td className="py-2.5 px-3 text-right font-semibold text-sm text-gray-800">{fmt(g.value)}</td>
-              <td className="py-2.5 px-3 text-right text-sm text-gray-500">{(g.value / total * 100).toFixed(2)}%</td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
-    </div>
-  );
-};
-
-const ChartTooltip = ({ active, payload }) => {
-  if (!active || !payload?.length) return null;
-  const d = payload[0].payload;
-  return (
-    <div className="bg-gray-900 text-white px-3 py-2 rounded-lg shadow-xl text-sm border border-gray-700">
-      <p className="font-semibold">{d.name}</p>
-      <p>{fmt(d.value)}{d.pct ? ` (${d.pct})` : ""}</p>
-    </div>
-  );
-};
-
 /* ───────── UPLOAD SCREEN ───────── */
-const UploadScreen = ({ onData }) => {
+const UploadScreen = ({ onData, snapshots = [], onOpenSnapshot, onDeleteSnapshot, shareVisitStats, onShareVisitStatsChange }) => {
   const [dragOver, setDragOver] = useState(false);
-  const [error, setError] = useState(null);
+  const [sampleError, setSampleError] = useState(null);
   const [loadingSample, setLoadingSample] = useState(false);
   const fileRef = useRef();
+  const importer = useFileImport(onData, { requireHoldings: true });
 
-  const processFile = useCallback((file) => {
-    setError(null);
-    if (!file) return;
-    if (!file.name.match(/\.(csv|txt)$/i)) {
-      setError("Please upload a .csv file");
-      return;
-    }
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const result = parseCSV(e.target.result);
-        if (result.holdings.length === 0) throw new Error("No holdings found in CSV");
-        onData(result);
-      } catch (err) {
-        setError(`Parse error: ${err.message}`);
-      }
-    };
-    reader.readAsText(file);
-  }, [onData]);
-
-  const handleDrop = (e) => { e.preventDefault(); setDragOver(false); processFile(e.dataTransfer.files[0]); };
+  const handleDrop = (e) => { e.preventDefault(); setDragOver(false); setSampleError(null); importer.processFiles(e.dataTransfer.files); };
 
   const loadSample = useCallback(async () => {
-    setError(null);
+    setSampleError(null);
     setLoadingSample(true);
     try {
       const base = import.meta.env.BASE_URL;
       const res = await fetch(`${base}sample-portfolio.csv`);
       if (!res.ok) throw new Error("Could not fetch sample file");
       const text = await res.text();
-      const result = parseCSV(text);
-      if (result.holdings.length === 0) throw new Error("No holdings found in sample CSV");
-      onData(result);
+      onData([{ name: "sample-portfolio.csv", result: importPortfolio(text) }]);
     } catch (err) {
-      setError(`Sample load error: ${err.message}`);
+      setSampleError(`Sample load error: ${err.message}`);
     } finally {
       setLoadingSample(false);
     }
@@ -358,7 +102,7 @@ const UploadScreen = ({ onData }) => {
             </svg>
           </div>
           <h1 className="text-3xl font-bold text-white tracking-tight">Portfolio Analyzer</h1>
-          <p className="text-blue-300/70 mt-2 text-sm">Upload your Fidelity GPS CSV export for instant analysis</p>
+          <p className="text-blue-300/70 mt-2 text-sm">Upload a brokerage positions CSV export for instant analysis</p>
         </div>
 
         <div
@@ -371,15 +115,16 @@ const UploadScreen = ({ onData }) => {
               ? "border-blue-400 bg-blue-500/10 scale-[1.02]"
               : "border-slate-600 bg-slate-800/50 hover:border-blue-500/50 hover:bg-slate-800/80"
           }`}>
-          <input ref={fileRef} type="file" accept=".csv,.txt" className="hidden"
-            onChange={(e) => processFile(e.target.files[0])} />
+          <input ref={fileRef} type="file" accept=".csv,.txt" multiple className="hidden"
+            onChange={(e) => { setSampleError(null); importer.processFiles(e.target.files); e.target.value = ""; }} />
           <div className="mb-4">
             <svg className={`w-12 h-12 mx-auto transition-colors ${dragOver ? "text-blue-400" : "text-slate-500"}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
             </svg>
           </div>
-          <p className="text-white font-medium">Drop your CSV here or click to browse</p>
-          <p className="text-slate-400 text-sm mt-1">Accepts Fidelity Guided Portfolio Summary (GPS) exports</p>
+          <p className="text-white font-medium">Drop your CSVs here or click to browse</p>
+          <p className="text-slate-400 text-sm mt-1">Detects Fidelity GPS, Vanguard and Schwab exports — other CSVs can be mapped by column</p>
+          <p className="text-slate-500 text-xs mt-1">Select several files to combine logins or brokers into one household</p>
         </div>
 
         <div className="mt-4 text-center">
@@ -389,12 +134,54 @@ const UploadScreen = ({ onData }) => {
           </button>
         </div>
 
-        {error && (
+        {snapshots.length > 0 && (
+          <div className="mt-6 rounded-xl bg-slate-800/50 border border-slate-700 px-4 py-3">
+            <p className="text-slate-300 text-xs font-medium mb-2">Saved snapshots (this browser only)</p>
+            <div className="space-y-1 max-h-48 overflow-y-auto">
+              {[...sortSnapshots(snapshots)].reverse().map(s => (
+                <div key={s.id} className="flex items-center gap-3 text-xs">
+                  <button onClick={() => onOpenSnapshot(s)}
+                    className="flex-1 flex items-center gap-3 text-left bg-transparent px-2 py-1.5 rounded-md hover:bg-slate-700/50 text-slate-200">
+                    <span className="font-medium w-24">{snapshotLabel(s)}</span>
+                    <span className="text-slate-400">{fmt(s.total)}</span>
+                    <span className="text-slate-500">{s.holdings.length} positions</span>
+                    {s.adapter && <span className="text-slate-500 ml-auto">{s.adapter.label}</span>}
+                  </button>
+                  <button onClick={() => onDeleteSnapshot(s.id)} title="Delete snapshot"
+                    className="text-slate-500 hover:text-red-400 bg-transparent px-1.5 py-1">
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {(sampleError || importer.errors.length > 0) && (
           <div className="mt-4 rounded-xl bg-red-500/10 border border-red-500/30 px-4 py-3 text-red-300 text-sm">
-            {error}
+            {sampleError}
+            {importer.errors.map((e, i) => <p key={i}>{e}</p>)}
+            {importer.held > 0 && (
+              <button onClick={importer.proceed}
+                className="block mt-1 text-xs text-red-200 underline underline-offset-2 bg-transparent p-0">
+                Continue with the {importer.held} file{importer.held > 1 ? "s" : ""} that imported
+              </button>
+            )}
           </div>
         )}
 
+        {importer.blocked.map(b => (
+          <div key={b.name} className="mt-4">
+            <ImportReport name={b.name} diagnostics={b.diagnostics} actions={<BlockedActions importer={importer} name={b.name} />} />
+          </div>
+        ))}
+
+        {importer.current && (
+          <ColumnMapper key={importer.current.name} headers={importer.current.headers} initial={importer.current.initial}
+            fileName={importer.current.name} error={importer.current.problem}
+            onApply={importer.applyMapping} onCancel={importer.skip} />
+        )}
+
         <div className="mt-6 rounded-xl bg-slate-800/50 border border-slate-700 px-4 py-3">
           <p className="text-slate-300 text-xs font-medium mb-2">How to export from Fidelity:</p>
           <ol className="text-slate-400 text-xs space-y-1 list-decimal list-inside">
@@ -405,123 +192,159 @@ const UploadScreen = ({ onData }) => {
         </div>
 
         <p className="text-slate-600 text-xs text-center mt-6">
-          Your portfolio data is processed entirely in your browser and is never uploaded. Anonymous visit info (IP, location) may be collected for analytics.
+          Your portfolio data is processed entirely in your browser and is never uploaded.
           <span className="mx-1">·</span>
           <a href="https://github.com/suhasjog/asset_allocation" target="_blank" rel="noopener noreferrer"
             className="text-slate-500 hover:text-blue-400 transition-colors underline underline-offset-2">
             Source on GitHub
           </a>
         </p>
+        <label className="flex items-center justify-center gap-2 text-slate-600 text-xs mt-2 cursor-pointer">
+          <input type="checkbox" checked={!!shareVisitStats} onChange={e => onShareVisitStatsChange(e.target.checked)} />
+          Share visit statistics (IP address, approximate location, browser) with the site author
+        </label>
       </div>
     </div>
   );
 };
 
 /* ───────── MAIN DASHBOARD ───────── */
-const Dashboard = ({ holdings, asOfDate, onReset }) => {
-  const [view, setView] = useState("overview");
-  const [selected, setSelected] = useState(null);
-  const [searchTerm, setSearchTerm] = useState("");
+const Dashboard = ({
+  holdings: importedHoldings, asOfDate, adapter, sources, disabledSources, duplicates, costBasis = [], onRemoveCostBasis,
+  onAddFiles, onToggleSource, onResolveDuplicate, snapshots, snapshotId, historyNote, onDismissHistoryNote, onReset,
+}) => {
+  // tab, drill-down selection, search and filters live in the URL hash so
+  // links are shareable and back/forward step through them
+  const [route, navigate] = useHashRoute();
+  const { sel, q: searchTerm = "", exposure = "labeled", mode: holdingMode = "ticker", scope, rows: pivotRows, cols: pivotCols, show: pivotMode } = route.params;
+  const [showReport, setShowReport] = useState(false);
+
+  // null rules = the bundled defaults, so improvements to them still reach existing users
+  const [customRules, setCustomRules] = usePersistentState("classRules", null);
+  const [classOverrides, setClassOverrides] = usePersistentState("classOverrides", {});
+  const rules = customRules || DEFAULT_RULES;
+
+  const reclassify = useCallback((list) => classifyHoldings(list, rules, classOverrides), [rules, classOverrides]);
+  const [expenseOverrides, setExpenseOverrides] = usePersistentState("expenseRatios", {});
+  // privacy mode swaps owners and account numbers for aliases here, so every
+  // view and export below only ever sees the aliases
+  const [privacy, setPrivacy] = usePrivacyMode();
+  const sourceNames = useMemo(() => sources.map(s => s.name), [sources]);
+
+  // what-if sandbox: { name, trades } replayed on a copy of the imported
+  // holdings, which every view below then sees in their place
+  const [sandbox, setSandbox] = useState(null);
+  const sandboxResult = useMemo(() => (sandbox ? applyTrades(importedHoldings, sandbox.trades) : null), [sandbox, importedHoldings]);
+  const parsedHoldings = sandboxResult ? sandboxResult.holdings : importedHoldings;
+
+  // lots from cost basis files are joined before aliasing, by real account number
+  const lots = useMemo(() => costBasis.flatMap(f => f.lots), [costBasis]);
+  // without an as-of date, holding periods run to the day the dashboard opened
+  const [today] = useState(() => Date.now());
+  const basisAsOf = useMemo(() => {
+    const t = parseAsOfDate(asOfDate);
+    return isNaN(t) ? today : t;
+  }, [asOfDate, today]);
+  const unmatchedLots = useMemo(() => applyCostBasis(parsedHoldings, lots).unmatched, [parsedHoldings, lots]);
+
+  const prepare = useCallback((list, overrides) => {
+    const classified = overrides ? classifyHoldings(list, rules, { ...classOverrides, ...overrides }) : reclassify(list);
+    const priced = applyCostBasis(withExpenseRatios(classified, expenseOverrides), lots, { asOf: basisAsOf }).holdings;
+    return privacy ? anonymizeHoldings(priced, sourceNames) : priced;
+  }, [reclassify, rules, classOverrides, expenseOverrides, lots, basisAsOf, privacy, sourceNames]);
+  const holdings = useMemo(() => prepare(parsedHoldings, sandboxResult?.overrides), [prepare, parsedHoldings, sandboxResult]);
+  const inSandbox = sandbox !== null;
+  const baseline = useMemo(() => (inSandbox ? prepare(importedHoldings) : null), [inSandbox, prepare, importedHoldings]);
+  // real → shown names for the sources panel, which works from the raw files
+  const sourceLabel = useMemo(() => {
+    const aliases = sourceAliases(sourceNames);
+    return (name) => (privacy ? aliases[name] : name);
+  }, [privacy, sourceNames]);
+  const accountLabel = useMemo(() => {
+    const shown = Object.fromEntries(parsedHoldings.map((h, i) => [h.account, holdings[i].account]));
+    return (account) => shown[account] || (privacy ? "Account" : account);
+  }, [parsedHoldings, holdings, privacy]);
+  const ownerLabel = useMemo(() => {
+    const shown = Object.fromEntries(parsedHoldings.map((h, i) => [h.owner, holdings[i].owner]));
+    return (owner) => shown[owner] || owner;
+  }, [parsedHoldings, holdings]);
+
+  // per-file import reports; opened straight after an upload that had warnings
+  const reports = sources.filter(s => s.diagnostics);
+  const importWarnings = reports.reduce((n, s) => n + s.diagnostics.issues.filter(i => i.severity === "warning").length, 0);
+  const [showImportReport, setShowImportReport] = useState(importWarnings > 0);
+
+  // more files can be merged in from the dashboard too
+  const addFileRef = useRef();
+  const importer = useFileImport((imports) => {
+    onAddFiles(imports);
+    if (imports.some(i => i.result?.diagnostics.severity === "warning")) setShowImportReport(true);
+  });
+
+  const [compositions, setCompositions] = usePersistentState("compositions", {});
+  const [editingCompositions, setEditingCompositions] = useState(false);
+
+  // By Holding: one row per ticker, or per equivalence family
+  const [customFamilies, setCustomFamilies] = usePersistentState("fundFamilies", null);
+  const [overlapThreshold, setOverlapThreshold] = usePersistentState("overlapThreshold", 25);
+  const [editingFamilies, setEditingFamilies] = useState(false);
+  const families = customFamilies || FUND_FAMILIES;
+
+  // target mix, edited on the Rebalance tab and read by the Cash tab
+  const [targets, setTargets] = usePersistentState("targets", () => defaultTargets(holdings));
 
   const total = useMemo(() => holdings.reduce((s, h) => s + h.value, 0), [holdings]);
   const pct = (v) => `${(v / total * 100).toFixed(1)}%`;
 
+  // holdings as labelled, or split into underlying exposure (same total)
+  const exposed = useMemo(
+    () => exposure === "lookthrough" ? lookThrough(holdings, compositions) : holdings,
+    [holdings, exposure, compositions]
+  );
+
   /* grouped data */
-  const assetClassGroups = useMemo(() => {
-    const m = {};
-    holdings.forEach(h => {
-      if (!m[h.assetClass]) m[h.assetClass] = [];
-      m[h.assetClass].push(h);
-    });
-    return Object.entries(m)
-      .map(([name, items]) => ({ name, items, value: items.reduce((s, h) => s + h.value, 0) }))
-      .sort((a, b) => b.value - a.value);
-  }, [holdings]);
-
-  const accountGroups = useMemo(() => {
-    const m = {};
-    holdings.forEach(h => {
-      const key = h.accountShort;
-      if (!m[key]) m[key] = { items: [], account: h.account };
-      m[key].items.push(h);
-    });
-    return Object.entries(m)
-      .map(([name, { items, account }]) => ({ name, items, account, value: items.reduce((s, h) => s + h.value, 0) }))
-      .sort((a, b) => b.value - a.value);
-  }, [holdings]);
-
-  const holdingGroups = useMemo(() => {
-    const m = {};
-    holdings.forEach(h => {
-      const key = h.symbol;
-      if (!m[key]) m[key] = { items: [], desc: h.desc, assetClass: h.assetClass };
-      m[key].items.push(h);
-    });
-    return Object.entries(m)
-      .map(([symbol, { items, desc, assetClass }]) => ({
-        symbol, desc, assetClass, items,
-        value: items.reduce((s, h) => s + h.value, 0),
-        totalQty: items.reduce((s, h) => s + h.qty, 0),
-        accounts: [...new Set(items.map(h => h.accountShort))],
-      }))
-      .sort((a, b) => b.value - a.value);
-  }, [holdings]);
-
-  const styleGroups = useMemo(() => {
-    const m = {};
-    holdings.forEach(h => {
-      const style = h.stockStyle || h.assetClass || "Other";
-      if (!m[style]) m[style] = [];
-      m[style].push(h);
-    });
-    return Object.entries(m)
-      .map(([name, items]) => ({ name, items, value: items.reduce((s, h) => s + h.value, 0) }))
-      .sort((a, b) => b.value - a.value);
-  }, [holdings]);
+  const assetClassGroups = useMemo(() => groupByAssetClass(exposed), [exposed]);
+  const accountGroups = useMemo(() => groupByAccount(holdings), [holdings]);
+  const ownerGroups = useMemo(() => groupByOwner(holdings), [holdings]);
+  const taxGroups = useMemo(() => groupByTaxTreatment(holdings), [holdings]);
+  const holdingGroups = useMemo(() => groupHoldings(holdings), [holdings]);
+  const familyGroups = useMemo(() => groupHoldings(holdings, families), [holdings, families]);
+  const consolidated = holdingMode === "family" ? familyGroups : holdingGroups;
+  const overlaps = useMemo(() => overlapReport(holdings, families, overlapThreshold), [holdings, families, overlapThreshold]);
 
   /* derived metrics */
-  const metrics = useMemo(() => {
-    const equityVal = (assetClassGroups.find(g => g.name === "US Equity")?.value || 0)
-                    + (assetClassGroups.find(g => g.name === "Intl Equity")?.value || 0);
-    const bondVal = (assetClassGroups.find(g => g.name === "US Bonds")?.value || 0)
-                  + (assetClassGroups.find(g => g.name === "Intl Bonds")?.value || 0)
-                  + (assetClassGroups.find(g => g.name === "Fixed Income")?.value || 0);
-    const cashVal = assetClassGroups.find(g => g.name === "Cash")?.value || 0;
-    const usEq = assetClassGroups.find(g => g.name === "US Equity")?.value || 0;
-    const intlEq = assetClassGroups.find(g => g.name === "Intl Equity")?.value || 0;
-    const invested = equityVal + bondVal;
-    const individualStocks = holdings.filter(h => h.type === "Equity").reduce((s, h) => s + h.value, 0);
-    return { equityVal, bondVal, cashVal, usEq, intlEq, invested, individualStocks,
-      stockPct: invested > 0 ? (equityVal / invested * 100).toFixed(0) : 0,
-      bondPct: invested > 0 ? (bondVal / invested * 100).toFixed(0) : 0,
-      usPct: equityVal > 0 ? (usEq / equityVal * 100).toFixed(0) : 0,
-      intlPct: equityVal > 0 ? (intlEq / equityVal * 100).toFixed(0) : 0,
-    };
-  }, [assetClassGroups, holdings]);
-
-  const filteredAll = useMemo(() => {
-    const term = searchTerm.toLowerCase();
-    const list = term
-      ? holdings.filter(h =>
-          h.symbol.toLowerCase().includes(term) ||
-          h.desc.toLowerCase().includes(term) ||
-          h.accountShort.toLowerCase().includes(term) ||
-          h.assetClass.toLowerCase().includes(term) ||
-          h.account.toLowerCase().includes(term) ||
-          h.type.toLowerCase().includes(term)
-        )
-      : holdings;
-    return [...list].sort((a, b) => b.value - a.value);
-  }, [holdings, searchTerm]);
+  const metrics = useMemo(() => portfolioMetrics(holdings, exposed), [holdings, exposed]);
+
+  const filteredAll = useMemo(() => filterHoldings(holdings, searchTerm, { total }).holdings, [holdings, searchTerm, total]);
 
   const views = [
     { id: "overview", label: "Overview" },
     { id: "asset_class", label: "By Asset Class" },
     { id: "account", label: "By Account" },
+    { id: "owner", label: "By Owner" },
+    { id: "tax", label: "By Tax Bucket" },
     { id: "holding", label: "By Holding" },
     { id: "style", label: "By Style" },
+    { id: "pivot", label: "Pivot" },
+    { id: "rebalance", label: "Rebalance" },
+    { id: "benchmarks", label: "Benchmarks" },
+    { id: "location", label: "Asset Location" },
+    { id: "gains", label: "Gains" },
+    { id: "cash", label: "Cash" },
+    { id: "fees", label: "Fees" },
+    { id: "projection", label: "Projection" },
+    { id: "withdrawals", label: "Withdrawals" },
+    { id: "classification", label: "Classification" },
+    { id: "history", label: "History" },
     { id: "all", label: "All Holdings" },
   ];
+  const view = views.some(v => v.id === route.view) ? route.view : "overview";
+
+  // account and owner names go into the URL masked (see lib/route.js)
+  const maskedNames = { account: accountGroups.map(g => g.name), owner: ownerGroups.map(g => g.name) }[view];
+  const selected = maskedNames ? unmaskKey(sel, maskedNames) : sel || null;
+  const setSelected = (name) => navigate({ sel: name && maskedNames ? maskKey(name) : name });
+  const styleScope = unmaskKey(scope, accountGroups.map(g => g.account)) || "";
 
   const PieLabel = ({ cx, cy, midAngle, outerRadius, name, value }) => {
     const p = (value / total * 100);
@@ -533,6 +356,17 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
     return <text x={x} y={y} fill="#475569" textAnchor={x > cx ? "start" : "end"} dominantBaseline="central" fontSize={11} fontWeight={500}>{name} ({p.toFixed(1)}%)</text>;
   };
 
+  // downloaded tables are named after what they show and the as-of date
+  const exportName = (name) => [name, asOfDate].filter(Boolean).join(" ");
+
+  if (showReport) {
+    return (
+      <PrintReport holdings={holdings} total={total} asOfDate={asOfDate} adapter={adapter} metrics={metrics}
+        assetClassGroups={assetClassGroups} accountGroups={accountGroups} ownerGroups={ownerGroups}
+        taxGroups={taxGroups} holdingGroups={holdingGroups} onClose={() => setShowReport(false)} />
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -546,19 +380,49 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
                   className="text-xs bg-white/10 hover:bg-white/20 px-2.5 py-1 rounded-lg transition-colors">
                   ↺ New File
                 </button>
+                <button onClick={() => addFileRef.current?.click()}
+                  className="text-xs bg-white/10 hover:bg-white/20 px-2.5 py-1 rounded-lg transition-colors">
+                  + Add Files
+                </button>
+                <input ref={addFileRef} type="file" accept=".csv,.txt" multiple className="hidden"
+                  onChange={(e) => { importer.processFiles(e.target.files); e.target.value = ""; }} />
+                {reports.length > 0 && (
+                  <button onClick={() => setShowImportReport(o => !o)} title="What happened to each row of the uploaded files"
+                    className={`text-xs px-2.5 py-1 rounded-lg transition-colors ${importWarnings ? "bg-amber-400/90 text-slate-900 hover:bg-amber-300" : "bg-white/10 hover:bg-white/20"}`}>
+                    {importWarnings ? `⚠ Import (${importWarnings})` : "Import Report"}
+                  </button>
+                )}
+                <button onClick={() => setShowReport(true)}
+                  className="text-xs bg-white/10 hover:bg-white/20 px-2.5 py-1 rounded-lg transition-colors">
+                  ⎙ Report
+                </button>
+                <button onClick={() => setSandbox(inSandbox ? null : { name: "", trades: [] })}
+                  title="Try hypothetical trades on a copy of the portfolio"
+                  className={`text-xs px-2.5 py-1 rounded-lg transition-colors ${inSandbox ? "bg-violet-400 text-slate-900 hover:bg-violet-300" : "bg-white/10 hover:bg-white/20"}`}>
+                  {inSandbox ? "⚗ Sandbox on" : "⚗ Sandbox"}
+                </button>
+                <button onClick={() => { setPrivacy(!privacy); navigate({ sel: null, scope: null }, { replace: true }); }}
+                  title="Mask amounts and replace owners and account numbers with aliases"
+                  className={`text-xs px-2.5 py-1 rounded-lg transition-colors ${privacy ? "bg-amber-400 text-slate-900 hover:bg-amber-300" : "bg-white/10 hover:bg-white/20"}`}>
+                  {privacy ? "◉ Privacy on" : "◎ Privacy"}
+                </button>
               </div>
-              {asOfDate && <p className="text-blue-300/60 text-xs mt-0.5">As of {asOfDate}</p>}
+              {(asOfDate || adapter) && (
+                <p className="text-blue-300/60 text-xs mt-0.5">
+                  {asOfDate && `As of ${asOfDate}`}{asOfDate && adapter && " · "}{adapter && `Imported as ${adapter.label}`}
+                </p>
+              )}
             </div>
             <div className="text-right">
               <div className="text-3xl font-bold tracking-tight">{fmt(total)}</div>
-              <div className="text-blue-300/60 text-xs">{holdings.length} positions · {accountGroups.length} accounts</div>
+              <div className="text-blue-300/60 text-xs">{holdings.length} positions · {accountGroups.length} accounts{inSandbox && " · after sandbox trades"}</div>
             </div>
           </div>
         </div>
         {/* Quick stat bar */}
         <div className="border-t border-white/10">
           <div className="max-w-6xl mx-auto grid grid-cols-3 sm:grid-cols-6 divide-x divide-white/10">
-            {assetClassGroups.slice(0, 6).map((g, i) => (
+            {assetClassGroups.slice(0, 6).map(g => (
               <div key={g.name} className="px-3 py-2 text-center">
                 <div className="text-xs text-blue-200/50 uppercase tracking-wider">{g.name}</div>
                 <div className="text-sm font-bold text-white mt-0.5">{pct(g.value)}</div>
@@ -572,7 +436,7 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
       <div className="bg-white border-b border-gray-200 sticky top-0 z-10">
         <div className="max-w-6xl mx-auto flex px-3 overflow-x-auto">
           {views.map(v => (
-            <button key={v.id} onClick={() => { setView(v.id); setSelected(null); }}
+            <button key={v.id} onClick={() => navigate({ view: v.id, sel: null })}
               className={`px-4 py-3 text-sm font-medium whitespace-nowrap border-b-2 transition-colors ${
                 view === v.id ? "border-blue-600 text-blue-600" : "border-transparent text-gray-500 hover:text-gray-700"
               }`}>
@@ -585,19 +449,110 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
       {/* Content */}
       <div className="max-w-6xl mx-auto p-4">
 
+        {historyNote && (
+          <div className="flex items-center gap-3 rounded-lg bg-amber-50 border border-amber-200 px-3 py-2 mb-4 text-xs text-amber-800">
+            <span>{historyNote}</span>
+            <button onClick={onDismissHistoryNote} className="ml-auto text-amber-700 underline underline-offset-2 bg-transparent p-0">Dismiss</button>
+          </div>
+        )}
+
+        {/* Files being added: errors and column mapping */}
+        {(importer.current || importer.errors.length > 0 || importer.blocked.length > 0) && (
+          <div className="rounded-xl bg-slate-900 p-4 mb-4">
+            {importer.errors.length > 0 && (
+              <div className="rounded-xl bg-red-500/10 border border-red-500/30 px-4 py-3 text-red-300 text-sm">
+                {importer.errors.map((e, i) => <p key={i}>{e}</p>)}
+                <div className="flex gap-3 mt-1">
+                  {importer.held > 0 && (
+                    <button onClick={importer.proceed} className="text-xs text-red-200 underline underline-offset-2 bg-transparent p-0">
+                      Add the {importer.held} file{importer.held > 1 ? "s" : ""} that imported
+                    </button>
+                  )}
+                  {!importer.current && (
+                    <button onClick={importer.dismiss} className="text-xs text-red-200 underline underline-offset-2 bg-transparent p-0">
+                      Dismiss
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+            {importer.blocked.map(b => (
+              <div key={b.name} className="mt-4 first:mt-0">
+                <ImportReport name={b.name} diagnostics={b.diagnostics} actions={<BlockedActions importer={importer} name={b.name} />} />
+              </div>
+            ))}
+            {importer.current && (
+              <ColumnMapper key={importer.current.name} headers={importer.current.headers} initial={importer.current.initial}
+                fileName={importer.current.name} error={importer.current.problem}
+                onApply={importer.applyMapping} onCancel={importer.skip} />
+            )}
+          </div>
+        )}
+
+        {showImportReport && (
+          <div className="mb-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="font-bold text-gray-700 text-sm uppercase tracking-wider">Import Report</h3>
+              <button onClick={() => setShowImportReport(false)}
+                className="text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">✕ Close</button>
+            </div>
+            {reports.map(s => (
+              <ImportReport key={s.name} name={sourceLabel(s.name)} diagnostics={s.diagnostics} accountLabel={accountLabel} />
+            ))}
+          </div>
+        )}
+
+        {inSandbox && (
+          <SandboxPanel sandbox={sandbox} result={sandboxResult} positions={parsedHoldings} before={baseline} after={holdings}
+            accountLabel={accountLabel} onChange={setSandbox} onExit={() => setSandbox(null)} />
+        )}
+
+        {sources.length > 1 && (
+          <SourcesPanel sources={sources} disabled={disabledSources} duplicates={duplicates}
+            onToggle={onToggleSource} onResolve={onResolveDuplicate} sourceLabel={sourceLabel} accountLabel={accountLabel} />
+        )}
+
+        {/* Exposure toggle (views that show asset-class exposure) */}
+        {["overview", "asset_class", "style", "projection"].includes(view) && (
+          <div className="flex items-center justify-end gap-2 mb-4 flex-wrap">
+            <span className="text-xs text-gray-400">Exposure</span>
+            <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden text-xs font-medium">
+              {[{ id: "labeled", label: "As labeled" }, { id: "lookthrough", label: "Looked-through" }].map(m => (
+                <button key={m.id} onClick={() => navigate({ exposure: m.id === "labeled" ? null : m.id, sel: null })}
+                  className={`px-3 py-1.5 rounded-none ${exposure === m.id ? "bg-blue-600 text-white" : "bg-white text-gray-600 hover:bg-gray-50"}`}>
+                  {m.label}
+                </button>
+              ))}
+            </div>
+            {exposure === "lookthrough" && (
+              <button onClick={() => setEditingCompositions(e => !e)}
+                className="text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">
+                {editingCompositions ? "Hide compositions" : "Edit compositions"}
+              </button>
+            )}
+          </div>
+        )}
+        {["overview", "asset_class", "style", "projection"].includes(view) && exposure === "lookthrough" && editingCompositions && (
+          <div className="mb-6">
+            <CompositionEditor holdings={holdings} overrides={compositions} onChange={setCompositions} />
+          </div>
+        )}
+
         {/* ===== OVERVIEW ===== */}
         {view === "overview" && (
           <div className="space-y-6">
-            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3">
               {[
-                { label: "Total Equities", val: metrics.equityVal, sub: `${metrics.stockPct}% of invested`, c: "border-l-blue-500" },
-                { label: "Total Bonds", val: metrics.bondVal, sub: `${metrics.bondPct}% of invested`, c: "border-l-emerald-500" },
-                { label: "Cash / MM", val: metrics.cashVal, sub: pct(metrics.cashVal), c: "border-l-gray-400" },
+                { label: "Total Equities", val: metrics.equityVal, sub: `${metrics.stockPct.toFixed(0)}% of invested`, c: "border-l-blue-500" },
+                { label: "Total Bonds", val: metrics.bondVal, sub: `${metrics.bondPct.toFixed(0)}% of invested`, c: "border-l-emerald-500" },
+                { label: "Cash / MM", val: metrics.cashVal, sub: `${pct(metrics.cashVal)} · see Cash tab`, c: "border-l-gray-400", view: "cash" },
                 { label: "Individual Stocks", val: metrics.individualStocks, sub: pct(metrics.individualStocks), c: "border-l-indigo-500" },
+                { label: "Expense Ratio", display: `${metrics.fees.er.toFixed(2)}%`, sub: `${fmt(metrics.fees.fees)} / yr in fund fees`, c: "border-l-amber-500" },
               ].map((c, i) => (
-                <div key={i} className={`bg-white rounded-xl p-4 border border-gray-200 border-l-4 ${c.c} shadow-sm`}>
+                <div key={i} onClick={c.view ? () => navigate({ view: c.view, sel: null }) : undefined}
+                  className={`bg-white rounded-xl p-4 border border-gray-200 border-l-4 ${c.c} shadow-sm ${c.view ? "cursor-pointer hover:border-gray-300 hover:shadow" : ""}`}>
                   <p className="text-xs text-gray-400 uppercase tracking-wider font-medium">{c.label}</p>
-                  <p className="text-xl font-bold text-gray-900 mt-1">{fmt(c.val)}</p>
+                  <p className="text-xl font-bold text-gray-900 mt-1">{c.display ?? fmt(c.val)}</p>
                   <p className="text-sm text-gray-500 mt-0.5">{c.sub}</p>
                 </div>
               ))}
@@ -656,8 +611,8 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
                 <ResponsiveContainer width="100%" height={180}>
                   <PieChart>
                     <Pie data={[
-                      { name: `Stocks (${metrics.stockPct}%)`, value: metrics.equityVal },
-                      { name: `Bonds (${metrics.bondPct}%)`, value: metrics.bondVal },
+                      { name: `Stocks (${metrics.stockPct.toFixed(0)}%)`, value: metrics.equityVal },
+                      { name: `Bonds (${metrics.bondPct.toFixed(0)}%)`, value: metrics.bondVal },
                       { name: `Cash (${pct(metrics.cashVal)})`, value: metrics.cashVal },
                     ]} dataKey="value" cx="50%" cy="50%" innerRadius={40} outerRadius={70}>
                       <Cell fill="#2563eb" /><Cell fill="#059669" /><Cell fill="#94a3b8" />
@@ -672,8 +627,8 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
                 <ResponsiveContainer width="100%" height={180}>
                   <PieChart>
                     <Pie data={[
-                      { name: `US (${metrics.usPct}%)`, value: metrics.usEq },
-                      { name: `International (${metrics.intlPct}%)`, value: metrics.intlEq },
+                      { name: `US (${metrics.usPct.toFixed(0)}%)`, value: metrics.usEq },
+                      { name: `International (${metrics.intlPct.toFixed(0)}%)`, value: metrics.intlEq },
                     ]} dataKey="value" cx="50%" cy="50%" innerRadius={40} outerRadius={70}>
                       <Cell fill="#2563eb" /><Cell fill="#0d9488" />
                     </Pie>
@@ -708,7 +663,7 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
                 {assetClassGroups.map(g => (
                   <CategoryCard key={g.name} label={g.name} value={g.value} total={total}
                     isActive={selected === g.name} onClick={() => setSelected(selected === g.name ? null : g.name)}
-                    count={g.items.length} colorClass={getAssetClassColor(g.name)} />
+                    count={g.items.length} />
                 ))}
               </div>
             </div>
@@ -719,7 +674,7 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
                   <span className="text-sm text-gray-500">{fmt(assetClassGroups.find(g => g.name === selected).value)} ({pct(assetClassGroups.find(g => g.name === selected).value)})</span>
                   <button onClick={() => setSelected(null)} className="ml-auto text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">✕ Close</button>
                 </div>
-                <HoldingsTable data={assetClassGroups.find(g => g.name === selected).items} total={total} />
+                <HoldingsTable data={assetClassGroups.find(g => g.name === selected).items} total={total} exportName={exportName(selected)} />
               </div>
             )}
           </div>
@@ -732,7 +687,7 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
               <div className="lg:w-80 flex-shrink-0">
                 <ResponsiveContainer width="100%" height={Math.max(accountGroups.length * 36, 200)}>
                   <BarChart data={accountGroups.map(g => ({ name: g.name, value: g.value }))} layout="vertical" margin={{ left: 10 }}>
-                    <XAxis type="number" tickFormatter={v => v >= 1e6 ? `$${(v/1e6).toFixed(1)}M` : `$${(v/1e3).toFixed(0)}K`} fontSize={10} />
+                    <XAxis type="number" tickFormatter={fmtAxis} fontSize={10} />
                     <YAxis type="category" dataKey="name" width={130} tick={{ fontSize: 10 }} />
                     <Tooltip content={<ChartTooltip />} />
                     <Bar dataKey="value" radius={[0, 4, 4, 0]}
@@ -755,7 +710,7 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
                     <div className="flex-1 min-w-0">
                       <div className="flex items-center gap-2">
                         <span className="font-medium text-sm text-gray-800 truncate">{g.name}</span>
-                        <Badge className={getAccountTypeBadgeColor(g.account)}>{g.account}</Badge>
+                        <Badge className={getAccountTypeBadgeColor(g.accountKind)}>{g.account}</Badge>
                       </div>
                     </div>
                     <div className="text-right flex-shrink-0">
@@ -771,52 +726,95 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
               <div className="pt-4 border-t border-gray-200">
                 <div className="flex items-center gap-3 mb-3">
                   <h3 className="font-bold text-gray-800 text-lg">{selected}</h3>
-                  <Badge className={getAccountTypeBadgeColor(accountGroups.find(g => g.name === selected).account)}>
+                  <Badge className={getAccountTypeBadgeColor(accountGroups.find(g => g.name === selected).accountKind)}>
                     {accountGroups.find(g => g.name === selected).account}
                   </Badge>
                   <span className="text-sm text-gray-500">{fmt(accountGroups.find(g => g.name === selected).value)}</span>
                   <button onClick={() => setSelected(null)} className="ml-auto text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">✕ Close</button>
                 </div>
-                <HoldingsTable data={accountGroups.find(g => g.name === selected).items} total={total} showAccount={false} showAssetClass={true} />
+                <HoldingsTable data={accountGroups.find(g => g.name === selected).items} total={total} showAccount={false} showAssetClass={true} exportName={exportName(selected)} />
               </div>
             )}
           </div>
         )}
 
+        {/* ===== OWNER ===== */}
+        {view === "owner" && (
+          <GroupBreakdown groups={ownerGroups} total={total} selected={selected} onSelect={setSelected}
+            note="Owner is read from the account name (e.g. “Jill Doe - Roth IRA - 1234”). Click an owner to see their holdings." />
+        )}
+
+        {/* ===== TAX BUCKET ===== */}
+        {view === "tax" && (
+          <GroupBreakdown groups={taxGroups} total={total} selected={selected} onSelect={setSelected}
+            note="Pre-tax: traditional/rollover IRAs and workplace plans · Roth: Roth IRAs and Roth 401(k)s · Taxable: brokerage and bank accounts · HSA · 529." />
+        )}
+
         {/* ===== HOLDING (consolidated) ===== */}
         {view === "holding" && (
           <div className="space-y-4">
-            <p className="text-xs text-gray-500">Same symbols across all accounts are consolidated. Click any row to see the per-account breakdown.</p>
+            <div className="flex items-center justify-between gap-3 flex-wrap">
+              <p className="text-xs text-gray-500">
+                {holdingMode === "family"
+                  ? "Equivalent funds (e.g. VOO, VTI, SCHB) are rolled up into one family across all accounts. Click any row to see the positions behind it."
+                  : "Same symbols across all accounts are consolidated. Click any row to see the per-account breakdown."}
+              </p>
+              <div className="flex items-center gap-2">
+                <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden text-xs font-medium">
+                  {[{ id: "ticker", label: "By ticker" }, { id: "family", label: "By family" }].map(m => (
+                    <button key={m.id} onClick={() => navigate({ mode: m.id === "ticker" ? null : m.id, sel: null })}
+                      className={`px-3 py-1.5 rounded-none ${holdingMode === m.id ? "bg-blue-600 text-white" : "bg-white text-gray-600 hover:bg-gray-50"}`}>
+                      {m.label}
+                    </button>
+                  ))}
+                </div>
+                {holdingMode === "family" && (
+                  <button onClick={() => setEditingFamilies(e => !e)}
+                    className="text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">
+                    {editingFamilies ? "Hide families" : "Edit families"}
+                  </button>
+                )}
+              </div>
+            </div>
+            {holdingMode === "family" && editingFamilies && (
+              <FamilyEditor families={families} isDefault={!customFamilies}
+                onChange={setCustomFamilies} onReset={() => setCustomFamilies(null)}
+                heldSymbols={new Set(holdings.map(h => h.symbol.toUpperCase()))} />
+            )}
+            {holdingMode === "family" && (
+              <OverlapReport rows={overlaps} threshold={overlapThreshold} onThresholdChange={setOverlapThreshold} />
+            )}
             <div className="flex flex-col lg:flex-row gap-4">
               <div className="lg:w-80 flex-shrink-0">
-                <ResponsiveContainer width="100%" height={Math.min(holdingGroups.length * 28, 400)}>
-                  <BarChart data={holdingGroups.slice(0, 15).map(g => ({ name: g.symbol, value: g.value }))} layout="vertical" margin={{ left: 5 }}>
-                    <XAxis type="number" tickFormatter={v => v >= 1e6 ? `$${(v/1e6).toFixed(1)}M` : `$${(v/1e3).toFixed(0)}K`} fontSize={10} />
-                    <YAxis type="category" dataKey="name" width={70} tick={{ fontSize: 11, fontWeight: 600 }} />
+                <ResponsiveContainer width="100%" height={Math.min(consolidated.length * 28, 400)}>
+                  <BarChart data={consolidated.slice(0, 15).map(g => ({ name: g.symbol, value: g.value }))} layout="vertical" margin={{ left: 5 }}>
+                    <XAxis type="number" tickFormatter={fmtAxis} fontSize={10} />
+                    <YAxis type="category" dataKey="name" width={holdingMode === "family" ? 140 : 70} tick={{ fontSize: 11, fontWeight: 600 }} />
                     <Tooltip content={<ChartTooltip />} />
                     <Bar dataKey="value" radius={[0, 4, 4, 0]}>
-                      {holdingGroups.slice(0, 15).map((_, i) => <Cell key={i} fill={PAL[i % PAL.length]} />)}
+                      {consolidated.slice(0, 15).map((_, i) => <Cell key={i} fill={PAL[i % PAL.length]} />)}
                     </Bar>
                   </BarChart>
                 </ResponsiveContainer>
               </div>
               <div className="flex-1">
-                <ConsolidatedTable groups={holdingGroups} total={total} selected={selected} onSelect={setSelected} />
+                <ConsolidatedTable groups={consolidated} total={total} selected={selected} onSelect={setSelected}
+                  exportName={exportName(holdingMode === "family" ? "holdings by family" : "consolidated holdings")} />
               </div>
             </div>
-            {selected && holdingGroups.find(g => g.symbol === selected) && (
+            {selected && consolidated.find(g => g.symbol === selected) && (
               <div className="pt-4 border-t border-gray-200">
                 <div className="flex items-center gap-3 mb-2">
                   <h3 className="font-bold text-gray-800 text-lg">{selected}</h3>
-                  <span className="text-sm text-gray-500">{holdingGroups.find(g => g.symbol === selected).desc}</span>
+                  <span className="text-sm text-gray-500">{consolidated.find(g => g.symbol === selected).desc}</span>
                   <button onClick={() => setSelected(null)} className="ml-auto text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">✕ Close</button>
                 </div>
                 <p className="text-xs text-gray-500 mb-3">
-                  Total: <strong>{fmt(holdingGroups.find(g => g.symbol === selected).value)}</strong> across{" "}
-                  <strong>{holdingGroups.find(g => g.symbol === selected).accounts.length}</strong> account(s):{" "}
-                  {holdingGroups.find(g => g.symbol === selected).accounts.join(", ")}
+                  Total: <strong>{fmt(consolidated.find(g => g.symbol === selected).value)}</strong> across{" "}
+                  <strong>{consolidated.find(g => g.symbol === selected).accounts.length}</strong> account(s):{" "}
+                  {consolidated.find(g => g.symbol === selected).accounts.join(", ")}
                 </p>
-                <HoldingsTable data={holdingGroups.find(g => g.symbol === selected).items} total={total} />
+                <HoldingsTable data={consolidated.find(g => g.symbol === selected).items} total={total} exportName={exportName(selected)} />
               </div>
             )}
           </div>
@@ -824,45 +822,60 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
 
         {/* ===== STYLE ===== */}
         {view === "style" && (
-          <div className="space-y-4">
-            <p className="text-xs text-gray-500">Morningstar / Style Box classification. Click a style to drill down to individual holdings.</p>
-            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2">
-              {styleGroups.map(g => (
-                <CategoryCard key={g.name} label={g.name} value={g.value} total={total}
-                  isActive={selected === g.name} onClick={() => setSelected(selected === g.name ? null : g.name)}
-                  count={g.items.length} />
-              ))}
-            </div>
-            {selected && styleGroups.find(g => g.name === selected) && (
-              <div className="pt-4 border-t border-gray-200">
-                <div className="flex items-center gap-3 mb-3">
-                  <h3 className="font-bold text-gray-800 text-lg">{selected}</h3>
-                  <span className="text-sm text-gray-500">{fmt(styleGroups.find(g => g.name === selected).value)} ({pct(styleGroups.find(g => g.name === selected).value)})</span>
-                  <button onClick={() => setSelected(null)} className="ml-auto text-xs text-gray-400 hover:text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md transition-colors">✕ Close</button>
-                </div>
-                <HoldingsTable data={styleGroups.find(g => g.name === selected).items} total={total} />
-              </div>
-            )}
-          </div>
+          <StyleBoxView holdings={exposed} total={total} selected={selected} onSelect={setSelected}
+            scope={styleScope} onScopeChange={a => navigate({ scope: a ? maskKey(a) : null, sel: null })} exportName={exportName} />
+        )}
+
+        {/* ===== PIVOT ===== */}
+        {view === "pivot" && (
+          <PivotView holdings={exposed} total={total} rows={pivotRows} cols={pivotCols} mode={pivotMode}
+            sel={sel} onSelect={s => navigate({ sel: s })} onChange={p => navigate({ ...p, sel: null })} exportName={exportName} />
+        )}
+
+        {/* ===== REBALANCE ===== */}
+        {view === "rebalance" && <RebalanceView holdings={holdings} targets={targets} setTargets={setTargets} />}
+
+        {/* ===== BENCHMARKS ===== */}
+        {view === "benchmarks" && <BenchmarksView holdings={holdings} total={total} />}
+
+        {/* ===== ASSET LOCATION ===== */}
+        {view === "location" && <AssetLocationView holdings={holdings} />}
+
+        {/* ===== GAINS & HARVESTING ===== */}
+        {view === "gains" && (
+          <GainsView holdings={holdings} total={total} files={costBasis} unmatched={unmatchedLots} families={families}
+            accountLabel={accountLabel} onAddFiles={() => addFileRef.current?.click()} onRemoveFile={onRemoveCostBasis} />
+        )}
+
+        {/* ===== CASH ===== */}
+        {view === "cash" && <CashView holdings={holdings} total={total} targets={targets} />}
+
+        {/* ===== FEES ===== */}
+        {view === "fees" && (
+          <FeesView holdings={holdings} families={families} overrides={expenseOverrides} onOverridesChange={setExpenseOverrides} />
+        )}
+
+        {/* ===== PROJECTION ===== */}
+        {view === "projection" && <ProjectionView holdings={exposed} total={total} />}
+
+        {/* ===== WITHDRAWALS ===== */}
+        {view === "withdrawals" && <WithdrawalView holdings={parsedHoldings} accountLabel={accountLabel} ownerLabel={ownerLabel} />}
+
+        {/* ===== HISTORY ===== */}
+        {view === "history" && <HistoryView snapshots={snapshots} currentId={snapshotId} reclassify={reclassify} />}
+
+        {/* ===== CLASSIFICATION ===== */}
+        {view === "classification" && (
+          <ClassificationView holdings={holdings} rules={rules} isDefault={!customRules}
+            onRulesChange={setCustomRules} onResetRules={() => setCustomRules(null)}
+            overrides={classOverrides} onOverridesChange={setClassOverrides} />
         )}
 
-        {/* ===== ALL HOLDINGS (searchable) ===== */}
+        {/* ===== ALL HOLDINGS (query and saved filters) ===== */}
         {view === "all" && (
           <div className="space-y-3">
-            <div className="flex items-center gap-3">
-              <div className="relative flex-1">
-                <input
-                  type="text" placeholder="Search symbol, name, account, asset class, type..."
-                  value={searchTerm} onChange={e => setSearchTerm(e.target.value)}
-                  className="w-full pl-9 pr-4 py-2.5 border border-gray-300 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white shadow-sm"
-                />
-                <svg className="absolute left-3 top-3 w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-                </svg>
-              </div>
-              <span className="text-xs text-gray-400 whitespace-nowrap">{filteredAll.length} of {holdings.length}</span>
-            </div>
-            <HoldingsTable data={filteredAll} total={total} showAssetClass={true} />
+            <HoldingsQuery query={searchTerm} onChange={q => navigate({ q }, { replace: true })} holdings={holdings} matched={filteredAll.length} />
+            <HoldingsTable data={filteredAll} total={total} showAssetClass={true} exportName={exportName("all holdings")} />
           </div>
         )}
       </div>
@@ -884,9 +897,70 @@ const Dashboard = ({ holdings, asOfDate, onReset }) => {
 
 /* ───────── ROOT APP ───────── */
 export default function App() {
+  // { sources, disabled, resolutions, costBasis, snapshotId, savedId }; see
+  // lib/merge.js. costBasis lists the loaded lot files: [{ name, lots, notes }]
   const [data, setData] = useState(null);
+  const [snapshots, setSnapshotList] = useState(() => loadJSON("snapshots", []));
+  // why history could not be saved in full, shown on the dashboard
+  const [historyNote, setHistoryNote] = useState("");
+
+  // snapshots are big, so storage can fill up: trim and say so rather than
+  // silently stop saving
+  const setSnapshots = useCallback((list, added = null) => {
+    // without storage there is nothing to trim for: keep history for this visit only
+    const stored = canStore();
+    const { kept, dropped, full } = storeSnapshots(list, stored ? v => saveJSON("snapshots", v) : () => true);
+    setSnapshotList(kept);
+    const plural = dropped !== 1 ? "s" : "";
+    if (!stored && added) setHistoryNote("Browser storage is unavailable, so history is kept only until this page is closed.");
+    else if (full && added && !kept.some(s => s.id === added.id)) setHistoryNote("Browser storage is full, so this upload could not be saved to history. Delete old snapshots from the upload screen to make room.");
+    else if (full) setHistoryNote(`Browser storage is full, so the ${dropped} oldest snapshot${plural} had to be removed from history.`);
+    else if (dropped) setHistoryNote(`History keeps the newest ${MAX_SNAPSHOTS} snapshots; the ${dropped} oldest ${plural ? "were" : "was"} removed.`);
+  }, []);
+
+  // saves the merged household (every source on) as one snapshot, replacing
+  // the one this session saved before so adding files doesn't pile them up
+  const commit = useCallback((next) => {
+    const snap = makeSnapshot(mergeSources(next.sources, { resolutions: next.resolutions }));
+    setSnapshots(upsertSnapshot(snapshots.filter(s => s.id !== next.savedId), snap), snap);
+    setData({ ...next, snapshotId: snap.id, savedId: snap.id });
+  }, [snapshots, setSnapshots]);
+
+  const handleData = useCallback((imports) => {
+    if (!imports.some(i => i.result)) return;
+    commit({
+      sources: addSources([], imports.filter(i => i.result)), disabled: [], resolutions: {},
+      costBasis: addCostBasis([], imports), savedId: null,
+    });
+  }, [commit]);
+
+  const addFiles = (imports) => commit({
+    ...data, sources: addSources(data.sources, imports.filter(i => i.result)), costBasis: addCostBasis(data.costBasis, imports),
+  });
+
+  const removeCostBasis = (name) => setData(d => ({ ...d, costBasis: d.costBasis.filter(f => f.name !== name) }));
+
+  const resolveDuplicate = (key, keep) => commit({ ...data, resolutions: { ...data.resolutions, [key]: keep } });
+
+  const toggleSource = (name) => setData(d => ({
+    ...d, disabled: d.disabled.includes(name) ? d.disabled.filter(n => n !== name) : [...d.disabled, name],
+  }));
+
+  const openSnapshot = (snap) => setData({
+    sources: [makeSource({ ...snap, holdings: withAccountFields(snap.holdings) }, `Snapshot ${snapshotLabel(snap)}`)],
+    disabled: [], resolutions: {}, costBasis: [], snapshotId: snap.id, savedId: null,
+  });
+
+  const merged = useMemo(
+    () => data && mergeSources(data.sources, { disabled: data.disabled, resolutions: data.resolutions }),
+    [data]
+  );
+
+  // visit statistics go to a third party, so nothing is sent unless the user opts in
+  const [shareVisitStats, setShareVisitStats] = usePersistentState("shareVisitStats", false);
 
   useEffect(() => {
+    if (!shareVisitStats) return;
     if (!TRACKING_SCRIPT_URL || TRACKING_SCRIPT_URL.startsWith("PASTE_YOUR")) return;
     fetch("https://ipapi.co/json/")
       .then((r) => r.json())
@@ -898,13 +972,23 @@ export default function App() {
           country: geo.country_name || "",
           userAgent: navigator.userAgent,
           referrer: document.referrer,
-          pageUrl: window.location.href,
+          // the hash holds dashboard state (accounts, searches); never send it
+          pageUrl: window.location.origin + window.location.pathname,
         });
         new Image().src = `${TRACKING_SCRIPT_URL}?${params}`;
       })
       .catch(() => {});
-  }, []);
+  }, [shareVisitStats]);
 
-  if (!data) return <UploadScreen onData={setData} />;
-  return <Dashboard holdings={data.holdings} asOfDate={data.asOfDate} onReset={() => setData(null)} />;
+  if (!data) {
+    return <UploadScreen onData={handleData} snapshots={snapshots} onOpenSnapshot={openSnapshot}
+      onDeleteSnapshot={(id) => setSnapshots(snapshots.filter(s => s.id !== id))}
+      shareVisitStats={shareVisitStats} onShareVisitStatsChange={setShareVisitStats} />;
+  }
+  return <Dashboard holdings={merged.holdings} asOfDate={merged.asOfDate} adapter={merged.adapter}
+    sources={data.sources} disabledSources={data.disabled} duplicates={merged.duplicates}
+    costBasis={data.costBasis} onRemoveCostBasis={removeCostBasis}
+    onAddFiles={addFiles} onToggleSource={toggleSource} onResolveDuplicate={resolveDuplicate}
+    snapshots={snapshots} snapshotId={data.snapshotId} historyNote={historyNote} onDismissHistoryNote={() => setHistoryNote("")}
+    onReset={() => setData(null)} />;
 }
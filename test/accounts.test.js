@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAccount } from "../src/lib/accounts.js";
+import { accountKey } from "../src/lib/merge.js";
+import { sameAccount } from "../src/lib/costBasis.js";
+
+test("splits broker labels into owner, type and number", () => {
+  assert.deepEqual(parseAccount("John Doe - Traditional IRA - 4521089"), {
+    owner: "John Doe", accountType: "Traditional IRA", accountKind: "traditional", taxTreatment: "Pre-tax", accountNumber: "4521089",
+  });
+  assert.equal(parseAccount("Roth Contributory IRA ...456").accountNumber, "...456");
+  assert.equal(parseAccount("Roth Contributory IRA ...456").taxTreatment, "Roth");
+  assert.equal(parseAccount("Brokerage - ****1234").accountNumber, "****1234");
+  assert.equal(parseAccount("Jane Doe - Individual - Z01-234567").accountNumber, "Z01-234567");
+  assert.equal(parseAccount("Jane Doe - Individual - X12345678").accountNumber, "X12345678");
+});
+
+test("keeps plan codes as account types, not numbers", () => {
+  for (const [label, treatment] of [["John Doe - 529", "529"], ["Jill Doe - 457", "Pre-tax"], ["Schwab 529", "529"]]) {
+    const a = parseAccount(label);
+    assert.equal(a.accountNumber, "", label);
+    assert.equal(a.taxTreatment, treatment, label);
+  }
+  assert.equal(parseAccount("John Doe - 529").accountType, "529");
+  assert.equal(parseAccount("John Doe - 529").owner, "John Doe");
+});
+
+test("accounts with the same plan code but different owners stay apart", () => {
+  const john = { account: "John Doe - 457", ...parseAccount("John Doe - 457") };
+  const jill = { account: "Jill Doe - 457", ...parseAccount("Jill Doe - 457") };
+  assert.notEqual(accountKey(john), accountKey(jill));
+  assert.ok(!sameAccount(jill, john));
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectAdapter, importPortfolio } from "../src/lib/adapters/index.js";
+import { fixture, samplePortfolio, GENERIC_MAPPING } from "./helpers.js";
+
+test("detects each broker format", () => {
+  assert.equal(detectAdapter(samplePortfolio()).id, "fidelity-gps");
+  assert.equal(detectAdapter(fixture("schwab-all-accounts.csv")).id, "schwab");
+  assert.equal(detectAdapter(fixture("vanguard.csv")).id, "vanguard");
+  assert.equal(detectAdapter(fixture("generic.csv")), null);
+});
+
+test("imports the sample Fidelity GPS export", () => {
+  const { holdings, asOfDate, adapter } = importPortfolio(samplePortfolio());
+  assert.equal(asOfDate, "02/15/2026");
+  assert.equal(adapter.id, "fidelity-gps");
+  assert.equal(holdings.length, 21);
+
+  const voo = holdings.find(h => h.symbol === "VOO");
+  assert.equal(voo.value, 1709597.5);
+  assert.equal(voo.qty, 2850);
+  assert.equal(voo.assetClass, "US Equity");
+  assert.equal(voo.owner, "John Doe");
+  assert.equal(voo.taxTreatment, "Pre-tax");
+  assert.equal(voo.accountNumber, "4521089");
+
+  // blank-symbol cash rows get a placeholder ticker
+  assert.ok(holdings.filter(h => h.symbol === "CASH").every(h => h.assetClass === "Cash"));
+});
+
+test("imports a multi-account Schwab export", () => {
+  const { holdings, asOfDate } = importPortfolio(fixture("schwab-all-accounts.csv"));
+  assert.equal(asOfDate, "02/15/2026");
+  assert.deepEqual(holdings.map(h => h.symbol), ["VTI", "AAPL", "CASH", "SCHZ"]);
+  assert.deepEqual([...new Set(holdings.map(h => h.account))], ["Schwab - Individual ...123", "Schwab - Roth Contributory IRA ...456"]);
+  assert.equal(holdings.find(h => h.symbol === "SCHZ").taxTreatment, "Roth");
+  assert.equal(holdings.find(h => h.symbol === "CASH").value, 11000);
+});
+
+test("imports Vanguard positions and ignores the transactions block", () => {
+  const { holdings } = importPortfolio(fixture("vanguard.csv"));
+  assert.deepEqual(holdings.map(h => h.symbol), ["VBTLX", "VFIAX", "VMFXX"]);
+  // blank Total Value is worked out from shares × price
+  assert.equal(holdings.find(h => h.symbol === "VFIAX").value, 25000);
+});
+
+test("Vanguard accounts take their type from an account type column, else are flagged", () => {
+  const typed = importPortfolio([
+    "Account Number,Investment Name,Symbol,Shares,Share Price,Total Value,Account Type",
+    "12345678,VANGUARD TOTAL BOND MARKET INDEX ADMIRAL,VBTLX,1000,10.00,10000.00,Roth IRA",
+    "87654321,VANGUARD 500 INDEX ADMIRAL,VFIAX,50,500.00,25000.00,401(k)",
+  ].join("\n"));
+  assert.deepEqual(typed.holdings.map(h => [h.account, h.accountNumber, h.taxTreatment]), [
+    ["Vanguard - Roth IRA - 12345678", "12345678", "Roth"],
+    ["Vanguard - 401(k) - 87654321", "87654321", "Pre-tax"],
+  ]);
+  assert.deepEqual(typed.diagnostics.untyped, []);
+
+  const { diagnostics } = importPortfolio(fixture("vanguard.csv"));
+  assert.deepEqual(diagnostics.untyped, ["Vanguard - 12345678"]);
+  assert.ok(diagnostics.issues.some(i => i.severity === "warning" && /tax treatment of 1 account is unknown/.test(i.message)));
+});
+
+test("imports any CSV with a column mapping", () => {
+  const { holdings } = importPortfolio(fixture("generic.csv"), { adapterId: "generic", mapping: GENERIC_MAPPING });
+  assert.deepEqual(holdings.map(h => [h.symbol, h.value, h.assetClass]), [
+    ["VXUS", 6000, "Intl Equity"],
+    ["BND", 3600, "US Bonds"],
+  ]);
+});
+
+test("rejects files nothing recognises", () => {
+  assert.throws(() => importPortfolio("just,some\nrandom,text\n"), /Unrecognised file format/);
+  assert.throws(() => importPortfolio(fixture("generic.csv"), { adapterId: "generic", mapping: {} }), /Map a Symbol/);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzePortfolio, analyzeHoldings, groupBy, groupByTaxTreatment, portfolioMetrics } from "../src/lib/analytics.js";
+import { samplePortfolio, close } from "./helpers.js";
+
+const sample = analyzePortfolio(samplePortfolio());
+
+test("totals the sample portfolio", () => {
+  assert.equal(sample.total, 8160232.5);
+  assert.equal(sample.holdings.length, 21);
+  assert.equal(sample.groups.account.length, 5);
+});
+
+test("groups by asset class, largest first, without losing value", () => {
+  assert.deepEqual(sample.groups.assetClass.map(g => g.name), ["US Equity", "US Bonds", "Intl Equity", "Cash", "Intl Bonds"]);
+  for (const key of ["assetClass", "account", "owner", "taxTreatment"]) {
+    const sum = sample.groups[key].reduce((s, g) => s + g.value, 0);
+    assert.ok(close(sum, sample.total), `${key} groups add up to the total`);
+  }
+  assert.equal(sample.groups.assetClass[0].value, 4512107.5);
+});
+
+test("account groups carry the full account label and kind", () => {
+  const top = sample.groups.account[0];
+  assert.equal(top.account, "John Doe - Taxable Brokerage - 7890123");
+  assert.equal(top.accountKind, "taxable");
+  assert.equal(top.value, 2902715);
+});
+
+test("owner and tax-bucket splits", () => {
+  assert.deepEqual(sample.groups.owner.map(g => g.name), ["John Doe", "Jill Doe"]);
+  assert.equal(sample.groups.owner[1].value, 1222075);
+  assert.deepEqual(sample.groups.taxTreatment.map(g => g.name), ["Pre-tax", "Roth", "Taxable"]);
+});
+
+test("consolidates tickers held in several accounts", () => {
+  const cash = sample.groups.holding.find(g => g.symbol === "CASH");
+  assert.equal(cash.items.length, 3);
+  assert.equal(cash.value, 405000);
+  assert.equal(sample.groups.holding.length, 19);
+});
+
+test("headline metrics", () => {
+  const m = sample.metrics;
+  assert.equal(m.equityVal, 5366783.5);
+  assert.equal(m.bondVal, 2078449);
+  assert.equal(m.cashVal, 715000);
+  assert.ok(close(m.stockPct + m.bondPct, 100));
+  assert.ok(close(m.usPct + m.intlPct, 100));
+  assert.ok(close(m.stockPct, 72.08));
+  assert.ok(close(m.cashPct, 8.76));
+  assert.ok(m.fees.er > 0 && m.fees.er < 0.2);
+});
+
+test("look-through keeps the total but splits funds", () => {
+  const lt = analyzePortfolio(samplePortfolio(), { lookThrough: true });
+  const sum = lt.groups.assetClass.reduce((s, g) => s + g.value, 0);
+  assert.ok(close(sum, sample.total));
+  assert.ok(lt.groups.assetClass.some(g => g.name === "Emerging Markets"));
+  // account and holding views are never split
+  assert.equal(lt.groups.account.length, sample.groups.account.length);
+});
+
+test("classification rules and overrides flow through", () => {
+  const pinned = analyzePortfolio(samplePortfolio(), { overrides: { QQQ: "Growth" } });
+  assert.ok(pinned.groups.assetClass.some(g => g.name === "Growth"));
+  const noRules = analyzePortfolio(samplePortfolio(), { rules: [] });
+  assert.deepEqual(noRules.groups.assetClass.map(g => g.name), ["Other"]);
+});
+
+test("handles empty and zero-value input", () => {
+  const empty = analyzeHoldings([]);
+  assert.equal(empty.total, 0);
+  assert.equal(empty.metrics.stockPct, 0);
+  assert.equal(portfolioMetrics([]).cashPct, 0);
+  assert.deepEqual(groupByTaxTreatment([]), []);
+});
+
+test("groupBy adds extra fields from the first holding", () => {
+  const groups = groupBy([{ k: "a", v: 1, value: 1 }, { k: "a", v: 2, value: 2 }, { k: "b", v: 3, value: 5 }], h => h.k, h => ({ first: h.v }));
+  assert.deepEqual(groups.map(g => [g.name, g.value, g.first, g.items.length]), [["b", 5, 3, 1], ["a", 3, 1, 2]]);
+});
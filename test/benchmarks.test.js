@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  actualWeights, allModels, compareToModel, glideStockPct, rankModels, roundWeights, stockBondSplit, targetDateModel,
+} from "../src/lib/benchmarks.js";
+import { MODEL_PORTFOLIOS } from "../src/data/modelPortfolios.js";
+import { analyzePortfolio } from "../src/lib/analytics.js";
+import { samplePortfolio, close } from "./helpers.js";
+
+const { holdings, metrics } = analyzePortfolio(samplePortfolio());
+const sum = (weights) => Object.values(weights).reduce((s, v) => s + v, 0);
+
+test("bundled models add up to 100%", () => {
+  for (const m of MODEL_PORTFOLIOS) assert.ok(close(sum(m.weights), 100), m.name);
+  assert.equal(new Set(MODEL_PORTFOLIOS.map(m => m.id)).size, MODEL_PORTFOLIOS.length);
+});
+
+test("the glide path eases stocks down through retirement", () => {
+  assert.equal(glideStockPct(-40), 90);
+  assert.equal(glideStockPct(-25), 90);
+  assert.ok(close(glideStockPct(-10), 66));
+  assert.equal(glideStockPct(0), 50);
+  assert.equal(glideStockPct(20), 30);
+  const m = targetDateModel(2046, 2026);
+  assert.equal(m.name, "Target 2046");
+  assert.ok(close(sum(m.weights), 100));
+  assert.ok(close(m.weights["Intl Equity"], 82 * 0.4));
+  assert.ok(close(stockBondSplit(m.weights).stockPct, 82));
+});
+
+test("stock/bond split matches the Overview's", () => {
+  const split = stockBondSplit(actualWeights(holdings));
+  assert.ok(close(split.stockPct, metrics.stockPct));
+  assert.ok(close(split.bondPct, metrics.bondPct));
+  assert.ok(close(sum(actualWeights(holdings)), 100));
+  assert.deepEqual(actualWeights([{ assetClass: "Emerging Markets", value: 10 }]), { "Intl Equity": 100 });
+});
+
+test("deviations and the distance score", () => {
+  const { rows, distance } = compareToModel(holdings, { "US Equity": 60, "US Bonds": 40 });
+  assert.deepEqual(rows.map(r => r.name), ["US Equity", "Intl Equity", "US Bonds", "Intl Bonds", "Cash"]);
+  const eq = rows[0];
+  assert.ok(close(eq.diff, eq.actual - 60));
+  assert.ok(close(rows.reduce((s, r) => s + r.diff, 0), 0));
+  assert.ok(close(distance, rows.reduce((s, r) => s + Math.abs(r.diff), 0) / 2));
+  // the portfolio against its own mix is no distance at all
+  assert.ok(close(compareToModel(holdings, actualWeights(holdings)).distance, 0));
+  // weights that don't add up are scaled
+  assert.ok(close(compareToModel(holdings, { "US Equity": 6, "US Bonds": 4 }).distance, distance));
+});
+
+test("ranks every model, custom ones included", () => {
+  const mine = { id: "custom:Mine", name: "Mine", weights: roundWeights(actualWeights(holdings)) };
+  const models = allModels([mine], 2046, 2026);
+  assert.equal(models.length, MODEL_PORTFOLIOS.length + 2);
+  const ranking = rankModels(holdings, models);
+  assert.equal(ranking[0].model.id, "custom:Mine");
+  assert.ok(ranking.every((r, i) => i === 0 || r.distance >= ranking[i - 1].distance));
+  assert.ok(close(sum(mine.weights), 100, 6));
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isCashLike, cashByAccount, allocateReserve, planCashDeployment } from "../src/lib/cash.js";
+import { analyzePortfolio } from "../src/lib/analytics.js";
+import { anonymizeHoldings } from "../src/lib/privacy.js";
+import { samplePortfolio, close } from "./helpers.js";
+
+const { holdings } = analyzePortfolio(samplePortfolio());
+const TAXABLE = "John Doe - Taxable Brokerage - 7890123";
+const JOHN_IRA = "John Doe - Traditional IRA - 4521089";
+const TARGETS = { "US Equity": 60, "Intl Equity": 20, "US Bonds": 15, "Intl Bonds": 5 };
+
+const holding = (account, symbol, assetClass, value, extra = {}) =>
+  ({ account, symbol, desc: symbol, assetClass, value, type: "", price: 1, ...extra });
+
+test("recognises cash however it is labelled", () => {
+  assert.ok(isCashLike({ symbol: "CASH", desc: "Generic Short Term", assetClass: "Cash" }));
+  assert.ok(isCashLike({ symbol: "SPAXX", desc: "Fidelity Government Money Market", assetClass: "US Bonds" }));
+  assert.ok(isCashLike({ symbol: "SGOV", desc: "0-3 Month Treasury Bond ETF", assetClass: "US Bonds" }));
+  assert.ok(isCashLike({ symbol: "", desc: "Sweep", type: "Cash", assetClass: "Other" }));
+  assert.ok(!isCashLike({ symbol: "BND", desc: "Total Bond Market", assetClass: "US Bonds" }));
+});
+
+test("lists cash per account, most first", () => {
+  const accounts = cashByAccount(holdings);
+  assert.deepEqual(accounts.map(a => [a.account, a.cash]), [
+    [TAXABLE, 225000],
+    [JOHN_IRA, 185000],
+    ["John Doe - Roth IRA - 6734521", 125000],
+    ["Jill Doe - Traditional IRA - 2345678", 95000],
+    ["John Doe - 401K - 9821756", 85000],
+  ]);
+  assert.equal(accounts[1].items[0].symbol, "VMFXX");
+  assert.equal(accounts[0].accountValue, 2902715);
+});
+
+test("the reserve is held in taxable accounts first", () => {
+  const accounts = allocateReserve(cashByAccount(holdings), 300000);
+  const by = Object.fromEntries(accounts.map(a => [a.account, a]));
+  assert.equal(by[TAXABLE].reserved, 225000);
+  assert.equal(by[TAXABLE].excess, 0);
+  assert.equal(by[JOHN_IRA].reserved, 75000);
+  assert.equal(by[JOHN_IRA].excess, 110000);
+  assert.equal(accounts.reduce((s, a) => s + a.reserved, 0), 300000);
+});
+
+test("the reserve follows the parsed tax treatment, not the (aliased) label", () => {
+  const list = [
+    holding("HSA - 12345", "CASH", "Cash", 50000, { taxTreatment: "HSA" }),
+    holding("Individual - 67890", "CASH", "Cash", 20000, { taxTreatment: "Taxable" }),
+  ];
+  for (const input of [list, anonymizeHoldings(list)]) {
+    const accounts = allocateReserve(cashByAccount(input), 30000);
+    assert.deepEqual(accounts.map(a => [a.taxTreatment, a.reserved]), [["HSA", 10000], ["Taxable", 20000]]);
+  }
+});
+
+test("excess cash is invested where it sits, into underweight classes", () => {
+  const plan = planCashDeployment(holdings, TARGETS, 100000);
+  assert.equal(plan.excess, 715000 - 100000);
+  assert.equal(plan.shortfall, 0);
+  const invested = {};
+  plan.buys.forEach(t => { invested[t.account] = (invested[t.account] || 0) + t.amount; });
+  plan.accounts.forEach(a => assert.ok(close(invested[a.account] || 0, a.excess, 4), a.account));
+  assert.ok(plan.buys.every(t => t.action === "buy" && t.assetClass !== "Cash"));
+  // the sample is bond-heavy against these targets, so only equity is bought
+  assert.deepEqual([...new Set(plan.buys.map(t => t.assetClass))].sort(), ["Intl Equity", "US Equity"]);
+});
+
+test("buys follow the biggest gap and use a fund the account already holds", () => {
+  const list = [
+    holding("Brokerage", "VTI", "US Equity", 50000),
+    holding("Brokerage", "BND", "US Bonds", 10000),
+    holding("Brokerage", "SPAXX", "Cash", 40000, { desc: "Government Money Market" }),
+  ];
+  const plan = planCashDeployment(list, { "US Equity": 50, "US Bonds": 50, Cash: 10 }, 10000);
+  assert.deepEqual(plan.buys.map(t => [t.symbol, t.amount]), [["BND", 30000]]);
+  assert.deepEqual(plan.residual, { "US Equity": -5000, "US Bonds": 5000 });
+});
+
+test("reports a reserve shortfall and plans nothing without targets", () => {
+  const list = [holding("Brokerage", "CASH", "Cash", 5000), holding("Brokerage", "VTI", "US Equity", 95000)];
+  const short = planCashDeployment(list, TARGETS, 20000);
+  assert.equal(short.shortfall, 15000);
+  assert.equal(short.excess, 0);
+  assert.deepEqual(short.buys, []);
+  assert.deepEqual(planCashDeployment(list, { Cash: 100 }, 0).buys, []);
+});
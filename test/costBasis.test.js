@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addCostBasis, applyCostBasis, detectCostBasis, gainSummary, holdingTerm, parseCostBasis, sameAccount,
+} from "../src/lib/costBasis.js";
+import { analyzePortfolio } from "../src/lib/analytics.js";
+import { fixture, samplePortfolio, close } from "./helpers.js";
+
+const { holdings } = analyzePortfolio(samplePortfolio());
+const AS_OF = new Date(2026, 1, 15).getTime();
+const position = (list, symbol) => list.find(h => h.symbol === symbol && h.taxTreatment === "Taxable");
+
+test("recognises cost basis files and not holdings exports", () => {
+  assert.ok(detectCostBasis(fixture("fidelity-positions.csv")));
+  assert.ok(detectCostBasis(fixture("lots.csv")));
+  assert.ok(!detectCostBasis(samplePortfolio()));
+  assert.ok(!detectCostBasis(fixture("generic.csv")));
+});
+
+test("reads Fidelity's positions download, skipping rows without a cost", () => {
+  const { lots, notes } = parseCostBasis(fixture("fidelity-positions.csv"));
+  assert.deepEqual(lots.map(l => l.symbol), ["QQQ", "SCHX", "AGG", "BNDX", "VXUS", "VTI"]);
+  assert.deepEqual(lots[0], {
+    account: "Taxable Brokerage - 7890123", accountNumber: "7890123", symbol: "QQQ", desc: "INVESCO QQQ TR UNIT SER 1",
+    qty: 2100, cost: 800000, acquired: "", term: "",
+  });
+  assert.deepEqual(notes.skipped.map(s => s.reason).filter(r => r === "No cost basis"), ["No cost basis"]);
+  assert.throws(() => parseCostBasis("Symbol,Cost Basis\n"), /No lots/);
+});
+
+test("reads lot files with a per-share cost and dates", () => {
+  const { lots } = parseCostBasis(fixture("lots.csv"));
+  assert.equal(lots.length, 4);
+  assert.equal(lots[1].cost, 300 * 540);
+  assert.equal(lots[1].accountNumber, "7890123");
+  assert.equal(holdingTerm(lots[0], AS_OF), "long");
+  assert.equal(holdingTerm(lots[1], AS_OF), "short");
+  assert.equal(holdingTerm(lots[3], AS_OF), "long");
+  assert.equal(holdingTerm({ acquired: "", term: "" }, AS_OF), "");
+  assert.equal(holdingTerm({ acquired: "02/14/2025", term: "" }, AS_OF), "long");
+  assert.equal(holdingTerm({ acquired: "02/15/2025", term: "" }, AS_OF), "short");
+});
+
+test("accounts match by number, masked tails included, else by label", () => {
+  assert.ok(sameAccount({ accountNumber: "7890123" }, { accountNumber: "7890123" }));
+  assert.ok(sameAccount({ accountNumber: "X7890123" }, { accountNumber: "...0123" }));
+  assert.ok(!sameAccount({ accountNumber: "7890123" }, { accountNumber: "4521089" }));
+  assert.ok(sameAccount({ account: "Brokerage" }, { account: "brokerage ", accountNumber: "" }));
+});
+
+test("joins positions to holdings and leaves the rest alone", () => {
+  const { lots } = parseCostBasis(fixture("fidelity-positions.csv"));
+  const r = applyCostBasis(holdings, lots, { asOf: AS_OF });
+  assert.equal(r.matched, 5);
+  assert.deepEqual(r.unmatched.map(l => l.symbol), ["VTI"]);
+  const qqq = position(r.holdings, "QQQ");
+  assert.equal(qqq.costBasis, 800000);
+  assert.ok(close(qqq.gain, 102055));
+  assert.equal(qqq.term, "");
+  assert.equal(qqq.lots.length, 1);
+  assert.equal(qqq.lots[0].account, undefined);
+  assert.equal(position(r.holdings, "VUG").costBasis, undefined);
+  assert.equal(r.holdings.length, holdings.length);
+  assert.deepEqual(applyCostBasis(holdings, []).holdings, holdings);
+});
+
+test("splits gains by term and scales lots to the shares held", () => {
+  const r = applyCostBasis(holdings, parseCostBasis(fixture("lots.csv")).lots, { asOf: AS_OF });
+  const vug = position(r.holdings, "VUG");
+  assert.equal(vug.term, "mixed");
+  assert.ok(close(vug.longTermGain, 500 * 495.2 - 175000));
+  assert.ok(close(vug.shortTermGain, 300 * 495.2 - 162000));
+  // 1,500 shares in the lot file, 1,200 held: the lot is scaled down
+  const vtv = position(r.holdings, "VTV");
+  assert.ok(close(vtv.costBasis, 180000));
+  assert.equal(vtv.basisCoverage, 1);
+  // half the BNDX shares have a known basis
+  const bndx = position(r.holdings, "BNDX");
+  assert.equal(bndx.basisCoverage, 0.5);
+  assert.ok(close(bndx.gain, 3100 * 48.65 - 155000));
+
+  const s = gainSummary(r.holdings);
+  assert.equal(s.positions, 3);
+  assert.ok(close(s.gain, vug.gain + vtv.gain + bndx.gain));
+  assert.ok(close(s.value, 396160 + 192540 + 301630 / 2));
+});
+
+test("loading a file again replaces it", () => {
+  const a = { name: "lots.csv", costBasis: { lots: [1], notes: {} } };
+  const b = { name: "lots.csv", costBasis: { lots: [1, 2], notes: {} } };
+  const files = addCostBasis(addCostBasis([], [a, { name: "gps.csv", result: {} }]), [b]);
+  assert.deepEqual(files.map(f => [f.name, f.lots.length]), [["lots.csv", 2]]);
+});
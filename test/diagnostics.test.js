@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { importPortfolio } from "../src/lib/adapters/index.js";
+import { diagnoseImport, reconcileWeights, parseWeight } from "../src/lib/diagnostics.js";
+import { fixture, samplePortfolio, GENERIC_MAPPING, close } from "./helpers.js";
+
+test("the sample imports cleanly apart from its weights, which disagree", () => {
+  const d = importPortfolio(samplePortfolio()).diagnostics;
+  assert.equal(d.severity, "warning");
+  const weights = d.issues.find(i => /weights add up/.test(i.message));
+  assert.equal(weights.severity, "warning");
+  assert.match(weights.message, /135\.80%, so the file and the computed weights disagree/);
+  assert.match(weights.message, /VOO is 28\.49% in the file but 20\.95%/);
+  assert.equal(d.skipped.length, 0);
+  assert.equal(d.fallbacks.length, 0);
+  // the sample's weights were computed against a smaller total
+  const [group] = d.reconciliation.groups;
+  assert.ok(close(group.fileSum, 135.8));
+  assert.ok(Math.abs(group.impliedTotal - 6009007.73) < 1);
+  assert.equal(d.reconciliation.mismatches.length, 0);
+});
+
+test("blocks a file whose values are mostly missing", () => {
+  const d = importPortfolio(fixture("malformed-fidelity.csv")).diagnostics;
+  assert.equal(d.severity, "error");
+  assert.match(d.issues[0].message, /2 of 3 position rows have no usable value/);
+  // the trailing disclaimer is not counted against the file
+  assert.deepEqual(d.skipped.map(s => s.expected), [true]);
+});
+
+test("notes skipped rows, inferred values and Other fallbacks", () => {
+  const generic = importPortfolio(fixture("generic.csv"), { adapterId: "generic", mapping: GENERIC_MAPPING }).diagnostics;
+  assert.equal(generic.severity, "warning");
+  assert.deepEqual(generic.skipped.map(s => [s.symbol, s.reason, s.expected]), [
+    ["XYZ", "Zero or missing value", false],
+    ["Total", "Total line", true],
+  ]);
+  assert.deepEqual(generic.inferred.map(s => [s.symbol, s.how]), [["BND", "quantity × price"]]);
+
+  const vanguard = importPortfolio(fixture("vanguard.csv")).diagnostics;
+  assert.deepEqual(vanguard.fallbacks.map(h => h.symbol), ["VFIAX"]);
+  assert.ok(vanguard.issues.some(i => i.severity === "warning" && /put in "Other"/.test(i.message)));
+});
+
+test("reconciles per-account weights", () => {
+  const d = importPortfolio(fixture("schwab-all-accounts.csv")).diagnostics;
+  assert.equal(d.reconciliation.basis, "account");
+  assert.deepEqual(d.reconciliation.groups.map(g => [g.name, g.fileSum]), [
+    ["Schwab - Individual ...123", 100],
+    ["Schwab - Roth Contributory IRA ...456", 100],
+  ]);
+  assert.equal(d.severity, "info");
+});
+
+test("only a small overshoot is put down to a margin balance", () => {
+  const rows = (a, b) => [
+    { symbol: "A", account: "X", value: 50, weight: `${a}%` },
+    { symbol: "B", account: "X", value: 50, weight: `${b}%` },
+  ];
+  const small = diagnoseImport({ holdings: rows(50.5, 51), weightBasis: "portfolio" });
+  assert.equal(small.severity, "info");
+  assert.match(small.issues[0].message, /margin balance/);
+  const large = diagnoseImport({ holdings: rows(55, 55), weightBasis: "portfolio" });
+  assert.equal(large.severity, "warning");
+  assert.match(large.issues[0].message, /110\.00%, so the file and the computed weights disagree/);
+  const under = diagnoseImport({ holdings: rows(40, 40), weightBasis: "portfolio" });
+  assert.equal(under.severity, "warning");
+  assert.match(under.issues[0].message, /positions may be missing/);
+});
+
+test("flags positions whose value disagrees with the file's weight", () => {
+  const holdings = [
+    { symbol: "A", account: "X", value: 50, weight: "50%" },
+    { symbol: "B", account: "X", value: 10, weight: "40%" },
+  ];
+  const r = reconcileWeights(holdings, "portfolio");
+  assert.ok(close(r.groups[0].fileSum, 90));
+  assert.deepEqual(r.mismatches.map(m => m.symbol), ["A", "B"]);
+  assert.equal(reconcileWeights(holdings, null), null);
+
+  const d = diagnoseImport({ holdings: holdings.map(h => ({ ...h, assetClass: "US Equity" })), weightBasis: "portfolio" });
+  assert.equal(d.severity, "warning");
+  assert.match(d.issues[0].message, /only 90\.00%/);
+});
+
+test("parseWeight", () => {
+  assert.equal(parseWeight("28.49%"), 28.49);
+  assert.equal(parseWeight(" 1,000.5 % "), 1000.5);
+  assert.equal(parseWeight("--"), null);
+  assert.equal(parseWeight(""), null);
+  assert.equal(parseWeight(undefined), null);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crc32 } from "node:zlib";
+import { buildXlsx } from "../src/lib/xlsx.js";
+import { toCSV, HOLDING_COLUMNS } from "../src/lib/export.js";
+
+const decoder = new TextDecoder();
+
+/* Reads a stored (uncompressed) zip back: local entries, central directory and end record. */
+const unzip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50, "end of central directory");
+  const count = view.getUint16(end + 10, true);
+  const dirSize = view.getUint32(end + 12, true);
+  const dirOffset = view.getUint32(end + 16, true);
+  assert.equal(dirOffset + dirSize, end);
+
+  const files = {};
+  let at = dirOffset;
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(at, true), 0x02014b50, "central directory entry");
+    const crc = view.getUint32(at + 16, true);
+    const size = view.getUint32(at + 24, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const local = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+
+    assert.equal(view.getUint32(local, true), 0x04034b50, `local header of ${name}`);
+    assert.equal(view.getUint16(local + 8, true), 0, "stored, not deflated");
+    assert.equal(view.getUint32(local + 14, true), crc);
+    assert.equal(view.getUint32(local + 18, true), size);
+    const start = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(start, start + size);
+    assert.equal(crc32(data), crc, `CRC of ${name}`);
+    files[name] = decoder.decode(data);
+    at += 46 + nameLength;
+  }
+  assert.equal(at, end);
+  return files;
+};
+
+test("xlsx is a valid stored zip of the workbook parts", () => {
+  const files = unzip(buildXlsx(["Symbol", "Value"], [["VOO", 1234.5], ["BND", 0]], { sheetName: "Roth/IRA", moneyColumns: new Set([1]) }));
+  assert.deepEqual(Object.keys(files), [
+    "[Content_Types].xml", "_rels/.rels", "xl/workbook.xml", "xl/_rels/workbook.xml.rels", "xl/styles.xml", "xl/worksheets/sheet1.xml",
+  ]);
+  assert.match(files["xl/workbook.xml"], /<sheet name="Roth IRA"/);
+  const sheet = files["xl/worksheets/sheet1.xml"];
+  assert.match(sheet, /<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Symbol<\/t>/);
+  assert.match(sheet, /<c r="B2" s="2"><v>1234.5<\/v><\/c>/);
+  assert.match(sheet, /<c r="B3" s="2"><v>0<\/v><\/c>/);
+});
+
+test("xlsx text is escaped and stripped of control characters", () => {
+  const sheet = unzip(buildXlsx(["Name"], [["A & B <C> \"D\"\u0001\u001f\tE\nF é"]]))["xl/worksheets/sheet1.xml"];
+  // \u0001 and \u001f are dropped; tab and newline are allowed in XML and kept
+  assert.ok(sheet.includes("A &amp; B &lt;C&gt; &quot;D&quot;\tE\nF é"));
+  assert.ok(![...sheet].some(ch => ch < " " && !"\t\n\r".includes(ch)));
+});
+
+test("csv cells that look like formulas are quoted", () => {
+  const columns = HOLDING_COLUMNS.filter(c => ["Symbol", "Description", "Unrealized Gain"].includes(c.header));
+  const csv = toCSV(columns, [
+    { symbol: "=HYPERLINK(\"x\")", desc: "+1", costBasis: 100, gain: -25 },
+    { symbol: "@SUM", desc: "-2 short", costBasis: 100, gain: 5 },
+    { symbol: "VOO", desc: "S&P 500 = index", costBasis: null },
+  ], 0);
+  assert.deepEqual(csv.split("\r\n"), [
+    "Symbol,Description,Unrealized Gain",
+    "\"'=HYPERLINK(\"\"x\"\")\",\"'+1\",-25",
+    "\"'@SUM\",\"'-2 short\",5",
+    "VOO,S&P 500 = index,",
+  ]);
+});
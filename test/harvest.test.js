@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { harvestCandidates, identicalTo, substitutesFor, trackedIndex } from "../src/lib/harvest.js";
+import { applyCostBasis, parseCostBasis } from "../src/lib/costBasis.js";
+import { analyzePortfolio } from "../src/lib/analytics.js";
+import { fixture, samplePortfolio, close } from "./helpers.js";
+
+const { holdings } = analyzePortfolio(samplePortfolio());
+const AS_OF = new Date(2026, 1, 15).getTime();
+const withBasis = (file) => applyCostBasis(holdings, parseCostBasis(fixture(file)).lots, { asOf: AS_OF }).holdings;
+
+test("funds tracking the same index are identical", () => {
+  assert.equal(trackedIndex("voo"), "S&P 500");
+  assert.ok(identicalTo("VOO").has("IVV"));
+  assert.ok(!identicalTo("VOO").has("VTI"));
+  assert.deepEqual([...identicalTo("XYZ")], ["XYZ"]);
+});
+
+test("substitutes share the family but not the index", () => {
+  const subs = substitutesFor("QQQ");
+  assert.equal(subs[0].symbol, "VUG");
+  assert.ok(subs.every(s => s.index !== "Nasdaq-100"));
+  assert.equal(new Set(subs.map(s => s.index)).size, subs.length);
+  assert.ok(!substitutesFor("VOO").some(s => s.symbol === "IVV"));
+  assert.deepEqual(substitutesFor("XYZ"), []);
+});
+
+test("lists taxable losses with savings at the right rate", () => {
+  const list = harvestCandidates(withBasis("fidelity-positions.csv"), { rates: { shortTerm: 30, longTerm: 10 } });
+  assert.deepEqual(list.map(c => c.symbol), ["AGG", "SCHX", "BNDX"]);
+  const agg = list[0];
+  assert.ok(close(agg.loss, -43520));
+  // no dates: taxed as long-term
+  assert.ok(close(agg.savings, 4352));
+  assert.ok(list.every(c => c.holding.taxTreatment === "Taxable"));
+  assert.deepEqual(harvestCandidates(withBasis("fidelity-positions.csv"), { minLoss: 10000 }).map(c => c.symbol), ["AGG", "SCHX"]);
+});
+
+test("only the losing lots are sold", () => {
+  const [vug, bndx] = harvestCandidates(withBasis("lots.csv"), { rates: { shortTerm: 30, longTerm: 10 } });
+  assert.equal(vug.symbol, "VUG");
+  assert.ok(close(vug.loss, 300 * 495.2 - 162000));
+  assert.equal(vug.longTermLoss, 0);
+  assert.ok(close(vug.value, 300 * 495.2));
+  assert.ok(close(vug.savings, -vug.loss * 0.3));
+  assert.ok(close(bndx.shortTermLoss, 0));
+});
+
+test("skips substitutes held elsewhere and warns about wash-sale risks", () => {
+  const list = harvestCandidates(withBasis("fidelity-positions.csv"));
+  const by = Object.fromEntries(list.map(c => [c.symbol, c]));
+  // VOO (S&P 500) is in an IRA, so the next index in the family is suggested
+  assert.equal(by.SCHX.substitute.symbol, "VV");
+  assert.deepEqual(by.SCHX.warnings, []);
+  // SCHZ tracks AGG's index in the Roth; BND is held in the IRA
+  assert.equal(by.AGG.substitute.symbol, "IUSB");
+  assert.deepEqual(by.AGG.warnings.map(w => [w.kind, w.symbol]), [["same", "SCHZ"]]);
+  assert.equal(by.BNDX.substitute.symbol, "BWX");
+});
+
+test("warns when the only substitute is held in another account", () => {
+  const list = harvestCandidates(withBasis("fidelity-positions.csv"), {
+    families: [{ name: "Intl bonds", symbols: ["BNDX", "IAGG"] }],
+  });
+  const bndx = list.find(c => c.symbol === "BNDX");
+  assert.equal(bndx.substitute.symbol, "IAGG");
+  assert.deepEqual(bndx.warnings.map(w => [w.kind, w.account]), [["substitute", "Jill Doe - Traditional IRA - 2345678"]]);
+});
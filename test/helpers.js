@@ -0,0 +1,14 @@
+import { readFileSync } from "node:fs";
+
+/* Test fixtures live in test/fixtures; the sample export is the repo's own. */
+export const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+export const samplePortfolio = () => readFileSync(new URL("../sample-portfolio.csv", import.meta.url), "utf8");
+
+export const GENERIC_MAPPING = {
+  symbol: "Ticker", desc: "Name", account: "Account", type: "Category",
+  qty: "Shares", price: "Last Price", value: "Market Value",
+};
+
+export const close = (actual, expected, places = 2) =>
+  Math.abs(actual - expected) < 10 ** -places / 2;
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { makeSnapshot, storeSnapshots, upsertSnapshot } from "../src/lib/history.js";
+
+const holding = (account, value) => ({ symbol: "VTI", account, value, assetClass: "US Equity" });
+const adapter = { id: "fidelity" };
+const snap = (asOfDate, id = asOfDate) => ({ id, asOfDate, savedAt: "2026-01-01T00:00:00Z", holdings: [], total: 0 });
+
+test("re-uploading an export replaces its snapshot; another household's does not", () => {
+  const john = makeSnapshot({ holdings: [holding("John - IRA - 1234567", 100)], asOfDate: "01/31/2026", adapter });
+  const again = makeSnapshot({ holdings: [holding("John - IRA - 1234567", 120)], asOfDate: "01/31/2026", adapter });
+  const jill = makeSnapshot({ holdings: [holding("Jill - IRA - 7654321", 100)], asOfDate: "01/31/2026", adapter });
+  assert.equal(john.id, again.id);
+  assert.notEqual(john.id, jill.id);
+  assert.ok(!john.id.includes("1234567"));
+  assert.equal(upsertSnapshot(upsertSnapshot([john], again), jill).length, 2);
+});
+
+test("keeps the newest snapshots, and drops the oldest when storage is full", () => {
+  const list = ["01/31/2026", "11/30/2025", "12/31/2025"].map(d => snap(d));
+  const saved = [];
+  const capped = storeSnapshots(list, v => { saved.push(v); return true; }, 2);
+  assert.deepEqual(capped.kept.map(s => s.id), ["12/31/2025", "01/31/2026"]);
+  assert.deepEqual([capped.dropped, capped.full], [1, false]);
+  assert.equal(saved.length, 1);
+
+  // room for one
+  const full = storeSnapshots(list, v => v.length <= 1);
+  assert.deepEqual(full.kept.map(s => s.id), ["01/31/2026"]);
+  assert.deepEqual([full.dropped, full.full], [2, true]);
+
+  // room for none: storage is cleared rather than left stale
+  const writes = [];
+  const none = storeSnapshots(list, v => { writes.push(v.length); return v.length === 0; });
+  assert.deepEqual([none.kept, none.dropped, none.full], [[], 3, true]);
+  assert.equal(writes.at(-1), 0);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { importPortfolio } from "../src/lib/adapters/index.js";
+import { addSources, mergeSources, findDuplicateAccounts, uniqueSourceName, KEEP_BOTH } from "../src/lib/merge.js";
+import { fixture, samplePortfolio } from "./helpers.js";
+
+const sample = importPortfolio(samplePortfolio());
+const schwab = importPortfolio(fixture("schwab-all-accounts.csv"));
+// Jill's login sees only her own account, a month earlier
+const jill = { ...sample, asOfDate: "01/15/2026", holdings: sample.holdings.filter(h => h.owner === "Jill Doe") };
+
+test("source names stay unique", () => {
+  assert.equal(uniqueSourceName("a.csv", []), "a.csv");
+  assert.equal(uniqueSourceName("a.csv", ["a.csv", "a.csv (2)"]), "a.csv (3)");
+  assert.equal(uniqueSourceName("", []), "Upload");
+});
+
+test("merges files from different brokers and tags each row", () => {
+  const sources = addSources([], [{ name: "fidelity.csv", result: sample }, { name: "schwab.csv", result: schwab }]);
+  const merged = mergeSources(sources);
+  assert.equal(merged.holdings.length, 25);
+  assert.deepEqual(merged.duplicates, []);
+  assert.equal(merged.adapter.label, "Fidelity GPS + Schwab");
+  assert.equal(merged.holdings.filter(h => h.source === "schwab.csv").length, 4);
+});
+
+test("counts an account seen in two files once, newest copy first", () => {
+  const sources = addSources([], [{ name: "joint.csv", result: jill }, { name: "john.csv", result: sample }]);
+  const [dup] = findDuplicateAccounts(sources);
+  assert.equal(dup.account, "Jill Doe - Traditional IRA - 2345678");
+  assert.equal(dup.keep, "john.csv");
+
+  const merged = mergeSources(sources);
+  assert.equal(merged.holdings.length, 21);
+  assert.equal(merged.asOfDate, "02/15/2026");
+
+  const older = mergeSources(sources, { resolutions: { [dup.key]: "joint.csv" } });
+  assert.ok(older.holdings.filter(h => h.owner === "Jill Doe").every(h => h.source === "joint.csv"));
+
+  const both = mergeSources(sources, { resolutions: { [dup.key]: KEEP_BOTH } });
+  assert.equal(both.holdings.length, 21 + jill.holdings.length);
+});
+
+test("switched-off sources drop out", () => {
+  const sources = addSources([], [{ name: "a.csv", result: sample }, { name: "b.csv", result: schwab }]);
+  const merged = mergeSources(sources, { disabled: ["a.csv"] });
+  assert.deepEqual([...new Set(merged.holdings.map(h => h.source))], ["b.csv"]);
+  assert.equal(merged.adapter.id, "schwab");
+});
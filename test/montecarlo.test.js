@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createRandom, createNormal, assumptionFor, classWeights, cholesky, percentile, portfolioStats, simulate,
+} from "../src/lib/montecarlo.js";
+import { analyzePortfolio } from "../src/lib/analytics.js";
+import { samplePortfolio, close } from "./helpers.js";
+
+const sample = analyzePortfolio(samplePortfolio());
+const weights = classWeights(sample.holdings);
+
+test("seeded generator repeats and stays in [0, 1)", () => {
+  const a = createRandom(7);
+  const b = createRandom(7);
+  const draws = Array.from({ length: 1000 }, () => a());
+  assert.deepEqual(draws.slice(0, 5), Array.from({ length: 5 }, () => b()));
+  assert.ok(draws.every(x => x >= 0 && x < 1));
+  assert.notEqual(createRandom(8)(), createRandom(7)());
+});
+
+test("normal draws have mean ~0 and variance ~1", () => {
+  const normal = createNormal(createRandom(3));
+  const xs = Array.from({ length: 20000 }, normal);
+  const mean = xs.reduce((s, x) => s + x, 0) / xs.length;
+  const variance = xs.reduce((s, x) => s + (x - mean) ** 2, 0) / xs.length;
+  assert.ok(Math.abs(mean) < 0.03);
+  assert.ok(Math.abs(variance - 1) < 0.05);
+});
+
+test("class weights come from current values", () => {
+  assert.deepEqual(weights.map(w => w.name), ["US Equity", "US Bonds", "Intl Equity", "Cash", "Intl Bonds"]);
+  assert.ok(close(weights.reduce((s, w) => s + w.weight, 0), 1, 9));
+  assert.ok(close(weights[0].weight, 4512107.5 / 8160232.5, 9));
+});
+
+test("assumption edits override the bundled figures; unknown classes fall back", () => {
+  assert.deepEqual(assumptionFor("US Equity"), { return: 7, volatility: 16, group: "equity" });
+  assert.deepEqual(assumptionFor("US Equity", { "US Equity": { return: "5", volatility: "" } }), { return: 5, volatility: 16, group: "equity" });
+  assert.equal(assumptionFor("Crypto").group, "equity");
+  assert.equal(assumptionFor("Cash", { Cash: { volatility: -3 } }).volatility, 0);
+});
+
+test("cholesky factors a correlation matrix and rejects a non-positive-definite one", () => {
+  const L = cholesky([[1, 0.5], [0.5, 1]]);
+  assert.ok(close(L[1][0], 0.5, 9));
+  assert.ok(close(L[1][1], Math.sqrt(0.75), 9));
+  assert.equal(cholesky([[1, 1.2], [1.2, 1]]), null);
+});
+
+test("percentile interpolates between ranks", () => {
+  assert.equal(percentile([1, 2, 3, 4, 5], 50), 3);
+  assert.equal(percentile([0, 10], 25), 2.5);
+  assert.equal(percentile([], 50), 0);
+});
+
+test("portfolio stats blend class assumptions", () => {
+  const stats = portfolioStats([{ name: "US Equity", weight: 0.6 }, { name: "US Bonds", weight: 0.4 }], {});
+  assert.ok(close(stats.return, 0.6 * 7 + 0.4 * 4.5, 9));
+  const variance = (0.6 * 16) ** 2 + (0.4 * 5.5) ** 2 + 2 * 0.6 * 0.4 * 16 * 5.5 * 0.1;
+  assert.ok(close(stats.volatility, Math.sqrt(variance), 9));
+});
+
+test("the same seed gives the same projection; another seed a different one", () => {
+  const opts = { start: sample.total, weights, years: 20, cashFlow: -250000, target: 6e6, trials: 500 };
+  const a = simulate({ ...opts, seed: 11 });
+  const b = simulate({ ...opts, seed: 11 });
+  const c = simulate({ ...opts, seed: 12 });
+  assert.deepEqual(a.bands, b.bands);
+  assert.equal(a.probability, b.probability);
+  assert.notDeepEqual(a.bands[20], c.bands[20]);
+});
+
+test("without volatility every path compounds the same way in today's dollars", () => {
+  const flat = { Cash: { return: 5, volatility: 0, group: "cash" } };
+  const r = simulate({ start: 1000, weights: [{ name: "Cash", weight: 1 }], assumptions: flat, years: 10, cashFlow: 100, inflation: 2, target: 2000, trials: 50 });
+  let expected = 1000;
+  for (let y = 0; y < 10; y++) expected = expected * 1.05 / 1.02 + 100;
+  assert.ok(close(r.bands[10].p10, expected, 6));
+  assert.ok(close(r.bands[10].p90, expected, 6));
+  assert.equal(r.probability, expected >= 2000 ? 1 : 0);
+  assert.equal(r.depleted, 0);
+});
+
+test("percentile bands are ordered and start at today's balance", () => {
+  const r = simulate({ start: sample.total, weights, years: 30, trials: 400, seed: 5 });
+  assert.equal(r.bands.length, 31);
+  assert.equal(r.bands[0].p10, sample.total);
+  assert.equal(r.bands[0].p90, sample.total);
+  r.bands.forEach(b => assert.ok(b.p10 <= b.p25 && b.p25 <= b.p50 && b.p50 <= b.p75 && b.p75 <= b.p90));
+  assert.equal(r.probability, null);
+});
+
+test("large withdrawals deplete the portfolio and stop at zero", () => {
+  const r = simulate({ start: 1e6, weights, years: 30, cashFlow: -120000, trials: 300, seed: 9 });
+  assert.ok(r.depleted > 0.9);
+  assert.ok(r.depletedYear >= 8 && r.depletedYear <= 15);
+  assert.equal(r.bands[30].p50, 0);
+  assert.ok(r.finals.every(v => v >= 0));
+});
+
+test("horizon and trial counts are clamped", () => {
+  const r = simulate({ start: 100, weights, years: 500, trials: 0 });
+  assert.equal(r.bands.length, 61);
+  assert.equal(r.finals.length, 1);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildPivot, cellShare, pivotKey, pivotSelection, maskSelection, unmaskSelection, PIVOT_DIMENSIONS,
+} from "../src/lib/pivot.js";
+import { styleLabel } from "../src/lib/styleBox.js";
+import { analyzePortfolio } from "../src/lib/analytics.js";
+import { samplePortfolio, close } from "./helpers.js";
+
+const { holdings, total } = analyzePortfolio(samplePortfolio());
+const pivot = buildPivot(holdings, "owner", "assetClass");
+const row = (key) => pivot.rows.find(r => r.key === key);
+const col = (key) => pivot.cols.find(c => c.key === key);
+
+test("cross-tabulates two dimensions, largest first", () => {
+  assert.deepEqual(pivot.rows.map(r => r.key), ["John Doe", "Jill Doe"]);
+  assert.equal(pivot.cols[0].key, "US Equity");
+  assert.ok(close(pivot.total, total));
+  assert.ok(close(pivot.cells[pivotKey("Jill Doe", "US Equity")].value, 639255));
+  assert.equal(pivot.cells[pivotKey("Jill Doe", "US Bonds")], undefined);
+  // every holding lands in exactly one cell
+  assert.equal(Object.values(pivot.cells).reduce((s, c) => s + c.items.length, 0), holdings.length);
+});
+
+test("cells show dollars or a share of the total, row or column", () => {
+  const jill = row("Jill Doe");
+  const equity = col("US Equity");
+  assert.ok(close(cellShare(pivot, jill, equity, "value"), 639255));
+  assert.ok(close(cellShare(pivot, jill, equity, "total"), 639255 / total * 100));
+  assert.ok(close(cellShare(pivot, jill, equity, "row"), 639255 / jill.value * 100));
+  assert.ok(close(cellShare(pivot, jill, equity, "col"), 639255 / equity.value * 100));
+  assert.equal(cellShare(pivot, jill, col("US Bonds"), "row"), 0);
+  const rowSum = pivot.cols.reduce((s, c) => s + cellShare(pivot, jill, c, "row"), 0);
+  assert.ok(close(rowSum, 100));
+});
+
+test("selections pick a cell, a row or a column", () => {
+  assert.equal(pivotSelection(pivot, "Jill Doe|Cash").items.length, 1);
+  assert.equal(pivotSelection(pivot, "Jill Doe|*").items.length, 4);
+  assert.ok(close(pivotSelection(pivot, "*|Cash").value, 715000));
+  assert.equal(pivotSelection(pivot, "Jill Doe|US Bonds"), null);
+  assert.equal(pivotSelection(pivot, null), null);
+});
+
+test("owner and account keys are masked in the URL and read back", () => {
+  const sel = maskSelection("Jill Doe|Cash", "owner", "assetClass");
+  assert.ok(!sel.includes("Jill"));
+  assert.ok(sel.endsWith("|Cash"));
+  assert.equal(unmaskSelection(pivot, sel, "owner", "assetClass"), "Jill Doe|Cash");
+  assert.equal(unmaskSelection(pivot, maskSelection("*|Cash", "owner", "assetClass"), "owner", "assetClass"), "*|Cash");
+  assert.equal(unmaskSelection(pivot, "kunknown|Cash", "owner", "assetClass"), null);
+  assert.equal(unmaskSelection(pivot, null, "owner", "assetClass"), null);
+});
+
+test("style places equity and bonds on their boxes", () => {
+  const by = Object.fromEntries(holdings.map(h => [h.symbol, styleLabel(h)]));
+  assert.equal(by.VTV, "Large Value");
+  assert.equal(by.AGG, "High-quality Intermediate");
+  assert.equal(by.VMFXX, "No style box");
+  assert.ok(PIVOT_DIMENSIONS.some(d => d.id === "style"));
+  assert.ok(buildPivot(holdings, "account", "style").cols.some(c => c.key === "Large Growth"));
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addTerm, fieldValues, filterHoldings, formatTerm, parseAmount, parseQuery, removeTerm, suggest, tokenize,
+} from "../src/lib/query.js";
+import { analyzePortfolio } from "../src/lib/analytics.js";
+import { samplePortfolio } from "./helpers.js";
+
+const { holdings, total } = analyzePortfolio(samplePortfolio());
+const find = (query) => filterHoldings(holdings, query, { total }).holdings.map(h => h.symbol);
+
+test("reads amounts with $, commas, suffixes and percent signs", () => {
+  assert.equal(parseAmount("$50,000"), 50000);
+  assert.equal(parseAmount("50k"), 50000);
+  assert.equal(parseAmount("1.5M"), 1500000);
+  assert.equal(parseAmount("0.2%"), 0.2);
+  assert.equal(parseAmount("-1000"), -1000);
+  assert.ok(isNaN(parseAmount("lots")));
+});
+
+test("splits on spaces except inside quotes", () => {
+  assert.deepEqual(tokenize('class:"US Equity"  -symbol:CASH').map(t => t.text), ['class:"US Equity"', "-symbol:CASH"]);
+  const { terms } = parseQuery('account:roth class:"US Equity" value>50000 -symbol:CASH bond');
+  assert.deepEqual(terms.map(t => [t.field, t.op, t.value, t.negate]), [
+    ["account", ":", "roth", false],
+    ["class", ":", "US Equity", false],
+    ["value", ">", "50000", false],
+    ["symbol", ":", "CASH", true],
+    [null, ":", "bond", false],
+  ]);
+  assert.equal(parseQuery("ticker:VOO").terms[0].field, "symbol");
+  assert.equal(parseQuery("value:100").terms[0].op, "=");
+});
+
+test("explains terms it can't use and ignores them", () => {
+  const { terms, errors } = parseQuery("foo:bar class>3 value>lots account:");
+  assert.deepEqual(terms, []);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /Unknown field "foo"/);
+  assert.match(errors[1], /class is text/);
+  assert.match(errors[2], /value needs a number/);
+});
+
+test("every term must match, negated ones must not", () => {
+  assert.deepEqual(find("account:roth class:\"Intl Equity\" value>250k"), ["VXUS"]);
+  assert.deepEqual(find("tax=roth -class:cash"), ["VXUS", "VEA", "SCHZ"]);
+  assert.deepEqual(find("symbol=cash account:401k"), ["CASH"]);
+  assert.deepEqual(find("weight>=10%"), ["VOO", "QQQ"]);
+  // bare words search the same fields as before
+  assert.deepEqual(find("bond"), ["BND", "SCHZ", "BNDX", "AGG", "VBTLX", "IAGG"]);
+  assert.equal(find("").length, holdings.length);
+  // holdings without an expense ratio or basis never pass a comparison
+  assert.deepEqual(find("gain<0"), []);
+});
+
+test("builds and edits query text term by term", () => {
+  assert.equal(formatTerm({ field: "class", op: ":", value: "US Equity", negate: true }), '-class:"US Equity"');
+  assert.equal(addTerm("account:roth ", { field: "value", op: ">", value: "50k" }), "account:roth value>50k");
+  const query = "account:roth -symbol:CASH value>50k";
+  assert.equal(removeTerm(query, parseQuery(query).terms[1]), "account:roth value>50k");
+});
+
+test("completes field names, then values from the holdings", () => {
+  assert.deepEqual(suggest("acc", holdings).map(s => s.query), ["account:"]);
+  assert.deepEqual(suggest("tax=roth -sym", holdings).map(s => s.query), ["tax=roth -symbol:"]);
+  assert.deepEqual(suggest("va", holdings).map(s => s.label), ["value>"]);
+  assert.deepEqual(suggest("class:eq", holdings).map(s => s.query), ['class:"US Equity" ', 'class:"Intl Equity" ']);
+  assert.deepEqual(suggest("value>5", holdings), []);
+  assert.equal(fieldValues(holdings, "class")[0], "US Equity");
+  assert.deepEqual(fieldValues(holdings, "value"), []);
+});
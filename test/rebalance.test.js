@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeDrift, defaultTargets, planTrades } from "../src/lib/rebalance.js";
+import { analyzePortfolio, sumValues } from "../src/lib/analytics.js";
+import { samplePortfolio, close } from "./helpers.js";
+
+const IRA = "Pat - Traditional IRA - 1111111";
+const TAXABLE = "Pat - Individual - 2222222";
+
+const holding = (account, symbol, assetClass, value, price = 100) => ({
+  account, symbol, desc: symbol, assetClass, value, price,
+  taxTreatment: account === TAXABLE ? "Taxable" : "Pre-tax",
+  accountKind: account === TAXABLE ? "taxable" : "traditional",
+});
+
+const legs = (plan) => plan.trades.map(t => [t.account, t.action, t.symbol, Math.round(t.amount)]);
+
+test("a portfolio already on target needs no trades", () => {
+  const list = [holding(IRA, "VTI", "US Equity", 6000), holding(IRA, "BND", "US Bonds", 4000)];
+  const plan = planTrades(list, { "US Equity": 60, "US Bonds": 40 });
+  assert.deepEqual(plan.trades, []);
+  assert.deepEqual(plan.residual, {});
+  assert.equal(plan.total, 10000);
+  // drift under the minimum trade is left alone
+  assert.deepEqual(planTrades(list, { "US Equity": 60.2, "US Bonds": 39.8 }).trades, []);
+});
+
+test("new money goes to the largest gaps and nothing is sold", () => {
+  const list = [holding(IRA, "VTI", "US Equity", 6000), holding(IRA, "BND", "US Bonds", 4000, 50)];
+  const plan = planTrades(list, { "US Equity": 50, "US Bonds": 50 }, { contribution: 1000, newMoneyOnly: true });
+  assert.deepEqual(legs(plan), [[IRA, "buy", "BND", 1000]]);
+  assert.equal(plan.trades[0].shares, 20);
+  assert.equal(plan.total, 11000);
+  assert.deepEqual(plan.residual, { "US Equity": -500, "US Bonds": 500 });
+  // without a contribution there is nothing to direct
+  assert.deepEqual(planTrades(list, { "US Equity": 50, "US Bonds": 50 }, { newMoneyOnly: true }).trades, []);
+});
+
+test("tax-advantaged accounts trade first, sells before buys", () => {
+  const list = [
+    holding(TAXABLE, "VTI", "US Equity", 5000), holding(TAXABLE, "BND", "US Bonds", 5000),
+    holding(IRA, "VTI", "US Equity", 5000), holding(IRA, "BND", "US Bonds", 5000),
+  ];
+  const plan = planTrades(list, { "US Equity": 70, "US Bonds": 30 });
+  assert.deepEqual(legs(plan), [[IRA, "sell", "BND", 4000], [IRA, "buy", "VTI", 4000]]);
+  assert.ok(plan.trades.every(t => !t.taxable && t.accountKind === "traditional"));
+});
+
+test("an account with no room leaves the trades to the others", () => {
+  // the IRA only holds the underweight class, so it has nothing to sell
+  const list = [holding(IRA, "BND", "US Bonds", 2000), holding(TAXABLE, "VTI", "US Equity", 8000)];
+  const plan = planTrades(list, { "US Equity": 50, "US Bonds": 50 });
+  assert.deepEqual(legs(plan), [[TAXABLE, "sell", "VTI", 3000], [TAXABLE, "buy", "BND", 3000]]);
+  assert.ok(plan.trades.every(t => t.taxable));
+  assert.deepEqual(plan.residual, {});
+});
+
+test("cash is sold like any other class", () => {
+  const list = [holding(IRA, "VMFXX", "Cash", 4000, 1), holding(IRA, "VTI", "US Equity", 6000)];
+  const plan = planTrades(list, { "US Equity": 100 });
+  assert.deepEqual(legs(plan), [[IRA, "sell", "VMFXX", 4000], [IRA, "buy", "VTI", 4000]]);
+  assert.equal(plan.trades[0].shares, 4000);
+});
+
+test("targets that don't add up to 100 are taken as proportions", () => {
+  const list = [holding(IRA, "VTI", "US Equity", 5000), holding(IRA, "BND", "US Bonds", 5000)];
+  const scaled = planTrades(list, { "US Equity": 3, "US Bonds": 1 });
+  assert.deepEqual(legs(scaled), legs(planTrades(list, { "US Equity": 75, "US Bonds": 25 })));
+  assert.deepEqual(legs(scaled), [[IRA, "sell", "BND", 2500], [IRA, "buy", "VTI", 2500]]);
+  // blank targets count as zero
+  assert.deepEqual(legs(planTrades(list, { "US Equity": 100, "US Bonds": "" })), [[IRA, "sell", "BND", 5000], [IRA, "buy", "VTI", 5000]]);
+  const drift = computeDrift(list, { "US Equity": 3, "US Bonds": 1 });
+  assert.deepEqual(drift.map(d => [d.name, d.targetPct, d.drift]), [["US Equity", 75, -25], ["US Bonds", 25, 25]]);
+});
+
+test("default targets are whole percents that sum to 100", () => {
+  const thirds = defaultTargets([
+    holding(IRA, "VTI", "US Equity", 1000), holding(IRA, "BND", "US Bonds", 1000), holding(IRA, "VXUS", "Intl Equity", 1000),
+  ]);
+  assert.equal(Object.values(thirds).reduce((s, v) => s + v, 0), 100);
+  assert.ok(Object.values(thirds).every(Number.isInteger));
+});
+
+test("money never leaves an account", () => {
+  const { holdings } = analyzePortfolio(samplePortfolio());
+  const plan = planTrades(holdings, { "US Equity": 50, "Intl Equity": 20, "US Bonds": 25, "Intl Bonds": 5 });
+  assert.ok(plan.trades.length > 0);
+  const net = {};
+  plan.trades.forEach(t => { net[t.account] = (net[t.account] || 0) + (t.action === "buy" ? t.amount : -t.amount); });
+  Object.entries(net).forEach(([account, n]) => assert.ok(close(n, 0), account));
+  assert.ok(close(plan.total, sumValues(holdings)));
+});
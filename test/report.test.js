@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { analyzePortfolio } from "../src/lib/analytics.js";
+import { buildReport, reportToMarkdown } from "../src/lib/report.js";
+import { samplePortfolio } from "./helpers.js";
+
+const CLI = fileURLToPath(new URL("../bin/portfolio-report.js", import.meta.url));
+const SAMPLE = fileURLToPath(new URL("../sample-portfolio.csv", import.meta.url));
+const MALFORMED = fileURLToPath(new URL("./fixtures/malformed-fidelity.csv", import.meta.url));
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+
+const report = buildReport(analyzePortfolio(samplePortfolio()));
+
+test("report is plain, rounded data", () => {
+  assert.equal(report.asOfDate, "02/15/2026");
+  assert.equal(report.format, "Fidelity GPS");
+  assert.equal(report.total, 8160232.5);
+  assert.equal(report.positions, 21);
+  assert.equal(report.metrics.stockPctOfInvested, 72.08);
+  assert.deepEqual(report.assetClasses[0], { name: "US Equity", value: 4512107.5, pct: 55.29 });
+  assert.equal(report.accountTotals[0].name, "John Doe - Taxable Brokerage - 7890123");
+  assert.equal(report.holdings[0].symbol, "VOO");
+  assert.equal(report.diagnostics.severity, "warning");
+  assert.deepEqual(JSON.parse(JSON.stringify(report)), report);
+});
+
+test("markdown report has a table per breakdown", () => {
+  const md = reportToMarkdown(report);
+  assert.match(md, /^# Portfolio Allocation — 02\/15\/2026\n/);
+  assert.match(md, /\*\*Total:\*\* \$8,160,232\.50 · 21 positions · 5 accounts/);
+  for (const heading of ["## Summary", "## By Asset Class", "## By Account", "## By Owner", "## By Tax Bucket", "## Holdings", "## Import Notes"]) {
+    assert.ok(md.includes(`\n${heading}\n`), heading);
+  }
+  assert.match(md, /\| US Equity \| \$4,512,107\.50 \| 55\.3% \|/);
+});
+
+test("CLI prints Markdown by default and JSON on request", () => {
+  const md = run(SAMPLE);
+  assert.equal(md.status, 0);
+  assert.match(md.stdout, /^# Portfolio Allocation/);
+
+  const json = run(SAMPLE, "--format", "json");
+  assert.equal(json.status, 0);
+  assert.deepEqual(JSON.parse(json.stdout), report);
+
+  const lt = JSON.parse(run(SAMPLE, "-f", "json", "--look-through").stdout);
+  assert.ok(lt.assetClasses.some(c => c.name === "Emerging Markets"));
+});
+
+test("CLI reads stdin and reports bad input", () => {
+  const piped = spawnSync(process.execPath, [CLI, "-", "-f", "json"], { input: samplePortfolio(), encoding: "utf8" });
+  assert.equal(JSON.parse(piped.stdout).total, 8160232.5);
+
+  assert.equal(run().status, 2);
+  assert.equal(run(SAMPLE, "--format", "xml").status, 2);
+  assert.equal(run("missing.csv").status, 1);
+
+  const blocked = run(MALFORMED);
+  assert.equal(blocked.status, 1);
+  assert.match(blocked.stderr, /use --force/);
+  assert.equal(run(MALFORMED, "--force").status, 0);
+});
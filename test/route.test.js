@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHash, buildHash, maskKey, unmaskKey } from "../src/lib/route.js";
+
+test("routes round-trip through the hash", () => {
+  const route = { view: "all", params: { q: "class:bond value>50k" } };
+  assert.deepEqual(parseHash(buildHash(route)), route);
+  assert.equal(buildHash({ view: "holding", params: { sel: "VOO", mode: null } }), "#/holding?sel=VOO");
+  assert.deepEqual(parseHash(""), { view: "", params: {} });
+});
+
+test("masked names stay out of the hash and are matched back", () => {
+  const names = ["John Doe - Traditional IRA - 4521089", "Jill Doe - Roth IRA - 2345678"];
+  const token = maskKey(names[1]);
+  assert.match(token, /^k[0-9a-z]+$/);
+  assert.ok(!buildHash({ view: "account", params: { sel: token } }).includes("2345678"));
+  assert.equal(maskKey(names[1]), token);
+  assert.notEqual(maskKey(names[0]), token);
+  assert.equal(unmaskKey(token, names), names[1]);
+  assert.equal(unmaskKey(token, names.slice(0, 1)), null);
+  assert.equal(unmaskKey(undefined, names), null);
+});
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyTrades, compareHoldings } from "../src/lib/sandbox.js";
+import { analyzePortfolio, sumValues } from "../src/lib/analytics.js";
+import { samplePortfolio, close } from "./helpers.js";
+
+const { holdings } = analyzePortfolio(samplePortfolio());
+const TAXABLE = "John Doe - Taxable Brokerage - 7890123";
+const ROTH = "John Doe - Roth IRA - 6734521";
+const JOHN_IRA = "John Doe - Traditional IRA - 4521089";
+
+const valueOf = (list, account, symbol) => sumValues(list.filter(h => h.account === account && h.symbol === symbol));
+
+test("no trades leaves an equal copy", () => {
+  const r = applyTrades(holdings, []);
+  assert.deepEqual(r.holdings, holdings);
+  assert.notEqual(r.holdings[0], holdings[0]);
+  assert.equal(r.newMoney, 0);
+});
+
+test("a sell moves the proceeds into the account's cash", () => {
+  const r = applyTrades(holdings, [{ kind: "sell", account: TAXABLE, symbol: "QQQ", fraction: 0.5 }]);
+  assert.ok(close(valueOf(r.holdings, TAXABLE, "QQQ"), 902055 / 2));
+  assert.ok(close(valueOf(r.holdings, TAXABLE, "CASH"), 225000 + 902055 / 2));
+  assert.ok(close(r.holdings.find(h => h.symbol === "QQQ").qty, 1050));
+  assert.ok(close(sumValues(r.holdings), sumValues(holdings)));
+  assert.equal(valueOf(holdings, TAXABLE, "QQQ"), 902055);
+});
+
+test("buys are paid from cash, and what cash can't cover is new money", () => {
+  const r = applyTrades(holdings, [{ kind: "buy", account: ROTH, symbol: "VXUS", amount: 150000, fromCash: true }]);
+  assert.equal(valueOf(r.holdings, ROTH, "SPAXX"), 0);
+  assert.ok(!r.holdings.some(h => h.symbol === "SPAXX"));
+  assert.equal(r.newMoney, 25000);
+  assert.equal(r.notes[0].severity, "info");
+  assert.ok(close(sumValues(r.holdings), sumValues(holdings) + 25000));
+
+  const fresh = applyTrades(holdings, [{ kind: "buy", account: ROTH, symbol: "VXUS", amount: 1000 }]);
+  assert.equal(fresh.newMoney, 1000);
+  assert.equal(valueOf(fresh.holdings, ROTH, "SPAXX"), 125000);
+});
+
+test("a symbol the household doesn't hold becomes a new position", () => {
+  const r = applyTrades(holdings, [{ kind: "buy", account: TAXABLE, symbol: "gld", amount: 5000, fromCash: true, desc: "Gold Trust", assetClass: "Commodities" }]);
+  const gold = r.holdings.find(h => h.symbol === "GLD");
+  assert.equal(gold.account, TAXABLE);
+  assert.equal(gold.taxTreatment, "Taxable");
+  assert.equal(gold.desc, "Gold Trust");
+  assert.deepEqual(r.overrides, { GLD: "Commodities" });
+  assert.equal(valueOf(r.holdings, TAXABLE, "CASH"), 220000);
+});
+
+test("a move copies the position into the other account and notes the tax change", () => {
+  const r = applyTrades(holdings, [{ kind: "move", account: TAXABLE, symbol: "BNDX", to: JOHN_IRA, amount: 100000 }]);
+  const moved = r.holdings.find(h => h.account === JOHN_IRA && h.symbol === "BNDX");
+  assert.equal(moved.value, 100000);
+  assert.equal(moved.taxTreatment, "Pre-tax");
+  assert.ok(close(moved.qty, 100000 / 48.65));
+  assert.ok(close(valueOf(r.holdings, TAXABLE, "BNDX"), 201630));
+  assert.match(r.notes[0].message, /Taxable to Pre-tax/);
+  assert.equal(r.newMoney, 0);
+});
+
+test("moved positions take the account fields stored on the destination, not its name", () => {
+  // an account whose type came from a column, so its name says nothing about it
+  const VANGUARD = "Vanguard - 12345678";
+  const list = [
+    ...holdings,
+    { ...holdings.find(h => h.account === ROTH), account: VANGUARD, accountType: "Roth IRA", accountKind: "roth", taxTreatment: "Roth", accountNumber: "12345678", source: "vanguard.csv" },
+  ];
+  const r = applyTrades(list, [{ kind: "move", account: TAXABLE, symbol: "BNDX", to: VANGUARD, amount: 1000 }]);
+  const moved = r.holdings.find(h => h.account === VANGUARD && h.symbol === "BNDX");
+  assert.deepEqual([moved.accountType, moved.taxTreatment, moved.accountNumber, moved.source], ["Roth IRA", "Roth", "12345678", "vanguard.csv"]);
+  assert.match(r.notes[0].message, /Taxable to Roth/);
+});
+
+test("setting a quantity trades the difference against cash", () => {
+  const r = applyTrades(holdings, [{ kind: "set", account: TAXABLE, symbol: "VUG", qty: 1000 }]);
+  assert.ok(close(valueOf(r.holdings, TAXABLE, "VUG"), 1000 * 495.2));
+  assert.ok(close(valueOf(r.holdings, TAXABLE, "CASH"), 225000 - 200 * 495.2));
+  // resizing cash itself is a deposit or withdrawal
+  const out = applyTrades(holdings, [{ kind: "set", account: TAXABLE, symbol: "CASH", amount: 25000 }]);
+  assert.equal(valueOf(out.holdings, TAXABLE, "CASH"), 25000);
+  assert.equal(out.newMoney, -200000);
+});
+
+test("trades that can't apply are skipped with an error note", () => {
+  const r = applyTrades(holdings, [
+    { kind: "sell", account: TAXABLE, symbol: "VTI", amount: 1000 },
+    { kind: "move", account: TAXABLE, symbol: "QQQ", to: TAXABLE, fraction: 1 },
+    { kind: "buy", account: TAXABLE, symbol: "VTI", amount: 0 },
+  ]);
+  assert.deepEqual(r.notes.map(n => [n.index, n.severity]), [[0, "error"], [1, "error"], [2, "error"]]);
+  assert.deepEqual(r.holdings, holdings);
+});
+
+test("the comparison reports shifts in classes, accounts and positions", () => {
+  const after = applyTrades(holdings, [
+    { kind: "sell", account: TAXABLE, symbol: "QQQ", fraction: 1 },
+    { kind: "buy", account: TAXABLE, symbol: "AGG", amount: 902055, fromCash: true },
+  ]).holdings;
+  const diff = compareHoldings(holdings, after);
+  assert.ok(close(diff.total.before, diff.total.after));
+  const us = diff.assetClasses.find(r => r.name === "US Equity");
+  const bonds = diff.assetClasses.find(r => r.name === "US Bonds");
+  assert.ok(close(us.change, -902055));
+  assert.ok(close(bonds.change, 902055));
+  assert.ok(close(us.pctChange, -bonds.pctChange));
+  assert.ok(diff.accounts.every(r => Math.abs(r.change) < 0.01));
+  assert.deepEqual(diff.positions.map(p => [p.symbol, Math.round(p.change)]), [["QQQ", -902055], ["AGG", 902055]]);
+  const stocks = diff.metrics.find(m => m.id === "stockPct");
+  assert.ok(stocks.after < stocks.before);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canStore, loadJSON, saveJSON } from "../src/lib/storage.js";
+
+// a localStorage that holds `limit` characters in all
+const fakeStorage = (limit = Infinity) => {
+  const items = new Map();
+  return {
+    items,
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => {
+      if (v.length > limit) throw new Error("QuotaExceededError");
+      items.set(k, v);
+    },
+    removeItem: (k) => items.delete(k),
+  };
+};
+
+test("without storage nothing is saved and loads fall back", () => {
+  assert.equal(typeof globalThis.localStorage, "undefined");
+  assert.equal(canStore(), false);
+  assert.equal(saveJSON("targets", { "US Equity": 60 }), false);
+  assert.deepEqual(loadJSON("targets", {}), {});
+});
+
+test("saves under the app prefix, and reports a full store", (t) => {
+  const storage = fakeStorage(20);
+  globalThis.localStorage = storage;
+  t.after(() => { delete globalThis.localStorage; });
+
+  assert.equal(canStore(), true);
+  assert.equal(saveJSON("seed", 42), true);
+  assert.equal(storage.items.get("aa.seed"), "42");
+  assert.equal(loadJSON("seed", 1), 42);
+  assert.equal(saveJSON("notes", "x".repeat(50)), false);
+  assert.equal(loadJSON("notes", ""), "");
+  assert.equal(saveJSON("seed", undefined), true);
+  assert.equal(loadJSON("seed", 1), 1);
+});
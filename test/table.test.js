@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  compareValues, sortRows, toggleSort, visibleColumns, groupRows, flattenGroups, visibleWindow,
+} from "../src/lib/table.js";
+
+const columns = [
+  { id: "symbol", sortValue: r => r.symbol, defaultDir: "asc" },
+  { id: "account", sortValue: r => r.account, defaultVisible: false },
+  { id: "value", sortValue: r => r.value, total: rows => rows.reduce((s, r) => s + r.value, 0) },
+  { id: "er", sortValue: r => r.er },
+];
+const rows = [
+  { symbol: "VTI", account: "Roth", value: 100, er: 0.03 },
+  { symbol: "AGG", account: "IRA", value: 300, er: null },
+  { symbol: "VXUS", account: "Roth", value: 300, er: 0.07 },
+  { symbol: "BND", account: "IRA", value: 50, er: 0.03 },
+];
+const symbols = (list) => list.map(r => r.symbol);
+
+test("compares numbers numerically and text naturally", () => {
+  assert.ok(compareValues(9, 10) < 0);
+  assert.ok(compareValues("A2", "A10") < 0);
+  assert.equal(compareValues("vti", "VTI"), 0);
+});
+
+test("sorts by several keys, stably, with blanks last", () => {
+  assert.deepEqual(symbols(sortRows(rows, [{ id: "value", dir: "desc" }], columns)), ["AGG", "VXUS", "VTI", "BND"]);
+  assert.deepEqual(symbols(sortRows(rows, [{ id: "value", dir: "desc" }, { id: "symbol", dir: "desc" }], columns)), ["VXUS", "AGG", "VTI", "BND"]);
+  assert.deepEqual(symbols(sortRows(rows, [{ id: "er", dir: "asc" }], columns)), ["VTI", "BND", "VXUS", "AGG"]);
+  assert.deepEqual(symbols(sortRows(rows, [{ id: "er", dir: "desc" }], columns)), ["VXUS", "VTI", "BND", "AGG"]);
+  assert.equal(sortRows(rows, [{ id: "missing", dir: "asc" }], columns), rows);
+});
+
+test("header clicks flip, add and drop sort keys", () => {
+  const byValue = [{ id: "value", dir: "desc" }];
+  assert.deepEqual(toggleSort(byValue, "value"), [{ id: "value", dir: "asc" }]);
+  assert.deepEqual(toggleSort(byValue, "symbol", { defaultDir: "asc" }), [{ id: "symbol", dir: "asc" }]);
+  const two = toggleSort(byValue, "symbol", { multi: true, defaultDir: "asc" });
+  assert.deepEqual(two, [{ id: "value", dir: "desc" }, { id: "symbol", dir: "asc" }]);
+  const flipped = toggleSort(two, "symbol", { multi: true, defaultDir: "asc" });
+  assert.deepEqual(flipped[1], { id: "symbol", dir: "desc" });
+  assert.deepEqual(toggleSort(flipped, "symbol", { multi: true, defaultDir: "asc" }), byValue);
+  // a plain click on one of several keys starts over from that key
+  assert.deepEqual(toggleSort(two, "value"), [{ id: "value", dir: "desc" }]);
+});
+
+test("column choices override the defaults", () => {
+  assert.deepEqual(visibleColumns(columns).map(c => c.id), ["symbol", "value", "er"]);
+  assert.deepEqual(visibleColumns(columns, { account: true, er: false }).map(c => c.id), ["symbol", "account", "value"]);
+});
+
+test("groups carry subtotals and follow the first sort key", () => {
+  const sort = [{ id: "value", dir: "desc" }];
+  const groups = groupRows(sortRows(rows, sort, columns), r => r.account, { columns, sort });
+  assert.deepEqual(groups.map(g => [g.key, g.totals.value]), [["Roth", 400], ["IRA", 350]]);
+  assert.deepEqual(symbols(groups[0].rows), ["VXUS", "VTI"]);
+
+  const bySymbol = [{ id: "symbol", dir: "asc" }];
+  const alpha = groupRows(sortRows(rows, bySymbol, columns), r => r.account, { columns, sort: bySymbol });
+  assert.deepEqual(alpha.map(g => g.key), ["IRA", "Roth"]);
+  assert.deepEqual(groupRows(rows, () => "", { columns }).map(g => g.key), ["—"]);
+});
+
+test("collapsed groups keep only their heading", () => {
+  const groups = groupRows(rows, r => r.account, { columns });
+  const lines = flattenGroups(groups, new Set(["IRA"]));
+  assert.deepEqual(lines.map(l => (l.type === "group" ? `[${l.key}]` : l.row.symbol)), ["[Roth]", "VTI", "VXUS", "[IRA]"]);
+});
+
+test("windows the lines in view plus overscan", () => {
+  const w = visibleWindow({ count: 5000, rowHeight: 50, scrollTop: 10000, viewport: 600, overscan: 5 });
+  assert.deepEqual(w, { start: 195, end: 217, before: 195 * 50, after: (5000 - 217) * 50 });
+  assert.deepEqual(visibleWindow({ count: 3, rowHeight: 50, scrollTop: 0, viewport: 600 }), { start: 0, end: 3, before: 0, after: 0 });
+  const end = visibleWindow({ count: 100, rowHeight: 50, scrollTop: 99999, viewport: 600 });
+  assert.deepEqual([end.start, end.end, end.after], [100, 100, 0]);
+});
@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ORDER_PRESETS, REINVESTED, distributionPeriod, planAccounts, planWithdrawals, presetOrder,
+  reconcileOrder, requiredDistribution, rmdStartAge,
+} from "../src/lib/withdrawals.js";
+import { analyzePortfolio } from "../src/lib/analytics.js";
+import { samplePortfolio, close } from "./helpers.js";
+
+const accounts = planAccounts(analyzePortfolio(samplePortfolio()).holdings);
+const TAXABLE = "John Doe - Taxable Brokerage - 7890123";
+const JOHN_IRA = "John Doe - Traditional IRA - 4521089";
+const JILL_IRA = "Jill Doe - Traditional IRA - 2345678";
+const ROTH = "John Doe - Roth IRA - 6734521";
+const K401 = "John Doe - 401K - 9821756";
+
+const account = (name, taxTreatment, value, owner = "Pat") =>
+  ({ account: name, owner, taxTreatment, accountKind: "taxable", value, drawable: taxTreatment !== "HSA" });
+
+test("RMD start age follows SECURE 2.0", () => {
+  assert.equal(rmdStartAge(1950), 72);
+  assert.equal(rmdStartAge(1951), 73);
+  assert.equal(rmdStartAge(1959), 73);
+  assert.equal(rmdStartAge(1960), 75);
+});
+
+test("RMDs use the uniform lifetime table", () => {
+  assert.equal(distributionPeriod(71), null);
+  assert.equal(distributionPeriod(75), 24.6);
+  assert.equal(distributionPeriod(130), 2.0);
+  assert.ok(close(requiredDistribution(1000000, 75, 1950), 1000000 / 24.6, 6));
+  assert.equal(requiredDistribution(1000000, 74, 1960), 0);
+  assert.equal(requiredDistribution(0, 80, 1940), 0);
+});
+
+test("accounts are summed per account with their tax treatment", () => {
+  assert.deepEqual(accounts.map(a => [a.account, a.taxTreatment]), [
+    [TAXABLE, "Taxable"], [JOHN_IRA, "Pre-tax"], [JILL_IRA, "Pre-tax"], [ROTH, "Roth"], [K401, "Pre-tax"],
+  ]);
+  assert.equal(accounts[0].value, 2902715);
+  assert.ok(accounts.every(a => a.drawable));
+});
+
+test("preset orders sort by bucket, largest first within one", () => {
+  assert.deepEqual(presetOrder(accounts, ORDER_PRESETS[0].buckets), [TAXABLE, JOHN_IRA, JILL_IRA, K401, ROTH]);
+  assert.deepEqual(presetOrder(accounts, ORDER_PRESETS[1].buckets), [JOHN_IRA, JILL_IRA, K401, TAXABLE, ROTH]);
+  assert.deepEqual(reconcileOrder(["gone", ROTH, TAXABLE], [TAXABLE, JOHN_IRA, ROTH]), [ROTH, TAXABLE, JOHN_IRA]);
+  assert.deepEqual(reconcileOrder(null, [TAXABLE]), [TAXABLE]);
+});
+
+test("draws accounts in order and grows what is left", () => {
+  const list = [account("T", "Taxable", 100000), account("R", "Roth", 100000)];
+  const r = planWithdrawals({ accounts: list, order: ["T", "R"], spending: 60000, growth: 0, inflation: 0, startYear: 2030, years: 3 });
+  assert.deepEqual(r.rows.map(x => x.withdrawals), [{ T: 60000 }, { T: 40000, R: 20000 }, { R: 60000 }]);
+  assert.deepEqual(r.rows[2].balances, { T: 0, R: 20000 });
+  assert.equal(r.depletedYear, null);
+  assert.equal(r.totals.ordinaryIncome, 0);
+
+  const grown = planWithdrawals({ accounts: list, order: ["T", "R"], spending: 0, growth: 10, startYear: 2030, years: 2 });
+  assert.ok(close(grown.rows[1].total, 200000 * 1.21, 6));
+});
+
+test("spending rises with inflation and a shortfall marks the year money runs out", () => {
+  const r = planWithdrawals({ accounts: [account("T", "Taxable", 100000)], order: ["T"], spending: 40000, growth: 0, inflation: 10, startYear: 2030, years: 3 });
+  assert.ok(close(r.rows[1].spending, 44000, 6));
+  assert.equal(r.depletedYear, 2032);
+  assert.ok(close(r.rows[2].shortfall, 48400 - 16000, 6));
+  assert.ok(close(r.totals.withdrawn, 100000, 6));
+});
+
+test("RMDs come out first, count toward spending and excess is reinvested", () => {
+  const list = [account("IRA", "Pre-tax", 1000000), account("T", "Taxable", 50000)];
+  const r = planWithdrawals({
+    accounts: list, order: ["T", "IRA"], birthYears: { Pat: 1950 }, spending: 10000, growth: 0, inflation: 0, startYear: 2025, years: 1,
+  });
+  const rmd = 1000000 / distributionPeriod(75);
+  assert.ok(close(r.rows[0].rmd, rmd, 6));
+  assert.ok(close(r.rows[0].surplus, rmd - 10000, 6));
+  assert.equal(r.reinvestedIn, "T");
+  assert.ok(close(r.rows[0].balances.T, 50000 + rmd - 10000, 6));
+  assert.ok(close(r.rows[0].ordinaryIncome, rmd, 6));
+  assert.deepEqual(r.rows[0].ages, { Pat: 75 });
+});
+
+test("without a taxable account excess RMDs go to a new one", () => {
+  const r = planWithdrawals({
+    accounts: [account("IRA", "Pre-tax", 1000000)], order: ["IRA"], birthYears: { Pat: 1945 }, spending: 0, growth: 0, startYear: 2025, years: 2,
+  });
+  assert.equal(r.reinvestedIn, REINVESTED);
+  assert.equal(r.accounts.at(-1).account, REINVESTED);
+  assert.ok(close(r.rows[1].balances.IRA + r.rows[1].balances[REINVESTED], 1000000, 6));
+});
+
+test("warns about pre-tax owners with no birth year and leaves HSA money alone", () => {
+  const list = [account("IRA", "Pre-tax", 500000), account("H", "HSA", 20000)];
+  const r = planWithdrawals({ accounts: list, order: ["H", "IRA"], spending: 30000, growth: 0, years: 1 });
+  assert.deepEqual(r.warnings, ["Enter a birth year for Pat to include RMDs from their pre-tax accounts."]);
+  assert.deepEqual(r.rows[0].withdrawals, { IRA: 30000 });
+  assert.equal(r.rows[0].balances.H, 20000);
+});
+
+test("the order changes where the money comes from, not how much is spent", () => {
+  const plan = (buckets) => planWithdrawals({
+    accounts, order: presetOrder(accounts, buckets), birthYears: { "John Doe": 1958, "Jill Doe": 1962 },
+    spending: 300000, startYear: 2026, years: 30,
+  });
+  const taxableFirst = plan(ORDER_PRESETS[0].buckets);
+  const pretaxFirst = plan(ORDER_PRESETS[1].buckets);
+  assert.equal(taxableFirst.depletedYear, null);
+  assert.ok(close(taxableFirst.totals.withdrawn, pretaxFirst.totals.withdrawn, 2));
+  assert.ok(taxableFirst.totals.rmd > pretaxFirst.totals.rmd);
+  assert.equal(taxableFirst.rows[0].withdrawals[TAXABLE], 300000);
+  assert.equal(pretaxFirst.rows[0].withdrawals[JOHN_IRA], 300000);
+});